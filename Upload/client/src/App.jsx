@@ -1,5 +1,48 @@
-import React, { useState, useEffect } from 'react';
-import { useAuth0 } from '@auth0/auth0-react'; // Import useAuth0 hook
+import React, { useState, useEffect, useLayoutEffect, useCallback, useRef } from 'react';
+import { useAuth } from './auth.js'; // Auth0's useAuth0, or development sign-in (see auth.js)
+import { readServerSentEvents } from './sse.js';
+import { apiUrl } from './config.js';
+import AttachmentChips from './components/AttachmentChips.jsx';
+import MessageContent from './components/MessageContent.jsx';
+import ThreadSidebar from './components/ThreadSidebar.jsx';
+import AdminPanel from './components/AdminPanel.jsx';
+import BomTable from './components/BomTable.jsx';
+import ScaffoldDrawing from './components/ScaffoldDrawing.jsx';
+import BuyCredits from './components/BuyCredits.jsx';
+import FeedbackControls from './components/FeedbackControls.jsx';
+
+// File types the backend accepts (kept in line with UPLOAD_TYPES in server/lib/uploads.js).
+const ACCEPTED_FILE_TYPES = '.pdf,.docx,.txt,.md,.json,.csv,.xlsx,.png,.jpg,.jpeg';
+const MAX_FILES_PER_MESSAGE = 5;
+
+// The active thread is remembered per user so a reload resumes the conversation.
+const ACTIVE_THREAD_KEY = 'aiscaffold.activeThread';
+// The assistant mode (profile from GET /api/assistants) last picked, reused for new messages.
+const ASSISTANT_PROFILE_KEY = 'aiscaffold.assistantProfile';
+const GREETING = { role: 'assistant', content: 'Hello! How can I help you today?' };
+const MESSAGE_PAGE_SIZE = 20;
+// The server titles a new thread after sending the first reply, so the list is fetched again a little later.
+const TITLE_REFRESH_DELAY_MS = 3000;
+// Codes for messages the server's guardrails turned away (see server/lib/guardrails.js).
+const GUARDRAIL_CODES = ['INVALID_MESSAGE', 'CONTENT_TOO_LONG', 'BLOCKED_KEYWORD', 'BLOCKED_PATTERN'];
+const REDACTION_LABELS = { email: 'email address', phone: 'phone number', address: 'address' };
+
+// "Removed before sending: 1 email address, 2 phone numbers." for a reply's `redactions`.
+const describeRedactions = (redactions) => `Removed before sending: ${Object.entries(redactions)
+  .map(([kind, count]) => `${count} ${REDACTION_LABELS[kind] || kind}${count === 1 ? '' : 's'}`)
+  .join(', ')}.`;
+
+// Convert a message from GET /api/threads/:id/messages into chat state
+const toChatMessage = (message) => ({
+  id: message.id,
+  role: message.role,
+  content: message.text,
+  parts: message.role === 'assistant' ? message.content : undefined,
+  files: message.files,
+  designSpec: message.designSpec,
+  messageId: message.role === 'assistant' ? message.id : undefined, // The reply feedback is given for
+  feedback: message.feedback,
+});
 
 function App() {
   const {
@@ -9,131 +52,617 @@ function App() {
     loginWithRedirect, // Function to trigger login
     logout, // Function to trigger logout
     getAccessTokenSilently, // Function to get Access Token for your API
-  } = useAuth0();
+  } = useAuth();
 
   // console.log('Auth0 State - isLoading:', isLoading, 'isAuthenticated:', isAuthenticated); // Uncomment for debugging
 
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState('');
   const [chatLoading, setChatLoading] = useState(false); // Renamed to avoid conflict with Auth0 isLoading
+  const [sending, setSending] = useState(false); // A chat request is in flight (shows the Stop button), unlike loading a thread
   const [threadId, setThreadId] = useState(null);
   const [error, setError] = useState(null);
+  const [credits, setCredits] = useState(null); // Current credit balance, null until loaded
+  const [pendingFiles, setPendingFiles] = useState([]); // Files to upload with the next message
+  const [dragActive, setDragActive] = useState(false);
+  const [historyCursor, setHistoryCursor] = useState(null); // Cursor for older messages, null when there are none
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [threads, setThreads] = useState([]); // The user's threads for the sidebar
+  const [showArchived, setShowArchived] = useState(false);
+  const [permissions, setPermissions] = useState([]); // Permissions in the access token, e.g. admin:credits
+  const [adminOpen, setAdminOpen] = useState(false);
+  const [drawingOpen, setDrawingOpen] = useState(true);
+  const [buyCredits, setBuyCredits] = useState(null); // { reason } while the Buy credits dialog is open
+  const [assistants, setAssistants] = useState([]); // Assistant profiles the user can pick as the chat mode
+  const [profile, setProfile] = useState(() => localStorage.getItem(ASSISTANT_PROFILE_KEY));
+  const fileInputRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  const scrollAnchorRef = useRef(null); // Distance from the bottom to keep when messages are prepended
+  const threadInitStartedRef = useRef(false);
+  const activeRequestRef = useRef(null); // { controller, runId, stopped } for the reply being generated
+  const loadingOlderRef = useRef(false); // Set before the fetch, so a burst of scroll events loads a page once
+
+  // Queue files picked with the attach button or dropped on the chat
+  const addFiles = (fileList) => {
+    const accepted = ACCEPTED_FILE_TYPES.split(',');
+    const files = Array.from(fileList);
+    const supported = files.filter(file => accepted.some(extension => file.name.toLowerCase().endsWith(extension)));
+    if (supported.length < files.length) {
+      setError(`Only these file types can be attached: ${accepted.join(', ')}`);
+    }
+    const combined = [...pendingFiles, ...supported];
+    if (combined.length > MAX_FILES_PER_MESSAGE) {
+      setError(`You can attach at most ${MAX_FILES_PER_MESSAGE} files to a message.`);
+    }
+    setPendingFiles(combined.slice(0, MAX_FILES_PER_MESSAGE));
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    if (threadId && !chatLoading) {
+      addFiles(e.dataTransfer.files);
+    }
+  };
+
+  // Fetch the user's credit balance from the backend
+  const fetchCredits = useCallback(async () => {
+    try {
+      const accessToken = await getAccessTokenSilently();
+      const res = await fetch(apiUrl('/api/credits?limit=0'), {
+        headers: { 'Authorization': `Bearer ${accessToken}` },
+      });
+      if (!res.ok) {
+        throw new Error(`HTTP error! Status: ${res.status}`);
+      }
+      const data = await res.json();
+      setCredits(data.balance);
+    } catch (err) {
+      console.error('Error fetching credits:', err);
+    }
+  }, [getAccessTokenSilently]);
+
+  // Fetch what the user's token allows, to decide whether to offer the admin panel
+  const fetchPermissions = useCallback(async () => {
+    try {
+      const accessToken = await getAccessTokenSilently();
+      const res = await fetch(apiUrl('/api/me'), {
+        headers: { 'Authorization': `Bearer ${accessToken}` },
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        if (data.code === 'USER_DISABLED') setError(data.details);
+        return;
+      }
+      setPermissions(data.permissions);
+    } catch (err) {
+      console.error('Error fetching permissions:', err);
+    }
+  }, [getAccessTokenSilently]);
+
+  // Fetch the assistant profiles for the mode selector, falling back to the default one
+  // if the remembered profile no longer exists
+  const fetchAssistants = useCallback(async () => {
+    try {
+      const accessToken = await getAccessTokenSilently();
+      const res = await fetch(apiUrl('/api/assistants'), {
+        headers: { 'Authorization': `Bearer ${accessToken}` },
+      });
+      if (!res.ok) {
+        throw new Error(`HTTP error! Status: ${res.status}`);
+      }
+      const data = await res.json();
+      setAssistants(data.assistants);
+      setProfile(current => (data.assistants.some(assistant => assistant.id === current)
+        ? current
+        : (data.assistants.find(assistant => assistant.default) || data.assistants[0] || { id: null }).id));
+    } catch (err) {
+      console.error('Error fetching assistant profiles:', err);
+    }
+  }, [getAccessTokenSilently]);
 
-  // Function to create a new thread on component mount (if authenticated)
   useEffect(() => {
-    const createNewThread = async () => {
-      // It's good practice to have this guard here,
-      // but the main trigger is the `if (isAuthenticated ...)`
-      // right below this function definition in the useEffect callback.
-      if (!isAuthenticated) return;
-
-      try {
-        setChatLoading(true);
-        setError(null);
-        // Get Access Token to send to your protected backend
-        const accessToken = await getAccessTokenSilently({
-          // You can specify an audience here, but it's already set globally in Auth0Provider
-          // audience: import.meta.env.VITE_AUTH0_AUDIENCE,
-        });
+    if (isAuthenticated) {
+      fetchCredits();
+      fetchPermissions();
+      fetchAssistants();
+    }
+  }, [isAuthenticated, fetchCredits, fetchPermissions, fetchAssistants]);
 
-        const res = await fetch('http://localhost:3000/api/new-thread', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${accessToken}`, // Send the Access Token
-          },
-        });
+  const selectProfile = (id) => {
+    setProfile(id);
+    localStorage.setItem(ASSISTANT_PROFILE_KEY, id);
+  };
 
-        if (!res.ok) {
-          const errorData = await res.json();
-          throw new Error(`HTTP error! Status: ${res.status}, Details: ${errorData.error || 'Unknown error'}`);
-        }
+  // Download a file the assistant produced or cited (images, CSVs, uploads) through the backend
+  const fetchFile = useCallback(async (fileId) => {
+    const accessToken = await getAccessTokenSilently();
+    const res = await fetch(apiUrl(`/api/files/${encodeURIComponent(fileId)}/content`), {
+      headers: { 'Authorization': `Bearer ${accessToken}` },
+    });
+    if (!res.ok) {
+      throw new Error(`HTTP error! Status: ${res.status}`);
+    }
+    return res.blob();
+  }, [getAccessTokenSilently]);
+
+  // Fetch one page of a thread's history (oldest first within the page)
+  const fetchMessagesPage = useCallback(async (id, cursor) => {
+    const accessToken = await getAccessTokenSilently();
+    const query = new URLSearchParams({ limit: String(MESSAGE_PAGE_SIZE) });
+    if (cursor) query.set('cursor', cursor);
+    const res = await fetch(apiUrl(`/api/threads/${encodeURIComponent(id)}/messages?${query}`), {
+      headers: { 'Authorization': `Bearer ${accessToken}` },
+    });
+    if (!res.ok) {
+      const errorData = await res.json();
+      const httpError = new Error(`HTTP error! Status: ${res.status}, Details: ${errorData.error || 'Unknown error'}`);
+      httpError.status = res.status;
+      httpError.code = errorData.code;
+      throw httpError;
+    }
+    return res.json();
+  }, [getAccessTokenSilently]);
+
+  // Keep the view steady when older messages are prepended (or jump to the bottom after a restore)
+  useLayoutEffect(() => {
+    const container = messagesContainerRef.current;
+    if (container && scrollAnchorRef.current !== null) {
+      container.scrollTop = container.scrollHeight - scrollAnchorRef.current;
+      scrollAnchorRef.current = null;
+    }
+  }, [messages]);
+
+  const loadOlderMessages = async () => {
+    // `loadingOlder` only changes on the next render; scroll events can arrive before that.
+    if (!historyCursor || loadingOlderRef.current || !threadId) return;
+    loadingOlderRef.current = true;
+    setLoadingOlder(true);
+    try {
+      const page = await fetchMessagesPage(threadId, historyCursor);
+      const container = messagesContainerRef.current;
+      scrollAnchorRef.current = container ? container.scrollHeight - container.scrollTop : null;
+      setMessages(prevMessages => [...page.messages.map(toChatMessage), ...prevMessages]);
+      setHistoryCursor(page.nextCursor);
+    } catch (err) {
+      console.error('Error loading older messages:', err);
+      setError(`Failed to load older messages: ${err.message}`);
+    } finally {
+      loadingOlderRef.current = false;
+      setLoadingOlder(false);
+    }
+  };
+
+  const activeThreadKey = user ? `${ACTIVE_THREAD_KEY}:${user.sub}` : ACTIVE_THREAD_KEY;
+
+  // Fetch the user's threads for the sidebar
+  const fetchThreads = useCallback(async () => {
+    try {
+      const accessToken = await getAccessTokenSilently();
+      const res = await fetch(apiUrl(`/api/threads?archived=${showArchived}`), {
+        headers: { 'Authorization': `Bearer ${accessToken}` },
+      });
+      if (!res.ok) {
+        throw new Error(`HTTP error! Status: ${res.status}`);
+      }
+      const data = await res.json();
+      setThreads(data.threads);
+    } catch (err) {
+      console.error('Error fetching threads:', err);
+    }
+  }, [getAccessTokenSilently, showArchived]);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      fetchThreads();
+    }
+  }, [isAuthenticated, fetchThreads]);
+
+  // Show a thread's latest messages and make it the active thread
+  const openThread = useCallback(async (id) => {
+    const page = await fetchMessagesPage(id);
+    setThreadId(id);
+    localStorage.setItem(activeThreadKey, id);
+    setHistoryCursor(page.nextCursor);
+    setPendingFiles([]);
+    scrollAnchorRef.current = 0;
+    setMessages(page.messages.length > 0 ? page.messages.map(toChatMessage) : [GREETING]);
+  }, [fetchMessagesPage, activeThreadKey]);
+
+  // Create a thread on the backend and make it the active thread
+  const startNewThread = useCallback(async () => {
+    try {
+      setChatLoading(true);
+      setError(null);
+      // Get Access Token to send to your protected backend
+      const accessToken = await getAccessTokenSilently({
+        // You can specify an audience here, but it's already set globally in Auth0Provider
+        // audience: import.meta.env.VITE_AUTH0_AUDIENCE,
+      });
+
+      const res = await fetch(apiUrl('/api/new-thread'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${accessToken}`, // Send the Access Token
+        },
+      });
 
-        const data = await res.json();
-        setThreadId(data.threadId);
-        console.log('New thread created:', data.threadId);
-        setMessages([{ role: 'assistant', content: 'Hello! How can I help you today?' }]);
-      } catch (err) {
-        console.error('Error creating new thread:', err);
-        setError(`Failed to start chat: ${err.message}. Please check your backend server and ensure you are logged in.`);
-        // If error is 401/403, might need to prompt re-login or show specific message
-        if (err.message.includes('401') || err.message.includes('403')) {
-            setError('You are not authorized to start a chat. Please log in or check your permissions/credits.');
+      if (!res.ok) {
+        const errorData = await res.json();
+        const httpError = new Error(`HTTP error! Status: ${res.status}, Details: ${errorData.error || 'Unknown error'}`);
+        httpError.code = errorData.code;
+        throw httpError;
+      }
+
+      const data = await res.json();
+      setThreadId(data.threadId);
+      localStorage.setItem(activeThreadKey, data.threadId);
+      if (data.credits) setCredits(data.credits.balance);
+      console.log('New thread created:', data.threadId);
+      setHistoryCursor(null);
+      setPendingFiles([]);
+      setMessages([GREETING]);
+      fetchThreads();
+    } catch (err) {
+      console.error('Error creating new thread:', err);
+      setError(`Failed to start chat: ${err.message}. Please check your backend server and ensure you are logged in.`);
+      // If error is 401/403, might need to prompt re-login or show specific message
+      if (err.code === 'INSUFFICIENT_CREDITS') {
+          setError('You do not have enough credits to start a chat.');
+          setBuyCredits({ reason: 'You do not have enough credits to start a chat.' });
+      } else if (err.message.includes('401') || err.message.includes('403')) {
+          setError('You are not authorized to start a chat. Please log in or check your permissions/credits.');
+      }
+    } finally {
+      setChatLoading(false);
+    }
+  }, [getAccessTokenSilently, activeThreadKey, fetchThreads]);
+
+  // On login, resume the remembered thread or create a new one
+  useEffect(() => {
+    const initializeThread = async () => {
+      const savedThreadId = localStorage.getItem(activeThreadKey);
+      if (savedThreadId) {
+        try {
+          setChatLoading(true);
+          await openThread(savedThreadId);
+          return;
+        } catch (err) {
+          // The thread is gone or no longer ours; anything else (e.g. the server is down) is a real error
+          if (err.status !== 403 && err.status !== 404) {
+            console.error('Error restoring thread:', err);
+            setError(`Failed to restore your conversation: ${err.message}. Please check your backend server.`);
+            return;
+          }
+          console.warn('Saved thread could not be restored, starting a new one:', err);
+          localStorage.removeItem(activeThreadKey);
+        } finally {
+          setChatLoading(false);
         }
-      } finally {
-        setChatLoading(false);
       }
+      await startNewThread();
     };
 
-    // Only create thread if authenticated, not already initialized, and not currently loading a new thread
-    if (isAuthenticated && !threadId && !chatLoading) {
-      createNewThread();
+    // Only initialize once per page load; after a failure the error stays up until the user reloads
+    if (isAuthenticated && !threadId && !threadInitStartedRef.current) {
+      threadInitStartedRef.current = true;
+      initializeThread();
+    }
+  }, [isAuthenticated, threadId, activeThreadKey, openThread, startNewThread]);
+
+  // --- Sidebar actions ---
+  const switchThread = async (id) => {
+    if (id === threadId || chatLoading) return;
+    try {
+      setChatLoading(true);
+      setError(null);
+      await openThread(id);
+    } catch (err) {
+      console.error('Error switching thread:', err);
+      setError(`Failed to open conversation: ${err.message}`);
+    } finally {
+      setChatLoading(false);
+    }
+  };
+
+  // PATCH a thread's title or archived flag, then refresh the list
+  const updateThread = async (id, changes) => {
+    try {
+      const accessToken = await getAccessTokenSilently();
+      const res = await fetch(apiUrl(`/api/threads/${encodeURIComponent(id)}`), {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${accessToken}`,
+        },
+        body: JSON.stringify(changes),
+      });
+      if (!res.ok) {
+        const errorData = await res.json();
+        throw new Error(errorData.details || errorData.error || `HTTP error! Status: ${res.status}`);
+      }
+      await fetchThreads();
+    } catch (err) {
+      console.error('Error updating thread:', err);
+      setError(`Failed to update conversation: ${err.message}`);
+    }
+  };
+
+  const deleteThread = async (id) => {
+    try {
+      const accessToken = await getAccessTokenSilently();
+      const res = await fetch(apiUrl(`/api/threads/${encodeURIComponent(id)}`), {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${accessToken}` },
+      });
+      if (!res.ok) {
+        const errorData = await res.json();
+        throw new Error(errorData.details || errorData.error || `HTTP error! Status: ${res.status}`);
+      }
+      await fetchThreads();
+      if (id === threadId) {
+        localStorage.removeItem(activeThreadKey);
+        await startNewThread();
+      }
+    } catch (err) {
+      console.error('Error deleting thread:', err);
+      setError(`Failed to delete conversation: ${err.message}`);
+    }
+  };
+
+  // Export a thread as a Markdown or JSON download, or open its HTML report to print (or save as PDF)
+  const exportThread = async (id, format) => {
+    const thread = threads.find(item => item.id === id);
+    let projectTitle = '';
+    if (format === 'html') {
+      projectTitle = window.prompt('Project title for the report header:', (thread && thread.title) || '');
+      if (projectTitle === null) return;
+    }
+    // Open the print window now, while the click still counts as a user action for popup blockers
+    const printWindow = format === 'html' ? window.open('', '_blank') : null;
+    try {
+      const accessToken = await getAccessTokenSilently();
+      const query = new URLSearchParams({ format });
+      if (projectTitle.trim()) query.set('title', projectTitle.trim());
+      const res = await fetch(apiUrl(`/api/threads/${encodeURIComponent(id)}/export?${query}`), {
+        headers: { 'Authorization': `Bearer ${accessToken}` },
+      });
+      if (!res.ok) {
+        const errorData = await res.json();
+        throw new Error(errorData.details || errorData.error || `HTTP error! Status: ${res.status}`);
+      }
+      if (printWindow) {
+        printWindow.document.write(await res.text());
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+        return;
+      }
+      const filename = (res.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename ? filename[1] : `conversation.${format === 'json' ? 'json' : 'md'}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      if (printWindow) printWindow.close();
+      console.error('Error exporting thread:', err);
+      setError(`Failed to export conversation: ${err.message}`);
     }
-  }, [isAuthenticated, getAccessTokenSilently, threadId, chatLoading]); // Depend on isAuthenticated and other states
+  };
 
   const sendMessage = async () => {
-    if (!input.trim() || !threadId) {
+    if ((!input.trim() && pendingFiles.length === 0) || !threadId) {
       if (!threadId) {
         setError('Chat not initialized. Please wait or refresh the page.');
       }
       return;
     }
 
-    const userMessage = { role: 'user', content: input.trim() };
+    const filesToSend = pendingFiles;
+    const userMessageId = `user-${Date.now()}`;
+    const userMessage = {
+      id: userMessageId,
+      role: 'user',
+      content: input.trim() || 'Please take a look at the attached files.',
+      files: filesToSend,
+    };
     setMessages(prevMessages => [...prevMessages, userMessage]);
     setInput('');
+    setPendingFiles([]);
     setChatLoading(true); // Use chatLoading
     setError(null);
+    const activeRequest = { controller: new AbortController(), runId: null, stopped: false };
+    activeRequestRef.current = activeRequest;
+    setSending(true);
+
+    // The assistant bubble is added on the first streamed event and filled in as deltas arrive.
+    const assistantMessageId = `assistant-${Date.now()}`;
+    let assistantMessageAdded = false;
+    const updateAssistantMessage = (update) => {
+      if (!assistantMessageAdded) {
+        assistantMessageAdded = true;
+        setMessages(prevMessages => [
+          ...prevMessages,
+          update({ id: assistantMessageId, role: 'assistant', content: '', toolCalls: [], streaming: true }),
+        ]);
+      } else {
+        setMessages(prevMessages => prevMessages.map(msg => (msg.id === assistantMessageId ? update(msg) : msg)));
+      }
+    };
 
     try {
         // Get Access Token to send to your protected backend
         const accessToken = await getAccessTokenSilently();
 
-      const res = await fetch('http://localhost:3000/api/chat', {
+      // Upload attached files to the thread first, then reference them by ID in the chat request
+      let fileIds;
+      if (filesToSend.length > 0) {
+        const form = new FormData();
+        filesToSend.forEach(file => form.append('files', file));
+        const uploadRes = await fetch(apiUrl(`/api/threads/${threadId}/files`), {
+          method: 'POST',
+          headers: { 'Authorization': `Bearer ${accessToken}` },
+          body: form,
+          signal: activeRequest.controller.signal,
+        });
+        if (!uploadRes.ok) {
+          const errorData = await uploadRes.json();
+          // Put the files back so they can be fixed and sent again
+          setPendingFiles(filesToSend);
+          const uploadError = new Error(`${errorData.error || 'Upload failed'}${errorData.details ? `: ${errorData.details}` : ''}`);
+          uploadError.code = errorData.code;
+          uploadError.retryAfter = uploadRes.headers.get('Retry-After');
+          throw uploadError;
+        }
+        const uploadData = await uploadRes.json();
+        fileIds = uploadData.files.map(file => file.id);
+        setMessages(prevMessages => prevMessages.map(msg => (msg.id === userMessageId ? { ...msg, files: uploadData.files } : msg)));
+      }
+
+      const res = await fetch(apiUrl('/api/chat/stream'), {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${accessToken}`, // Send the Access Token
         },
-        body: JSON.stringify({ threadId: threadId, message: userMessage.content }),
+        body: JSON.stringify({ threadId: threadId, message: userMessage.content, fileIds, profile: profile || undefined }),
+        signal: activeRequest.controller.signal,
       });
 
       if (!res.ok) {
         const errorData = await res.json();
-        throw new Error(`HTTP error! Status: ${res.status}, Details: ${errorData.error || 'Unknown error'}`);
+        const httpError = new Error(`HTTP error! Status: ${res.status}, Details: ${errorData.error || 'Unknown error'}`);
+        httpError.code = errorData.code;
+        httpError.details = errorData.details;
+        httpError.retryAfter = res.headers.get('Retry-After');
+        throw httpError;
       }
 
-      const data = await res.json();
-      const aiReply = data.response || 'No response from assistant.';
-
-      setMessages(prevMessages => [
-        ...prevMessages,
-        { role: 'assistant', content: aiReply },
-      ]);
+      let streamError = null;
+      let completed = false;
+      await readServerSentEvents(res, (event, data) => {
+        if (event === 'run') {
+          activeRequest.runId = data.runId;
+        } else if (event === 'delta') {
+          updateAssistantMessage(msg => ({ ...msg, content: msg.content + data.text }));
+        } else if (event === 'tool_call') {
+          updateAssistantMessage(msg => ({
+            ...msg,
+            toolCalls: [...msg.toolCalls.filter(call => call.id !== data.id), data],
+          }));
+        } else if (event === 'done') {
+          completed = true;
+          if (data.credits) setCredits(data.credits.balance);
+          if (data.redactions) {
+            setMessages(prevMessages => prevMessages.map(msg => (msg.id === userMessageId ? { ...msg, notice: describeRedactions(data.redactions) } : msg)));
+          }
+          fetchThreads(); // Picks up the new ordering
+          setTimeout(fetchThreads, TITLE_REFRESH_DELAY_MS); // And the auto-generated title
+          updateAssistantMessage(msg => ({
+            ...msg,
+            content: data.response || msg.content || 'No response from assistant.',
+            parts: data.content,
+            designSpec: data.designSpec,
+            messageId: data.messageId,
+            notice: data.incomplete ? 'The reply was cut short at the length limit.' : null,
+            streaming: false,
+          }));
+        } else if (event === 'error') {
+          streamError = new Error(`${data.error}${data.details ? `: ${data.details}` : ''}`);
+          streamError.code = data.code;
+        }
+      });
+      if (streamError) {
+        throw streamError;
+      }
+      if (!completed) {
+        throw new Error('The response stream ended unexpectedly.');
+      }
 
     } catch (err) {
+      if (activeRequest.stopped) {
+        // Stopped by the user: keep what already streamed in, without an error.
+        updateAssistantMessage(msg => ({ ...msg, notice: 'Stopped', streaming: false }));
+        return;
+      }
       console.error('Error sending message:', err);
+      if (err.code === 'RUN_IN_PROGRESS' || err.code === 'RATE_LIMITED' || err.code === 'TOO_MANY_CONCURRENT_REQUESTS') {
+        // The message was turned away before it reached the assistant: take it back so it can be sent again.
+        setMessages(prevMessages => prevMessages.filter(msg => msg.id !== userMessageId));
+        setInput(userMessage.content);
+        setPendingFiles(filesToSend);
+        setError(err.code === 'RUN_IN_PROGRESS'
+          ? 'A reply is still being written in this conversation (perhaps in another tab). Send your message again once it has finished.'
+          : `You are sending requests too quickly. Please try again${err.retryAfter ? ` in ${err.retryAfter} seconds` : ' shortly'}.`);
+        return;
+      }
+      if (GUARDRAIL_CODES.includes(err.code)) {
+        // Refused before it was sent: give it back to edit.
+        setMessages(prevMessages => prevMessages.filter(msg => msg.id !== userMessageId));
+        setInput(userMessage.content);
+        setPendingFiles(filesToSend);
+        setError(`Your message could not be sent: ${typeof err.details === 'string' ? err.details : err.message}`);
+        return;
+      }
       setError(`Failed to get response: ${err.message}`);
-      setMessages(prevMessages => [
-        ...prevMessages,
-        { role: 'assistant', content: 'Sorry, I encountered an error. Please try again.' },
-      ]);
+      // Keep whatever text already streamed in, and note that the reply was cut short.
+      updateAssistantMessage(msg => ({
+        ...msg,
+        content: msg.content
+          ? `${msg.content}\n\n[Response interrupted]`
+          : 'Sorry, I encountered an error. Please try again.',
+        streaming: false,
+      }));
       // Handle 401/403 specific errors
-      if (err.message.includes('401') || err.message.includes('403')) {
+      if (err.code === 'INSUFFICIENT_CREDITS') {
+          setError('You do not have enough credits to send this message.');
+          setBuyCredits({ reason: 'You do not have enough credits to send this message.' });
+          fetchCredits();
+      } else if (err.message.includes('401') || err.message.includes('403')) {
           setError('You are not authorized to send messages. Please log in or check your permissions/credits.');
       }
     } finally {
+      activeRequestRef.current = null;
+      setSending(false);
       setChatLoading(false); // Use chatLoading
     }
   };
 
+  // Stop the reply being generated. Aborting the request is enough for the server to cancel
+  // the run, but the run is also cancelled explicitly in case the connection lingers in a proxy.
+  const stopResponse = async () => {
+    const activeRequest = activeRequestRef.current;
+    if (!activeRequest || activeRequest.stopped) return;
+    activeRequest.stopped = true;
+    activeRequest.controller.abort();
+    if (!activeRequest.runId) return;
+
+    try {
+      const accessToken = await getAccessTokenSilently();
+      await fetch(apiUrl(`/api/threads/${threadId}/runs/${activeRequest.runId}/cancel`), {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${accessToken}` },
+      });
+    } catch (err) {
+      // The run is cancelled anyway once the server sees the request was aborted.
+      console.error('Error cancelling run:', err);
+    }
+  };
+
   // --- Render based on Auth0 loading state ---
   if (isLoading) {
     return <div style={{ textAlign: 'center', padding: '50px' }}>Loading authentication...</div>;
   }
 
+  // The drawing pane follows the most recent design spec in the conversation.
+  const latestDesignSpec = messages.reduce((latest, msg) => msg.designSpec || latest, null);
+  const showDrawing = Boolean(latestDesignSpec) && drawingOpen;
+
   return (
-    <div style={{ maxWidth: 600, margin: 'auto', padding: 20, fontFamily: 'Arial, sans-serif', backgroundColor: '#f9f9f9', borderRadius: '8px', boxShadow: '0 2px 10px rgba(0,0,0,0.1)' }}>
+    <div style={{ maxWidth: showDrawing ? 1400 : 900, margin: 'auto', padding: 20, fontFamily: 'Arial, sans-serif', backgroundColor: '#f9f9f9', borderRadius: '8px', boxShadow: '0 2px 10px rgba(0,0,0,0.1)' }}>
       <h1 style={{ textAlign: 'center', color: '#333' }}>AIScaffoldDesigner Chat</h1>
 
       {/* Auth0 Login/Logout Buttons */}
@@ -150,95 +679,259 @@ function App() {
           <button onClick={() => logout({ logoutParams: { returnTo: window.location.origin } })} style={{ padding: '10px 20px', backgroundColor: '#dc3545', color: 'white', border: 'none', borderRadius: '5px', cursor: 'pointer' }}>
             Log Out
           </button>
-          {/* Optionally display user's credits here (requires fetching from backend) */}
+          {permissions.some(permission => permission.startsWith('admin:')) && (
+            <button onClick={() => setAdminOpen(open => !open)} style={{ padding: '10px 20px', marginLeft: 10, backgroundColor: '#6c757d', color: 'white', border: 'none', borderRadius: '5px', cursor: 'pointer' }}>
+              {adminOpen ? 'Close admin' : 'Admin'}
+            </button>
+          )}
+          <p style={{ marginTop: 10, color: credits !== null && credits <= 0 ? '#dc3545' : '#555' }}>
+            Credits: {credits === null ? '…' : credits}{' '}
+            <button
+              onClick={() => setBuyCredits({ reason: null })}
+              style={{ border: 'none', background: 'none', color: '#007bff', cursor: 'pointer', fontSize: 'inherit', padding: 0 }}
+            >
+              Buy credits
+            </button>
+          </p>
         </div>
       )}
 
-      {/* Display chat UI only if authenticated */}
-      {isAuthenticated && (
-        <>
-          {error && (
-            <div style={{ color: 'white', backgroundColor: '#dc3545', padding: '10px', borderRadius: '5px', marginBottom: '15px' }}>
-              <strong>Error:</strong> {error}
-            </div>
-          )}
+      {isAuthenticated && buyCredits && (
+        <BuyCredits
+          getAccessToken={getAccessTokenSilently}
+          reason={buyCredits.reason}
+          onPurchased={(balance) => { setCredits(balance); setError(null); }}
+          onClose={() => { setBuyCredits(null); fetchCredits(); }}
+        />
+      )}
 
-          <div style={{ border: '1px solid #eee', padding: 15, minHeight: 350, maxHeight: 500, overflowY: 'auto', marginBottom: 15, borderRadius: '8px', backgroundColor: '#fff' }}>
-            {messages.length === 0 && !chatLoading && !error && (
-              <div style={{ textAlign: 'center', color: '#666', marginTop: '20%' }}>
-                {threadId ? 'Type your first message below!' : 'Initializing chat...'}
+      {isAuthenticated && adminOpen && (
+        <AdminPanel
+          getAccessToken={getAccessTokenSilently}
+          permissions={permissions}
+          onClose={() => { setAdminOpen(false); fetchCredits(); }}
+        />
+      )}
+
+      {/* Display chat UI only if authenticated */}
+      {isAuthenticated && !adminOpen && (
+        <div style={{ display: 'flex', gap: 15, alignItems: 'flex-start' }}>
+          <ThreadSidebar
+            threads={threads}
+            activeThreadId={threadId}
+            showArchived={showArchived}
+            disabled={chatLoading}
+            onToggleArchived={() => setShowArchived(value => !value)}
+            onNewChat={startNewThread}
+            onSelect={switchThread}
+            onRename={(id, title) => updateThread(id, { title })}
+            onArchive={(id, archived) => updateThread(id, { archived })}
+            onDelete={deleteThread}
+            onExport={exportThread}
+          />
+          <div style={{ flex: 1, minWidth: 0 }}>
+            {error && (
+              <div style={{ color: 'white', backgroundColor: '#dc3545', padding: '10px', borderRadius: '5px', marginBottom: '15px' }}>
+                <strong>Error:</strong> {error}
               </div>
             )}
-            {messages.map((msg, idx) => (
-              <div
-                key={idx}
-                style={{
-                  display: 'flex',
-                  justifyContent: msg.role === 'user' ? 'flex-end' : 'flex-start',
-                  marginBottom: 10,
-                }}
-              >
+            {latestDesignSpec && (
+              <div style={{ textAlign: 'right', marginBottom: 5 }}>
+                <button
+                  onClick={() => setDrawingOpen(open => !open)}
+                  style={{ border: 'none', background: 'none', color: '#007bff', cursor: 'pointer', fontSize: '13px' }}
+                >
+                  {drawingOpen ? 'Hide drawing' : 'Show drawing'}
+                </button>
+              </div>
+            )}
+
+            <div
+              ref={messagesContainerRef}
+              onScroll={e => e.currentTarget.scrollTop < 40 && loadOlderMessages()}
+              onDragOver={e => { e.preventDefault(); setDragActive(true); }}
+              onDragLeave={() => setDragActive(false)}
+              onDrop={handleDrop}
+              style={{ border: dragActive ? '2px dashed #007bff' : '1px solid #eee', padding: 15, minHeight: 350, maxHeight: 500, overflowY: 'auto', marginBottom: 15, borderRadius: '8px', backgroundColor: dragActive ? '#f0f7ff' : '#fff' }}
+            >
+              {historyCursor && (
+                <div style={{ textAlign: 'center', marginBottom: 10 }}>
+                  <button
+                    onClick={loadOlderMessages}
+                    disabled={loadingOlder}
+                    style={{ border: 'none', background: 'none', color: '#007bff', cursor: 'pointer', fontSize: '13px' }}
+                  >
+                    {loadingOlder ? 'Loading older messages…' : 'Load older messages'}
+                  </button>
+                </div>
+              )}
+              {messages.length === 0 && !chatLoading && !error && (
+                <div style={{ textAlign: 'center', color: '#666', marginTop: '20%' }}>
+                  {threadId ? 'Type your first message below!' : 'Initializing chat...'}
+                </div>
+              )}
+              {messages.map((msg, idx) => (
                 <div
+                  key={msg.id || idx}
                   style={{
-                    maxWidth: '80%',
-                    padding: '10px 15px',
-                    borderRadius: '18px',
-                    backgroundColor: msg.role === 'user' ? '#007bff' : '#e2e6ea',
-                    color: msg.role === 'user' ? 'white' : '#333',
-                    wordWrap: 'break-word',
-                    whiteSpace: 'pre-wrap',
-                    boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
-                    borderBottomRightRadius: msg.role === 'user' ? '2px' : '18px',
-                    borderBottomLeftRadius: msg.role === 'user' ? '18px' : '2px',
+                    display: 'flex',
+                    justifyContent: msg.role === 'user' ? 'flex-end' : 'flex-start',
+                    marginBottom: 10,
                   }}
                 >
-                  {msg.content}
+                  <div
+                    style={{
+                      maxWidth: '80%',
+                      padding: '10px 15px',
+                      borderRadius: '18px',
+                      backgroundColor: msg.role === 'user' ? '#007bff' : '#e2e6ea',
+                      color: msg.role === 'user' ? 'white' : '#333',
+                      wordWrap: 'break-word',
+                      whiteSpace: 'pre-wrap',
+                      boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+                      borderBottomRightRadius: msg.role === 'user' ? '2px' : '18px',
+                      borderBottomLeftRadius: msg.role === 'user' ? '18px' : '2px',
+                    }}
+                  >
+                    <MessageContent content={msg.content} parts={msg.parts} fetchFile={fetchFile} />
+                    <AttachmentChips files={msg.files} inverted={msg.role === 'user'} />
+                    {msg.designSpec && <BomTable spec={msg.designSpec} />}
+                    {msg.role === 'assistant' && msg.messageId && !msg.streaming && (
+                      <FeedbackControls threadId={threadId} messageId={msg.messageId} initialFeedback={msg.feedback} getAccessToken={getAccessTokenSilently} />
+                    )}
+                    {msg.notice && (
+                      <div style={{ marginTop: 6, fontSize: '12px', color: msg.role === 'user' ? 'rgba(255,255,255,0.85)' : '#666', fontStyle: 'italic' }}>{msg.notice}</div>
+                    )}
+                    {msg.toolCalls && msg.toolCalls.length > 0 && (
+                      <div style={{ marginTop: msg.content ? 8 : 0, fontSize: '12px', color: '#666', fontStyle: 'italic' }}>
+                        {msg.toolCalls.map(call => (
+                          <div key={call.id}>
+                            {call.status === 'running' ? `Running ${call.name}…` : `Used ${call.name}`}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
                 </div>
+              ))}
+              {chatLoading && !messages.some(msg => msg.streaming) && (
+                <div style={{ textAlign: 'center', color: '#666', fontStyle: 'italic' }}>Thinking...</div>
+              )}
+            </div>
+
+            {pendingFiles.length > 0 && (
+              <div style={{ marginBottom: 10 }}>
+                <AttachmentChips files={pendingFiles} onRemove={index => setPendingFiles(prevFiles => prevFiles.filter((_, i) => i !== index))} />
               </div>
-            ))}
-            {chatLoading && (
-              <div style={{ textAlign: 'center', color: '#666', fontStyle: 'italic' }}>Thinking...</div>
             )}
-          </div>
 
-          <div style={{ display: 'flex', gap: '10px' }}>
-            <input
-              type="text"
-              value={input}
-              onChange={e => setInput(e.target.value)}
-              onKeyDown={e => e.key === 'Enter' && !chatLoading && threadId && sendMessage()}
-              style={{
-                flexGrow: 1,
-                padding: '10px 15px',
-                border: '1px solid #ccc',
-                borderRadius: '20px',
-                fontSize: '16px',
-                outline: 'none',
-              }}
-              disabled={chatLoading || !threadId}
-              placeholder={threadId ? "Type your message..." : "Initializing chat..."}
-            />
-            <button
-              onClick={sendMessage}
-              style={{
-                padding: '10px 20px',
-                backgroundColor: '#007bff',
-                color: 'white',
-                border: 'none',
-                borderRadius: '20px',
-                cursor: 'pointer',
-                fontSize: '16px',
-                fontWeight: 'bold',
-                transition: 'background-color 0.2s',
-              }}
-              onMouseOver={(e) => e.currentTarget.style.backgroundColor = '#0056b3'}
-              onMouseOut={(e) => e.currentTarget.style.backgroundColor = '#007bff'}
-              disabled={chatLoading || !threadId || !input.trim()}
-            >
-              Send
-            </button>
+            {assistants.length > 1 && (
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 8, fontSize: '13px', color: '#555' }}>
+                <label htmlFor="assistant-profile">Mode:</label>
+                <select
+                  id="assistant-profile"
+                  value={profile || ''}
+                  onChange={e => selectProfile(e.target.value)}
+                  disabled={chatLoading}
+                  style={{ padding: '4px 8px', borderRadius: '4px', border: '1px solid #ccc' }}
+                >
+                  {assistants.map(assistant => (
+                    <option key={assistant.id} value={assistant.id}>{assistant.name}</option>
+                  ))}
+                </select>
+                <span style={{ color: '#888' }}>
+                  {(assistants.find(assistant => assistant.id === profile) || {}).description}
+                </span>
+              </div>
+            )}
+
+            <div style={{ display: 'flex', gap: '10px' }}>
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                accept={ACCEPTED_FILE_TYPES}
+                style={{ display: 'none' }}
+                onChange={e => { addFiles(e.target.files); e.target.value = ''; }}
+              />
+              <button
+                onClick={() => fileInputRef.current.click()}
+                title="Attach drawings, site surveys or dimension sheets (or drop them on the chat)"
+                aria-label="Attach files"
+                style={{
+                  padding: '10px 14px',
+                  backgroundColor: '#fff',
+                  border: '1px solid #ccc',
+                  borderRadius: '20px',
+                  cursor: 'pointer',
+                  fontSize: '16px',
+                }}
+                disabled={chatLoading || !threadId || pendingFiles.length >= MAX_FILES_PER_MESSAGE}
+              >
+                📎
+              </button>
+              <input
+                type="text"
+                value={input}
+                onChange={e => setInput(e.target.value)}
+                onKeyDown={e => e.key === 'Enter' && !chatLoading && threadId && sendMessage()}
+                style={{
+                  flexGrow: 1,
+                  padding: '10px 15px',
+                  border: '1px solid #ccc',
+                  borderRadius: '20px',
+                  fontSize: '16px',
+                  outline: 'none',
+                }}
+                disabled={chatLoading || !threadId}
+                placeholder={threadId ? "Type your message..." : "Initializing chat..."}
+              />
+              {sending ? (
+                <button
+                  onClick={stopResponse}
+                  title="Stop generating the reply"
+                  style={{
+                    padding: '10px 20px',
+                    backgroundColor: '#dc3545',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '20px',
+                    cursor: 'pointer',
+                    fontSize: '16px',
+                    fontWeight: 'bold',
+                  }}
+                >
+                  Stop
+                </button>
+              ) : (
+                <button
+                  onClick={sendMessage}
+                  style={{
+                    padding: '10px 20px',
+                    backgroundColor: '#007bff',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '20px',
+                    cursor: 'pointer',
+                    fontSize: '16px',
+                    fontWeight: 'bold',
+                    transition: 'background-color 0.2s',
+                  }}
+                  onMouseOver={(e) => e.currentTarget.style.backgroundColor = '#0056b3'}
+                  onMouseOut={(e) => e.currentTarget.style.backgroundColor = '#007bff'}
+                  disabled={chatLoading || !threadId || (!input.trim() && pendingFiles.length === 0)}
+                >
+                  Send
+                </button>
+              )}
+            </div>
           </div>
-        </>
+          {showDrawing && (
+            <div style={{ flex: 1, minWidth: 0, position: 'sticky', top: 10 }}>
+              <ScaffoldDrawing spec={latestDesignSpec} />
+            </div>
+          )}
+        </div>
       )}
     </div>
   );
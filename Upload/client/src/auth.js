@@ -0,0 +1,14 @@
+// Which sign-in the app uses, picked once from VITE_AUTH_MODE (see config.js).
+//
+// `useAuth()` returns what Auth0's `useAuth0()` does: user, isAuthenticated, isLoading,
+// loginWithRedirect, logout and getAccessTokenSilently. In dev mode those come from
+// DevAuthProvider instead, which signs in through the backend's /api/dev-auth routes.
+import { createContext, useContext } from 'react';
+import { useAuth0 } from '@auth0/auth0-react';
+import config from './config.js';
+
+export const DevAuthContext = createContext(null);
+
+const useDevAuth = () => useContext(DevAuthContext);
+
+export const useAuth = config.authMode === 'dev' ? useDevAuth : useAuth0;
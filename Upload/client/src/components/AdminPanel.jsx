@@ -0,0 +1,276 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiUrl } from '../config.js';
+import { downloadBlob } from '../spreadsheet.js';
+
+// Admin panel for operators whose access token carries admin permissions: list users
+// with their usage (admin:usage), grant or revoke credits (admin:credits), and disable
+// or re-enable accounts (admin:users). Controls for missing permissions are hidden.
+// With admin:usage, the reply ratings users gave can be downloaded as a JSONL evaluation dataset.
+
+const cellStyle = { padding: '4px 8px', borderBottom: '1px solid #eee', textAlign: 'left', fontSize: '13px' };
+const headerStyle = { ...cellStyle, fontWeight: 'bold', color: '#555' };
+const buttonStyle = { padding: '5px 10px', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '13px', color: 'white' };
+
+const formatTokens = (usage) => (usage ? usage.totalTokens.toLocaleString() : '0');
+
+function UserDetail({ detail, permissions, onAdjustCredits, onSetDisabled }) {
+  const [amount, setAmount] = useState('');
+  const [note, setNote] = useState('');
+  const { user } = detail;
+
+  const submitAdjustment = (sign) => {
+    const value = Number(amount);
+    if (!value || value <= 0) return;
+    onAdjustCredits(user.userId, sign * value, note.trim() || undefined);
+    setAmount('');
+    setNote('');
+  };
+
+  const toggleDisabled = () => {
+    if (user.disabled) {
+      onSetDisabled(user.userId, false);
+      return;
+    }
+    const reason = window.prompt(`Disable ${user.userId}? Optionally give a reason:`, '');
+    if (reason !== null) {
+      onSetDisabled(user.userId, true, reason.trim() || null);
+    }
+  };
+
+  return (
+    <div style={{ border: '1px solid #eee', borderRadius: '8px', padding: 15, backgroundColor: '#fff', textAlign: 'left' }}>
+      <h3 style={{ marginTop: 0, wordBreak: 'break-all' }}>{user.userId}</h3>
+      <p style={{ fontSize: '14px' }}>
+        Balance: <strong>{user.balance}</strong> credits · {user.threadCount} thread(s) ·{' '}
+        {user.disabled
+          ? <span style={{ color: '#dc3545' }}>Disabled{user.disabledReason ? ` (${user.disabledReason})` : ''}</span>
+          : <span style={{ color: '#28a745' }}>Active</span>}
+      </p>
+
+      {permissions.includes('admin:credits') && (
+        <div style={{ display: 'flex', gap: 6, marginBottom: 10, flexWrap: 'wrap' }}>
+          <input type="number" min="0" step="1" placeholder="Credits" value={amount} onChange={e => setAmount(e.target.value)} style={{ width: 90, padding: 5 }} />
+          <input type="text" placeholder="Note (optional)" maxLength={200} value={note} onChange={e => setNote(e.target.value)} style={{ flex: 1, minWidth: 120, padding: 5 }} />
+          <button type="button" onClick={() => submitAdjustment(1)} style={{ ...buttonStyle, backgroundColor: '#28a745' }}>Grant</button>
+          <button type="button" onClick={() => submitAdjustment(-1)} style={{ ...buttonStyle, backgroundColor: '#fd7e14' }}>Revoke</button>
+        </div>
+      )}
+      {permissions.includes('admin:users') && (
+        <button type="button" onClick={toggleDisabled} style={{ ...buttonStyle, backgroundColor: user.disabled ? '#007bff' : '#dc3545', marginBottom: 10 }}>
+          {user.disabled ? 'Re-enable user' : 'Disable user'}
+        </button>
+      )}
+
+      <h4>Usage by day</h4>
+      {detail.usageByDay.length === 0 ? <p style={{ fontSize: '13px', color: '#888' }}>No runs yet</p> : (
+        <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+          <thead>
+            <tr><th style={headerStyle}>Day</th><th style={headerStyle}>Runs</th><th style={headerStyle}>Failed</th><th style={headerStyle}>Prompt tokens</th><th style={headerStyle}>Completion tokens</th></tr>
+          </thead>
+          <tbody>
+            {detail.usageByDay.map(day => (
+              <tr key={day.day}>
+                <td style={cellStyle}>{day.day}</td>
+                <td style={cellStyle}>{day.runs}</td>
+                <td style={cellStyle}>{day.failedRuns}</td>
+                <td style={cellStyle}>{day.promptTokens.toLocaleString()}</td>
+                <td style={cellStyle}>{day.completionTokens.toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h4>Threads</h4>
+      {detail.threads.length === 0 ? <p style={{ fontSize: '13px', color: '#888' }}>No threads</p> : (
+        <ul style={{ fontSize: '13px', paddingLeft: 18 }}>
+          {detail.threads.map(thread => (
+            <li key={thread.id}>
+              {thread.title || 'New conversation'}{thread.archived ? ' (archived)' : ''}{' '}
+              <span style={{ color: '#888' }}>· {new Date(thread.lastUsedAt).toLocaleString()} · {thread.id}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <h4>Recent credit history</h4>
+      <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+        <tbody>
+          {detail.history.slice(0, 15).map(entry => (
+            <tr key={entry.id}>
+              <td style={cellStyle}>{new Date(entry.createdAt).toLocaleString()}</td>
+              <td style={cellStyle}>{entry.reason}</td>
+              <td style={{ ...cellStyle, color: entry.amount < 0 ? '#dc3545' : '#28a745' }}>{entry.amount > 0 ? `+${entry.amount}` : entry.amount}</td>
+              <td style={cellStyle}>{entry.balanceAfter}</td>
+              <td style={{ ...cellStyle, color: '#888' }}>{entry.meta && entry.meta.note}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function AdminPanel({ getAccessToken, permissions, onClose }) {
+  const [users, setUsers] = useState([]);
+  const [selectedUserId, setSelectedUserId] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [lookup, setLookup] = useState('');
+  const [error, setError] = useState(null);
+  const [exportRating, setExportRating] = useState(''); // '' for all ratings, or 'up' / 'down'
+  const canViewUsage = permissions.includes('admin:usage');
+
+  const adminFetch = useCallback(async (path, options = {}) => {
+    const accessToken = await getAccessToken();
+    const res = await fetch(apiUrl(`/api/admin${path}`), {
+      ...options,
+      headers: { 'Authorization': `Bearer ${accessToken}`, ...(options.body ? { 'Content-Type': 'application/json' } : {}) },
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(typeof data.details === 'string' ? data.details : data.error || `HTTP error! Status: ${res.status}`);
+    }
+    return data;
+  }, [getAccessToken]);
+
+  const loadUsers = useCallback(async () => {
+    try {
+      setUsers((await adminFetch('/users')).users);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [adminFetch]);
+
+  const loadDetail = useCallback(async (userId) => {
+    try {
+      setDetail(await adminFetch(`/users/${encodeURIComponent(userId)}`));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [adminFetch]);
+
+  useEffect(() => {
+    if (canViewUsage) loadUsers();
+  }, [canViewUsage, loadUsers]);
+
+  useEffect(() => {
+    if (selectedUserId && canViewUsage) loadDetail(selectedUserId);
+  }, [selectedUserId, canViewUsage, loadDetail]);
+
+  // After a change, reload what is on screen; without admin:usage only the result can be shown.
+  const refresh = async (userId, result) => {
+    if (canViewUsage) {
+      await Promise.all([loadUsers(), loadDetail(userId)]);
+    } else {
+      setDetail(current => ({ ...(current || { usageByDay: [], threads: [], history: [] }), user: { ...(current ? current.user : { userId, threadCount: 0 }), ...result } }));
+    }
+  };
+
+  const adjustCredits = async (userId, amount, note) => {
+    setError(null);
+    try {
+      const result = await adminFetch(`/users/${encodeURIComponent(userId)}/credits`, { method: 'POST', body: JSON.stringify({ amount, note }) });
+      await refresh(userId, { balance: result.balance });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const setDisabled = async (userId, disabled, reason) => {
+    setError(null);
+    try {
+      const result = await adminFetch(`/users/${encodeURIComponent(userId)}`, { method: 'PATCH', body: JSON.stringify({ disabled, reason }) });
+      await refresh(userId, result.user);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // The JSONL file isn't JSON, so it is fetched directly rather than through adminFetch.
+  const exportFeedback = async () => {
+    setError(null);
+    try {
+      const accessToken = await getAccessToken();
+      const res = await fetch(apiUrl(`/api/admin/feedback/export${exportRating ? `?rating=${exportRating}` : ''}`), {
+        headers: { 'Authorization': `Bearer ${accessToken}` },
+      });
+      if (!res.ok) {
+        const data = await res.json();
+        throw new Error(typeof data.details === 'string' ? data.details : data.error || `HTTP error! Status: ${res.status}`);
+      }
+      downloadBlob(await res.blob(), `feedback-${exportRating || 'all'}-${new Date().toISOString().slice(0, 10)}.jsonl`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const openUser = (userId) => {
+    setError(null);
+    setSelectedUserId(userId);
+    if (!canViewUsage) {
+      setDetail({ user: { userId, balance: '?', threadCount: '?', disabled: false }, usageByDay: [], threads: [], history: [] });
+    }
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 10 }}>
+        <h2 style={{ margin: 0 }}>Admin</h2>
+        <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+          {canViewUsage && (
+            <>
+              <select value={exportRating} onChange={e => setExportRating(e.target.value)} aria-label="Ratings to export" style={{ padding: 4 }}>
+                <option value="">All ratings</option>
+                <option value="up">👍 only</option>
+                <option value="down">👎 only</option>
+              </select>
+              <button type="button" onClick={exportFeedback} style={{ ...buttonStyle, backgroundColor: '#17a2b8' }}>Export feedback (JSONL)</button>
+            </>
+          )}
+          <button type="button" onClick={onClose} style={{ ...buttonStyle, backgroundColor: '#6c757d' }}>Back to chat</button>
+        </div>
+      </div>
+      {error && (
+        <div style={{ color: 'white', backgroundColor: '#dc3545', padding: '10px', borderRadius: '5px', marginBottom: '15px' }}>
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+      <form onSubmit={e => { e.preventDefault(); if (lookup.trim()) openUser(lookup.trim()); }} style={{ display: 'flex', gap: 6, marginBottom: 10 }}>
+        <input type="text" placeholder="User ID, e.g. auth0|abc123" value={lookup} onChange={e => setLookup(e.target.value)} style={{ flex: 1, padding: 6 }} />
+        <button type="submit" style={{ ...buttonStyle, backgroundColor: '#007bff' }}>Open</button>
+      </form>
+      <div style={{ display: 'flex', gap: 15, alignItems: 'flex-start' }}>
+        {canViewUsage && (
+          <table style={{ borderCollapse: 'collapse', backgroundColor: '#fff', flexShrink: 0 }}>
+            <thead>
+              <tr><th style={headerStyle}>User</th><th style={headerStyle}>Credits</th><th style={headerStyle}>Runs</th><th style={headerStyle}>Tokens</th></tr>
+            </thead>
+            <tbody>
+              {users.map(user => (
+                <tr
+                  key={user.userId}
+                  onClick={() => openUser(user.userId)}
+                  style={{ cursor: 'pointer', backgroundColor: user.userId === selectedUserId ? '#e2e6ea' : 'transparent', color: user.disabled ? '#999' : 'inherit' }}
+                >
+                  <td style={{ ...cellStyle, maxWidth: 180, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={user.userId}>{user.userId}</td>
+                  <td style={cellStyle}>{user.balance}</td>
+                  <td style={cellStyle}>{user.usage ? user.usage.runs : 0}</td>
+                  <td style={cellStyle}>{formatTokens(user.usage)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <div style={{ flex: 1, minWidth: 0 }}>
+          {detail ? (
+            <UserDetail detail={detail} permissions={permissions} onAdjustCredits={adjustCredits} onSetDisabled={setDisabled} />
+          ) : (
+            <p style={{ color: '#888' }}>Select a user to see their usage and threads.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AdminPanel;
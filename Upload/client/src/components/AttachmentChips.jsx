@@ -0,0 +1,53 @@
+// Chips listing files attached to a message, or waiting to be sent with the next one.
+// Pass `onRemove(index)` to show a remove button on each chip.
+
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+function AttachmentChips({ files, onRemove, inverted = false }) {
+  if (!files || files.length === 0) return null;
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, marginTop: 6 }}>
+      {files.map((file, index) => (
+        <span
+          key={file.id || `${file.name}-${index}`}
+          title={file.filename || file.name}
+          style={{
+            display: 'inline-flex',
+            alignItems: 'center',
+            gap: 6,
+            maxWidth: 220,
+            padding: '3px 10px',
+            borderRadius: '12px',
+            fontSize: '12px',
+            backgroundColor: inverted ? 'rgba(255,255,255,0.2)' : '#fff',
+            color: inverted ? 'white' : '#333',
+            border: inverted ? '1px solid rgba(255,255,255,0.4)' : '1px solid #ccc',
+          }}
+        >
+          <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+            📎 {file.filename || file.name}
+          </span>
+          {(file.bytes || file.size) > 0 && (
+            <span style={{ opacity: 0.7 }}>{formatSize(file.bytes || file.size)}</span>
+          )}
+          {onRemove && (
+            <button
+              type="button"
+              onClick={() => onRemove(index)}
+              aria-label={`Remove ${file.filename || file.name}`}
+              style={{ border: 'none', background: 'none', cursor: 'pointer', padding: 0, color: 'inherit', fontSize: '14px', lineHeight: 1 }}
+            >
+              ×
+            </button>
+          )}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+export default AttachmentChips;
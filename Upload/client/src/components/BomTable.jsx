@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import { toCsv, toXlsx, downloadBlob } from '../spreadsheet.js';
+
+// The design spec an assistant reply came with (see server/lib/designSpecs.js), shown as a
+// summary and an editable bill of materials. Edits stay in the browser; the CSV and XLSX
+// downloads include them.
+
+const cellStyle = { padding: '3px 6px', borderBottom: '1px solid #ddd', textAlign: 'left', fontSize: '13px' };
+const headerStyle = { ...cellStyle, fontWeight: 'bold', color: '#555' };
+const inputStyle = { width: '100%', boxSizing: 'border-box', padding: '2px 4px', border: '1px solid transparent', borderRadius: '3px', background: 'transparent', font: 'inherit' };
+const buttonStyle = { padding: '4px 10px', border: '1px solid #ccc', borderRadius: '4px', backgroundColor: '#fff', cursor: 'pointer', fontSize: '12px' };
+
+const summaryRows = (spec) => [
+  ['Bays', `${spec.bays.count} × ${spec.bays.length} m`],
+  ['Lifts', `${spec.lifts.count} × ${spec.lifts.height} m${spec.lifts.boarded ? ` (${spec.lifts.boarded} boarded)` : ''}`],
+  ['Platform', `${spec.platform.width} m wide${spec.platform.boardsWide ? ` (${spec.platform.boardsWide} boards)` : ''}`],
+  ['Load class', String(spec.loadClass)],
+  ...(spec.facade ? [['Façade', `${spec.facade.length} m × ${spec.facade.height} m`]] : []),
+];
+
+const filenameFor = (spec) => (spec.title || 'bill-of-materials').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'bill-of-materials';
+
+function BomTable({ spec }) {
+  const [rows, setRows] = useState(() => spec.components.map(component => ({ ...component })));
+  const edited = JSON.stringify(rows) !== JSON.stringify(spec.components);
+
+  const updateRow = (index, field, value) => {
+    setRows(current => current.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const sheetRows = () => [
+    ...(spec.title ? [[spec.title]] : []),
+    ...summaryRows(spec),
+    [],
+    ['Item', 'Description', 'Quantity', 'Unit'],
+    ...rows.map(row => [row.item, row.description, Number(row.quantity) || 0, row.unit]),
+    ...(spec.notes && spec.notes.length > 0 ? [[], ['Notes'], ...spec.notes.map(note => [note])] : []),
+  ];
+
+  const downloadCsv = () => downloadBlob(new Blob([toCsv(sheetRows())], { type: 'text/csv;charset=utf-8' }), `${filenameFor(spec)}.csv`);
+  const downloadXlsx = () => downloadBlob(toXlsx(sheetRows(), 'Bill of materials'), `${filenameFor(spec)}.xlsx`);
+
+  return (
+    <div style={{ marginTop: 10, padding: 10, backgroundColor: '#fff', borderRadius: '8px', color: '#333', whiteSpace: 'normal' }}>
+      <div style={{ fontWeight: 'bold', marginBottom: 4 }}>{spec.title || 'Design spec'}</div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px 14px', fontSize: '12px', color: '#555', marginBottom: 8 }}>
+        {summaryRows(spec).map(([label, value]) => (
+          <span key={label}><strong>{label}:</strong> {value}</span>
+        ))}
+      </div>
+      <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+        <thead>
+          <tr>
+            <th style={headerStyle}>Item</th>
+            <th style={headerStyle}>Description</th>
+            <th style={{ ...headerStyle, width: 80 }}>Qty</th>
+            <th style={{ ...headerStyle, width: 60 }}>Unit</th>
+            <th style={{ ...headerStyle, width: 24 }} />
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, index) => (
+            <tr key={index}>
+              <td style={cellStyle}><input aria-label="Item" value={row.item} onChange={e => updateRow(index, 'item', e.target.value)} style={inputStyle} /></td>
+              <td style={cellStyle}><input aria-label="Description" value={row.description} onChange={e => updateRow(index, 'description', e.target.value)} style={inputStyle} /></td>
+              <td style={cellStyle}>
+                <input aria-label="Quantity" type="number" min="0" step="1" value={row.quantity} onChange={e => updateRow(index, 'quantity', e.target.value)} style={inputStyle} />
+              </td>
+              <td style={cellStyle}><input aria-label="Unit" value={row.unit} onChange={e => updateRow(index, 'unit', e.target.value)} style={inputStyle} /></td>
+              <td style={cellStyle}>
+                <button
+                  type="button"
+                  title="Remove row"
+                  onClick={() => setRows(current => current.filter((_, i) => i !== index))}
+                  style={{ border: 'none', background: 'none', color: '#999', cursor: 'pointer' }}
+                >
+                  ×
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {spec.notes && spec.notes.length > 0 && (
+        <ul style={{ fontSize: '12px', color: '#555', margin: '8px 0 0', paddingLeft: 18 }}>
+          {spec.notes.map((note, index) => <li key={index}>{note}</li>)}
+        </ul>
+      )}
+      <div style={{ display: 'flex', gap: 6, marginTop: 8, flexWrap: 'wrap' }}>
+        <button type="button" onClick={() => setRows(current => [...current, { item: '', description: '', quantity: 0, unit: 'no.' }])} style={buttonStyle}>
+          + Add row
+        </button>
+        {edited && (
+          <button type="button" onClick={() => setRows(spec.components.map(component => ({ ...component })))} style={buttonStyle}>
+            Reset
+          </button>
+        )}
+        <span style={{ flex: 1 }} />
+        <button type="button" onClick={downloadCsv} style={buttonStyle}>⤓ CSV</button>
+        <button type="button" onClick={downloadXlsx} style={buttonStyle}>⤓ XLSX</button>
+      </div>
+    </div>
+  );
+}
+
+export default BomTable;
@@ -0,0 +1,132 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { apiUrl } from '../config.js';
+
+// Dialog for buying a credit package. Checkout happens on the payment provider's page in a
+// new tab; meanwhile the purchase is polled until the provider's webhook has marked it paid
+// (or failed), and `onPurchased(balance)` reports the new balance.
+
+const POLL_INTERVAL_MS = 3000;
+const POLL_TIMEOUT_MS = 15 * 60 * 1000;
+
+const formatPrice = ({ price, currency }) =>
+  new Intl.NumberFormat(undefined, { style: 'currency', currency: currency.toUpperCase() }).format(price / 100);
+
+const buttonStyle = { padding: '8px 16px', border: 'none', borderRadius: '5px', cursor: 'pointer', color: 'white' };
+
+function BuyCredits({ getAccessToken, reason, onPurchased, onClose }) {
+  const [packages, setPackages] = useState([]);
+  const [purchasesEnabled, setPurchasesEnabled] = useState(true);
+  const [purchase, setPurchase] = useState(null); // The purchase being paid for
+  const [error, setError] = useState(null);
+  const pollRef = useRef(null);
+
+  const apiFetch = useCallback(async (path, options = {}) => {
+    const accessToken = await getAccessToken();
+    const res = await fetch(apiUrl(path), {
+      ...options,
+      headers: { 'Authorization': `Bearer ${accessToken}`, ...(options.body ? { 'Content-Type': 'application/json' } : {}) },
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(typeof data.details === 'string' ? data.details : data.error || `HTTP error! Status: ${res.status}`);
+    }
+    return data;
+  }, [getAccessToken]);
+
+  useEffect(() => {
+    apiFetch('/api/credit-packages')
+      .then((data) => {
+        setPackages(data.packages);
+        setPurchasesEnabled(data.purchasesEnabled);
+      })
+      .catch(err => setError(err.message));
+  }, [apiFetch]);
+
+  useEffect(() => () => clearTimeout(pollRef.current), []);
+
+  const pollPurchase = useCallback((purchaseId, startedAt) => {
+    pollRef.current = setTimeout(async () => {
+      try {
+        const data = await apiFetch(`/api/checkout/${encodeURIComponent(purchaseId)}`);
+        setPurchase(data.purchase);
+        if (data.purchase.status === 'paid') {
+          onPurchased(data.balance);
+          return;
+        }
+        if (data.purchase.status !== 'pending') {
+          setError('The payment did not go through. You have not been charged credits; please try again.');
+          return;
+        }
+      } catch (err) {
+        console.error('Error checking purchase:', err);
+      }
+      if (Date.now() - startedAt < POLL_TIMEOUT_MS) {
+        pollPurchase(purchaseId, startedAt);
+      }
+    }, POLL_INTERVAL_MS);
+  }, [apiFetch, onPurchased]);
+
+  const buy = async (packageId) => {
+    setError(null);
+    // Open the tab straight away: browsers block pop-ups opened after an await.
+    const checkoutWindow = window.open('', '_blank');
+    try {
+      const data = await apiFetch('/api/checkout', { method: 'POST', body: JSON.stringify({ packageId }) });
+      setPurchase(data.purchase);
+      if (checkoutWindow) {
+        checkoutWindow.location.href = data.checkoutUrl;
+      } else {
+        window.location.assign(data.checkoutUrl);
+        return;
+      }
+      clearTimeout(pollRef.current);
+      pollPurchase(data.purchase.id, Date.now());
+    } catch (err) {
+      if (checkoutWindow) checkoutWindow.close();
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ position: 'fixed', inset: 0, backgroundColor: 'rgba(0,0,0,0.4)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 10 }}>
+      <div role="dialog" aria-label="Buy credits" style={{ backgroundColor: '#fff', borderRadius: '8px', padding: 20, width: 'min(520px, 90vw)', boxShadow: '0 2px 10px rgba(0,0,0,0.2)' }}>
+        <h2 style={{ marginTop: 0 }}>Buy credits</h2>
+        {reason && <p style={{ color: '#555' }}>{reason}</p>}
+        {error && (
+          <div style={{ color: 'white', backgroundColor: '#dc3545', padding: '10px', borderRadius: '5px', marginBottom: '15px' }}>
+            {error}
+          </div>
+        )}
+
+        {purchase && purchase.status === 'paid' ? (
+          <p style={{ color: '#28a745' }}>Payment received: {purchase.credits} credits have been added to your balance.</p>
+        ) : purchase && purchase.status === 'pending' ? (
+          <p>Complete the payment in the new tab. This window updates once the payment is confirmed…</p>
+        ) : !purchasesEnabled ? (
+          <p>Buying credits is not available at the moment. Please contact your administrator for more credits.</p>
+        ) : (
+          <div style={{ display: 'flex', gap: 10, flexWrap: 'wrap' }}>
+            {packages.map(creditPackage => (
+              <div key={creditPackage.id} style={{ flex: '1 1 140px', border: '1px solid #ddd', borderRadius: '8px', padding: 12, textAlign: 'center' }}>
+                <div style={{ fontWeight: 'bold' }}>{creditPackage.name}</div>
+                <div style={{ fontSize: '24px', margin: '6px 0' }}>{creditPackage.credits}</div>
+                <div style={{ color: '#555', fontSize: '13px', marginBottom: 8 }}>credits · {formatPrice(creditPackage)}</div>
+                <button type="button" onClick={() => buy(creditPackage.id)} style={{ ...buttonStyle, backgroundColor: '#28a745' }}>
+                  Buy
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div style={{ textAlign: 'right', marginTop: 15 }}>
+          <button type="button" onClick={onClose} style={{ ...buttonStyle, backgroundColor: '#6c757d' }}>
+            {purchase && purchase.status === 'paid' ? 'Done' : 'Close'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BuyCredits;
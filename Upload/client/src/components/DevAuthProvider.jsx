@@ -0,0 +1,159 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { DevAuthContext } from '../auth.js';
+import { apiUrl } from '../config.js';
+
+// Stands in for Auth0Provider when VITE_AUTH_MODE=dev. "Log in" opens a picker of the
+// backend's development users (or any user ID and scopes typed in), and the token the backend
+// signs for that user is kept in sessionStorage until it expires or the user logs out.
+
+const DEV_SESSION_KEY = 'aiscaffold.devAuth';
+
+const buttonStyle = { padding: '8px 16px', border: 'none', borderRadius: '5px', cursor: 'pointer', color: 'white' };
+const inputStyle = { padding: '6px 8px', borderRadius: '4px', border: '1px solid #ccc', width: '100%', boxSizing: 'border-box' };
+
+// { accessToken, expiresAt, user } from an earlier sign-in in this tab, if still valid.
+const readSession = () => {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(DEV_SESSION_KEY));
+    return session && session.expiresAt > Date.now() ? session : null;
+  } catch {
+    return null;
+  }
+};
+
+function DevLoginPicker({ onSignIn, onClose }) {
+  const [users, setUsers] = useState([]);
+  const [custom, setCustom] = useState({ sub: '', email: '', scopes: '' });
+  const [error, setError] = useState(null);
+  const [signingIn, setSigningIn] = useState(false);
+
+  useEffect(() => {
+    fetch(apiUrl('/api/dev-auth/users'))
+      .then(res => (res.ok ? res.json() : Promise.reject(new Error('The backend is not running with AUTH_MODE=dev.'))))
+      .then(data => setUsers(data.users))
+      .catch(err => setError(err.message));
+  }, []);
+
+  const signIn = async (devUser) => {
+    setError(null);
+    setSigningIn(true);
+    try {
+      await onSignIn(devUser);
+    } catch (err) {
+      setError(err.message);
+      setSigningIn(false);
+    }
+  };
+
+  const signInCustom = (e) => {
+    e.preventDefault();
+    signIn({
+      sub: custom.sub.trim(),
+      email: custom.email.trim() || undefined,
+      scopes: custom.scopes.split(/[\s,]+/).filter(Boolean),
+    });
+  };
+
+  return (
+    <div style={{ position: 'fixed', inset: 0, backgroundColor: 'rgba(0,0,0,0.4)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 10 }}>
+      <div role="dialog" aria-label="Development sign-in" style={{ backgroundColor: '#fff', borderRadius: '8px', padding: 20, width: 'min(480px, 90vw)', boxShadow: '0 2px 10px rgba(0,0,0,0.2)' }}>
+        <h2 style={{ marginTop: 0 }}>Development sign-in</h2>
+        <p style={{ color: '#555', fontSize: '14px' }}>Pick a user to sign in as. Tokens are signed by the local backend; there is no password.</p>
+        {error && (
+          <div style={{ color: 'white', backgroundColor: '#dc3545', padding: '10px', borderRadius: '5px', marginBottom: '15px' }}>
+            {error}
+          </div>
+        )}
+
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+          {users.map(devUser => (
+            <button
+              key={devUser.sub}
+              type="button"
+              disabled={signingIn}
+              onClick={() => signIn(devUser)}
+              style={{ textAlign: 'left', padding: '10px 12px', border: '1px solid #ddd', borderRadius: '6px', backgroundColor: '#f8f9fa', cursor: 'pointer' }}
+            >
+              <div style={{ fontWeight: 'bold' }}>{devUser.name || devUser.sub}</div>
+              <div style={{ color: '#555', fontSize: '13px' }}>
+                {devUser.sub}{devUser.email ? ` · ${devUser.email}` : ''}{devUser.scopes.length > 0 ? ` · ${devUser.scopes.join(' ')}` : ''}
+              </div>
+            </button>
+          ))}
+        </div>
+
+        <form onSubmit={signInCustom} style={{ marginTop: 15, display: 'grid', gridTemplateColumns: '70px 1fr', gap: 6, alignItems: 'center', fontSize: '14px' }}>
+          <label htmlFor="dev-auth-sub">User ID</label>
+          <input id="dev-auth-sub" value={custom.sub} onChange={e => setCustom({ ...custom, sub: e.target.value })} placeholder="dev|someone" style={inputStyle} required />
+          <label htmlFor="dev-auth-email">Email</label>
+          <input id="dev-auth-email" type="email" value={custom.email} onChange={e => setCustom({ ...custom, email: e.target.value })} placeholder="optional" style={inputStyle} />
+          <label htmlFor="dev-auth-scopes">Scopes</label>
+          <input id="dev-auth-scopes" value={custom.scopes} onChange={e => setCustom({ ...custom, scopes: e.target.value })} placeholder="e.g. admin:usage admin:credits" style={inputStyle} />
+          <span />
+          <button type="submit" disabled={signingIn || !custom.sub.trim()} style={{ ...buttonStyle, backgroundColor: '#28a745', justifySelf: 'start' }}>
+            Sign in as this user
+          </button>
+        </form>
+
+        <div style={{ textAlign: 'right', marginTop: 15 }}>
+          <button type="button" onClick={onClose} style={{ ...buttonStyle, backgroundColor: '#6c757d' }}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function DevAuthProvider({ children }) {
+  const [session, setSession] = useState(readSession);
+  const [pickerOpen, setPickerOpen] = useState(false);
+
+  const signIn = useCallback(async (devUser) => {
+    const res = await fetch(apiUrl('/api/dev-auth/token'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sub: devUser.sub, email: devUser.email, scopes: devUser.scopes }),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(typeof data.details === 'string' ? data.details : data.error || `HTTP error! Status: ${res.status}`);
+    }
+    const next = {
+      accessToken: data.access_token,
+      expiresAt: Date.now() + data.expires_in * 1000,
+      user: { sub: devUser.sub, email: devUser.email, name: devUser.name || devUser.email || devUser.sub },
+    };
+    sessionStorage.setItem(DEV_SESSION_KEY, JSON.stringify(next));
+    setSession(next);
+    setPickerOpen(false);
+  }, []);
+
+  const logout = useCallback(() => {
+    sessionStorage.removeItem(DEV_SESSION_KEY);
+    setSession(null);
+  }, []);
+
+  const getAccessTokenSilently = useCallback(async () => {
+    if (!session || session.expiresAt <= Date.now()) {
+      throw new Error('Login required');
+    }
+    return session.accessToken;
+  }, [session]);
+
+  const value = useMemo(() => ({
+    user: session ? session.user : undefined,
+    isAuthenticated: Boolean(session),
+    isLoading: false,
+    loginWithRedirect: async () => setPickerOpen(true),
+    logout,
+    getAccessTokenSilently,
+  }), [session, logout, getAccessTokenSilently]);
+
+  return (
+    <DevAuthContext.Provider value={value}>
+      {children}
+      {pickerOpen && <DevLoginPicker onSignIn={signIn} onClose={() => setPickerOpen(false)} />}
+    </DevAuthContext.Provider>
+  );
+}
+
+export default DevAuthProvider;
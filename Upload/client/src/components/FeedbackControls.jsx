@@ -0,0 +1,96 @@
+import { useState } from 'react';
+import { apiUrl } from '../config.js';
+
+// Thumbs up/down under an assistant reply, with an optional comment once a thumb is picked.
+// Ratings go to POST /api/messages/:messageId/feedback; rating again replaces the earlier one.
+
+const MAX_COMMENT_LENGTH = 1000; // Kept in line with server/lib/feedback.js
+
+const thumbStyle = (active) => ({
+  padding: '2px 8px',
+  border: `1px solid ${active ? '#007bff' : '#ccc'}`,
+  borderRadius: '12px',
+  backgroundColor: active ? '#d6e9ff' : 'transparent',
+  cursor: 'pointer',
+  fontSize: '13px',
+});
+
+function FeedbackControls({ threadId, messageId, initialFeedback, getAccessToken }) {
+  const [feedback, setFeedback] = useState(initialFeedback || null); // { rating, comment } once saved
+  const [rating, setRating] = useState(initialFeedback ? initialFeedback.rating : null);
+  const [comment, setComment] = useState(initialFeedback && initialFeedback.comment ? initialFeedback.comment : '');
+  const [commentOpen, setCommentOpen] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const save = async (nextRating, nextComment) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const accessToken = await getAccessToken();
+      const res = await fetch(apiUrl(`/api/messages/${encodeURIComponent(messageId)}/feedback`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${accessToken}` },
+        body: JSON.stringify({ threadId, rating: nextRating, comment: nextComment.trim() || undefined }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(typeof data.details === 'string' ? data.details : data.error || `HTTP error! Status: ${res.status}`);
+      }
+      setFeedback(data.feedback);
+      return true;
+    } catch (err) {
+      console.error('Error saving feedback:', err);
+      setError('Could not save your feedback.');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const pick = async (nextRating) => {
+    setRating(nextRating);
+    if (await save(nextRating, comment)) {
+      setCommentOpen(true);
+    }
+  };
+
+  const submitComment = async (e) => {
+    e.preventDefault();
+    if (await save(rating, comment)) {
+      setCommentOpen(false);
+    }
+  };
+
+  return (
+    <div style={{ marginTop: 8, fontSize: '12px', color: '#666', whiteSpace: 'normal' }}>
+      <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+        <button type="button" onClick={() => pick('up')} disabled={saving} aria-label="Good answer" aria-pressed={rating === 'up'} style={thumbStyle(rating === 'up')}>👍</button>
+        <button type="button" onClick={() => pick('down')} disabled={saving} aria-label="Bad answer" aria-pressed={rating === 'down'} style={thumbStyle(rating === 'down')}>👎</button>
+        {feedback && !commentOpen && (
+          <button type="button" onClick={() => setCommentOpen(true)} style={{ border: 'none', background: 'none', color: '#007bff', cursor: 'pointer', fontSize: '12px', padding: 0 }}>
+            {feedback.comment ? 'Edit comment' : 'Add a comment'}
+          </button>
+        )}
+        {error && <span style={{ color: '#dc3545' }}>{error}</span>}
+      </div>
+      {commentOpen && (
+        <form onSubmit={submitComment} style={{ display: 'flex', gap: 6, marginTop: 6 }}>
+          <input
+            type="text"
+            value={comment}
+            onChange={e => setComment(e.target.value)}
+            maxLength={MAX_COMMENT_LENGTH}
+            placeholder={rating === 'down' ? 'What was wrong? (optional)' : 'What was good? (optional)'}
+            style={{ flex: 1, padding: '4px 6px', borderRadius: '4px', border: '1px solid #ccc', fontSize: '12px' }}
+          />
+          <button type="submit" disabled={saving} style={{ padding: '4px 10px', border: 'none', borderRadius: '4px', backgroundColor: '#007bff', color: 'white', cursor: 'pointer', fontSize: '12px' }}>
+            Send
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default FeedbackControls;
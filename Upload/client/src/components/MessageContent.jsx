@@ -0,0 +1,166 @@
+import { useEffect, useState } from 'react';
+
+// Renders an assistant message's content parts (see server/lib/content.js): text with
+// numbered citation markers and links to generated files, inline images, attached files,
+// and the citation footnotes underneath. Messages without parts (a reply that is still
+// streaming, or the user's own messages) are shown as plain text.
+//
+// Files are served by the authenticated /api/files/:fileId/content endpoint, so they are
+// fetched as blobs with `fetchFile(fileId)` rather than linked directly.
+
+const linkStyle = {
+  border: 'none',
+  background: 'none',
+  padding: 0,
+  color: '#0056b3',
+  textDecoration: 'underline',
+  cursor: 'pointer',
+  font: 'inherit',
+};
+
+function FileLink({ fileId, filename, fetchFile, children }) {
+  const [failed, setFailed] = useState(false);
+
+  const download = async () => {
+    try {
+      const blob = await fetchFile(fileId);
+      const url = URL.createObjectURL(blob);
+      const anchor = document.createElement('a');
+      anchor.href = url;
+      anchor.download = filename || fileId;
+      anchor.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      setFailed(false);
+    } catch (err) {
+      console.error('Error downloading file:', err);
+      setFailed(true);
+    }
+  };
+
+  return (
+    <button type="button" onClick={download} style={linkStyle} title={failed ? 'Download failed, click to retry' : `Download ${filename || 'file'}`}>
+      {children || `📄 ${filename || 'Download file'}`}{failed && ' (failed)'}
+    </button>
+  );
+}
+
+function AuthenticatedImage({ fileId, fetchFile }) {
+  const [src, setSrc] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    fetchFile(fileId)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setSrc(objectUrl);
+      })
+      .catch((err) => {
+        console.error('Error loading image:', err);
+        if (!cancelled) setFailed(true);
+      });
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [fileId, fetchFile]);
+
+  if (failed) return <div style={{ fontStyle: 'italic', color: '#666' }}>[Image could not be loaded]</div>;
+  if (!src) return <div style={{ fontStyle: 'italic', color: '#666' }}>Loading image…</div>;
+  return <img src={src} alt="Generated by the assistant" style={{ display: 'block', maxWidth: '100%', borderRadius: '8px', margin: '6px 0' }} />;
+}
+
+// Split text into plain strings and annotation elements. Generated-file links usually come as
+// markdown, "[bom.csv](sandbox:/mnt/data/bom.csv)", where the annotation covers only the
+// sandbox path; the surrounding brackets are folded into the link.
+function renderText(part, citationNumber, fetchFile, keyPrefix) {
+  const annotations = [...part.annotations].sort((a, b) => a.startIndex - b.startIndex);
+  const nodes = [];
+  let cursor = 0;
+  let pending = '';
+
+  annotations.forEach((annotation, index) => {
+    if (annotation.startIndex < cursor) return;
+    pending += part.text.slice(cursor, annotation.startIndex);
+    cursor = annotation.endIndex;
+    const key = `${keyPrefix}-${index}`;
+
+    if (annotation.type === 'file_citation') {
+      nodes.push(pending);
+      pending = '';
+      nodes.push(<sup key={key} style={{ fontSize: '0.75em' }}>[{citationNumber(annotation.fileId)}]</sup>);
+      return;
+    }
+
+    let label = annotation.filename;
+    const markdownLink = pending.match(/\[([^\]]*)\]\($/);
+    if (markdownLink && part.text[cursor] === ')') {
+      label = markdownLink[1] || label;
+      pending = pending.slice(0, -markdownLink[0].length);
+      cursor += 1;
+    }
+    nodes.push(pending);
+    pending = '';
+    nodes.push(
+      <FileLink key={key} fileId={annotation.fileId} filename={annotation.filename} fetchFile={fetchFile}>
+        {label}
+      </FileLink>
+    );
+  });
+
+  nodes.push(pending + part.text.slice(cursor));
+  return nodes;
+}
+
+function MessageContent({ content, parts, fetchFile }) {
+  if (!parts || parts.length === 0) {
+    return content;
+  }
+
+  // Number citations in order of first appearance, one number per cited file.
+  const citations = [];
+  const citationNumber = (fileId) => {
+    const index = citations.findIndex(citation => citation.fileId === fileId);
+    return index === -1 ? citations.length + 1 : index + 1;
+  };
+  for (const part of parts) {
+    for (const annotation of part.annotations || []) {
+      if (annotation.type === 'file_citation' && !citations.some(citation => citation.fileId === annotation.fileId)) {
+        citations.push(annotation);
+      }
+    }
+  }
+
+  return (
+    <>
+      {parts.map((part, index) => {
+        if (part.type === 'text') {
+          return <div key={index}>{renderText(part, citationNumber, fetchFile, index)}</div>;
+        }
+        if (part.type === 'image_file') {
+          return <AuthenticatedImage key={index} fileId={part.fileId} fetchFile={fetchFile} />;
+        }
+        if (part.type === 'file') {
+          return <div key={index}><FileLink fileId={part.fileId} filename={part.filename} fetchFile={fetchFile} /></div>;
+        }
+        return null;
+      })}
+      {citations.length > 0 && (
+        <ol style={{ margin: '8px 0 0', paddingLeft: 20, fontSize: '12px', color: '#555', borderTop: '1px solid #ccc', paddingTop: 6 }}>
+          {citations.map(citation => (
+            <li key={citation.fileId}>
+              {citation.filename
+                ? <FileLink fileId={citation.fileId} filename={citation.filename} fetchFile={fetchFile}>{citation.filename}</FileLink>
+                : 'Assistant knowledge base'}
+              {citation.quote && <span style={{ fontStyle: 'italic' }}> — “{citation.quote}”</span>}
+            </li>
+          ))}
+        </ol>
+      )}
+    </>
+  );
+}
+
+export default MessageContent;
@@ -0,0 +1,225 @@
+import { useRef, useState } from 'react';
+import { downloadBlob } from '../spreadsheet.js';
+
+// Elevation and plan of the scaffold in a design spec (see server/lib/designSpecs.js), drawn
+// to scale with labelled dimensions. Boarded lifts are drawn from the top lift down, and every
+// lift is boarded when the spec doesn't say. Ties follow `spec.ties`: a row every
+// `liftsBetweenRows` lifts, with a tie at each end and every `baysBetweenTies` bays between.
+// The SVG download is exactly what is on screen, so toggled-off layers stay out of it.
+
+const WIDTH = 620;
+const MARGIN = { left: 60, right: 20, top: 30 };
+const MAX_ELEVATION_HEIGHT = 320;
+const PLAN_GAP = 70;
+const GUARDRAIL_HEIGHT = 1; // metres above the top platform
+
+const COLORS = {
+  tube: '#4a4a4a',
+  board: '#b5793a',
+  tie: '#d9480f',
+  building: '#dee2e6',
+  dimension: '#0b5394',
+  highlight: 'rgba(0, 123, 255, 0.12)',
+};
+
+const metres = (value) => `${Math.round(value * 100) / 100} m`;
+
+const range = (count) => Array.from({ length: count }, (_, i) => i);
+
+// Lifts (0-based) that get a tie row: every `liftsBetweenRows` lifts, and the top lift when the
+// scaffold has fewer lifts than that. Same rule as calculateTieSpacing in server/lib/scaffold/ties.js.
+const tieRowLifts = (lifts, liftsBetweenRows) => {
+  const between = Math.max(1, Math.min(liftsBetweenRows, lifts));
+  return range(Math.floor(lifts / between)).map(i => (i + 1) * between - 1);
+};
+
+// Standard positions (bay indices) that get a tie in each tie row.
+const tieStandards = (bays, baysBetweenTies) => {
+  const standards = range(Math.floor(bays / baysBetweenTies) + 1).map(i => i * baysBetweenTies);
+  return standards[standards.length - 1] === bays ? standards : [...standards, bays];
+};
+
+// A dimension line from (x1, y1) to (x2, y2) with end ticks and a centred label.
+function Dimension({ x1, y1, x2, y2, label, vertical = false }) {
+  const tick = 4;
+  const midX = (x1 + x2) / 2;
+  const midY = (y1 + y2) / 2;
+  return (
+    <g stroke={COLORS.dimension} fill={COLORS.dimension} fontSize="11" fontFamily="Arial, sans-serif">
+      <line x1={x1} y1={y1} x2={x2} y2={y2} strokeWidth="1" />
+      {vertical ? (
+        <>
+          <line x1={x1 - tick} y1={y1} x2={x1 + tick} y2={y1} strokeWidth="1" />
+          <line x1={x2 - tick} y1={y2} x2={x2 + tick} y2={y2} strokeWidth="1" />
+          <text x={midX - 6} y={midY} stroke="none" textAnchor="middle" transform={`rotate(-90 ${midX - 6} ${midY})`}>{label}</text>
+        </>
+      ) : (
+        <>
+          <line x1={x1} y1={y1 - tick} x2={x1} y2={y1 + tick} strokeWidth="1" />
+          <line x1={x2} y1={y2 - tick} x2={x2} y2={y2 + tick} strokeWidth="1" />
+          <text x={midX} y={midY - 5} stroke="none" textAnchor="middle">{label}</text>
+        </>
+      )}
+    </g>
+  );
+}
+
+function ScaffoldDrawing({ spec }) {
+  const svgRef = useRef(null);
+  const [showTies, setShowTies] = useState(true);
+  const [showDimensions, setShowDimensions] = useState(true);
+  const [hoveredBay, setHoveredBay] = useState(null);
+
+  const { bays, lifts, platform } = spec;
+  const length = bays.count * bays.length;
+  const height = lifts.count * lifts.height;
+  const boarded = Math.min(lifts.boarded ?? lifts.count, lifts.count);
+
+  const drawnLength = Math.max(length, spec.facade ? spec.facade.length : 0);
+  const drawnHeight = Math.max(height + GUARDRAIL_HEIGHT, spec.facade ? spec.facade.height : 0);
+  const scale = Math.min((WIDTH - MARGIN.left - MARGIN.right) / drawnLength, MAX_ELEVATION_HEIGHT / drawnHeight);
+  const x = (m) => MARGIN.left + m * scale;
+  const groundY = MARGIN.top + drawnHeight * scale;
+  const y = (m) => groundY - m * scale;
+  const liftY = (lift) => y((lift + 1) * lifts.height);
+
+  // The plan is drawn at the elevation's scale, but never thinner than 30 px so it stays readable.
+  const planTop = groundY + PLAN_GAP;
+  const planDepth = Math.max(platform.width * scale, 30);
+  const svgHeight = planTop + planDepth + 45;
+
+  const ties = spec.ties ? {
+    rows: tieRowLifts(lifts.count, spec.ties.liftsBetweenRows),
+    standards: tieStandards(bays.count, spec.ties.baysBetweenTies),
+  } : null;
+
+  const downloadSvg = () => {
+    const source = new XMLSerializer().serializeToString(svgRef.current);
+    const name = (spec.title || 'scaffold').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'scaffold';
+    downloadBlob(new Blob([`<?xml version="1.0" encoding="UTF-8"?>\n${source}`], { type: 'image/svg+xml' }), `${name}.svg`);
+  };
+
+  return (
+    <div style={{ border: '1px solid #eee', borderRadius: '8px', backgroundColor: '#fff', padding: 10 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 12, fontSize: '13px', marginBottom: 6, flexWrap: 'wrap' }}>
+        <strong style={{ flex: 1 }}>{spec.title || 'Proposed scaffold'}</strong>
+        <label><input type="checkbox" checked={showTies} disabled={!ties} onChange={e => setShowTies(e.target.checked)} /> Ties</label>
+        <label><input type="checkbox" checked={showDimensions} onChange={e => setShowDimensions(e.target.checked)} /> Dimensions</label>
+        <button type="button" onClick={downloadSvg} style={{ padding: '4px 10px', border: '1px solid #ccc', borderRadius: '4px', backgroundColor: '#fff', cursor: 'pointer', fontSize: '12px' }}>
+          ⤓ SVG
+        </button>
+      </div>
+      <svg
+        ref={svgRef}
+        xmlns="http://www.w3.org/2000/svg"
+        viewBox={`0 0 ${WIDTH} ${svgHeight}`}
+        width="100%"
+        role="img"
+        aria-label={`Elevation and plan: ${bays.count} bays of ${metres(bays.length)}, ${lifts.count} lifts of ${metres(lifts.height)}`}
+        style={{ display: 'block' }}
+      >
+        <rect x="0" y="0" width={WIDTH} height={svgHeight} fill="#fff" />
+        <text x={MARGIN.left} y="16" fontSize="13" fontWeight="bold" fontFamily="Arial, sans-serif">Elevation</text>
+
+        {spec.facade && (
+          <rect x={x(0)} y={y(spec.facade.height)} width={spec.facade.length * scale} height={spec.facade.height * scale} fill={COLORS.building}>
+            <title>{`Façade ${metres(spec.facade.length)} × ${metres(spec.facade.height)}`}</title>
+          </rect>
+        )}
+
+        {range(bays.count).map(bay => (
+          <rect
+            key={`bay-${bay}`}
+            x={x(bay * bays.length)}
+            y={y(height + GUARDRAIL_HEIGHT)}
+            width={bays.length * scale}
+            height={(height + GUARDRAIL_HEIGHT) * scale}
+            fill={hoveredBay === bay ? COLORS.highlight : 'transparent'}
+            onMouseEnter={() => setHoveredBay(bay)}
+            onMouseLeave={() => setHoveredBay(null)}
+          >
+            <title>{`Bay ${bay + 1} of ${bays.count}: ${metres(bays.length)}`}</title>
+          </rect>
+        ))}
+
+        {range(lifts.count).slice(lifts.count - boarded).map(lift => (
+          <rect key={`board-${lift}`} x={x(0)} y={liftY(lift) - 3} width={length * scale} height="4" fill={COLORS.board} pointerEvents="none">
+            <title>{`Boarded lift ${lift + 1}`}</title>
+          </rect>
+        ))}
+
+        <g stroke={COLORS.tube} strokeWidth="1.5" pointerEvents="none">
+          {range(bays.count + 1).map(standard => (
+            <line key={`standard-${standard}`} x1={x(standard * bays.length)} y1={y(0)} x2={x(standard * bays.length)} y2={y(height + GUARDRAIL_HEIGHT)} />
+          ))}
+          {range(lifts.count).map(lift => (
+            <line key={`ledger-${lift}`} x1={x(0)} y1={liftY(lift)} x2={x(length)} y2={liftY(lift)} />
+          ))}
+          <line x1={x(0)} y1={y(height + GUARDRAIL_HEIGHT)} x2={x(length)} y2={y(height + GUARDRAIL_HEIGHT)} strokeDasharray="6 3" />
+        </g>
+        <line x1={MARGIN.left - 10} y1={groundY} x2={WIDTH - MARGIN.right} y2={groundY} stroke="#000" strokeWidth="2" />
+
+        {showTies && ties && ties.rows.flatMap(lift => ties.standards.map(standard => (
+          <circle key={`tie-${lift}-${standard}`} cx={x(standard * bays.length)} cy={liftY(lift)} r="4" fill={COLORS.tie}>
+            <title>{`Tie at lift ${lift + 1}, standard ${standard + 1}`}</title>
+          </circle>
+        )))}
+
+        {showDimensions && (
+          <>
+            <Dimension x1={x(0)} y1={groundY + 22} x2={x(length)} y2={groundY + 22} label={`${bays.count} bays × ${metres(bays.length)} = ${metres(length)}`} />
+            <Dimension x1={MARGIN.left - 30} y1={y(0)} x2={MARGIN.left - 30} y2={y(height)} label={metres(height)} vertical />
+            <Dimension x1={MARGIN.left - 12} y1={y(0)} x2={MARGIN.left - 12} y2={liftY(0)} label={metres(lifts.height)} vertical />
+          </>
+        )}
+
+        <text x={MARGIN.left} y={planTop - 20} fontSize="13" fontWeight="bold" fontFamily="Arial, sans-serif">
+          {`Plan${platform.boardsWide ? ` · ${platform.boardsWide} boards wide` : ''}`}
+        </text>
+        <rect x={x(0)} y={planTop - 12} width={drawnLength * scale} height="8" fill={COLORS.building}>
+          <title>Building face</title>
+        </rect>
+        <rect x={x(0)} y={planTop} width={length * scale} height={planDepth} fill={boarded > 0 ? '#f3e3cf' : 'none'} stroke={COLORS.tube} strokeWidth="1.5" />
+        {platform.boardsWide > 1 && range(platform.boardsWide - 1).map(board => (
+          <line
+            key={`board-line-${board}`}
+            x1={x(0)}
+            y1={planTop + ((board + 1) * planDepth) / platform.boardsWide}
+            x2={x(length)}
+            y2={planTop + ((board + 1) * planDepth) / platform.boardsWide}
+            stroke={COLORS.board}
+            strokeWidth="0.75"
+          />
+        ))}
+        {range(bays.count + 1).map(standard => (
+          <g key={`plan-standard-${standard}`} fill={COLORS.tube}>
+            <rect x={x(standard * bays.length) - 3} y={planTop - 3} width="6" height="6" />
+            <rect x={x(standard * bays.length) - 3} y={planTop + planDepth - 3} width="6" height="6" />
+            <line x1={x(standard * bays.length)} y1={planTop} x2={x(standard * bays.length)} y2={planTop + planDepth} stroke={COLORS.tube} strokeWidth="1" />
+          </g>
+        ))}
+        {showTies && ties && ties.standards.map(standard => (
+          <line key={`plan-tie-${standard}`} x1={x(standard * bays.length)} y1={planTop - 12} x2={x(standard * bays.length)} y2={planTop} stroke={COLORS.tie} strokeWidth="2.5" />
+        ))}
+        {showDimensions && (
+          <>
+            <Dimension x1={x(0)} y1={planTop + planDepth + 22} x2={x(length)} y2={planTop + planDepth + 22} label={metres(length)} />
+            <Dimension
+              x1={MARGIN.left - 12}
+              y1={planTop}
+              x2={MARGIN.left - 12}
+              y2={planTop + planDepth}
+              label={metres(platform.width)}
+              vertical
+            />
+          </>
+        )}
+        <text x={WIDTH - MARGIN.right} y={svgHeight - 6} fontSize="10" fill="#888" textAnchor="end" fontFamily="Arial, sans-serif">
+          {`Load class ${spec.loadClass} · ${boarded} of ${lifts.count} lifts boarded${ties ? ` · ${ties.rows.length * ties.standards.length} ties` : ''}`}
+        </text>
+      </svg>
+    </div>
+  );
+}
+
+export default ScaffoldDrawing;
@@ -0,0 +1,146 @@
+import { useState } from 'react';
+
+// Sidebar listing the user's conversations: switch between them, rename, archive,
+// export, delete, or start a new chat. Titles are generated by the server after the first
+// exchange; until then a thread shows as "New conversation".
+
+const actionStyle = {
+  border: 'none',
+  background: 'none',
+  cursor: 'pointer',
+  padding: '0 3px',
+  fontSize: '12px',
+  color: '#666',
+};
+
+const EXPORT_FORMATS = [
+  { format: 'markdown', label: 'Markdown (.md)' },
+  { format: 'json', label: 'JSON (.json)' },
+  { format: 'html', label: 'Print / PDF report' },
+];
+
+function ThreadItem({ thread, active, disabled, onSelect, onRename, onArchive, onDelete, onExport }) {
+  const [editing, setEditing] = useState(false);
+  const [title, setTitle] = useState('');
+  const [exportOpen, setExportOpen] = useState(false);
+
+  const startEditing = () => {
+    setTitle(thread.title || '');
+    setEditing(true);
+  };
+
+  const saveTitle = () => {
+    setEditing(false);
+    const trimmed = title.trim();
+    if (trimmed && trimmed !== thread.title) {
+      onRename(thread.id, trimmed);
+    }
+  };
+
+  const confirmDelete = () => {
+    if (window.confirm(`Delete "${thread.title || 'New conversation'}"? This cannot be undone.`)) {
+      onDelete(thread.id);
+    }
+  };
+
+  return (
+    <li
+      style={{
+        padding: '8px 10px',
+        borderRadius: '6px',
+        marginBottom: 4,
+        backgroundColor: active ? '#e2e6ea' : 'transparent',
+        cursor: disabled ? 'default' : 'pointer',
+      }}
+      onClick={() => !editing && !disabled && onSelect(thread.id)}
+    >
+      {editing ? (
+        <input
+          autoFocus
+          value={title}
+          maxLength={80}
+          onClick={e => e.stopPropagation()}
+          onChange={e => setTitle(e.target.value)}
+          onBlur={saveTitle}
+          onKeyDown={e => {
+            if (e.key === 'Enter') saveTitle();
+            if (e.key === 'Escape') setEditing(false);
+          }}
+          style={{ width: '100%', boxSizing: 'border-box', fontSize: '13px', padding: '2px 4px' }}
+        />
+      ) : (
+        <div style={{ fontSize: '13px', fontWeight: active ? 'bold' : 'normal', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={thread.title || 'New conversation'}>
+          {thread.title || 'New conversation'}
+        </div>
+      )}
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 2 }}>
+        <span style={{ fontSize: '11px', color: '#888' }}>{new Date(thread.lastUsedAt).toLocaleDateString()}</span>
+        <span onClick={e => e.stopPropagation()} style={{ position: 'relative' }}>
+          <button type="button" style={actionStyle} onClick={startEditing} title="Rename">✎</button>
+          <button type="button" style={actionStyle} onClick={() => setExportOpen(open => !open)} title="Export">⤓</button>
+          {exportOpen && (
+            <div style={{ position: 'absolute', right: 0, top: '100%', zIndex: 10, backgroundColor: '#fff', border: '1px solid #ddd', borderRadius: '5px', boxShadow: '0 2px 6px rgba(0,0,0,0.15)', whiteSpace: 'nowrap' }}>
+              {EXPORT_FORMATS.map(({ format, label }) => (
+                <button
+                  key={format}
+                  type="button"
+                  onClick={() => { setExportOpen(false); onExport(thread.id, format); }}
+                  style={{ ...actionStyle, display: 'block', width: '100%', textAlign: 'left', padding: '6px 10px', color: '#333' }}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+          <button type="button" style={actionStyle} onClick={() => onArchive(thread.id, !thread.archived)} title={thread.archived ? 'Unarchive' : 'Archive'}>
+            {thread.archived ? '⤒' : '🗄'}
+          </button>
+          <button type="button" style={actionStyle} onClick={confirmDelete} title="Delete">🗑</button>
+        </span>
+      </div>
+    </li>
+  );
+}
+
+function ThreadSidebar({ threads, activeThreadId, showArchived, disabled, onToggleArchived, onNewChat, onSelect, onRename, onArchive, onDelete, onExport }) {
+  return (
+    <aside style={{ width: 220, flexShrink: 0, border: '1px solid #eee', borderRadius: '8px', backgroundColor: '#fff', padding: 10, maxHeight: 600, overflowY: 'auto' }}>
+      <button
+        onClick={onNewChat}
+        disabled={disabled}
+        style={{ width: '100%', padding: '8px', marginBottom: 10, backgroundColor: '#007bff', color: 'white', border: 'none', borderRadius: '5px', cursor: 'pointer' }}
+      >
+        + New chat
+      </button>
+      <div style={{ fontSize: '12px', color: '#666', marginBottom: 6, display: 'flex', justifyContent: 'space-between' }}>
+        <span>{showArchived ? 'Archived' : 'Conversations'}</span>
+        <button type="button" onClick={onToggleArchived} style={{ ...actionStyle, color: '#007bff' }}>
+          {showArchived ? 'Show active' : 'Show archived'}
+        </button>
+      </div>
+      {threads.length === 0 ? (
+        <div style={{ fontSize: '13px', color: '#888', textAlign: 'center', padding: '10px 0' }}>
+          {showArchived ? 'No archived conversations' : 'No conversations yet'}
+        </div>
+      ) : (
+        <ul style={{ listStyle: 'none', margin: 0, padding: 0, textAlign: 'left' }}>
+          {threads.map(thread => (
+            <ThreadItem
+              key={thread.id}
+              thread={thread}
+              active={thread.id === activeThreadId}
+              disabled={disabled}
+              onSelect={onSelect}
+              onRename={onRename}
+              onArchive={onArchive}
+              onDelete={onDelete}
+              onExport={onExport}
+            />
+          ))}
+        </ul>
+      )}
+    </aside>
+  );
+}
+
+export default ThreadSidebar;
@@ -0,0 +1,35 @@
+// Client configuration from Vite environment variables (client/.env.local), read in one place.
+//
+// VITE_API_BASE_URL is where the backend lives, e.g. https://api.example.com. It defaults to
+// the local dev server, and has to be set for production builds such as the GitHub Pages one.
+//
+// VITE_AUTH_MODE=dev signs in through a local user picker instead of Auth0, for a backend
+// started with AUTH_MODE=dev; the VITE_AUTH0_* variables are then not needed. Development only.
+
+const env = import.meta.env;
+
+const config = {
+  apiBaseUrl: (env.VITE_API_BASE_URL || (env.PROD ? '' : 'http://localhost:3000')).replace(/\/+$/, ''),
+  authMode: env.VITE_AUTH_MODE || 'auth0',
+  auth0: {
+    domain: env.VITE_AUTH0_DOMAIN,
+    clientId: env.VITE_AUTH0_CLIENT_ID,
+    audience: env.VITE_AUTH0_AUDIENCE,
+  },
+};
+
+// Problems that stop the app from starting, shown on the configuration error screen.
+export const configProblems = [
+  ...(!['auth0', 'dev'].includes(config.authMode) ? [`VITE_AUTH_MODE "${config.authMode}" must be auth0 or dev`] : []),
+  ...(config.authMode === 'dev' && env.PROD ? ['VITE_AUTH_MODE=dev cannot be used in production builds'] : []),
+  ...(config.authMode === 'auth0' ? ['VITE_AUTH0_DOMAIN', 'VITE_AUTH0_CLIENT_ID', 'VITE_AUTH0_AUDIENCE'] : [])
+    .filter(name => !env[name])
+    .map(name => `${name} is not set`),
+  ...(!config.apiBaseUrl ? ['VITE_API_BASE_URL is not set (required for production builds)'] : []),
+  ...(config.apiBaseUrl && !/^https?:\/\/[^/\s]+/.test(config.apiBaseUrl) ? [`VITE_API_BASE_URL "${config.apiBaseUrl}" is not an http(s) URL`] : []),
+];
+
+// Full URL of a backend path, e.g. apiUrl('/api/credits').
+export const apiUrl = (path) => `${config.apiBaseUrl}${path}`;
+
+export default config;
@@ -1,50 +1,53 @@
-// client/src/index.jsx
-import React from 'react';
-import ReactDOM from 'react-dom/client';
-import App from './App.jsx';
-import { Auth0Provider } from '@auth0/auth0-react';
-
-const auth0Domain = import.meta.env.VITE_AUTH0_DOMAIN;
-const auth0ClientId = import.meta.env.VITE_AUTH0_CLIENT_ID;
-const auth0Audience = import.meta.env.VITE_AUTH0_AUDIENCE;
-
-// ****** ADD THESE CONSOLE.LOGS *******
-console.log("TEST: index.jsx is running");
-
-console.log("DEBUG: VITE_AUTH0_DOMAIN from .env.local:", auth0Domain);
-console.log("DEBUG: VITE_AUTH0_CLIENT_ID from .env.local:", auth0ClientId);
-console.log("DEBUG: VITE_AUTH0_AUDIENCE from .env.local:", auth0Audience);
-// *************************************
-
-// Basic check for essential environment variables
-if (!auth0Domain || !auth0ClientId || !auth0Audience) {
-  console.error("ERROR: Missing one or more required Auth0 frontend environment variables.");
-  console.error("Please ensure VITE_AUTH0_DOMAIN, VITE_AUTH0_CLIENT_ID, and VITE_AUTH0_AUDIENCE are set.");
-  // Render an explicit error message instead of just "Loading..." if variables are missing
-  ReactDOM.createRoot(document.getElementById('root')).render(
-    <React.StrictMode>
-      <div style={{ color: 'red', textAlign: 'center', padding: '50px' }}>
-        <h2>Configuration Error</h2>
-        <p>One or more Auth0 environment variables are missing or incorrect. Please check your `client/.env.local` file and restart the frontend server.</p>
-        <p>Expected: VITE_AUTH0_DOMAIN, VITE_AUTH0_CLIENT_ID, VITE_AUTH0_AUDIENCE</p>
-      </div>
-    </React.StrictMode>
-  );
-  throw new Error("Auth0 environment variables not set."); // Stop further execution
-}
-
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <Auth0Provider
-      domain={auth0Domain}
-      clientId={auth0ClientId}
-      authorizationParams={{
-        redirect_uri: window.location.origin,
-        audience: auth0Audience,
-        scope: "openid profile email"
-      }}
-    >
-      <App />
-    </Auth0Provider>
-  </React.StrictMode>,
+// client/src/index.jsx
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import App from './App.jsx';
+import { Auth0Provider } from '@auth0/auth0-react';
+import DevAuthProvider from './components/DevAuthProvider.jsx';
+import config, { configProblems } from './config.js';
+
+// Check the configuration before anything else (see config.js)
+if (configProblems.length > 0) {
+  console.error('ERROR: Invalid frontend configuration:', configProblems);
+  // Render an explicit error message instead of just "Loading..." if variables are missing
+  ReactDOM.createRoot(document.getElementById('root')).render(
+    <React.StrictMode>
+      <div style={{ color: 'red', textAlign: 'center', padding: '50px' }}>
+        <h2>Configuration Error</h2>
+        <p>Please check your `client/.env.local` file (or the build environment) and restart the frontend server.</p>
+        <ul style={{ display: 'inline-block', textAlign: 'left' }}>
+          {configProblems.map(problem => <li key={problem}>{problem}</li>)}
+        </ul>
+      </div>
+    </React.StrictMode>
+  );
+  throw new Error('Invalid frontend configuration.'); // Stop further execution
+}
+
+// VITE_AUTH_MODE=dev signs in against the local backend instead of Auth0 (see auth.js)
+if (config.authMode === 'dev') {
+  console.warn('Development sign-in is enabled (VITE_AUTH_MODE=dev); never use this build in production.');
+}
+const authProvider = config.authMode === 'dev' ? (
+  <DevAuthProvider>
+    <App />
+  </DevAuthProvider>
+) : (
+  <Auth0Provider
+    domain={config.auth0.domain}
+    clientId={config.auth0.clientId}
+    authorizationParams={{
+      redirect_uri: window.location.origin,
+      audience: config.auth0.audience,
+      scope: "openid profile email"
+    }}
+  >
+    <App />
+  </Auth0Provider>
+);
+
+ReactDOM.createRoot(document.getElementById('root')).render(
+  <React.StrictMode>
+    {authProvider}
+  </React.StrictMode>,
 );
\ No newline at end of file
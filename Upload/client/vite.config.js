@@ -5,6 +5,7 @@ import react from '@vitejs/plugin-react';
 // For a project page, the base should be /<repository-name>/
 const repoName = 'fluffy-octo-memory'; // <-- This must match your GitHub repository name exactly
 const isGithubPages = process.env.NODE_ENV === 'production' && process.env.VITE_DEPLOY_TARGET === 'github-pages';
+// Pages only serves the static client: set VITE_API_BASE_URL to the backend's URL for that build (see src/config.js).
 
 export default defineConfig({
   plugins: [react()],
@@ -0,0 +1,1071 @@
+// server/app.js
+// Builds the Express app. server.js reads the environment and starts it;
+// the tests build it directly against a mock Azure endpoint with a stub `checkJwt`.
+const crypto = require('crypto');
+const express = require('express');
+const cors = require('cors');
+const { UnauthorizedError } = require('express-oauth2-jwt-bearer');
+const { ApiError } = require('./lib/errors');
+const { createThreadRepository } = require('./lib/threads');
+const { createCreditLedger } = require('./lib/credits');
+const { createFileRepository, toFileSummary } = require('./lib/files');
+const { createUserRepository } = require('./lib/users');
+const { createDesignSpecRepository } = require('./lib/designSpecs');
+const { ADMIN_PERMISSIONS, tokenPermissions, requirePermissions } = require('./lib/permissions');
+const { toContentParts, collectRunContent, contentText, generatedFiles } = require('./lib/content');
+const { createUploadMiddleware, validateUpload } = require('./lib/uploads');
+const { generateTitle, MAX_TITLE_LENGTH } = require('./lib/titles');
+const { EXPORT_FORMATS, exportFilename, renderTranscript } = require('./lib/export');
+const { openSseResponse } = require('./lib/sse');
+const { createRunRegistry } = require('./lib/runs');
+const { createRateLimiter } = require('./lib/rateLimits');
+const { UpstreamError, httpStatusFor } = require('./lib/http');
+const { logger: defaultLogger, requestContext } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const { createDefaultToolRegistry } = require('./lib/tools');
+const { DEFAULT_CREDIT_PACKAGES, SIGNATURE_HEADER, verifySignature, parsePaymentEvent, createPurchaseRepository, toPurchaseSummary } = require('./lib/payments');
+const { parseDevUser } = require('./lib/devAuth');
+const { createGuardrails, GuardrailError } = require('./lib/guardrails');
+const { RATINGS, parseFeedback, toFeedbackSummary, toEvaluationRecord, createFeedbackRepository } = require('./lib/feedback');
+const { DEFAULT_ASSISTANT_PROFILES, createAssistantCatalog, requestInstructions, runOptionsFor } = require('./lib/assistantProfiles');
+
+/**
+ * `config`:
+ *   checkJwt        - authentication middleware that sets `req.auth.payload`; admin routes also need
+ *                     the token to carry the permissions in lib/permissions.js
+ *   provider        - LLM provider from lib/providers
+ *   store           - data store from lib/store
+ *   credits         - { initialBalance, pricing } for the credit ledger
+ *   corsOrigins     - allowed browser origins (default ['http://localhost:5173'])
+ *   toolTimeoutMs   - default per-call tool timeout
+ *   uploads         - { maxFileBytes, maxFiles } limits for file uploads
+ *   maxRunDurationMs - runs still going after this long are cancelled (default 2 minutes, 0 for no limit)
+ *   rateLimits      - { windowMs, maxRequests, maxConcurrent } per-user limits for chat, new threads
+ *                     and uploads (default: no limits)
+ *   payments        - { webhookSecret, checkoutUrl, packages } for buying credits; `checkoutUrl` is the
+ *                     provider's checkout page with `{reference}` for the purchase ID (default: purchases off)
+ *   assistantProfiles - profiles users can pick for a message (default: DEFAULT_ASSISTANT_PROFILES in
+ *                     lib/assistantProfiles.js)
+ *   guardrails      - { maxMessageLength, maxToolOutputLength, redact, denyList } checks on chat messages
+ *                     and tool outputs before they reach the model (default: lib/guardrails.js defaults)
+ *   devAuth         - development sign-in from lib/devAuth.js; serves the login picker's users and tokens
+ *                     (default: off, `checkJwt` verifies Auth0 tokens)
+ *   metricsToken    - bearer token Prometheus sends to scrape /metrics (default: no /metrics endpoint)
+ *   logger          - structured logger from lib/logger (default: the shared one)
+ */
+function createApp(config) {
+    const {
+        checkJwt: verifyJwt,
+        provider,
+        store,
+        corsOrigins = ['http://localhost:5173'],
+        toolTimeoutMs = 10000,
+        maxRunDurationMs = 120000,
+        logger = defaultLogger,
+    } = config;
+
+    const app = express();
+    const metrics = createMetrics();
+
+    // --- Request IDs, Logging and Metrics ---
+    // Label requests by their route pattern, not the raw path, so IDs don't create new series.
+    app.use(requestContext({
+        logger,
+        onFinish: (req, res, durationSeconds) => metrics.recordRequest({
+            method: req.method,
+            route: req.route ? req.route.path : 'unmatched',
+            status: res.statusCode,
+            durationSeconds,
+        }),
+    }));
+
+    // --- CORS Configuration ---
+    app.use(cors({
+        origin: corsOrigins,
+        exposedHeaders: ['Retry-After', 'X-Request-Id'] // Retry-After says when a rate-limited request can be retried
+    }));
+
+    // --- Express Middleware ---
+    // The payment webhook's signature covers the exact bytes sent, so keep them.
+    app.use(express.json({ verify: (req, res, buffer) => { req.rawBody = buffer; } }));
+
+    // --- Repositories ---
+    const threads = createThreadRepository(store);
+    const credits = createCreditLedger(store, config.credits);
+    const files = createFileRepository(store);
+    const users = createUserRepository(store);
+    const designSpecs = createDesignSpecRepository(store);
+    const purchases = createPurchaseRepository(store, credits);
+    const feedback = createFeedbackRepository(store);
+    const runs = createRunRegistry({ maxRunDurationMs });
+    const limitUser = createRateLimiter(config.rateLimits);
+
+    // --- Tools ---
+    const guardrails = createGuardrails(config.guardrails);
+    const toolRegistry = createDefaultToolRegistry({ defaultTimeoutMs: toolTimeoutMs, guardOutput: guardToolOutput });
+    const assistants = createAssistantCatalog(config.assistantProfiles || DEFAULT_ASSISTANT_PROFILES, { functionTools: toolRegistry.names() });
+
+    // Exposed for scripts and tests that need to inspect or seed state.
+    app.locals.services = { store, threads, credits, files, users, designSpecs, purchases, feedback, runs, toolRegistry, assistants, provider, metrics };
+
+    // --- Authentication ---
+    // A valid token is not enough: users an administrator has disabled get a 403 USER_DISABLED everywhere.
+    const checkJwt = [verifyJwt, async (req, res, next) => {
+        await users.assertEnabled(req.auth.payload.sub);
+        next();
+    }];
+
+    // --- Development Sign-in ---
+    // Only with AUTH_MODE=dev: the client's login picker lists these users and gets a locally
+    // signed token for the one picked (see lib/devAuth.js). Never mounted in Auth0 mode.
+    if (config.devAuth) {
+        const { devAuth } = config;
+        app.get('/api/dev-auth/users', async (req, res) => {
+            res.status(200).json({ users: devAuth.users });
+        });
+
+        app.post('/api/dev-auth/token', async (req, res) => {
+            const user = parseDevUser(req.body);
+            logger.info('dev token issued', { userId: user.sub, scopes: user.scopes });
+            res.status(200).json(devAuth.issueToken(user));
+        });
+    }
+
+    // --- Guardrails ---
+    // Chat messages and tool outputs go through lib/guardrails.js before the model sees them:
+    // refused messages are 400 GuardrailErrors, and PII is replaced before anything is stored or logged.
+    function guardMessage(message, threadId) {
+        try {
+            const { text, redactions } = guardrails.checkMessage(message);
+            if (Object.keys(redactions).length > 0) {
+                logger.info('message redacted', { threadId, redactions });
+            }
+            return { text, redactions };
+        } catch (error) {
+            if (error instanceof GuardrailError) {
+                logger.warn('message refused by guardrail', { threadId, guardrail: error.guardrail, code: error.code });
+            }
+            throw error;
+        }
+    }
+
+    // A request's own `instructions` reach the model too, so they get the same checks as the message.
+    // Throws 400 INVALID_INSTRUCTIONS for a non-string or oversized value, or a GuardrailError.
+    function guardInstructions(instructions, threadId) {
+        const requested = requestInstructions(instructions);
+        return requested && guardMessage(requested, threadId).text;
+    }
+
+    // Declared as a function so the tool registry above can use it.
+    function guardToolOutput(output, { tool, runId }) {
+        try {
+            const { text, redactions } = guardrails.checkToolOutput(output);
+            if (Object.keys(redactions).length > 0) {
+                logger.info('tool output redacted', { tool, runId, redactions });
+            }
+            return text;
+        } catch (error) {
+            logger.warn('tool output refused by guardrail', { tool, runId, guardrail: error.guardrail, code: error.code });
+            throw error;
+        }
+    }
+
+    // --- Assistant Helpers ---
+
+    // Run the function tools the assistant asked for and build the `tool_outputs` payload.
+    // `context` is { userId, threadId, runId }; failures come back as structured error outputs for the model.
+    async function executeToolCalls(toolCalls, context) {
+        const { userId, threadId, runId } = context;
+        const recordDesignSpec = (spec) => designSpecs.create(userId, { threadId, runId, spec });
+        toolCalls.forEach(toolCall => metrics.recordToolCall({ userId, tool: toolCall.function.name }));
+        return Promise.all(toolCalls.map(toolCall => toolRegistry.execute(toolCall, { ...context, recordDesignSpec })));
+    }
+
+    // `{ designSpec }` for a run that submitted one (see lib/designSpecs.js), to spread into a reply.
+    async function runDesignSpec(runId) {
+        const record = runId ? await designSpecs.getForRun(runId) : null;
+        return record ? { designSpec: { id: record.id, ...record.spec } } : {};
+    }
+
+    // Check the `fileIds` a chat request wants to attach and return the files' records.
+    async function resolveAttachments(fileIds, userId, threadId) {
+        if (fileIds === undefined) {
+            return [];
+        }
+        if (!Array.isArray(fileIds) || !fileIds.every(fileId => typeof fileId === 'string')) {
+            throw new ApiError(400, 'INVALID_ATTACHMENTS', 'Invalid attachments', 'fileIds must be an array of file IDs.');
+        }
+        return files.assertAttachable([...new Set(fileIds)], userId, threadId);
+    }
+
+    // Add the user's message (with any attached files) and run the assistant on the thread.
+    // Passing `onEvent` streams the run. `activeRun` comes from `runs.start()`; aborting it cancels the run.
+    // `profile` is the assistant profile to run with and `instructions` the request's own additions.
+    async function runAssistant({ userId, threadId, message, attachedFiles = [], onEvent, activeRun, profile, instructions }) {
+        const attachments = attachedFiles.map(file => ({ fileId: file.id, tools: file.tools }));
+        const startedAt = Date.now();
+        await provider.addMessage(threadId, { content: message, attachments });
+        await threads.touch(threadId);
+
+        const recordRun = async (run) => {
+            const durationMs = Date.now() - startedAt;
+            metrics.recordRun({ userId, provider: provider.name, run, durationSeconds: durationMs / 1000 });
+            logger.info('run finished', { threadId, runId: run.id, profile: profile.id, status: run.status, durationMs, polls: run.polls, usage: run.usage });
+            await users.recordRun(userId, run);
+            // A run that failed before the provider created it has no ID for feedback to refer to.
+            if (run.id) {
+                await feedback.recordRun(run.id, { threadId, profile: profile.id });
+            }
+            return run;
+        };
+
+        return provider.runWithTools(threadId, {
+            ...runOptionsFor(profile, toolRegistry, instructions),
+            executeToolCalls: (toolCalls, runId) => executeToolCalls(toolCalls, { userId, threadId, runId }),
+            onEvent,
+            onRunCreated: (runId) => {
+                activeRun.setRunId(runId);
+                if (onEvent) {
+                    onEvent('run', { runId });
+                }
+            },
+            signal: activeRun.signal,
+        }).then(recordRun, async (error) => {
+            await recordRun({ id: activeRun.id, status: 'error', usage: null });
+            throw error;
+        });
+    }
+
+    // Track a chat request's run: it is cancelled when it runs too long or when the client
+    // goes away before the response has been sent.
+    function startRun(req, res, userId, threadId) {
+        const activeRun = runs.start({ userId, threadId });
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                logger.warn('client disconnected; cancelling its run', { threadId, runId: activeRun.id });
+                activeRun.abort('client_disconnected');
+            }
+        });
+        return activeRun;
+    }
+
+    // Charge the per-message price for a run that has just been started. If the user can't
+    // pay, the run is given up and its thread unlocked before the 403 is passed on.
+    async function chargeMessage(userId, threadId, activeRun) {
+        try {
+            return await credits.charge(userId, credits.pricing.chatRun, 'chat_run', { threadId });
+        } catch (error) {
+            activeRun.finish();
+            throw error;
+        }
+    }
+
+    // The error to report for a run that ended without an answer, or null if it answered:
+    // `completed`, or `incomplete` when the model stopped at its token limit.
+    // `abortReason` is why this server stopped the run, if it did.
+    function runError(run, abortReason) {
+        switch (run.status) {
+            case 'completed':
+            case 'incomplete':
+                return null;
+            case 'cancelled':
+            case 'cancelling':
+                return abortReason === 'timeout'
+                    ? new ApiError(504, 'RUN_TIMEOUT', 'Assistant run timed out', `The run took longer than ${Math.ceil(maxRunDurationMs / 1000)} s and was cancelled. Try a smaller request.`)
+                    : new ApiError(409, 'RUN_CANCELLED', 'Assistant run cancelled', 'The run was cancelled before it finished.');
+            case 'expired':
+                return new ApiError(504, 'RUN_EXPIRED', 'Assistant run expired', 'The run expired before it finished, usually because a tool call took too long.');
+            default:
+                return new ApiError(500, run.lastError ? run.lastError.code : 'UNKNOWN_FAILURE', 'Assistant processing failed.',
+                    run.lastError ? run.lastError.message : `Run ended with status ${run.status}`);
+        }
+    }
+
+    // Record the files in assistant content parts so the user may download them, and name cited uploads.
+    async function describeContent(userId, threadId, content) {
+        await files.recordGenerated(userId, threadId, generatedFiles(content));
+
+        for (const part of content) {
+            for (const annotation of part.annotations || []) {
+                if (annotation.type === 'file_citation') {
+                    const file = await files.get(annotation.fileId);
+                    annotation.filename = file && file.ownerId === userId ? file.filename : null;
+                }
+            }
+        }
+        return content;
+    }
+
+    // Everything the run's assistant messages contain, as content parts (see lib/content.js), and
+    // `{ messageId }` of the last of them (the one feedback and the design spec attach to), if any.
+    async function runContent(userId, threadId, runId) {
+        const messagesData = await provider.listMessages(threadId);
+        const last = messagesData.data.find(msg => msg.role === 'assistant' && msg.run_id === runId);
+        return {
+            content: await describeContent(userId, threadId, collectRunContent(messagesData.data, runId)),
+            reply: last ? { messageId: last.id } : {},
+        };
+    }
+
+    // A provider thread message as the API returns it. User messages list their uploaded files
+    // in `files`; assistant messages carry their full `content` parts.
+    async function toApiMessage(userId, threadId, message) {
+        const isAssistant = message.role === 'assistant';
+        const content = await describeContent(userId, threadId, toContentParts(isAssistant ? message : { ...message, attachments: [] }));
+        const attachedFiles = [];
+        if (!isAssistant) {
+            for (const attachment of message.attachments || []) {
+                const file = await files.get(attachment.file_id);
+                if (file && file.ownerId === userId) {
+                    attachedFiles.push(toFileSummary(file));
+                }
+            }
+        }
+        return {
+            id: message.id,
+            role: message.role,
+            createdAt: new Date(message.created_at * 1000).toISOString(),
+            runId: message.run_id,
+            text: contentText(content),
+            content,
+            files: attachedFiles,
+        };
+    }
+
+    // Add each run's design spec to the last assistant message the run wrote (messages oldest first).
+    async function withDesignSpecs(messages) {
+        const lastByRun = new Map();
+        messages.forEach((message, index) => {
+            if (message.role === 'assistant' && message.runId) {
+                lastByRun.set(message.runId, index);
+            }
+        });
+        for (const [runId, index] of lastByRun) {
+            Object.assign(messages[index], await runDesignSpec(runId));
+        }
+        return messages;
+    }
+
+    // Add the user's rating to each assistant message they have rated, as `feedback`.
+    async function withFeedback(userId, threadId, messages) {
+        const ratings = await feedback.getForThread(userId, threadId);
+        for (const message of messages) {
+            if (ratings.has(message.id)) {
+                message.feedback = toFeedbackSummary(ratings.get(message.id));
+            }
+        }
+        return messages;
+    }
+
+    // For routes with a `:threadId` parameter: only the thread's owner may use them.
+    const requireThreadOwner = async (req, res, next) => {
+        await threads.assertOwner(req.params.threadId, req.auth.payload.sub);
+        next();
+    };
+
+    // Answer a failed provider call as `{ error, details, code }`. Upstream errors carry a typed code
+    // (see lib/http.js) that picks the status, and a Retry-After when the upstream API gave one.
+    function sendProviderError(res, error, message) {
+        if (error.retryAfterMs) {
+            res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+        }
+        res.status(httpStatusFor(error)).json({
+            error: message,
+            details: error.message,
+            code: error.code || 'UNKNOWN_ERROR'
+        });
+    }
+
+    // Title a thread from its first exchange. Called after the reply has been sent and not awaited,
+    // so it never rejects: failures are only logged.
+    async function titleThread(threadId, userMessage, assistantMessage) {
+        try {
+            const thread = await threads.get(threadId);
+            if (!thread || thread.title) {
+                return;
+            }
+            const title = await generateTitle(provider, { userMessage, assistantMessage });
+            await threads.setAutoTitle(threadId, title);
+            logger.info('thread titled', { threadId, title });
+        } catch (error) {
+            logger.error('error titling thread', { threadId, error });
+        }
+    }
+
+    // Bill the tokens the run consumed. They are already spent upstream, so this may overdraw the balance;
+    // the next request is then refused until the user tops up. Returns the balance after billing.
+    async function chargeUsage(userId, threadId, run, balance) {
+        const usageCost = credits.usageCost(run.usage);
+        if (usageCost <= 0) {
+            return balance;
+        }
+        const usageCharge = await credits.charge(userId, usageCost, 'token_usage', { threadId, runId: run.id, usage: run.usage }, { allowOverdraft: true });
+        return usageCharge.balanceAfter;
+    }
+
+    // --- API Endpoints ---
+
+    // Protect these routes with Auth0 middleware
+    // Any request to these routes will now require a valid JWT in the Authorization header.
+    app.post('/api/new-thread', checkJwt, limitUser, async (req, res) => {
+        // User information (sub, email, etc.) from the JWT payload will be available at req.auth
+        // You can use req.auth.payload.sub to get the user's unique ID from Auth0
+        const userId = req.auth.payload.sub;
+
+        // Charge for the new thread up front (throws a 403 INSUFFICIENT_CREDITS ApiError if the balance is too low).
+        const charge = await credits.charge(userId, credits.pricing.threadCreation, 'thread_creation');
+
+        try {
+            const thread = await provider.createThread();
+            logger.info('thread created', { threadId: thread.id });
+
+            await threads.create(userId, thread.id);
+
+            res.status(200).json({ threadId: thread.id, credits: { balance: charge.balanceAfter } });
+
+        } catch (error) {
+            logger.error('error creating thread', { error });
+            await credits.grant(userId, credits.pricing.threadCreation, 'refund', { reason: 'thread_creation_failed' });
+            sendProviderError(res, error, 'Failed to create thread');
+        }
+    });
+
+    app.post('/api/chat', checkJwt, limitUser, async (req, res) => {
+        const { threadId, fileIds, profile: profileId } = req.body;
+        const userId = req.auth.payload.sub;
+
+        if (!threadId || !req.body.message) {
+            return res.status(400).json({ error: 'threadId and message are required' });
+        }
+        // Throws a 400 GuardrailError (INVALID_MESSAGE, CONTENT_TOO_LONG, BLOCKED_KEYWORD, BLOCKED_PATTERN).
+        const { text: message, redactions } = guardMessage(req.body.message, threadId);
+        logger.info('chat request', { threadId, message, files: Array.isArray(fileIds) ? fileIds.length : 0 });
+        // Throw 400 UNKNOWN_ASSISTANT_PROFILE / INVALID_INSTRUCTIONS ApiErrors or GuardrailErrors before anything is charged.
+        const profile = assistants.resolve(profileId);
+        const instructions = guardInstructions(req.body.instructions, threadId);
+
+        // Only the user who created the thread may post to it (throws a 403 ApiError otherwise).
+        await threads.assertOwner(threadId, userId);
+        const attachedFiles = await resolveAttachments(fileIds, userId, threadId);
+
+        // Lock the thread for this run (throws a 409 RUN_IN_PROGRESS ApiError if one is already going).
+        const activeRun = startRun(req, res, userId, threadId);
+
+        // Deduct the per-message price before running; it is refunded if the run fails.
+        const charge = await chargeMessage(userId, threadId, activeRun);
+        const refundMessage = (reason) => credits.grant(userId, credits.pricing.chatRun, 'refund', { threadId, reason });
+
+        try {
+            // 1-3. Add the user's message, run the assistant and wait for the run to finish
+            const run = await runAssistant({ userId, threadId, message, attachedFiles, activeRun, profile, instructions });
+
+            // If the run failed, was cancelled or expired, refund the message but bill the tokens it used
+            const failure = runError(run, activeRun.reason);
+            if (failure) {
+                logger.error('assistant run did not answer', { threadId, runId: run.id, status: run.status, lastError: run.lastError, reason: activeRun.reason });
+                await refundMessage(`run_${run.status}`);
+                await chargeUsage(userId, threadId, run, null);
+                if (res.destroyed) {
+                    return;
+                }
+                return res.status(failure.status).json(failure);
+            }
+
+            const balance = await chargeUsage(userId, threadId, run, charge.balanceAfter);
+            // A reply cut off at the model's token limit is still returned, flagged `incomplete: true`.
+            const incomplete = run.status === 'incomplete' ? { incomplete: true } : {};
+            // `redactions` counts the PII replaced in the message before it was sent, e.g. { email: 1 }.
+            const redacted = Object.keys(redactions).length > 0 ? { redactions } : {};
+
+            // 4-5. Retrieve the messages this run wrote and return all of their content:
+            // text with its annotations, images and generated files. `response` is the text alone.
+            const { content, reply } = await runContent(userId, threadId, run.id);
+
+            if (content.length > 0) {
+                res.status(200).json({ response: contentText(content), content, ...reply, ...await runDesignSpec(run.id), ...incomplete, ...redacted, credits: { balance } });
+                titleThread(threadId, message, contentText(content));
+            } else {
+                logger.warn('no assistant response found for run', { threadId, runId: run.id });
+                res.status(200).json({ response: 'No response found from assistant for this request (it might still be processing).', content: [], ...incomplete, ...redacted, credits: { balance } });
+            }
+
+        } catch (error) {
+            logger.error('error interacting with assistant', { threadId, error });
+            await refundMessage('request_failed');
+            if (!res.destroyed) {
+                sendProviderError(res, error, 'Failed to get assistant response');
+            }
+        } finally {
+            activeRun.finish();
+        }
+    });
+
+    // Streaming variant of /api/chat. The run is streamed from the provider and relayed to the
+    // browser as Server-Sent Events:
+    //   run        { runId }                         - the run started; POST .../runs/:runId/cancel stops it
+    //   delta      { text }                          - text as the assistant writes it
+    //   tool_call  { id, type, name, status }        - a tool call started ('running') or finished ('completed')
+    //   done       { response, content, runId, messageId, designSpec, incomplete, redactions, credits }
+    //                                                - the run answered; `messageId` is the reply to rate with
+    //                                                  POST /api/messages/:messageId/feedback; the rest as for /api/chat
+    //   error      { error, details, code }          - the run failed, was cancelled or timed out, or the request errored
+    app.post('/api/chat/stream', checkJwt, limitUser, async (req, res) => {
+        const { threadId, fileIds, profile: profileId } = req.body;
+        const userId = req.auth.payload.sub;
+
+        if (!threadId || !req.body.message) {
+            return res.status(400).json({ error: 'threadId and message are required' });
+        }
+        const { text: message, redactions } = guardMessage(req.body.message, threadId);
+        logger.info('streaming chat request', { threadId, message, files: Array.isArray(fileIds) ? fileIds.length : 0 });
+        // Throw 400 UNKNOWN_ASSISTANT_PROFILE / INVALID_INSTRUCTIONS ApiErrors or GuardrailErrors before anything is charged.
+        const profile = assistants.resolve(profileId);
+        const instructions = guardInstructions(req.body.instructions, threadId);
+
+        // Same ownership, thread lock and credit checks as /api/chat; these still answer with plain JSON errors.
+        await threads.assertOwner(threadId, userId);
+        const attachedFiles = await resolveAttachments(fileIds, userId, threadId);
+        const activeRun = startRun(req, res, userId, threadId);
+        const charge = await chargeMessage(userId, threadId, activeRun);
+        const refundMessage = (reason) => credits.grant(userId, credits.pricing.chatRun, 'refund', { threadId, reason });
+
+        const send = openSseResponse(res);
+
+        try {
+            const run = await runAssistant({ userId, threadId, message, attachedFiles, onEvent: send, activeRun, profile, instructions });
+
+            const failure = runError(run, activeRun.reason);
+            if (failure) {
+                logger.error('assistant run did not answer', { threadId, runId: run.id, status: run.status, lastError: run.lastError, reason: activeRun.reason });
+                await refundMessage(`run_${run.status}`);
+                await chargeUsage(userId, threadId, run, null);
+                send('error', failure.toJSON());
+                return res.end();
+            }
+
+            const balance = await chargeUsage(userId, threadId, run, charge.balanceAfter);
+
+            const { content, reply } = await runContent(userId, threadId, run.id);
+            const response = content.length > 0 ? contentText(content) : run.text;
+            send('done', { response, content, runId: run.id, ...reply, ...await runDesignSpec(run.id), ...(run.status === 'incomplete' ? { incomplete: true } : {}), ...(Object.keys(redactions).length > 0 ? { redactions } : {}), credits: { balance } });
+            res.end();
+            titleThread(threadId, message, response);
+
+        } catch (error) {
+            logger.error('error streaming assistant response', { threadId, error });
+            await refundMessage('request_failed');
+            send('error', {
+                error: 'Failed to get assistant response',
+                details: error.message,
+                code: error.code || 'UNKNOWN_ERROR'
+            });
+            res.end();
+        } finally {
+            activeRun.finish();
+        }
+    });
+
+    // Cancel a run on the thread. Runs this server is driving are stopped through their request,
+    // which then answers with a RUN_CANCELLED error; others are cancelled at the provider directly.
+    app.post('/api/threads/:threadId/runs/:runId/cancel', checkJwt, requireThreadOwner, async (req, res) => {
+        const { threadId, runId } = req.params;
+
+        const activeRun = runs.get(threadId, runId);
+        if (activeRun) {
+            activeRun.abort('user_cancelled');
+            logger.info('run cancelled by user', { threadId, runId });
+            return res.status(202).json({ runId, status: 'cancelling' });
+        }
+
+        if (!provider.cancelRun) {
+            throw new ApiError(404, 'RUN_NOT_FOUND', 'Run not found', `No active run ${runId} on this thread.`);
+        }
+        try {
+            const run = await provider.cancelRun(threadId, runId);
+            res.status(202).json({ runId, status: run.status });
+        } catch (error) {
+            if (error.upstreamStatus === 404) {
+                throw new ApiError(404, 'RUN_NOT_FOUND', 'Run not found', `No run ${runId} on this thread.`);
+            }
+            if (error.upstreamStatus === 400) {
+                throw new ApiError(409, 'RUN_NOT_ACTIVE', 'Run is not active', `Run ${runId} has already finished.`);
+            }
+            logger.error('error cancelling run', { threadId, runId, error });
+            sendProviderError(res, error, 'Failed to cancel run');
+        }
+    });
+
+    // --- Thread Management ---
+    const toThreadSummary = ({ id, title, archived, createdAt, lastUsedAt }) => ({ id, title, archived: Boolean(archived), createdAt, lastUsedAt });
+
+    // `?archived=true` lists archived threads and `?archived=all` every thread; the default is active threads.
+    app.get('/api/threads', checkJwt, async (req, res) => {
+        const userId = req.auth.payload.sub;
+        const archived = req.query.archived === 'all' ? 'all' : req.query.archived === 'true';
+        const ownedThreads = await threads.listForOwner(userId, { archived });
+        res.status(200).json({
+            threads: ownedThreads.map(toThreadSummary)
+        });
+    });
+
+    // Rename (`title`) or archive/unarchive (`archived`) a thread. A null title clears it.
+    app.patch('/api/threads/:threadId', checkJwt, requireThreadOwner, async (req, res) => {
+        const { threadId } = req.params;
+        const { title, archived } = req.body || {};
+        const changes = {};
+
+        if (title !== undefined) {
+            if (title !== null && (typeof title !== 'string' || !title.trim() || title.trim().length > MAX_TITLE_LENGTH)) {
+                throw new ApiError(400, 'INVALID_THREAD_UPDATE', 'Invalid thread update', `title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters, or null.`);
+            }
+            changes.title = title === null ? null : title.trim();
+            changes.titleSource = title === null ? null : 'user';
+        }
+        if (archived !== undefined) {
+            if (typeof archived !== 'boolean') {
+                throw new ApiError(400, 'INVALID_THREAD_UPDATE', 'Invalid thread update', 'archived must be true or false.');
+            }
+            changes.archived = archived;
+        }
+        if (Object.keys(changes).length === 0) {
+            throw new ApiError(400, 'INVALID_THREAD_UPDATE', 'Invalid thread update', 'Send a title and/or archived.');
+        }
+
+        const thread = await threads.update(threadId, changes);
+        res.status(200).json({ thread: toThreadSummary(thread) });
+    });
+
+    // Delete a thread here and at the provider (the Azure thread and its messages).
+    // A thread with a run going is refused with a 409 RUN_IN_PROGRESS: the run would go on to store
+    // and bill its reply against a thread that no longer exists. The thread's run lock is held while
+    // deleting, so no chat can start on it meanwhile.
+    app.delete('/api/threads/:threadId', checkJwt, requireThreadOwner, async (req, res) => {
+        const { threadId } = req.params;
+        const lock = runs.start({ userId: req.auth.payload.sub, threadId });
+
+        try {
+            try {
+                await provider.deleteThread(threadId);
+            } catch (error) {
+                logger.error('error deleting thread', { threadId, error });
+                return sendProviderError(res, error, 'Failed to delete thread');
+            }
+
+            await threads.remove(threadId);
+            await files.removeForThread(threadId);
+            await designSpecs.removeForThread(threadId);
+            await feedback.removeForThread(threadId);
+        } finally {
+            lock.finish();
+        }
+        logger.info('thread deleted', { threadId });
+        res.status(200).json({ id: threadId, deleted: true });
+    });
+
+    // Page through a thread's history, newest page first, each page in chronological order.
+    // Pass the returned `nextCursor` as `cursor` to get the page of older messages.
+    app.get('/api/threads/:threadId/messages', checkJwt, requireThreadOwner, async (req, res) => {
+        const { threadId } = req.params;
+        const userId = req.auth.payload.sub;
+        const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            throw new ApiError(400, 'INVALID_LIMIT', 'Invalid limit', 'limit must be an integer from 1 to 100.');
+        }
+        const cursor = typeof req.query.cursor === 'string' && req.query.cursor ? req.query.cursor : undefined;
+
+        try {
+            const page = await provider.listMessages(threadId, { limit, after: cursor });
+            const messages = [];
+            for (const message of [...page.data].reverse()) {
+                messages.push(await toApiMessage(userId, threadId, message));
+            }
+            res.status(200).json({
+                messages: await withFeedback(userId, threadId, await withDesignSpecs(messages)),
+                hasMore: page.hasMore,
+                nextCursor: page.hasMore && page.data.length > 0 ? page.data[page.data.length - 1].id : null,
+            });
+
+        } catch (error) {
+            logger.error('error retrieving messages', { threadId, error });
+            sendProviderError(res, error, 'Failed to retrieve messages');
+        }
+    });
+
+    // Download the whole thread: `?format=markdown|json|html` (html is a print-ready report;
+    // print it to PDF). `?title=` sets the project title in the header, defaulting to the thread's title.
+    app.get('/api/threads/:threadId/export', checkJwt, requireThreadOwner, async (req, res) => {
+        const { threadId } = req.params;
+        const userId = req.auth.payload.sub;
+        const format = req.query.format === undefined ? 'markdown' : req.query.format;
+        if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+            throw new ApiError(400, 'INVALID_EXPORT_FORMAT', 'Invalid export format', `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+        }
+        const requestedTitle = typeof req.query.title === 'string' ? req.query.title.trim().slice(0, 120) : '';
+        const thread = await threads.get(threadId);
+
+        const messages = [];
+        try {
+            let after;
+            do {
+                const page = await provider.listMessages(threadId, { limit: 100, after });
+                for (const message of page.data) {
+                    messages.push(await toApiMessage(userId, threadId, message));
+                }
+                after = page.hasMore && page.data.length > 0 ? page.data[page.data.length - 1].id : undefined;
+            } while (after);
+        } catch (error) {
+            logger.error('error exporting thread', { threadId, error });
+            return sendProviderError(res, error, 'Failed to export thread');
+        }
+
+        const transcript = {
+            projectTitle: requestedTitle || thread.title || 'Scaffold design conversation',
+            thread: toThreadSummary(thread),
+            exportedAt: new Date().toISOString(),
+            messages: messages.reverse(),
+        };
+        const disposition = format === 'html' ? 'inline' : 'attachment';
+        res.set('Content-Disposition', `${disposition}; filename="${exportFilename(transcript.projectTitle, format)}"`);
+        res.type(EXPORT_FORMATS[format].contentType).send(renderTranscript(transcript, format));
+    });
+
+    // --- Feedback ---
+    // Thumbs up/down (and an optional comment) on an assistant reply, stored with its prompt and
+    // response for the evaluation dataset (see lib/feedback.js and the admin export below).
+
+    // The assistant message `messageId` in the thread and the user message it answers, as text.
+    async function findExchange(threadId, messageId) {
+        let after;
+        let reply = null;
+        do {
+            const page = await provider.listMessages(threadId, { limit: 100, after });
+            for (const message of page.data) {
+                if (!reply && message.id === messageId && message.role === 'assistant') {
+                    reply = message;
+                } else if (reply && message.role === 'user') {
+                    return { reply, prompt: message };
+                }
+            }
+            after = page.hasMore && page.data.length > 0 ? page.data[page.data.length - 1].id : undefined;
+        } while (after);
+        return reply ? { reply, prompt: null } : null;
+    }
+
+    // Body: { threadId, rating: 'up' | 'down', comment }. Rating a reply again replaces the earlier rating.
+    app.post('/api/messages/:messageId/feedback', checkJwt, async (req, res) => {
+        const { messageId } = req.params;
+        const { threadId } = req.body || {};
+        const userId = req.auth.payload.sub;
+        if (typeof threadId !== 'string' || !threadId) {
+            throw new ApiError(400, 'INVALID_FEEDBACK', 'Invalid feedback', 'threadId is required.');
+        }
+        const { rating, comment } = parseFeedback(req.body);
+        await threads.assertOwner(threadId, userId);
+
+        let exchange;
+        try {
+            exchange = await findExchange(threadId, messageId);
+        } catch (error) {
+            logger.error('error retrieving messages for feedback', { threadId, messageId, error });
+            return sendProviderError(res, error, 'Failed to record feedback');
+        }
+        if (!exchange) {
+            throw new ApiError(404, 'MESSAGE_NOT_FOUND', 'Message not found', 'There is no assistant message with that ID in this thread.');
+        }
+
+        const promptText = exchange.prompt ? contentText(toContentParts({ ...exchange.prompt, attachments: [] })) : null;
+        const record = await feedback.rate(userId, {
+            messageId,
+            threadId,
+            runId: exchange.reply.run_id || null,
+            prompt: promptText,
+            response: contentText(toContentParts(exchange.reply)),
+        }, { rating, comment });
+        logger.info('feedback recorded', { threadId, messageId, runId: record.runId, profile: record.profile, rating });
+        res.status(200).json({ feedback: toFeedbackSummary(record) });
+    });
+
+    // --- File Uploads ---
+    // Files are uploaded to a thread first and then attached to a chat message by ID (`fileIds`).
+    const upload = createUploadMiddleware(config.uploads);
+
+    app.post('/api/threads/:threadId/files', checkJwt, limitUser, requireThreadOwner, upload, async (req, res) => {
+        const { threadId } = req.params;
+        const userId = req.auth.payload.sub;
+
+        if (!req.files || req.files.length === 0) {
+            throw new ApiError(400, 'NO_FILES', 'No files uploaded', 'Send the files as multipart/form-data in the "files" field.');
+        }
+        // Check every file before uploading any, so a bad file rejects the whole batch.
+        const checked = req.files.map(file => ({ ...validateUpload(file), buffer: file.buffer, bytes: file.size }));
+
+        try {
+            const uploaded = [];
+            for (const { filename, mimeType, tools, buffer, bytes } of checked) {
+                const { id } = await provider.uploadFile({ filename, mimeType, buffer });
+                uploaded.push(await files.create(userId, { id, threadId, filename, mimeType, bytes, tools }));
+            }
+            logger.info('files uploaded', { threadId, files: uploaded.length });
+            res.status(201).json({ files: uploaded.map(toFileSummary) });
+
+        } catch (error) {
+            if (error instanceof ApiError) {
+                throw error;
+            }
+            logger.error('error uploading file', { threadId, error });
+            sendProviderError(res, error, 'Failed to upload file');
+        }
+    });
+
+    app.get('/api/threads/:threadId/files', checkJwt, requireThreadOwner, async (req, res) => {
+        const threadFiles = await files.listForThread(req.params.threadId);
+        res.status(200).json({ files: threadFiles.map(toFileSummary) });
+    });
+
+    // Download a file the user uploaded or the assistant generated for them (images, CSVs, citations),
+    // streamed from the provider's file store. Other users' files are reported as not found.
+    app.get('/api/files/:fileId/content', checkJwt, async (req, res) => {
+        const { fileId } = req.params;
+        const file = await files.get(fileId);
+        if (!file || file.ownerId !== req.auth.payload.sub) {
+            throw new ApiError(404, 'FILE_NOT_FOUND', 'File not found', `No file with id '${fileId}'.`);
+        }
+
+        try {
+            const download = await provider.downloadFile(fileId);
+            const filename = file.filename || download.filename || fileId;
+            res.attachment(filename);
+            if (download.contentType) {
+                res.type(download.contentType);
+            }
+            res.set('Cache-Control', 'private, max-age=3600');
+            res.status(200).send(download.buffer);
+
+        } catch (error) {
+            logger.error('error downloading file', { fileId: req.params.fileId, error });
+            sendProviderError(res, error, 'Failed to download file');
+        }
+    });
+
+    app.get('/api/credits', checkJwt, async (req, res) => {
+        const userId = req.auth.payload.sub;
+        const limit = req.query.limit === undefined ? 50 : Math.min(Number(req.query.limit) || 0, 200);
+        res.status(200).json({
+            balance: await credits.getBalance(userId),
+            history: await credits.getHistory(userId, { limit })
+        });
+    });
+
+    // --- Credit Purchases ---
+    // See lib/payments.js for the flow. Without `payments` config the packages are listed but can't be bought.
+    const payments = config.payments || null;
+    const creditPackages = (payments && payments.packages) || DEFAULT_CREDIT_PACKAGES;
+
+    app.get('/api/credit-packages', checkJwt, async (req, res) => {
+        res.status(200).json({ packages: creditPackages, purchasesEnabled: Boolean(payments) });
+    });
+
+    // Start buying a package: returns the pending purchase and the checkout page to send the user to.
+    app.post('/api/checkout', checkJwt, async (req, res) => {
+        const userId = req.auth.payload.sub;
+        if (!payments) {
+            throw new ApiError(503, 'PAYMENTS_DISABLED', 'Purchases are not available', 'This server is not set up to take payments.');
+        }
+        const creditPackage = creditPackages.find(candidate => candidate.id === req.body.packageId);
+        if (!creditPackage) {
+            throw new ApiError(400, 'UNKNOWN_PACKAGE', 'Unknown credit package', `packageId must be one of: ${creditPackages.map(candidate => candidate.id).join(', ')}.`);
+        }
+        const purchase = await purchases.create(userId, creditPackage);
+        logger.info('checkout started', { purchaseId: purchase.id, packageId: purchase.packageId });
+        res.status(201).json({
+            purchase: toPurchaseSummary(purchase),
+            checkoutUrl: payments.checkoutUrl.replace('{reference}', encodeURIComponent(purchase.id)),
+        });
+    });
+
+    // A purchase's status, for the client to poll while the user pays. Other users' purchases are not found.
+    app.get('/api/checkout/:purchaseId', checkJwt, async (req, res) => {
+        const purchase = await purchases.get(req.params.purchaseId);
+        if (!purchase || purchase.userId !== req.auth.payload.sub) {
+            throw new ApiError(404, 'PURCHASE_NOT_FOUND', 'Purchase not found');
+        }
+        res.status(200).json({ purchase: toPurchaseSummary(purchase), balance: await credits.getBalance(purchase.userId) });
+    });
+
+    // Called by the payment provider, not the browser: authenticated by the signature instead of a token.
+    // Anything that gets past the signature check is acknowledged with a 200 so the provider stops retrying.
+    app.post('/api/payments/webhook', async (req, res) => {
+        if (!payments) {
+            throw new ApiError(503, 'PAYMENTS_DISABLED', 'Purchases are not available', 'This server is not set up to take payments.');
+        }
+        verifySignature(payments.webhookSecret, req.get(SIGNATURE_HEADER), req.rawBody);
+        const event = parsePaymentEvent(req.body);
+        const { outcome, purchase } = await purchases.applyEvent(event);
+        const log = outcome === 'credited' || outcome === 'failed' || outcome === 'duplicate' ? logger.info : logger.warn;
+        log('payment event', { eventId: event.id, type: event.type, outcome, purchaseId: purchase && purchase.id, userId: purchase && purchase.userId });
+        res.status(200).json({ received: true, outcome });
+    });
+
+    // Who the caller is and what their token lets them do, so the client can show the admin panel.
+    app.get('/api/me', checkJwt, async (req, res) => {
+        res.status(200).json({
+            userId: req.auth.payload.sub,
+            permissions: tokenPermissions(req.auth.payload),
+        });
+    });
+
+    // The assistant profiles a chat request can pick with `profile`; requests without one use the `default` profile.
+    app.get('/api/assistants', checkJwt, async (req, res) => {
+        res.status(200).json({ assistants: assistants.list() });
+    });
+
+    // --- Admin ---
+    // For operators: needs `admin:usage` to look at users, `admin:credits` to change balances
+    // and `admin:users` to disable accounts (see lib/permissions.js).
+    const toUsageTotals = ({ runs, failedRuns, promptTokens, completionTokens, totalTokens }) => ({ runs, failedRuns, promptTokens, completionTokens, totalTokens });
+
+    async function userSummary(userId) {
+        const user = await users.get(userId);
+        const owned = await threads.listForOwner(userId, { archived: 'all' });
+        return {
+            userId,
+            balance: await credits.getBalance(userId),
+            disabled: Boolean(user && user.disabled),
+            threadCount: owned.length,
+            lastActiveAt: owned.length > 0 ? owned[0].lastUsedAt : null,
+            usage: user ? toUsageTotals(user.usage) : null,
+        };
+    }
+
+    app.get('/api/admin/users', checkJwt, requirePermissions(ADMIN_PERMISSIONS.usage), async (req, res) => {
+        const summaries = [];
+        for (const userId of await users.listIds()) {
+            summaries.push(await userSummary(userId));
+        }
+        res.status(200).json({ users: summaries });
+    });
+
+    // One user's account, daily usage, recent credit history and threads.
+    app.get('/api/admin/users/:userId', checkJwt, requirePermissions(ADMIN_PERMISSIONS.usage), async (req, res) => {
+        const { userId } = req.params;
+        const user = await users.get(userId);
+        const owned = await threads.listForOwner(userId, { archived: 'all' });
+        res.status(200).json({
+            user: {
+                ...await userSummary(userId),
+                disabledAt: user ? user.disabledAt || null : null,
+                disabledBy: user ? user.disabledBy || null : null,
+                disabledReason: user ? user.disabledReason || null : null,
+            },
+            usageByDay: user ? Object.entries(user.usage.byDay).map(([day, totals]) => ({ day, ...totals })).sort((a, b) => b.day.localeCompare(a.day)) : [],
+            history: await credits.getHistory(userId, { limit: 50 }),
+            threads: owned.map(toThreadSummary),
+        });
+    });
+
+    // Grant credits (positive `amount`) or revoke them (negative). `note` is kept in the ledger entry.
+    app.post('/api/admin/users/:userId/credits', checkJwt, requirePermissions(ADMIN_PERMISSIONS.credits), async (req, res) => {
+        const { userId } = req.params;
+        const { amount, note } = req.body || {};
+        if (typeof amount !== 'number' || !Number.isFinite(amount) || amount === 0 || Math.abs(amount) > 1000000) {
+            throw new ApiError(400, 'INVALID_CREDIT_ADJUSTMENT', 'Invalid credit adjustment', 'amount must be a non-zero number of credits; negative amounts revoke credits.');
+        }
+        if (note !== undefined && (typeof note !== 'string' || note.length > 200)) {
+            throw new ApiError(400, 'INVALID_CREDIT_ADJUSTMENT', 'Invalid credit adjustment', 'note must be a string of at most 200 characters.');
+        }
+        const meta = { by: req.auth.payload.sub, ...(note ? { note } : {}) };
+        const revoke = async () => {
+            try {
+                return await credits.charge(userId, -amount, 'admin_revoke', meta);
+            } catch (error) {
+                // The admin's request is what's wrong here, not the user's credits.
+                if (error instanceof ApiError && error.code === 'INSUFFICIENT_CREDITS') {
+                    throw new ApiError(400, 'REVOKE_EXCEEDS_BALANCE', 'Cannot revoke more than the balance',
+                        `The user has ${error.details.balance} credits; revoke at most that many.`);
+                }
+                throw error;
+            }
+        };
+        const entry = amount > 0 ? await credits.grant(userId, amount, 'admin_grant', meta) : await revoke();
+        logger.info('credits adjusted by admin', { targetUserId: userId, amount, balance: entry.balanceAfter });
+        res.status(200).json({ balance: entry.balanceAfter, entry });
+    });
+
+    // Disable or re-enable a user. Disabled users are refused on every authenticated route.
+    app.patch('/api/admin/users/:userId', checkJwt, requirePermissions(ADMIN_PERMISSIONS.users), async (req, res) => {
+        const { userId } = req.params;
+        const { disabled, reason } = req.body || {};
+        if (typeof disabled !== 'boolean') {
+            throw new ApiError(400, 'INVALID_USER_UPDATE', 'Invalid user update', 'disabled must be true or false.');
+        }
+        if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 200)) {
+            throw new ApiError(400, 'INVALID_USER_UPDATE', 'Invalid user update', 'reason must be a string of at most 200 characters.');
+        }
+        if (disabled && userId === req.auth.payload.sub) {
+            throw new ApiError(400, 'CANNOT_DISABLE_SELF', 'Invalid user update', 'You cannot disable your own account.');
+        }
+        await users.setDisabled(userId, disabled, { by: req.auth.payload.sub, reason: reason || null });
+        logger.info(disabled ? 'user disabled by admin' : 'user enabled by admin', { targetUserId: userId });
+        res.status(200).json({ user: await userSummary(userId) });
+    });
+
+    // The ratings as an evaluation dataset: JSON Lines of { prompt, response, rating, comment,
+    // profile, runId, threadId, messageId, ratedAt }, oldest first. `?rating=up|down`,
+    // `?profile=` and `?since=` (an ISO date) narrow it down.
+    app.get('/api/admin/feedback/export', checkJwt, requirePermissions(ADMIN_PERMISSIONS.usage), async (req, res) => {
+        const { rating, profile, since } = req.query;
+        if (rating !== undefined && !RATINGS.includes(rating)) {
+            throw new ApiError(400, 'INVALID_FILTER', 'Invalid filter', `rating must be one of: ${RATINGS.join(', ')}.`);
+        }
+        if (since !== undefined && Number.isNaN(Date.parse(since))) {
+            throw new ApiError(400, 'INVALID_FILTER', 'Invalid filter', 'since must be an ISO date, e.g. 2025-01-31.');
+        }
+        const records = await feedback.list({
+            rating,
+            profile: typeof profile === 'string' && profile ? profile : undefined,
+            since: since === undefined ? undefined : new Date(since).toISOString(),
+        });
+        res.set('Content-Disposition', `attachment; filename="feedback-${new Date().toISOString().slice(0, 10)}.jsonl"`);
+        res.type('application/x-ndjson').send(records.map(record => `${JSON.stringify(toEvaluationRecord(record))}\n`).join(''));
+    });
+
+    // --- Metrics ---
+    // Prometheus scrape endpoint. Labels include user IDs, so scrapers must send `metricsToken`
+    // as a bearer token; without one configured there is no endpoint.
+    if (config.metricsToken) {
+        // Compare digests so the check takes the same time however much of the token matches.
+        const digest = (value) => crypto.createHash('sha256').update(value).digest();
+        const expected = digest(config.metricsToken);
+        app.get('/metrics', (req, res) => {
+            const [scheme, token] = (req.get('Authorization') || '').split(' ');
+            if (scheme !== 'Bearer' || !token || !crypto.timingSafeEqual(digest(token), expected)) {
+                res.set('WWW-Authenticate', 'Bearer');
+                return res.status(401).json({ error: 'Unauthorized', details: 'A valid metrics token is required.', code: 'INVALID_METRICS_TOKEN' });
+            }
+            res.type('text/plain; version=0.0.4').send(metrics.render());
+        });
+    }
+
+    // --- Error Handling Middleware (Optional, but good practice) ---
+    app.use(function (err, req, res, next) {
+        if (err instanceof ApiError) {
+            return res.status(err.status).json(err.toJSON());
+        }
+        if (err instanceof UpstreamError) {
+            logger.error('upstream error', { error: err });
+            return sendProviderError(res, err, 'Upstream service error');
+        }
+        // The bearer middleware's errors (missing, expired or badly signed tokens) all extend UnauthorizedError.
+        if (err instanceof UnauthorizedError || err.name === 'UnauthorizedError') {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                details: 'Invalid or missing token.'
+            });
+        }
+        next(err); // Pass other errors to the default Express error handler
+    });
+
+    return app;
+}
+
+module.exports = { createApp };
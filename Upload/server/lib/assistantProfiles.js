@@ -0,0 +1,158 @@
+// Assistant profiles: the modes a user can pick for a message, such as a quick quote or a
+// safety review. Each profile can run on its own Azure assistant or model, add instructions
+// to the run and narrow the tools the model is offered.
+//
+// A profile is `{ id, name, description, assistantId?, model?, instructions?, tools? }`:
+//   assistantId   - Azure assistant for the run (default: the provider's AZURE_OPENAI_ASSISTANT_ID)
+//   model         - model or deployment for the run (default: the assistant's, or CHAT_COMPLETIONS_MODEL)
+//   instructions  - sent as the run's `additional_instructions`, on top of the assistant's own
+//   tools         - names of the function tools (see lib/tools) and built-in tools
+//                   (`file_search`, `code_interpreter`) to offer; leave it out to keep the
+//                   assistant's configured tools
+// The first profile in the catalog is the default.
+const { ApiError } = require('./errors');
+
+const BUILT_IN_TOOLS = ['file_search', 'code_interpreter'];
+
+const DEFAULT_ASSISTANT_PROFILES = [
+    {
+        id: 'general',
+        name: 'General',
+        description: 'Scaffold design help with every tool available.',
+    },
+    {
+        id: 'quick-quote',
+        name: 'Quick quote',
+        description: 'A fast layout and component take-off for pricing.',
+        instructions: 'The user wants a quick quote. Ask at most one clarifying question, use standard assumptions for anything '
+            + 'missing and say which you used. Run scaffold_layout and scaffold_takeoff, submit the design with submit_design_spec '
+            + 'and keep the reply to a short summary.',
+        tools: ['scaffold_layout', 'scaffold_takeoff', 'submit_design_spec', 'file_search'],
+    },
+    {
+        id: 'design-check',
+        name: 'Detailed design check',
+        description: 'Checks a proposed design in detail: layout, loads, ties and components.',
+        instructions: 'The user wants a detailed design check. Work through layout, load class, tie spacing and the component list, '
+            + 'show the figures each check is based on and flag anything that needs a bespoke design.',
+        tools: ['scaffold_layout', 'scaffold_takeoff', 'scaffold_load_check', 'scaffold_tie_spacing', 'submit_design_spec', 'file_search', 'code_interpreter'],
+    },
+    {
+        id: 'safety-review',
+        name: 'Safety & compliance review',
+        description: 'Reviews a scaffold against TG20 and BS EN 12811-1 and lists the actions needed.',
+        instructions: 'The user wants a safety and compliance review. Assess the scaffold against TG20 and BS EN 12811-1: load class, '
+            + 'ties, guardrails, toe boards, access and inspection. List each finding with its severity and the action needed, '
+            + 'and do not propose a new design unless asked.',
+        tools: ['scaffold_load_check', 'scaffold_tie_spacing', 'file_search'],
+    },
+];
+
+// JSON schema for a catalog read from ASSISTANT_PROFILES_FILE (see lib/config.js).
+const ASSISTANT_PROFILES_SCHEMA = {
+    type: 'array',
+    minItems: 1,
+    items: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{0,39}$' },
+            name: { type: 'string', minLength: 1, maxLength: 60 },
+            description: { type: 'string', maxLength: 300 },
+            assistantId: { type: 'string', pattern: '^asst_\\w+$' },
+            model: { type: 'string', minLength: 1 },
+            instructions: { type: 'string', maxLength: 10000 },
+            tools: { type: 'array', items: { type: 'string' }, uniqueItems: true },
+        },
+        required: ['id', 'name'],
+        additionalProperties: false,
+    },
+};
+
+// Longest `instructions` a chat request may add to its run.
+const MAX_REQUEST_INSTRUCTIONS = 2000;
+
+/**
+ * The catalog the chat routes pick profiles from. `functionTools` are the names of the
+ * function tools that exist (toolRegistry.names()); a profile offering any other tool is a
+ * configuration mistake and throws here, when the app starts.
+ */
+function createAssistantCatalog(profiles = DEFAULT_ASSISTANT_PROFILES, { functionTools }) {
+    const byId = new Map();
+    for (const profile of profiles) {
+        if (byId.has(profile.id)) {
+            throw new Error(`Assistant profile "${profile.id}" is defined more than once.`);
+        }
+        const unknown = (profile.tools || []).filter(name => !functionTools.includes(name) && !BUILT_IN_TOOLS.includes(name));
+        if (unknown.length > 0) {
+            throw new Error(`Assistant profile "${profile.id}" offers unknown tools: ${unknown.join(', ')}.`);
+        }
+        byId.set(profile.id, profile);
+    }
+    const defaultProfile = profiles[0];
+
+    return {
+        // What GET /api/assistants lists. Assistant IDs, models and instructions stay server-side.
+        list() {
+            return profiles.map(profile => ({
+                id: profile.id,
+                name: profile.name,
+                description: profile.description || '',
+                default: profile === defaultProfile,
+            }));
+        },
+
+        // The profile a chat request asked for; no `profileId` means the default one.
+        resolve(profileId) {
+            if (profileId === undefined || profileId === null || profileId === '') {
+                return defaultProfile;
+            }
+            const profile = typeof profileId === 'string' && byId.get(profileId);
+            if (!profile) {
+                throw new ApiError(400, 'UNKNOWN_ASSISTANT_PROFILE', 'Unknown assistant profile',
+                    `profile must be one of: ${profiles.map(p => p.id).join(', ')}.`);
+            }
+            return profile;
+        },
+    };
+}
+
+// Check the `instructions` a chat request adds to its run; returns the trimmed text or undefined.
+function requestInstructions(instructions) {
+    if (instructions === undefined || instructions === null) {
+        return undefined;
+    }
+    if (typeof instructions !== 'string' || instructions.length > MAX_REQUEST_INSTRUCTIONS) {
+        throw new ApiError(400, 'INVALID_INSTRUCTIONS', 'Invalid instructions',
+            `instructions must be a string of at most ${MAX_REQUEST_INSTRUCTIONS} characters.`);
+    }
+    return instructions.trim() || undefined;
+}
+
+/**
+ * Provider run options for `profile` (see lib/providers/index.js): the assistant and model
+ * to run, its additional instructions (the profile's, then the request's own), and the tools.
+ * `tools` are the offered function definitions; `builtInTools` is only set when the profile
+ * narrows the tools, so an unrestricted profile keeps the assistant's own configuration.
+ */
+function runOptionsFor(profile, toolRegistry, extraInstructions) {
+    const additionalInstructions = [profile.instructions, extraInstructions].filter(Boolean).join('\n\n') || undefined;
+    if (!profile.tools) {
+        return { assistantId: profile.assistantId, model: profile.model, additionalInstructions, tools: toolRegistry.definitions() };
+    }
+    return {
+        assistantId: profile.assistantId,
+        model: profile.model,
+        additionalInstructions,
+        tools: toolRegistry.definitions(profile.tools.filter(name => !BUILT_IN_TOOLS.includes(name))),
+        builtInTools: profile.tools.filter(name => BUILT_IN_TOOLS.includes(name)),
+    };
+}
+
+module.exports = {
+    DEFAULT_ASSISTANT_PROFILES,
+    ASSISTANT_PROFILES_SCHEMA,
+    BUILT_IN_TOOLS,
+    createAssistantCatalog,
+    requestInstructions,
+    runOptionsFor,
+};
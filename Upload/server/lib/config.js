@@ -0,0 +1,303 @@
+// Server configuration, read from environment variables (and .env) in one place.
+//
+// The variables are checked against a JSON schema before anything starts, and every
+// problem is reported at once (`ConfigError.problems`), e.g. "PORT must be a port number"
+// or "AZURE_OPENAI_ASSISTANT_ID is required when LLM_PROVIDER is azure-assistants".
+// Empty variables count as unset.
+const crypto = require('crypto');
+const fs = require('fs');
+const Ajv = require('ajv');
+const { ASSISTANT_PROFILES_SCHEMA } = require('./assistantProfiles');
+const { DENY_LIST_SCHEMA, PII_KINDS, invalidPatterns, DEFAULT_MAX_MESSAGE_LENGTH, DEFAULT_MAX_TOOL_OUTPUT_LENGTH } = require('./guardrails');
+const { DEFAULT_API_VERSION: DEFAULT_AZURE_API_VERSION } = require('./providers/azureAssistants');
+
+const DEFAULT_CORS_ORIGINS = ['http://localhost:5173'];
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+const url = (description) => ({ type: 'string', pattern: '^https?://\\S+$', description: description || 'an http(s) URL' });
+const count = (defaultValue) => ({ type: 'integer', minimum: 0, default: defaultValue, description: 'a whole number, 0 or more' });
+const amount = (defaultValue) => ({ type: 'number', minimum: 0, default: defaultValue, description: 'a number, 0 or more' });
+
+const ENV_SCHEMA = {
+    type: 'object',
+    properties: {
+        NODE_ENV: { type: 'string' },
+        PORT: { type: 'integer', minimum: 1, maximum: 65535, default: 3000, description: 'a port number' },
+
+        // Comma-separated browser origins allowed by CORS, e.g. "https://me.github.io,http://localhost:5173".
+        CORS_ORIGINS: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', pattern: '^https?://[^/\\s]+$', description: 'an origin like https://example.com (scheme and host, no path)' },
+        },
+
+        // 'dev' signs users in locally without Auth0 (see lib/devAuth.js); refused in production.
+        AUTH_MODE: { enum: ['auth0', 'dev'], default: 'auth0' },
+        AUTH0_ISSUER_BASE_URL: url(),
+        AUTH0_AUDIENCE: { type: 'string' },
+        // Signs development tokens; without it a random secret is used and tokens end with the process.
+        DEV_AUTH_SECRET: { type: 'string', minLength: 32, description: 'at least 32 characters' },
+
+        LLM_PROVIDER: { enum: ['azure-assistants', 'chat-completions'], default: 'azure-assistants' },
+        AZURE_OPENAI_API_KEY: { type: 'string' },
+        AZURE_OPENAI_ENDPOINT: url(),
+        AZURE_OPENAI_API_VERSION: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}(-preview)?$', default: DEFAULT_AZURE_API_VERSION, description: 'an API version like 2024-05-01-preview' },
+        AZURE_OPENAI_ASSISTANT_ID: { type: 'string', pattern: '^asst_\\w+$', description: 'an assistant ID like asst_abc123' },
+        AZURE_OPENAI_SUMMARY_DEPLOYMENT: { type: 'string' },
+        CHAT_COMPLETIONS_BASE_URL: url(),
+        CHAT_COMPLETIONS_API_KEY: { type: 'string' },
+        CHAT_COMPLETIONS_MODEL: { type: 'string' },
+        CHAT_COMPLETIONS_API_VERSION: { type: 'string' },
+        CHAT_COMPLETIONS_SYSTEM_PROMPT: { type: 'string' },
+        // JSON file with the assistant profiles users can pick (see lib/assistantProfiles.js).
+        ASSISTANT_PROFILES_FILE: { type: 'string' },
+
+        // Credit purchases (see lib/payments.js); both or neither must be set.
+        PAYMENT_WEBHOOK_SECRET: { type: 'string', minLength: 16, description: 'at least 16 characters' },
+        PAYMENT_CHECKOUT_URL: { type: 'string', pattern: '^https?://\\S*\\{reference\\}\\S*$', description: 'an http(s) URL containing {reference}' },
+
+        // Bearer token for scraping /metrics; without it there is no /metrics endpoint.
+        METRICS_TOKEN: { type: 'string', minLength: 16, description: 'at least 16 characters' },
+
+        DATA_STORE: { enum: ['json', 'memory'], default: 'json' },
+        DATA_FILE: { type: 'string' },
+
+        UPSTREAM_TIMEOUT_MS: count(30000),
+        UPSTREAM_MAX_RETRIES: count(3),
+        CREDITS_INITIAL_BALANCE: amount(20),
+        CREDITS_THREAD_COST: amount(1),
+        CREDITS_MESSAGE_COST: amount(1),
+        CREDITS_PER_1K_PROMPT_TOKENS: amount(0),
+        CREDITS_PER_1K_COMPLETION_TOKENS: amount(0),
+        TOOL_TIMEOUT_MS: count(10000),
+        UPLOAD_MAX_FILE_MB: amount(20),
+        UPLOAD_MAX_FILES: count(5),
+        MAX_RUN_DURATION_MS: count(120000),
+        RATE_LIMIT_WINDOW_MS: count(60000),
+        RATE_LIMIT_MAX_REQUESTS: count(30),
+        RATE_LIMIT_MAX_CONCURRENT: count(2),
+
+        // Guardrails on chat messages and tool outputs (see lib/guardrails.js).
+        MESSAGE_MAX_LENGTH: count(DEFAULT_MAX_MESSAGE_LENGTH),
+        TOOL_OUTPUT_MAX_LENGTH: count(DEFAULT_MAX_TOOL_OUTPUT_LENGTH),
+        // Comma-separated PII kinds to redact, or "none".
+        REDACT_PII: {
+            type: 'array',
+            items: { enum: [...PII_KINDS, 'none'] },
+            default: PII_KINDS,
+        },
+        // JSON file with { "keywords": [...], "patterns": [...] } to refuse.
+        DENY_LIST_FILE: { type: 'string' },
+
+        // Read by lib/logger.js; only checked here.
+        LOG_LEVEL: { enum: ['debug', 'info', 'warn', 'error', 'silent'], default: 'info' },
+        LOG_CONTENT: { type: 'boolean', default: false },
+    },
+    dependencies: {
+        PAYMENT_WEBHOOK_SECRET: ['PAYMENT_CHECKOUT_URL'],
+        PAYMENT_CHECKOUT_URL: ['PAYMENT_WEBHOOK_SECRET'],
+    },
+    allOf: [
+        {
+            if: { properties: { LLM_PROVIDER: { const: 'azure-assistants' } } },
+            then: { required: ['AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_ASSISTANT_ID'] },
+        },
+        {
+            // CHAT_COMPLETIONS_API_KEY is optional for local servers; CHAT_COMPLETIONS_API_VERSION is only for Azure deployments.
+            if: { properties: { LLM_PROVIDER: { const: 'chat-completions' } }, required: ['LLM_PROVIDER'] },
+            then: { required: ['CHAT_COMPLETIONS_BASE_URL', 'CHAT_COMPLETIONS_MODEL'] },
+        },
+        {
+            // The localhost default is only for development.
+            if: { properties: { NODE_ENV: { const: 'production' } }, required: ['NODE_ENV'] },
+            then: { required: ['CORS_ORIGINS'] },
+        },
+        {
+            if: { properties: { AUTH_MODE: { const: 'auth0' } } },
+            then: { required: ['AUTH0_ISSUER_BASE_URL', 'AUTH0_AUDIENCE'] },
+        },
+    ],
+};
+
+// Comma-separated variables, read as arrays.
+const LIST_VARIABLES = ['CORS_ORIGINS', 'REDACT_PII'];
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true, coerceTypes: true, verbose: true });
+const validateEnv = ajv.compile(ENV_SCHEMA);
+const validateProfiles = ajv.compile(ASSISTANT_PROFILES_SCHEMA);
+const validateDenyList = ajv.compile(DENY_LIST_SCHEMA);
+
+// "PORT must be a port number", "CORS_ORIGINS entry "x" must be an origin like ...".
+function describeError(error, env) {
+    const [name, index] = error.instancePath.split('/').filter(Boolean);
+    if (error.keyword === 'required') {
+        const missing = error.params.missingProperty;
+        const condition = /then/.test(error.schemaPath) ? conditionFor(error.schemaPath, env) : '';
+        return `${missing} is required${condition}`;
+    }
+    if (error.keyword === 'dependencies') {
+        return `${error.params.missingProperty} is required when ${error.params.property} is set`;
+    }
+    const subject = index === undefined ? name : `${name} entry "${env[name][index]}"`;
+    const description = error.parentSchema && error.parentSchema.description;
+    if (description && ['pattern', 'type', 'minimum', 'maximum', 'minLength'].includes(error.keyword)) {
+        return `${subject} must be ${description}`;
+    }
+    if (error.keyword === 'enum') {
+        return `${subject} must be one of: ${error.params.allowedValues.join(', ')}`;
+    }
+    return `${subject} ${error.message}`;
+}
+
+function conditionFor(schemaPath, env) {
+    if (schemaPath.startsWith('#/allOf/2')) {
+        return ' when NODE_ENV is production';
+    }
+    if (schemaPath.startsWith('#/allOf/3')) {
+        // AUTH_MODE=auth0 is the default, so these are simply "required".
+        return '';
+    }
+    return ` when LLM_PROVIDER is ${env.LLM_PROVIDER}`;
+}
+
+// The assistant profiles in ASSISTANT_PROFILES_FILE, or problems with the file.
+function readAssistantProfiles(file) {
+    let profiles;
+    try {
+        profiles = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return { problems: [`ASSISTANT_PROFILES_FILE could not be read as JSON: ${error.message}`] };
+    }
+    if (!validateProfiles(profiles)) {
+        return { problems: validateProfiles.errors.map(error => `ASSISTANT_PROFILES_FILE ${error.instancePath || 'root'} ${error.message}`) };
+    }
+    return { profiles, problems: [] };
+}
+
+// The keywords and patterns in DENY_LIST_FILE, or problems with the file.
+function readDenyList(file) {
+    let denyList;
+    try {
+        denyList = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return { problems: [`DENY_LIST_FILE could not be read as JSON: ${error.message}`] };
+    }
+    if (!validateDenyList(denyList)) {
+        return { problems: validateDenyList.errors.map(error => `DENY_LIST_FILE ${error.instancePath || 'root'} ${error.message}`) };
+    }
+    const invalid = invalidPatterns(denyList.patterns);
+    if (invalid.length > 0) {
+        return { problems: invalid.map(problem => `DENY_LIST_FILE pattern ${problem}`) };
+    }
+    return { denyList, problems: [] };
+}
+
+/**
+ * Read and check the configuration in `env`. Returns the options server.js passes to
+ * the store, the provider and `createApp`; throws a ConfigError listing every problem.
+ */
+function loadConfig(env = process.env) {
+    const values = {};
+    for (const name of Object.keys(ENV_SCHEMA.properties)) {
+        const value = typeof env[name] === 'string' ? env[name].trim() : env[name];
+        if (value !== undefined && value !== '') {
+            values[name] = LIST_VARIABLES.includes(name) ? value.split(',').map(item => item.trim()).filter(Boolean) : value;
+        }
+    }
+
+    const problems = validateEnv(values)
+        ? []
+        : validateEnv.errors.filter(error => error.keyword !== 'if').map(error => describeError(error, values));
+    const assistantProfiles = values.ASSISTANT_PROFILES_FILE ? readAssistantProfiles(values.ASSISTANT_PROFILES_FILE) : { problems: [] };
+    problems.push(...assistantProfiles.problems);
+    const denyList = values.DENY_LIST_FILE ? readDenyList(values.DENY_LIST_FILE) : { problems: [] };
+    problems.push(...denyList.problems);
+    if (values.AUTH_MODE === 'dev' && values.NODE_ENV === 'production') {
+        problems.push('AUTH_MODE=dev is not allowed when NODE_ENV is production');
+    }
+    if (problems.length > 0) {
+        throw new ConfigError([...new Set(problems)]);
+    }
+
+    const provider = values.LLM_PROVIDER === 'azure-assistants'
+        ? {
+            apiKey: values.AZURE_OPENAI_API_KEY,
+            endpoint: values.AZURE_OPENAI_ENDPOINT,
+            apiVersion: values.AZURE_OPENAI_API_VERSION,
+            assistantId: values.AZURE_OPENAI_ASSISTANT_ID,
+            // Optional chat deployment used to write short thread titles.
+            summaryDeployment: values.AZURE_OPENAI_SUMMARY_DEPLOYMENT,
+        }
+        : {
+            baseUrl: values.CHAT_COMPLETIONS_BASE_URL,
+            apiKey: values.CHAT_COMPLETIONS_API_KEY,
+            model: values.CHAT_COMPLETIONS_MODEL,
+            apiVersion: values.CHAT_COMPLETIONS_API_VERSION,
+            instructions: values.CHAT_COMPLETIONS_SYSTEM_PROMPT,
+        };
+
+    return {
+        production: values.NODE_ENV === 'production',
+        port: values.PORT,
+        corsOrigins: values.CORS_ORIGINS || DEFAULT_CORS_ORIGINS,
+        authMode: values.AUTH_MODE,
+        auth0: { issuerBaseURL: values.AUTH0_ISSUER_BASE_URL, audience: values.AUTH0_AUDIENCE },
+        // Options for createDevAuth in lib/devAuth.js; null in Auth0 mode.
+        devAuth: values.AUTH_MODE === 'dev'
+            ? { secret: values.DEV_AUTH_SECRET || crypto.randomBytes(32).toString('hex'), ...(values.AUTH0_AUDIENCE ? { audience: values.AUTH0_AUDIENCE } : {}) }
+            : null,
+        llmProvider: values.LLM_PROVIDER,
+        provider,
+        // Null turns purchases off; packages are DEFAULT_CREDIT_PACKAGES in lib/payments.js.
+        payments: values.PAYMENT_WEBHOOK_SECRET
+            ? { webhookSecret: values.PAYMENT_WEBHOOK_SECRET, checkoutUrl: values.PAYMENT_CHECKOUT_URL }
+            : null,
+        // Undefined means the built-in catalog (DEFAULT_ASSISTANT_PROFILES).
+        assistantProfiles: assistantProfiles.profiles,
+        store: { driver: values.DATA_STORE, file: values.DATA_FILE },
+        // Null means no /metrics endpoint.
+        metricsToken: values.METRICS_TOKEN || null,
+        // Calls to the LLM API time out after UPSTREAM_TIMEOUT_MS, and 429s, 5xx and network
+        // errors are retried up to UPSTREAM_MAX_RETRIES times with backoff.
+        http: { timeoutMs: values.UPSTREAM_TIMEOUT_MS, retries: values.UPSTREAM_MAX_RETRIES },
+        // Prices are in credits; token prices apply per 1,000 tokens of the run's `usage`.
+        credits: {
+            initialBalance: values.CREDITS_INITIAL_BALANCE,
+            pricing: {
+                threadCreation: values.CREDITS_THREAD_COST,
+                chatRun: values.CREDITS_MESSAGE_COST,
+                per1kPromptTokens: values.CREDITS_PER_1K_PROMPT_TOKENS,
+                per1kCompletionTokens: values.CREDITS_PER_1K_COMPLETION_TOKENS,
+            },
+        },
+        // TOOL_TIMEOUT_MS is the default per-call limit for function tools.
+        toolTimeoutMs: values.TOOL_TIMEOUT_MS,
+        // UPLOAD_MAX_FILE_MB and UPLOAD_MAX_FILES limit each multipart upload.
+        uploads: { maxFileBytes: values.UPLOAD_MAX_FILE_MB * 1024 * 1024, maxFiles: values.UPLOAD_MAX_FILES },
+        // MAX_RUN_DURATION_MS cancels assistant runs that take longer (0 for no limit).
+        maxRunDurationMs: values.MAX_RUN_DURATION_MS,
+        // Per-user limits for chat, new threads and uploads: RATE_LIMIT_MAX_REQUESTS per
+        // RATE_LIMIT_WINDOW_MS, and RATE_LIMIT_MAX_CONCURRENT at once (0 turns a limit off).
+        rateLimits: {
+            windowMs: values.RATE_LIMIT_WINDOW_MS,
+            maxRequests: values.RATE_LIMIT_MAX_REQUESTS,
+            maxConcurrent: values.RATE_LIMIT_MAX_CONCURRENT,
+        },
+        // Limits (0 for none), PII redaction and deny-lists for messages and tool outputs.
+        guardrails: {
+            maxMessageLength: values.MESSAGE_MAX_LENGTH,
+            maxToolOutputLength: values.TOOL_OUTPUT_MAX_LENGTH,
+            redact: values.REDACT_PII.includes('none') ? [] : values.REDACT_PII,
+            denyList: denyList.denyList || {},
+        },
+    };
+}
+
+module.exports = { loadConfig, ConfigError };
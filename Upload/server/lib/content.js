@@ -0,0 +1,71 @@
+// Turns Assistants API thread messages into the content parts the client renders:
+//   { type: 'text', text, annotations }   annotations are file citations and generated file links
+//   { type: 'image_file', fileId }        e.g. a chart drawn by code_interpreter
+//   { type: 'file', fileId, filename }    a file attached to the assistant's message
+// File IDs in these parts can be downloaded through GET /api/files/:fileId/content.
+const path = require('path');
+
+// `text` is the marker in the message text the annotation replaces, e.g. "【4:0†source】"
+// for a citation or "sandbox:/mnt/data/bom.csv" for a generated file.
+function toAnnotation(annotation) {
+    const base = { text: annotation.text, startIndex: annotation.start_index, endIndex: annotation.end_index };
+    if (annotation.type === 'file_citation') {
+        return { ...base, type: 'file_citation', fileId: annotation.file_citation.file_id, quote: annotation.file_citation.quote || null };
+    }
+    if (annotation.type === 'file_path') {
+        return { ...base, type: 'file_path', fileId: annotation.file_path.file_id, filename: path.posix.basename(annotation.text) };
+    }
+    return null;
+}
+
+function toContentParts(message) {
+    const parts = [];
+    for (const part of message.content) {
+        if (part.type === 'text') {
+            parts.push({
+                type: 'text',
+                text: part.text.value,
+                annotations: (part.text.annotations || []).map(toAnnotation).filter(Boolean),
+            });
+        } else if (part.type === 'image_file') {
+            parts.push({ type: 'image_file', fileId: part.image_file.file_id });
+        }
+    }
+    // Files the assistant attached without linking them in the text.
+    const linked = new Set(parts.flatMap(part => (part.annotations || []).map(annotation => annotation.fileId)));
+    for (const attachment of message.attachments || []) {
+        if (!linked.has(attachment.file_id)) {
+            parts.push({ type: 'file', fileId: attachment.file_id, filename: null });
+        }
+    }
+    return parts;
+}
+
+/**
+ * Content parts of every assistant message a run wrote, oldest first.
+ * `messages` is a page from `provider.listMessages()` (newest first).
+ */
+function collectRunContent(messages, runId) {
+    return messages
+        .filter(msg => msg.role === 'assistant' && msg.run_id === runId)
+        .reverse()
+        .flatMap(toContentParts);
+}
+
+// The plain text of a list of content parts, for clients that only show text.
+const contentText = (parts) => parts.filter(part => part.type === 'text').map(part => part.text).join('\n\n');
+
+// IDs of files the assistant produced (images, generated files), which the user may download.
+// Citations point at the user's own uploads, so they are not included.
+const generatedFiles = (parts) => parts.flatMap((part) => {
+    if (part.type === 'image_file') return [{ fileId: part.fileId, filename: null }];
+    if (part.type === 'file') return [{ fileId: part.fileId, filename: part.filename }];
+    if (part.type === 'text') {
+        return part.annotations
+            .filter(annotation => annotation.type === 'file_path')
+            .map(annotation => ({ fileId: annotation.fileId, filename: annotation.filename }));
+    }
+    return [];
+});
+
+module.exports = { toContentParts, collectRunContent, contentText, generatedFiles };
@@ -0,0 +1,119 @@
+// Credit ledger keyed by Auth0 user ID.
+//
+// Every balance change is an entry in the user's history, written in the same
+// store transaction as the new balance, so the two can never disagree.
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+
+const DEFAULT_PRICING = {
+    threadCreation: 1,
+    chatRun: 1,
+    per1kPromptTokens: 0,
+    per1kCompletionTokens: 0,
+};
+
+// Credits are kept to two decimal places so token-based charges stay readable.
+const roundCredits = (amount) => Math.round(amount * 100) / 100;
+
+function createCreditLedger(store, { initialBalance = 0, pricing = {} } = {}) {
+    const prices = { ...DEFAULT_PRICING, ...pricing };
+
+    const ensureAccount = (data, userId) => {
+        data.credits = data.credits || {};
+        if (!data.credits[userId]) {
+            data.credits[userId] = { balance: 0, history: [] };
+            if (initialBalance > 0) {
+                addEntry(data.credits[userId], initialBalance, 'initial_grant', {});
+            }
+        }
+        return data.credits[userId];
+    };
+
+    const addEntry = (account, amount, reason, meta) => {
+        account.balance = roundCredits(account.balance + amount);
+        const entry = {
+            id: crypto.randomUUID(),
+            amount: roundCredits(amount),
+            reason,
+            balanceAfter: account.balance,
+            createdAt: new Date().toISOString(),
+            ...(Object.keys(meta).length > 0 ? { meta } : {}),
+        };
+        account.history.push(entry);
+        return entry;
+    };
+
+    const insufficientCredits = (balance, required) => new ApiError(
+        403,
+        'INSUFFICIENT_CREDITS',
+        'Not enough credits',
+        { balance, required }
+    );
+
+    const ledger = {
+        pricing: prices,
+
+        async getBalance(userId) {
+            return store.read((data) => {
+                const account = data.credits && data.credits[userId];
+                return account ? account.balance : initialBalance;
+            });
+        },
+
+        // Newest entries first.
+        async getHistory(userId, { limit = 50 } = {}) {
+            return store.read((data) => {
+                const account = data.credits && data.credits[userId];
+                return account && limit > 0 ? account.history.slice(-limit).reverse() : [];
+            });
+        },
+
+        async assertBalance(userId, required) {
+            const balance = await ledger.getBalance(userId);
+            if (balance < required) {
+                throw insufficientCredits(balance, required);
+            }
+            return balance;
+        },
+
+        /**
+         * Deduct `amount` credits. Throws a 403 INSUFFICIENT_CREDITS ApiError when the
+         * balance is too low, unless `allowOverdraft` is set (used for usage that has
+         * already been consumed upstream and has to be billed regardless).
+         */
+        async charge(userId, amount, reason, meta = {}, { allowOverdraft = false } = {}) {
+            return store.transaction((data) => {
+                const account = ensureAccount(data, userId);
+                if (!allowOverdraft && account.balance < amount) {
+                    throw insufficientCredits(account.balance, amount);
+                }
+                return addEntry(account, -amount, reason, meta);
+            });
+        },
+
+        async grant(userId, amount, reason, meta = {}) {
+            return store.transaction((data) => addEntry(ensureAccount(data, userId), amount, reason, meta));
+        },
+
+        // `grant` for callers already inside a store transaction, so the credit is written
+        // together with their own changes (e.g. marking a purchase paid). `data` is the draft.
+        grantWithin(data, userId, amount, reason, meta = {}) {
+            return addEntry(ensureAccount(data, userId), amount, reason, meta);
+        },
+
+        // Cost of a run's `usage` block ({ prompt_tokens, completion_tokens }).
+        usageCost(usage) {
+            if (!usage) {
+                return 0;
+            }
+            return roundCredits(
+                ((usage.prompt_tokens || 0) / 1000) * prices.per1kPromptTokens +
+                ((usage.completion_tokens || 0) / 1000) * prices.per1kCompletionTokens
+            );
+        },
+    };
+
+    return ledger;
+}
+
+module.exports = { createCreditLedger, DEFAULT_PRICING };
@@ -0,0 +1,136 @@
+// Structured scaffold design specs the assistant submits with the `submit_design_spec` tool,
+// so quantities can be used downstream instead of being buried in the reply text.
+//
+// A spec follows DESIGN_SPEC_SCHEMA (versioned with `schemaVersion`). The tool registry checks
+// the shape against the schema; `checkDesignSpec` adds the checks a schema can't express.
+// Specs are stored per run, and the API returns them with the run's reply as `designSpec`.
+const crypto = require('crypto');
+
+const DESIGN_SPEC_VERSION = 1;
+
+const positive = (description) => ({ type: 'number', exclusiveMinimum: 0, description });
+const count = (description) => ({ type: 'integer', minimum: 1, description });
+
+const DESIGN_SPEC_SCHEMA = {
+    type: 'object',
+    properties: {
+        schemaVersion: { type: 'integer', const: DESIGN_SPEC_VERSION, description: `Always ${DESIGN_SPEC_VERSION}.` },
+        title: { type: 'string', maxLength: 120, description: 'Short name for the design, e.g. "North elevation, 3 lifts".' },
+        facade: {
+            type: 'object',
+            properties: { length: positive('Façade length in metres.'), height: positive('Height to the top working platform in metres.') },
+            required: ['length', 'height'],
+            additionalProperties: false,
+        },
+        bays: {
+            type: 'object',
+            properties: { count: count('Number of bays.'), length: positive('Bay length in metres.') },
+            required: ['count', 'length'],
+            additionalProperties: false,
+        },
+        lifts: {
+            type: 'object',
+            properties: {
+                count: count('Number of lifts.'),
+                height: positive('Lift height in metres.'),
+                boarded: count('Number of boarded working lifts.'),
+            },
+            required: ['count', 'height'],
+            additionalProperties: false,
+        },
+        platform: {
+            type: 'object',
+            properties: { boardsWide: count('Boards across the platform.'), width: positive('Platform width in metres.') },
+            required: ['width'],
+            additionalProperties: false,
+        },
+        loadClass: { type: 'integer', minimum: 1, maximum: 6, description: 'BS EN 12811-1 load class.' },
+        ties: {
+            type: 'object',
+            description: 'Tie pattern, e.g. from scaffold_tie_spacing.',
+            properties: {
+                liftsBetweenRows: count('Lifts between tie rows.'),
+                baysBetweenTies: count('Bays between ties along a row.'),
+            },
+            required: ['liftsBetweenRows', 'baysBetweenTies'],
+            additionalProperties: false,
+        },
+        components: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 200,
+            description: 'Bill of materials, e.g. the components from scaffold_takeoff.',
+            items: {
+                type: 'object',
+                properties: {
+                    item: { type: 'string', minLength: 1, maxLength: 60, description: 'Component code, e.g. "ledger".' },
+                    description: { type: 'string', maxLength: 200 },
+                    quantity: { type: 'integer', minimum: 0 },
+                    unit: { type: 'string', maxLength: 20, description: 'Unit, e.g. "no." or "m".' },
+                },
+                required: ['item', 'description', 'quantity', 'unit'],
+                additionalProperties: false,
+            },
+        },
+        notes: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 500 }, description: 'Assumptions and caveats.' },
+    },
+    required: ['schemaVersion', 'bays', 'lifts', 'platform', 'loadClass', 'components'],
+    additionalProperties: false,
+};
+
+// Problems with a schema-valid spec, e.g. more boarded lifts than lifts. Empty when it is consistent.
+function checkDesignSpec(spec) {
+    const problems = [];
+    if (spec.lifts.boarded !== undefined && spec.lifts.boarded > spec.lifts.count) {
+        problems.push(`lifts.boarded (${spec.lifts.boarded}) is more than lifts.count (${spec.lifts.count}).`);
+    }
+    if (spec.ties && spec.ties.liftsBetweenRows > spec.lifts.count) {
+        problems.push(`ties.liftsBetweenRows (${spec.ties.liftsBetweenRows}) is more than lifts.count (${spec.lifts.count}).`);
+    }
+    if (spec.ties && spec.ties.baysBetweenTies > spec.bays.count) {
+        problems.push(`ties.baysBetweenTies (${spec.ties.baysBetweenTies}) is more than bays.count (${spec.bays.count}).`);
+    }
+    if (spec.facade && spec.bays.count * spec.bays.length + 1e-6 < spec.facade.length) {
+        problems.push(`${spec.bays.count} bays of ${spec.bays.length} m do not cover the ${spec.facade.length} m façade.`);
+    }
+    const seen = new Set();
+    for (const component of spec.components) {
+        if (seen.has(component.item)) {
+            problems.push(`Component "${component.item}" is listed more than once.`);
+        }
+        seen.add(component.item);
+    }
+    return problems;
+}
+
+function createDesignSpecRepository(store) {
+    return {
+        async create(ownerId, { threadId, runId, spec }) {
+            return store.transaction((data) => {
+                data.designSpecs = data.designSpecs || {};
+                const record = { id: crypto.randomUUID(), ownerId, threadId, runId, spec, createdAt: new Date().toISOString() };
+                data.designSpecs[record.id] = record;
+                return record;
+            });
+        },
+
+        // The latest spec submitted during a run, or null.
+        async getForRun(runId) {
+            return store.read((data) => Object.values(data.designSpecs || {})
+                .filter(record => record.runId === runId)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null);
+        },
+
+        async removeForThread(threadId) {
+            return store.transaction((data) => {
+                for (const [id, record] of Object.entries(data.designSpecs || {})) {
+                    if (record.threadId === threadId) {
+                        delete data.designSpecs[id];
+                    }
+                }
+            });
+        },
+    };
+}
+
+module.exports = { DESIGN_SPEC_VERSION, DESIGN_SPEC_SCHEMA, checkDesignSpec, createDesignSpecRepository };
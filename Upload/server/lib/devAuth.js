@@ -0,0 +1,89 @@
+// Development sign-in (AUTH_MODE=dev), so the app runs without an Auth0 tenant.
+//
+// The server signs its own access tokens (HS256 with DEV_AUTH_SECRET) for whichever user
+// the client's login picker asks for, and verifies them with the same middleware as Auth0
+// tokens, so `req.auth.payload` has the same claims in both modes: iss, sub, aud, iat, exp,
+// `scope` (space-separated) and `permissions`, plus `email`. Anyone who can reach the token
+// route can be anyone, so this mode is refused when NODE_ENV is production.
+const crypto = require('crypto');
+const { auth } = require('express-oauth2-jwt-bearer');
+const { ApiError } = require('./errors');
+const { ADMIN_PERMISSIONS } = require('./permissions');
+
+const DEV_ISSUER = 'https://dev-auth.localhost/';
+const DEV_AUDIENCE = 'http://localhost:3000/api';
+const DEV_TOKEN_TTL_SECONDS = 8 * 60 * 60;
+
+// The users the login picker offers; any other `sub` can be typed in.
+const DEFAULT_DEV_USERS = [
+    { sub: 'dev|alice', email: 'alice@example.com', name: 'Alice (user)', scopes: [] },
+    { sub: 'dev|bob', email: 'bob@example.com', name: 'Bob (user)', scopes: [] },
+    { sub: 'dev|admin', email: 'admin@example.com', name: 'Ada (admin)', scopes: Object.values(ADMIN_PERMISSIONS) },
+];
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function signToken(secret, payload) {
+    const unsigned = `${base64url({ alg: 'HS256', typ: 'JWT' })}.${base64url(payload)}`;
+    return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+// The `{ sub, email, scopes }` of a token request; throws a 400 INVALID_DEV_USER ApiError.
+function parseDevUser(body) {
+    const { sub, email, scopes = [] } = body || {};
+    const invalid = (details) => new ApiError(400, 'INVALID_DEV_USER', 'Invalid user', details);
+    if (typeof sub !== 'string' || !/^\S{1,128}$/.test(sub)) {
+        throw invalid('`sub` must be a user ID of up to 128 characters without spaces.');
+    }
+    if (email !== undefined && email !== null && (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(email))) {
+        throw invalid('`email` must be an email address.');
+    }
+    if (!Array.isArray(scopes) || !scopes.every(scope => typeof scope === 'string' && /^\S+$/.test(scope))) {
+        throw invalid('`scopes` must be an array of scope names without spaces.');
+    }
+    return { sub, email: email || undefined, scopes: [...new Set(scopes)] };
+}
+
+/**
+ * `secret` signs the tokens (at least 32 characters). Returns `{ checkJwt, users, issueToken }`:
+ * `checkJwt` stands in for the Auth0 middleware and `issueToken({ sub, email, scopes })` returns
+ * `{ access_token, token_type, expires_in }`. Throws when `production` is set.
+ */
+function createDevAuth({
+    secret,
+    audience = DEV_AUDIENCE,
+    issuer = DEV_ISSUER,
+    tokenTtlSeconds = DEV_TOKEN_TTL_SECONDS,
+    users = DEFAULT_DEV_USERS,
+    production = process.env.NODE_ENV === 'production',
+} = {}) {
+    if (production) {
+        throw new Error('Development auth cannot be used when NODE_ENV is production.');
+    }
+    if (typeof secret !== 'string' || secret.length < 32) {
+        throw new Error('Development auth needs a secret of at least 32 characters.');
+    }
+
+    return {
+        checkJwt: auth({ issuer, audience, secret, tokenSigningAlg: 'HS256' }),
+        users,
+
+        issueToken(user) {
+            const { sub, email, scopes } = parseDevUser(user);
+            const now = Math.floor(Date.now() / 1000);
+            const payload = {
+                iss: issuer,
+                sub,
+                aud: audience,
+                iat: now,
+                exp: now + tokenTtlSeconds,
+                scope: scopes.join(' '),
+                permissions: scopes,
+                ...(email ? { email } : {}),
+            };
+            return { access_token: signToken(secret, payload), token_type: 'Bearer', expires_in: tokenTtlSeconds };
+        },
+    };
+}
+
+module.exports = { createDevAuth, parseDevUser, DEFAULT_DEV_USERS, DEV_AUDIENCE, DEV_ISSUER };
@@ -0,0 +1,22 @@
+// Errors that carry an HTTP status and a machine-readable code.
+// Throw these from route handlers or helper modules; the error handling
+// middleware in server.js turns them into `{ error, details, code }` JSON.
+class ApiError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+
+    toJSON() {
+        const body = { error: this.message, code: this.code };
+        if (this.details !== undefined) {
+            body.details = this.details;
+        }
+        return body;
+    }
+}
+
+module.exports = { ApiError };
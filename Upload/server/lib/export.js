@@ -0,0 +1,152 @@
+// Renders a thread's transcript for GET /api/threads/:threadId/export: Markdown, JSON,
+// or a print-ready HTML report (the browser's "Save as PDF" turns it into a PDF).
+//
+// A transcript is `{ projectTitle, thread, exportedAt, messages }`, where `messages` are
+// API messages (see toApiMessage in app.js), oldest first. Citation markers in the text,
+// e.g. "【4:0†source】", become numbered references listed under the message, and links to
+// generated files become their file names.
+
+const EXPORT_FORMATS = {
+    markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+    html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+};
+
+// A file name for the download, from the project title.
+const exportFilename = (projectTitle, format) => {
+    const slug = projectTitle.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'conversation';
+    return `${slug}.${EXPORT_FORMATS[format].extension}`;
+};
+
+const formatTime = (iso) => iso.replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+
+/**
+ * A message's text with its annotations resolved, plus the sources and files it refers to:
+ * `{ text, sources: [{ number, filename, quote }], files: [{ kind, filename, fileId }] }`.
+ */
+function describeMessage(message) {
+    const sources = [];
+    const files = [];
+    const texts = [];
+
+    for (const part of message.content || []) {
+        if (part.type === 'text') {
+            let text = part.text;
+            for (const annotation of part.annotations) {
+                if (annotation.type === 'file_citation') {
+                    sources.push({ number: sources.length + 1, filename: annotation.filename || 'an uploaded file', quote: annotation.quote || null });
+                    text = text.split(annotation.text).join(`[${sources.length}]`);
+                } else if (annotation.type === 'file_path') {
+                    files.push({ kind: 'generated file', filename: annotation.filename, fileId: annotation.fileId });
+                    text = text.split(annotation.text).join(annotation.filename);
+                }
+            }
+            texts.push(text);
+        } else if (part.type === 'image_file') {
+            files.push({ kind: 'image', filename: `${part.fileId}.png`, fileId: part.fileId });
+        } else if (part.type === 'file') {
+            files.push({ kind: 'file', filename: part.filename || part.fileId, fileId: part.fileId });
+        }
+    }
+    if (texts.length === 0 && message.text) {
+        texts.push(message.text);
+    }
+    for (const file of message.files || []) {
+        files.push({ kind: 'attachment', filename: file.filename, fileId: file.id });
+    }
+    return { text: texts.join('\n\n'), sources, files };
+}
+
+const roleLabel = (role) => (role === 'assistant' ? 'Assistant' : 'User');
+
+function renderMarkdown({ projectTitle, thread, exportedAt, messages }) {
+    const lines = [
+        `# ${projectTitle}`,
+        '',
+        `Conversation: ${thread.title || 'New conversation'}  `,
+        `Started: ${formatTime(thread.createdAt)}  `,
+        `Exported: ${formatTime(exportedAt)}`,
+        '',
+        '---',
+    ];
+    for (const message of messages) {
+        const { text, sources, files } = describeMessage(message);
+        lines.push('', `## ${roleLabel(message.role)} — ${formatTime(message.createdAt)}`, '', text);
+        if (files.length > 0) {
+            lines.push('', '**Files:**', ...files.map(file => `- ${file.filename} (${file.kind})`));
+        }
+        if (sources.length > 0) {
+            lines.push('', '**Sources:**', ...sources.map(source => `${source.number}. ${source.filename}${source.quote ? ` — "${source.quote}"` : ''}`));
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+function renderJson({ projectTitle, thread, exportedAt, messages }) {
+    return JSON.stringify({
+        projectTitle,
+        thread,
+        exportedAt,
+        messages: messages.map(({ id, role, createdAt, runId, text, content, files }) => ({ id, role, createdAt, runId, text, content, files })),
+    }, null, 2);
+}
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const REPORT_STYLES = `
+body { font-family: Arial, sans-serif; color: #222; max-width: 800px; margin: 0 auto; padding: 24px; }
+header { border-bottom: 2px solid #333; margin-bottom: 20px; }
+header h1 { margin: 0 0 6px; }
+header p { margin: 2px 0; color: #555; font-size: 13px; }
+.message { margin-bottom: 18px; page-break-inside: avoid; }
+.message h2 { font-size: 14px; margin: 0 0 6px; color: #555; }
+.message.assistant h2 { color: #0b5394; }
+.text { white-space: pre-wrap; line-height: 1.45; }
+.refs { font-size: 12px; color: #555; margin: 6px 0 0; padding-left: 20px; }
+footer { margin-top: 30px; font-size: 11px; color: #888; border-top: 1px solid #ccc; padding-top: 6px; }
+@media print { body { padding: 0; } @page { margin: 18mm; } }
+`;
+
+function renderHtml({ projectTitle, thread, exportedAt, messages }) {
+    const sections = messages.map((message) => {
+        const { text, sources, files } = describeMessage(message);
+        const fileList = files.length === 0 ? '' : `<p class="refs">Files:</p><ul class="refs">${files.map(file => `<li>${escapeHtml(file.filename)} (${escapeHtml(file.kind)})</li>`).join('')}</ul>`;
+        const sourceList = sources.length === 0 ? '' : `<p class="refs">Sources:</p><ol class="refs">${sources.map(source => `<li>${escapeHtml(source.filename)}${source.quote ? ` — “${escapeHtml(source.quote)}”` : ''}</li>`).join('')}</ol>`;
+        return `<section class="message ${message.role === 'assistant' ? 'assistant' : 'user'}">
+<h2>${roleLabel(message.role)} · ${escapeHtml(formatTime(message.createdAt))}</h2>
+<div class="text">${escapeHtml(text)}</div>
+${fileList}${sourceList}
+</section>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(projectTitle)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(projectTitle)}</h1>
+<p>Conversation: ${escapeHtml(thread.title || 'New conversation')}</p>
+<p>Started ${escapeHtml(formatTime(thread.createdAt))} · Exported ${escapeHtml(formatTime(exportedAt))} · ${messages.length} message(s)</p>
+</header>
+${sections.join('\n')}
+<footer>AIScaffoldDesigner design transcript · ${escapeHtml(thread.id)}</footer>
+</body>
+</html>
+`;
+}
+
+const RENDERERS = { markdown: renderMarkdown, json: renderJson, html: renderHtml };
+
+// Render `transcript` in `format` (a key of EXPORT_FORMATS).
+const renderTranscript = (transcript, format) => RENDERERS[format](transcript);
+
+module.exports = { EXPORT_FORMATS, exportFilename, renderTranscript, describeMessage };
@@ -0,0 +1,100 @@
+// Ratings users give assistant replies, collected as an evaluation dataset.
+//
+// Each rating is stored with the prompt and response it was given for (copied when the rating
+// is made), the thread, the run and the assistant profile the run used, so the admin export can
+// build regression evaluations without going back to the provider. Runs are recorded as they
+// finish (`recordRun`) because provider messages don't say which profile answered them.
+// A user has one rating per message; rating it again replaces the earlier one.
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+
+const RATINGS = ['up', 'down'];
+const MAX_COMMENT_LENGTH = 1000;
+
+// The `{ rating, comment }` of a feedback request; throws a 400 INVALID_FEEDBACK ApiError.
+function parseFeedback(body) {
+    const { rating, comment } = body || {};
+    if (!RATINGS.includes(rating)) {
+        throw new ApiError(400, 'INVALID_FEEDBACK', 'Invalid feedback', `rating must be one of: ${RATINGS.join(', ')}.`);
+    }
+    if (comment !== undefined && comment !== null && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+        throw new ApiError(400, 'INVALID_FEEDBACK', 'Invalid feedback', `comment must be text of at most ${MAX_COMMENT_LENGTH} characters.`);
+    }
+    return { rating, comment: (comment || '').trim() || null };
+}
+
+const toFeedbackSummary = ({ id, messageId, rating, comment, createdAt, updatedAt }) => ({ id, messageId, rating, comment, createdAt, updatedAt });
+
+// One line of the evaluation dataset.
+const toEvaluationRecord = ({ prompt, response, rating, comment, profile, runId, threadId, messageId, updatedAt }) =>
+    ({ prompt, response, rating, comment, profile, runId, threadId, messageId, ratedAt: updatedAt });
+
+function createFeedbackRepository(store) {
+    return {
+        // Remember which profile answered `runId`, for feedback on its messages.
+        async recordRun(runId, { threadId, profile }) {
+            return store.transaction((data) => {
+                data.feedbackRuns = data.feedbackRuns || {};
+                data.feedbackRuns[runId] = { threadId, profile, finishedAt: new Date().toISOString() };
+            });
+        },
+
+        /**
+         * Store `userId`'s rating of an assistant message. `exchange` is
+         * { messageId, threadId, runId, prompt, response }; returns the feedback record.
+         */
+        async rate(userId, exchange, { rating, comment }) {
+            return store.transaction((data) => {
+                data.feedback = data.feedback || {};
+                const run = (data.feedbackRuns || {})[exchange.runId];
+                const existing = Object.values(data.feedback).find(record => record.userId === userId && record.messageId === exchange.messageId);
+                const now = new Date().toISOString();
+                const record = {
+                    id: existing ? existing.id : crypto.randomUUID(),
+                    userId,
+                    ...exchange,
+                    profile: run ? run.profile : null,
+                    rating,
+                    comment,
+                    createdAt: existing ? existing.createdAt : now,
+                    updatedAt: now,
+                };
+                data.feedback[record.id] = record;
+                return record;
+            });
+        },
+
+        // `userId`'s feedback on the messages of `threadId`, keyed by message ID.
+        async getForThread(userId, threadId) {
+            return store.read(data => new Map(Object.values(data.feedback || {})
+                .filter(record => record.userId === userId && record.threadId === threadId)
+                .map(record => [record.messageId, record])));
+        },
+
+        // All feedback, oldest first; `rating`, `profile` and `since` (an ISO date) narrow it down.
+        async list({ rating, profile, since } = {}) {
+            return store.read(data => Object.values(data.feedback || {})
+                .filter(record => (!rating || record.rating === rating)
+                    && (!profile || record.profile === profile)
+                    && (!since || record.updatedAt >= since))
+                .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt)));
+        },
+
+        async removeForThread(threadId) {
+            return store.transaction((data) => {
+                for (const [id, record] of Object.entries(data.feedback || {})) {
+                    if (record.threadId === threadId) {
+                        delete data.feedback[id];
+                    }
+                }
+                for (const [runId, run] of Object.entries(data.feedbackRuns || {})) {
+                    if (run.threadId === threadId) {
+                        delete data.feedbackRuns[runId];
+                    }
+                }
+            });
+        },
+    };
+}
+
+module.exports = { RATINGS, MAX_COMMENT_LENGTH, parseFeedback, toFeedbackSummary, toEvaluationRecord, createFeedbackRepository };
@@ -0,0 +1,82 @@
+// Records files in the provider's file store that a user may attach or download:
+// files they uploaded (`source: 'upload'`, with the assistant tools they are attached for)
+// and files the assistant generated for them on a thread (`source: 'assistant'`).
+const { ApiError } = require('./errors');
+
+function createFileRepository(store) {
+    const repository = {
+        // `file` is { id, threadId, filename, mimeType, bytes, tools }; `id` is the provider's file ID.
+        async create(ownerId, file) {
+            return store.transaction((data) => {
+                data.files = data.files || {};
+                const record = { source: 'upload', ...file, ownerId, createdAt: new Date().toISOString() };
+                data.files[file.id] = record;
+                return record;
+            });
+        },
+
+        // Record files the assistant produced on a thread ([{ fileId, filename }]); known files are left alone.
+        async recordGenerated(ownerId, threadId, generated) {
+            if (generated.length === 0) {
+                return;
+            }
+            await store.transaction((data) => {
+                data.files = data.files || {};
+                for (const { fileId, filename } of generated) {
+                    if (!data.files[fileId]) {
+                        data.files[fileId] = {
+                            id: fileId,
+                            source: 'assistant',
+                            threadId,
+                            filename: filename || null,
+                            mimeType: null,
+                            bytes: null,
+                            tools: [],
+                            ownerId,
+                            createdAt: new Date().toISOString(),
+                        };
+                    }
+                }
+            });
+        },
+
+        async get(fileId) {
+            return store.read((data) => (data.files && data.files[fileId]) || null);
+        },
+
+        async listForThread(threadId) {
+            return store.read((data) => Object.values(data.files || {})
+                .filter(file => file.threadId === threadId && file.source === 'upload')
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+        },
+
+        async removeForThread(threadId) {
+            return store.transaction((data) => {
+                for (const file of Object.values(data.files || {})) {
+                    if (file.threadId === threadId) {
+                        delete data.files[file.id];
+                    }
+                }
+            });
+        },
+
+        // Resolve the files a user wants to attach to a message on `threadId`. Files that don't
+        // exist, belong to someone else or were uploaded to another thread are all reported alike.
+        async assertAttachable(fileIds, userId, threadId) {
+            return Promise.all(fileIds.map(async (fileId) => {
+                const file = await repository.get(fileId);
+                if (!file || file.ownerId !== userId || file.threadId !== threadId || file.source !== 'upload') {
+                    throw new ApiError(404, 'FILE_NOT_FOUND', 'File not found', `No uploaded file with id '${fileId}' on this thread.`);
+                }
+                return file;
+            }));
+        },
+    };
+
+    return repository;
+}
+
+// Public shape of a file record, as returned by the API.
+const toFileSummary = ({ id, filename, mimeType, bytes, tools, createdAt }) => ({ id, filename, mimeType, bytes, tools, createdAt });
+
+module.exports = { createFileRepository, toFileSummary };
@@ -0,0 +1,162 @@
+// Guardrails for text on its way to the model: chat messages before they are added to the
+// thread, and tool outputs before they are submitted back to the run.
+//
+// The pipeline runs these in order, and each guardrail that refuses the text has its own code:
+//   type      - INVALID_MESSAGE   a message must be a non-blank string (messages only)
+//   length    - CONTENT_TOO_LONG  at most `maxMessageLength` / `maxToolOutputLength` characters
+//   keywords  - BLOCKED_KEYWORD   none of the deny-list keywords, as whole words, ignoring case
+//   patterns  - BLOCKED_PATTERN   no match for any deny-list regular expression (case-insensitive)
+//   pii       - never refuses: emails, phone numbers and site addresses (the `redact` kinds) are
+//               replaced with [EMAIL], [PHONE] and [ADDRESS]; addresses only where the wording
+//               says it is one, so bay sizes, lift numbers and elevation names are left alone
+// A refused message is a 400 GuardrailError; a refused tool output becomes an error output the
+// model sees instead (see `guardOutput` in lib/tools/registry.js).
+const { ApiError } = require('./errors');
+
+const DEFAULT_MAX_MESSAGE_LENGTH = 10000;
+const DEFAULT_MAX_TOOL_OUTPUT_LENGTH = 50000;
+
+// Street names end in one of these, e.g. "12 Station Road" or "4a Mill Lane".
+const STREET_TYPES = 'Street|St|Road|Rd|Avenue|Ave|Lane|Ln|Drive|Dr|Close|Way|Crescent|Place|Court|Terrace|Gardens|Grove|Square|Row|Mews|Parade|Hill';
+const POSTCODE = '[A-Z]{1,2}\\d[A-Z\\d]?\\s?\\d[A-Z]{2}';
+// Scaffold wording looks a lot like an address ("Use 3 Lifts Along North Row", "Elevation A1 2BC"),
+// so a street address only counts after one of these words, and a postcode only after "postcode"
+// or as the end of a street address.
+const ADDRESS_CUES = '[Aa]t|[Aa]ddress(?: is)?|[Ss]ite|[Pp]roperty|[Pp]remises';
+
+// Emails go first: an address can contain digits that would otherwise look like a phone number.
+const PII_PATTERNS = {
+    email: { replacement: '[EMAIL]', pattern: /[\w.%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/gi },
+    // International (+44 20 7946 0958, +442079460958), UK trunk (020 7946 0958, (020) 7946 0958,
+    // 07700 900123) and North American (555-123-4567, (555) 123-4567) numbers. Plain measurements
+    // are left alone, including bracketed ones like "(2400) 1200 1200".
+    phone: {
+        replacement: '[PHONE]',
+        pattern: /(?<![\w.+])(?:\+\d{10,14}|(?:\+\d{1,3}[ .-]?)?(?:\(0\d{1,4}\)|0\d{1,4})[ .-]?\d{3,4}[ .-]?\d{3,4}|\+\d{1,3}[ .-]\d{2,5}[ .-]\d{3,4}[ .-]?\d{3,4}|(?:\(\d{3}\) ?|\d{3}-)\d{3}-\d{4})(?![\w.])/g,
+    },
+    // "Site: 12 Station Road, Leeds LS1 4DT" (town and postcode included), "at 4a Mill Lane", "postcode LS1 4DT".
+    address: {
+        replacement: '[ADDRESS]',
+        pattern: new RegExp(`(?<=\\b(?:${ADDRESS_CUES}):?\\s+)\\d{1,5}[A-Za-z]?,?\\s+(?:[A-Z][\\w'-]*\\s+){1,4}(?:${STREET_TYPES})\\b\\.?`
+            + `(?:,?\\s+(?:[A-Z][a-z'-]+\\s+){0,3}${POSTCODE}\\b)?|(?<=\\b[Pp]ost ?code:?\\s+)${POSTCODE}\\b`, 'g'),
+    },
+};
+const PII_KINDS = Object.keys(PII_PATTERNS);
+
+// DENY_LIST_FILE: { "keywords": ["..."], "patterns": ["regular expression", ...] }
+const DENY_LIST_SCHEMA = {
+    type: 'object',
+    properties: {
+        keywords: { type: 'array', items: { type: 'string', minLength: 1 } },
+        patterns: { type: 'array', items: { type: 'string', minLength: 1 } },
+    },
+    additionalProperties: false,
+};
+
+class GuardrailError extends ApiError {
+    constructor(guardrail, code, message, details) {
+        super(400, code, message, details);
+        this.name = 'GuardrailError';
+        this.guardrail = guardrail;
+    }
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Deny-list patterns that are not valid regular expressions, as "pattern: reason" strings.
+function invalidPatterns(patterns = []) {
+    return patterns.flatMap((pattern) => {
+        try {
+            new RegExp(pattern, 'iu');
+            return [];
+        } catch (error) {
+            return [`${pattern}: ${error.message}`];
+        }
+    });
+}
+
+/**
+ * `maxMessageLength` / `maxToolOutputLength` - character limits (0 for none)
+ * `redact`   - PII kinds to redact: any of 'email', 'phone', 'address' (default all)
+ * `denyList` - { keywords, patterns } refused in messages and tool outputs
+ * Returns `{ checkMessage(message), checkToolOutput(output) }`; both return `{ text, redactions }`,
+ * where `redactions` counts what was replaced by kind (e.g. `{ email: 1 }`), or throw a GuardrailError.
+ */
+function createGuardrails({
+    maxMessageLength = DEFAULT_MAX_MESSAGE_LENGTH,
+    maxToolOutputLength = DEFAULT_MAX_TOOL_OUTPUT_LENGTH,
+    redact = PII_KINDS,
+    denyList = {},
+} = {}) {
+    const unknownKinds = redact.filter(kind => !PII_KINDS.includes(kind));
+    if (unknownKinds.length > 0) {
+        throw new Error(`Unknown PII kinds to redact: ${unknownKinds.join(', ')}`);
+    }
+    const keywords = (denyList.keywords || []).map(keyword => ({
+        keyword,
+        pattern: new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(keyword)}(?![\\p{L}\\p{N}_])`, 'iu'),
+    }));
+    const patterns = (denyList.patterns || []).map(pattern => new RegExp(pattern, 'iu'));
+
+    const checkType = (text) => {
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new GuardrailError('type', 'INVALID_MESSAGE', 'Invalid message', 'The message must be non-empty text.');
+        }
+    };
+
+    const checkLength = (text, maxLength, subject) => {
+        if (maxLength > 0 && text.length > maxLength) {
+            throw new GuardrailError('length', 'CONTENT_TOO_LONG', `${subject} too long`,
+                `The ${subject.toLowerCase()} is ${text.length} characters; the limit is ${maxLength}.`);
+        }
+    };
+
+    const checkDenyList = (text, subject) => {
+        const keyword = keywords.find(entry => entry.pattern.test(text));
+        if (keyword) {
+            throw new GuardrailError('keywords', 'BLOCKED_KEYWORD', `${subject} not allowed`,
+                `The ${subject.toLowerCase()} contains "${keyword.keyword}", which is not allowed.`);
+        }
+        if (patterns.some(pattern => pattern.test(text))) {
+            throw new GuardrailError('patterns', 'BLOCKED_PATTERN', `${subject} not allowed`,
+                `The ${subject.toLowerCase()} contains content that is not allowed.`);
+        }
+    };
+
+    const redactPii = (text) => {
+        const redactions = {};
+        const redacted = PII_KINDS.filter(kind => redact.includes(kind)).reduce((current, kind) => {
+            const { pattern, replacement } = PII_PATTERNS[kind];
+            return current.replace(pattern, () => {
+                redactions[kind] = (redactions[kind] || 0) + 1;
+                return replacement;
+            });
+        }, text);
+        return { text: redacted, redactions };
+    };
+
+    return {
+        checkMessage(message) {
+            checkType(message);
+            checkLength(message, maxMessageLength, 'Message');
+            checkDenyList(message, 'Message');
+            return redactPii(message);
+        },
+
+        checkToolOutput(output) {
+            checkLength(output, maxToolOutputLength, 'Tool output');
+            checkDenyList(output, 'Tool output');
+            return redactPii(output);
+        },
+    };
+}
+
+module.exports = {
+    createGuardrails,
+    GuardrailError,
+    invalidPatterns,
+    PII_KINDS,
+    DENY_LIST_SCHEMA,
+    DEFAULT_MAX_MESSAGE_LENGTH,
+    DEFAULT_MAX_TOOL_OUTPUT_LENGTH,
+};
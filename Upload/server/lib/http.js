@@ -0,0 +1,197 @@
+// HTTP client for calls to upstream APIs (Azure OpenAI, Chat Completions servers).
+// Retries rate limits (429), server errors (5xx), timeouts and network failures with jittered
+// exponential backoff, honouring Retry-After (non-idempotent requests such as POSTs only when
+// the server cannot have acted on them); gives each attempt a timeout; and
+// turns every failure into an UpstreamError with one of a few typed codes, whatever
+// the error body looks like (JSON, an HTML gateway page, or nothing at all).
+const { logger } = require('./logger');
+
+// The codes an UpstreamError can carry, and the status the API answers with for each.
+const UPSTREAM_ERROR_STATUS = {
+    UPSTREAM_TIMEOUT: 504,          // no response within the timeout
+    UPSTREAM_RATE_LIMITED: 503,     // still 429 after retrying; `retryAfterMs` says when to try again
+    UPSTREAM_UNAVAILABLE: 502,      // 5xx or network failure after retrying
+    UPSTREAM_AUTH_FAILED: 500,      // 401/403: the server's credentials are wrong
+    UPSTREAM_NOT_FOUND: 500,        // 404
+    UPSTREAM_BAD_REQUEST: 500,      // any other 4xx
+};
+
+// `connectFailed` is set when no connection was made, so the request never reached the server.
+class UpstreamError extends Error {
+    constructor(code, message, { upstreamStatus = null, retryAfterMs = null, connectFailed = false } = {}) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.code = code;
+        this.upstreamStatus = upstreamStatus;
+        this.retryAfterMs = retryAfterMs;
+        this.connectFailed = connectFailed;
+    }
+}
+
+// The API status for an error from a provider call: typed upstream errors map as above, anything else is a 500.
+const httpStatusFor = (error) => UPSTREAM_ERROR_STATUS[error && error.code] || 500;
+
+const codeForStatus = (status) => {
+    if (status === 429) return 'UPSTREAM_RATE_LIMITED';
+    if (status >= 500) return 'UPSTREAM_UNAVAILABLE';
+    if (status === 401 || status === 403) return 'UPSTREAM_AUTH_FAILED';
+    if (status === 404) return 'UPSTREAM_NOT_FOUND';
+    return 'UPSTREAM_BAD_REQUEST';
+};
+
+const isRetryable = (code) => code === 'UPSTREAM_RATE_LIMITED' || code === 'UPSTREAM_UNAVAILABLE' || code === 'UPSTREAM_TIMEOUT';
+
+// Sending these twice has the same effect as sending them once.
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+// Network error codes that mean the connection was never made.
+const CONNECT_ERROR_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'UND_ERR_CONNECT_TIMEOUT']);
+
+// A POST that timed out or got a 5xx may already have been acted on (a message added, a run
+// started), so non-idempotent requests are only retried when the server cannot have acted on them:
+// a 429, or a failure to connect at all.
+const canRetry = (error, idempotent) => isRetryable(error.code)
+    && (idempotent || error.upstreamStatus === 429 || error.connectFailed);
+
+// Milliseconds to wait from `retry-after-ms` (Azure) or `Retry-After` (seconds or an HTTP date), or null.
+function parseRetryAfter(headers) {
+    const ms = Number(headers.get('retry-after-ms'));
+    if (ms > 0) {
+        return ms;
+    }
+    const value = headers.get('retry-after');
+    if (!value) {
+        return null;
+    }
+    if (/^\d+(\.\d+)?$/.test(value.trim())) {
+        return Number(value) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// The most useful line of an error body: an OpenAI-style `error.message`, a `message`,
+// or the start of the text with any HTML stripped.
+async function readErrorMessage(response) {
+    let text = '';
+    try {
+        text = await response.text();
+    } catch {
+        return '(unreadable body)';
+    }
+    try {
+        const body = JSON.parse(text);
+        return (body.error && body.error.message) || body.message || JSON.stringify(body);
+    } catch {
+        return text.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 200) || '(empty body)';
+    }
+}
+
+const sleep = (ms, signal) => new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    }
+});
+
+const TIMED_OUT = Symbol('timed out');
+
+/**
+ * `retries`          - extra attempts after a retryable failure
+ * `baseDelayMs`      - first backoff delay, doubled on each retry and jittered
+ * `maxDelayMs`       - cap on a backoff delay
+ * `maxRetryAfterMs`  - longer Retry-After waits are not sat out; the error is returned instead
+ * `timeoutMs`        - limit for each attempt, up to the whole body (for streams, up to the headers)
+ */
+function createHttpClient({ retries = 3, baseDelayMs = 500, maxDelayMs = 8000, maxRetryAfterMs = 60000, timeoutMs = 30000 } = {}) {
+    const backoff = (attempt) => {
+        const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    };
+
+    // One attempt. Resolves with the response and its body read as `responseType`.
+    async function attempt(url, { method, headers, body, signal, timeoutMs: callTimeoutMs, action, responseType }) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(signal.reason);
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+        const timer = setTimeout(() => controller.abort(TIMED_OUT), callTimeoutMs);
+        const done = () => {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        };
+
+        try {
+            const response = await fetch(url, { method, headers, body, signal: controller.signal });
+            if (!response.ok) {
+                const message = await readErrorMessage(response);
+                throw new UpstreamError(codeForStatus(response.status),
+                    `Failed to ${action}: ${response.status} ${response.statusText} - ${message}`,
+                    { upstreamStatus: response.status, retryAfterMs: parseRetryAfter(response.headers) });
+            }
+            if (responseType === 'stream') {
+                // The caller reads the body; only getting the response is timed. `signal` still aborts the stream.
+                clearTimeout(timer);
+                return { status: response.status, headers: response.headers, data: response.body };
+            }
+            const data = responseType === 'arrayBuffer'
+                ? Buffer.from(await response.arrayBuffer())
+                : await response.json();
+            done();
+            return { status: response.status, headers: response.headers, data };
+        } catch (error) {
+            done();
+            if (error instanceof UpstreamError) {
+                throw error;
+            }
+            if (controller.signal.reason === TIMED_OUT) {
+                throw new UpstreamError('UPSTREAM_TIMEOUT', `Failed to ${action}: no response within ${callTimeoutMs} ms`);
+            }
+            if (signal && signal.aborted) {
+                throw error; // Aborted by the caller: not an upstream failure
+            }
+            throw new UpstreamError('UPSTREAM_UNAVAILABLE', `Failed to ${action}: ${error.cause ? error.cause.message : error.message}`,
+                { connectFailed: Boolean(error.cause && CONNECT_ERROR_CODES.has(error.cause.code)) });
+        }
+    }
+
+    /**
+     * Send a request and read the response. `body` is sent as given (a string or FormData).
+     * `responseType` is 'json' (default), 'arrayBuffer' (a Buffer) or 'stream' (the body stream).
+     * `action` names the call in error messages, e.g. "create thread".
+     * `idempotent` defaults from `method`; only idempotent requests are retried after a timeout
+     * or a 5xx, since the server may have acted on the first attempt.
+     * Resolves with `{ status, headers, data }`; rejects with an UpstreamError, or with the
+     * abort error if `signal` aborts.
+     */
+    async function request(url, { method = 'GET', headers = {}, body, signal, timeoutMs: callTimeoutMs = timeoutMs, retries: callRetries = retries, idempotent = IDEMPOTENT_METHODS.has(method.toUpperCase()), action = 'call upstream API', responseType = 'json' } = {}) {
+        for (let attemptNumber = 0; ; attemptNumber++) {
+            try {
+                return await attempt(url, { method, headers, body, signal, timeoutMs: callTimeoutMs, action, responseType });
+            } catch (error) {
+                if (!(error instanceof UpstreamError) || !canRetry(error, idempotent) || attemptNumber >= callRetries) {
+                    throw error;
+                }
+                if (error.retryAfterMs !== null && error.retryAfterMs > maxRetryAfterMs) {
+                    throw error;
+                }
+                const delay = error.retryAfterMs !== null ? error.retryAfterMs : backoff(attemptNumber);
+                logger.warn('retrying upstream request', { error, delayMs: delay, retry: attemptNumber + 1, retries: callRetries });
+                await sleep(delay, signal);
+                if (signal && signal.aborted) {
+                    throw signal.reason; // Aborted by the caller while waiting: not an upstream failure
+                }
+            }
+        }
+    }
+
+    return { request };
+}
+
+module.exports = { createHttpClient, UpstreamError, httpStatusFor, parseRetryAfter, UPSTREAM_ERROR_STATUS };
@@ -0,0 +1,128 @@
+// Structured JSON logging. Every line is one JSON object with `time`, `level` and `msg`,
+// plus the request ID and user of the HTTP request it was logged under (tracked with
+// AsyncLocalStorage by `requestContext()`, so helpers and providers don't pass it around).
+//
+// Fields are redacted before they are written: secrets (API keys, tokens, passwords)
+// are always replaced, and conversation content (messages, replies, tool arguments)
+// is replaced with its length unless content logging is turned on.
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const SECRET_KEYS = ['authorization', 'apikey', 'api-key', 'password', 'secret', 'token', 'accesstoken', 'cookie'];
+const CONTENT_KEYS = ['message', 'content', 'text', 'response', 'reply', 'prompt', 'arguments', 'output', 'title'];
+
+// Request IDs a client sends in X-Request-Id are reused if they look safe to log.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+const requestStore = new AsyncLocalStorage();
+
+// Secrets in URLs, e.g. `?api-key=...` or `?key=...`.
+const redactUrlSecrets = (value) => value.replace(/([?&](?:api-key|key|token|code)=)[^&\s]*/gi, '$1[REDACTED]');
+
+/**
+ * `level`       - lowest level written: debug, info, warn, error or silent
+ * `logContent`  - write conversation content instead of redacting it (for local debugging only)
+ * `redactKeys`  - extra field names to treat as secrets
+ * `write`       - where lines go (default stdout)
+ */
+function createLogger({ level = 'info', logContent = false, redactKeys = [], write = (line) => process.stdout.write(line), bindings = {} } = {}) {
+    const threshold = LEVELS[level] === undefined ? LEVELS.info : LEVELS[level];
+    const secretKeys = new Set([...SECRET_KEYS, ...redactKeys.map(key => key.toLowerCase())]);
+    const contentKeys = new Set(CONTENT_KEYS);
+
+    const redact = (value, key = '', depth = 0) => {
+        const lowerKey = key.toLowerCase();
+        if (secretKeys.has(lowerKey)) {
+            return '[REDACTED]';
+        }
+        if (!logContent && contentKeys.has(lowerKey) && value !== null && value !== undefined) {
+            const length = typeof value === 'string' ? value.length : JSON.stringify(value).length;
+            return `[${length} chars]`;
+        }
+        if (value instanceof Error) {
+            return { name: value.name, message: redactUrlSecrets(value.message), code: value.code };
+        }
+        if (typeof value === 'string') {
+            return redactUrlSecrets(value);
+        }
+        if (value && typeof value === 'object') {
+            if (depth >= 5) {
+                return '[Object]';
+            }
+            if (Array.isArray(value)) {
+                return value.map(item => redact(item, '', depth + 1));
+            }
+            return Object.fromEntries(Object.entries(value).map(([entryKey, entry]) => [entryKey, redact(entry, entryKey, depth + 1)]));
+        }
+        return value;
+    };
+
+    const log = (levelName, msg, fields = {}) => {
+        if (LEVELS[levelName] < threshold) {
+            return;
+        }
+        const context = requestStore.getStore();
+        const line = {
+            time: new Date().toISOString(),
+            level: levelName,
+            msg,
+            ...(context ? { requestId: context.requestId, userId: context.userId() } : {}),
+            ...bindings,
+            ...redact(fields),
+        };
+        write(`${JSON.stringify(line)}\n`);
+    };
+
+    return {
+        debug: (msg, fields) => log('debug', msg, fields),
+        info: (msg, fields) => log('info', msg, fields),
+        warn: (msg, fields) => log('warn', msg, fields),
+        error: (msg, fields) => log('error', msg, fields),
+        // A logger that adds `fields` to every line, e.g. { component: 'azure-assistants' }.
+        child: (fields) => createLogger({ level, logContent, redactKeys, write, bindings: { ...bindings, ...fields } }),
+        redact,
+    };
+}
+
+// The shared logger, configured from LOG_LEVEL and LOG_CONTENT=true.
+const logger = createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    logContent: process.env.LOG_CONTENT === 'true',
+});
+
+/**
+ * Express middleware giving each request an ID (the client's X-Request-Id if it sent a
+ * usable one), echoed in the X-Request-Id response header and added to every log line
+ * written while handling it. Logs one `request completed` line per request and calls
+ * `onFinish(req, res, durationSeconds)`, e.g. to record metrics.
+ */
+function requestContext({ logger: requestLogger = logger, onFinish } = {}) {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        const startedAt = process.hrtime.bigint();
+        req.id = requestId;
+        res.set('X-Request-Id', requestId);
+
+        const context = { requestId, userId: () => (req.auth && req.auth.payload ? req.auth.payload.sub : undefined) };
+        res.on('finish', () => {
+            const durationSeconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            requestStore.run(context, () => {
+                requestLogger.info('request completed', {
+                    method: req.method,
+                    path: req.path,
+                    status: res.statusCode,
+                    durationMs: Math.round(durationSeconds * 1000),
+                });
+            });
+            if (onFinish) {
+                onFinish(req, res, durationSeconds);
+            }
+        });
+        requestStore.run(context, next);
+    };
+}
+
+module.exports = { createLogger, logger, requestContext };
@@ -0,0 +1,108 @@
+// In-process metrics in the Prometheus text format: HTTP request counts and latency,
+// and per-user assistant run latency, polls, tool calls and token usage, so cost and
+// latency can be broken down per user. Served by GET /metrics (see app.js).
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+// Series are keyed by their label values in `labelNames` order.
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+
+function createCounter(name, help, labelNames) {
+    const series = new Map(); // key -> { labels, value }
+    return {
+        inc(labels = {}, amount = 1) {
+            const key = seriesKey(labelNames, labels);
+            const entry = series.get(key) || { labels: Object.fromEntries(labelNames.map(label => [label, labels[label] === undefined ? '' : labels[label]])), value: 0 };
+            entry.value += amount;
+            series.set(key, entry);
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            for (const { labels, value } of series.values()) {
+                lines.push(`${name}${formatLabels(labels)} ${value}`);
+            }
+            return lines.join('\n');
+        },
+    };
+}
+
+function createHistogram(name, help, labelNames, buckets) {
+    const series = new Map(); // key -> { labels, counts per bucket, sum, count }
+    return {
+        observe(labels, value) {
+            const key = seriesKey(labelNames, labels);
+            const entry = series.get(key) || {
+                labels: Object.fromEntries(labelNames.map(label => [label, labels[label] === undefined ? '' : labels[label]])),
+                counts: buckets.map(() => 0),
+                sum: 0,
+                count: 0,
+            };
+            buckets.forEach((bound, index) => {
+                if (value <= bound) {
+                    entry.counts[index] += 1;
+                }
+            });
+            entry.sum += value;
+            entry.count += 1;
+            series.set(key, entry);
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            for (const { labels, counts, sum, count } of series.values()) {
+                buckets.forEach((bound, index) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+            }
+            return lines.join('\n');
+        },
+    };
+}
+
+function createMetrics() {
+    const httpRequests = createCounter('http_requests_total', 'HTTP requests by route and status.', ['method', 'route', 'status']);
+    const httpDuration = createHistogram('http_request_duration_seconds', 'HTTP request latency.', ['method', 'route'],
+        [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]);
+    const runs = createCounter('assistant_runs_total', 'Assistant runs by user and final status.', ['user', 'provider', 'status']);
+    const runDuration = createHistogram('assistant_run_duration_seconds', 'Assistant run latency, from adding the message to the final status.', ['user', 'provider'],
+        [1, 2, 5, 10, 20, 30, 60, 120, 300]);
+    const runPolls = createCounter('assistant_run_polls_total', 'Run status polls made while waiting for runs.', ['user', 'provider']);
+    const toolCalls = createCounter('assistant_tool_calls_total', 'Function tool calls run for the assistant.', ['user', 'tool']);
+    const tokens = createCounter('assistant_tokens_total', 'Tokens used by assistant runs.', ['user', 'provider', 'type']);
+
+    return {
+        recordRequest({ method, route, status, durationSeconds }) {
+            httpRequests.inc({ method, route, status });
+            httpDuration.observe({ method, route }, durationSeconds);
+        },
+
+        // `run` is a provider run result; `polls` is how many status polls it took.
+        recordRun({ userId, provider, run, durationSeconds }) {
+            const labels = { user: userId, provider };
+            runs.inc({ ...labels, status: run.status });
+            runDuration.observe(labels, durationSeconds);
+            runPolls.inc(labels, run.polls || 0);
+            if (run.usage) {
+                tokens.inc({ ...labels, type: 'prompt' }, run.usage.prompt_tokens || 0);
+                tokens.inc({ ...labels, type: 'completion' }, run.usage.completion_tokens || 0);
+            }
+        },
+
+        recordToolCall({ userId, tool }) {
+            toolCalls.inc({ user: userId, tool });
+        },
+
+        render() {
+            return `${[httpRequests, httpDuration, runs, runDuration, runPolls, toolCalls, tokens].map(metric => metric.render()).join('\n')}\n`;
+        },
+    };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,152 @@
+// Credit purchases through an external payment provider.
+//
+// POST /api/checkout records a pending purchase for a credit package and sends the user to
+// the provider's checkout page, with the purchase ID as the payment reference. When the
+// payment goes through, the provider calls POST /api/payments/webhook with a signed event:
+//
+//   { id, type: 'payment.succeeded' | 'payment.failed', data: { reference, amount, currency } }
+//
+// signed in the `X-Payment-Signature` header as `t=<unix seconds>,v1=<hex HMAC-SHA256 of
+// "<t>.<raw body>">` with the shared webhook secret. Each event ID is applied once: repeated
+// deliveries are acknowledged without doing anything, and a purchase is only credited once.
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+
+const SIGNATURE_HEADER = 'X-Payment-Signature';
+// Signed events older (or newer) than this are refused, so a captured request can't be replayed later.
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Prices are in the currency's minor unit (pence).
+const DEFAULT_CREDIT_PACKAGES = [
+    { id: 'starter', name: 'Starter', credits: 50, price: 500, currency: 'gbp' },
+    { id: 'standard', name: 'Standard', credits: 120, price: 1000, currency: 'gbp' },
+    { id: 'team', name: 'Team', credits: 300, price: 2000, currency: 'gbp' },
+];
+
+const hmac = (secret, timestamp, rawBody) =>
+    crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody).digest('hex');
+
+// The signature header value for `rawBody`, as the payment provider sends it.
+function signPayload(secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${hmac(secret, timestamp, rawBody)}`;
+}
+
+// Throws a 400 INVALID_SIGNATURE ApiError unless `header` signs `rawBody` with `secret` recently enough.
+function verifySignature(secret, header, rawBody, { now = Date.now(), toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS } = {}) {
+    const invalid = (details) => new ApiError(400, 'INVALID_SIGNATURE', 'Invalid signature', details);
+    if (typeof header !== 'string' || !rawBody) {
+        throw invalid(`The request must carry a ${SIGNATURE_HEADER} header and a body.`);
+    }
+    const fields = Object.fromEntries(header.split(',').map(part => part.trim().split('=')).filter(pair => pair.length === 2));
+    const timestamp = Number(fields.t);
+    if (!Number.isInteger(timestamp) || !/^[0-9a-f]{64}$/.test(fields.v1 || '')) {
+        throw invalid(`${SIGNATURE_HEADER} must look like t=<timestamp>,v1=<signature>.`);
+    }
+    if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+        throw invalid('The signature timestamp is too old or in the future.');
+    }
+    const expected = Buffer.from(hmac(secret, timestamp, rawBody), 'hex');
+    if (!crypto.timingSafeEqual(expected, Buffer.from(fields.v1, 'hex'))) {
+        throw invalid('The signature does not match the body.');
+    }
+}
+
+// Check the shape of a verified webhook event; throws a 400 INVALID_PAYMENT_EVENT ApiError.
+function parsePaymentEvent(body) {
+    const valid = body && typeof body.id === 'string' && body.id
+        && typeof body.type === 'string'
+        && body.data && typeof body.data === 'object';
+    if (!valid) {
+        throw new ApiError(400, 'INVALID_PAYMENT_EVENT', 'Invalid payment event', 'An event needs an id, a type and data.');
+    }
+    return body;
+}
+
+// `map[key]` if it is the map's own entry, else null: IDs come from requests and webhook events,
+// and must not reach prototype members such as "__proto__" or "constructor".
+const ownEntry = (map, key) => (map && typeof key === 'string' && Object.hasOwn(map, key) ? map[key] : null);
+
+const toPurchaseSummary = ({ id, packageId, credits, price, currency, status, createdAt, completedAt }) =>
+    ({ id, packageId, credits, price, currency, status, createdAt, completedAt: completedAt || null });
+
+/**
+ * Purchases and the webhook events applied to them. `credits` is the credit ledger; paid
+ * purchases are credited with `credits.grantWithin` so the balance, the purchase and the
+ * event record are all written in one store transaction.
+ */
+function createPurchaseRepository(store, credits) {
+    return {
+        async create(userId, creditPackage) {
+            return store.transaction((data) => {
+                data.purchases = data.purchases || {};
+                const purchase = {
+                    id: `pur_${crypto.randomUUID().replace(/-/g, '')}`,
+                    userId,
+                    packageId: creditPackage.id,
+                    credits: creditPackage.credits,
+                    price: creditPackage.price,
+                    currency: creditPackage.currency,
+                    status: 'pending',
+                    createdAt: new Date().toISOString(),
+                };
+                data.purchases[purchase.id] = purchase;
+                return purchase;
+            });
+        },
+
+        async get(purchaseId) {
+            return store.read(data => ownEntry(data.purchases, purchaseId));
+        },
+
+        /**
+         * Apply a verified webhook event and return `{ outcome, purchase }`. Outcomes:
+         * `credited`, `failed`, `duplicate` (event seen before), `already_processed`
+         * (purchase no longer pending), `amount_mismatch`, `unknown_purchase` and `ignored`
+         * (event types other than payment.succeeded / payment.failed).
+         */
+        async applyEvent(event) {
+            return store.transaction((data) => {
+                data.paymentEvents = data.paymentEvents || {};
+                if (ownEntry(data.paymentEvents, event.id)) {
+                    return { outcome: 'duplicate', purchase: null };
+                }
+                const purchase = ownEntry(data.purchases, event.data.reference);
+                const record = (outcome) => {
+                    data.paymentEvents[event.id] = { type: event.type, purchaseId: purchase && purchase.id, outcome, receivedAt: new Date().toISOString() };
+                    return { outcome, purchase };
+                };
+
+                if (event.type !== 'payment.succeeded' && event.type !== 'payment.failed') {
+                    return record('ignored');
+                }
+                if (!purchase) {
+                    return record('unknown_purchase');
+                }
+                if (purchase.status !== 'pending') {
+                    return record('already_processed');
+                }
+                if (event.type === 'payment.failed') {
+                    Object.assign(purchase, { status: 'failed', completedAt: new Date().toISOString() });
+                    return record('failed');
+                }
+                if (event.data.amount !== purchase.price || String(event.data.currency).toLowerCase() !== purchase.currency) {
+                    Object.assign(purchase, { status: 'amount_mismatch', completedAt: new Date().toISOString() });
+                    return record('amount_mismatch');
+                }
+                Object.assign(purchase, { status: 'paid', completedAt: new Date().toISOString() });
+                credits.grantWithin(data, purchase.userId, purchase.credits, 'purchase', { purchaseId: purchase.id, packageId: purchase.packageId });
+                return record('credited');
+            });
+        },
+    };
+}
+
+module.exports = {
+    DEFAULT_CREDIT_PACKAGES,
+    SIGNATURE_HEADER,
+    signPayload,
+    verifySignature,
+    parsePaymentEvent,
+    createPurchaseRepository,
+    toPurchaseSummary,
+};
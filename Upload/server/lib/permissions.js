@@ -0,0 +1,33 @@
+// Scope-based authorization for the admin API.
+//
+// Auth0 puts an API's RBAC permissions in the access token's `permissions` claim
+// (with "Add Permissions in the Access Token" turned on) and granted scopes in
+// the space-separated `scope` claim; a permission from either one counts.
+const { ApiError } = require('./errors');
+
+const ADMIN_PERMISSIONS = {
+    credits: 'admin:credits', // grant and revoke credits
+    usage: 'admin:usage',     // view users, their usage and their threads
+    users: 'admin:users',     // disable and re-enable users
+};
+
+function tokenPermissions(payload = {}) {
+    const permissions = Array.isArray(payload.permissions) ? payload.permissions : [];
+    const scopes = typeof payload.scope === 'string' ? payload.scope.split(' ').filter(Boolean) : [];
+    return [...new Set([...permissions, ...scopes])];
+}
+
+// Middleware that lets the request through only if the token has every one of `required`.
+// Use after `checkJwt`.
+function requirePermissions(...required) {
+    return (req, res, next) => {
+        const granted = tokenPermissions(req.auth && req.auth.payload);
+        const missing = required.filter(permission => !granted.includes(permission));
+        if (missing.length > 0) {
+            throw new ApiError(403, 'INSUFFICIENT_SCOPE', 'Forbidden', `This requires the ${missing.join(', ')} permission${missing.length === 1 ? '' : 's'}.`);
+        }
+        next();
+    };
+}
+
+module.exports = { ADMIN_PERMISSIONS, tokenPermissions, requirePermissions };
@@ -0,0 +1,296 @@
+// LLM provider backed by the Azure OpenAI Assistants API. Threads, messages
+// and runs all live in Azure; the assistant's instructions and tools are
+// configured on the assistant itself (see scripts/sync-assistant-tools.js), and an
+// assistant profile can override them per run (see lib/assistantProfiles.js).
+const { parseSseStream } = require('../sse');
+const { createHttpClient } = require('../http');
+const { logger: baseLogger } = require('../logger');
+
+const logger = baseLogger.child({ provider: 'azure-assistants' });
+
+const DEFAULT_API_VERSION = '2024-05-01-preview';
+
+// Run statuses that can still change; everything else is final.
+const ACTIVE_RUN_STATUSES = new Set(['queued', 'in_progress', 'requires_action', 'cancelling']);
+// Polls to wait for a cancelled run to settle before giving up and reporting it as-is.
+const CANCEL_SETTLE_POLLS = 10;
+
+// Name to show for a run step tool call: the function name, or the built-in tool type.
+const toolCallName = (toolCall) => (toolCall.function ? toolCall.function.name : toolCall.type);
+
+// Resolves after `ms`, or straight away once `signal` aborts.
+const sleep = (ms, signal) => new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    }
+});
+
+/**
+ * `summaryDeployment` is an optional chat model deployment on the same resource, used by
+ * `summarize()` for thread titles; without it the provider has no `summarize`.
+ * `http` holds options for the retrying HTTP client (see lib/http.js).
+ */
+function createAzureAssistantsProvider({ apiKey, endpoint, assistantId, apiVersion = DEFAULT_API_VERSION, pollIntervalMs = 1000, summaryDeployment, http: httpOptions }) {
+    const baseUrl = `${endpoint}/openai`;
+    const urlFor = (path) => `${baseUrl}${path}${path.includes('?') ? '&' : '?'}api-version=${apiVersion}`;
+    const http = createHttpClient(httpOptions);
+
+    // JSON bodies are serialized here; FormData bodies are sent as multipart with fetch's own boundary.
+    // `action` describes the call for error messages, e.g. "create thread". Failures are UpstreamErrors.
+    const send = (method, path, body, { action, responseType, signal } = {}) => http.request(urlFor(path), {
+        method,
+        headers: {
+            'api-key': apiKey,
+            ...(body !== undefined && !(body instanceof FormData) ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body === undefined || body instanceof FormData ? body : JSON.stringify(body),
+        action,
+        responseType,
+        signal,
+    });
+
+    const requestJson = async (method, path, body, action) => (await send(method, path, body, { action })).data;
+
+    // Open a streamed run (or the stream that continues one after tool outputs).
+    const openStream = async (path, body, action, signal) => (await send('POST', path, { ...body, stream: true }, { action, responseType: 'stream', signal })).data;
+
+    const toRunResult = (run, extra = {}) => ({
+        id: run.id,
+        threadId: run.thread_id,
+        status: run.status,
+        usage: run.usage || null,
+        lastError: run.last_error || null,
+        ...extra,
+    });
+
+    // The body that creates a run: the assistant to run, plus a profile's per-run overrides.
+    // `tools` replaces the assistant's tools, so it is only sent when `builtInTools` says which to keep.
+    const createRunBody = ({ assistantId: runAssistantId, model, additionalInstructions, tools = [], builtInTools }) => ({
+        assistant_id: runAssistantId || assistantId,
+        ...(model ? { model } : {}),
+        ...(additionalInstructions ? { additional_instructions: additionalInstructions } : {}),
+        ...(builtInTools ? { tools: [...builtInTools.map(type => ({ type })), ...tools] } : {}),
+    });
+
+    const cancelRun = (threadId, runId) => requestJson('POST', `/threads/${threadId}/runs/${runId}/cancel`, {}, 'cancel run');
+
+    // Cancel a run that is still going and wait briefly for Azure to settle it (usually as `cancelled`).
+    async function cancelAndSettle(threadId, runId) {
+        logger.info('cancelling run', { threadId, runId });
+        let run;
+        try {
+            run = await cancelRun(threadId, runId);
+        } catch (error) {
+            // Most likely the run finished in the meantime; report whatever state it ended in.
+            logger.warn('could not cancel run', { threadId, runId, error });
+            run = await requestJson('GET', `/threads/${threadId}/runs/${runId}`, undefined, 'retrieve run');
+        }
+        for (let i = 0; i < CANCEL_SETTLE_POLLS && ACTIVE_RUN_STATUSES.has(run.status); i++) {
+            await sleep(pollIntervalMs);
+            run = await requestJson('GET', `/threads/${threadId}/runs/${runId}`, undefined, 'retrieve run');
+        }
+        logger.info('run cancelled', { threadId, runId, status: run.status });
+        return run;
+    }
+
+    async function pollRun(threadId, { executeToolCalls, onRunCreated, signal, ...runOptions }) {
+        let run = await requestJson('POST', `/threads/${threadId}/runs`, createRunBody(runOptions), 'create run');
+        logger.info('run created', { threadId, runId: run.id, status: run.status });
+        onRunCreated(run.id);
+        let polls = 0;
+
+        // Poll the run status until it reaches a final status, answering tool calls on the way.
+        // Aborting `signal` cancels the run upstream.
+        while (ACTIVE_RUN_STATUSES.has(run.status)) {
+            if (signal && signal.aborted) {
+                return toRunResult(await cancelAndSettle(run.thread_id, run.id), { polls });
+            }
+            await sleep(pollIntervalMs, signal);
+            if (signal && signal.aborted) {
+                continue;
+            }
+
+            run = await requestJson('GET', `/threads/${run.thread_id}/runs/${run.id}`, undefined, 'retrieve run');
+            polls++;
+            logger.debug('run polled', { threadId, runId: run.id, status: run.status });
+
+            if (run.status === 'requires_action' && run.required_action) {
+                const toolCalls = run.required_action.submit_tool_outputs.tool_calls;
+                logger.info('run requires action', { threadId, runId: run.id, toolCalls: toolCalls.length });
+                const toolOutputs = await executeToolCalls(toolCalls, run.id);
+                run = await requestJson('POST', `/threads/${run.thread_id}/runs/${run.id}/submit_tool_outputs`, { tool_outputs: toolOutputs }, 'submit tool outputs');
+                logger.debug('tool outputs submitted', { threadId, runId: run.id, status: run.status });
+            }
+        }
+
+        return toRunResult(run, { polls });
+    }
+
+    // Each upstream stream ends either with a final run status or with `requires_action`,
+    // in which case the tool outputs are submitted and the next stream is relayed the same way.
+    async function streamRun(threadId, { executeToolCalls, onEvent, onRunCreated, signal, ...runOptions }) {
+        logger.debug('creating streaming run', { threadId });
+        let stream = await openStream(`/threads/${threadId}/runs`, createRunBody(runOptions), 'create run', signal);
+
+        let run = null;
+        let text = '';
+
+        try {
+            while (stream) {
+                let nextStream = null;
+
+                for await (const { event, data } of parseSseStream(stream)) {
+                    if (event === 'thread.run.created') {
+                        run = data;
+                        onRunCreated(run.id);
+                    } else if (event === 'thread.message.delta') {
+                        for (const part of data.delta.content || []) {
+                            if (part.type === 'text' && part.text && part.text.value) {
+                                text += part.text.value;
+                                onEvent('delta', { text: part.text.value });
+                            }
+                        }
+                    } else if (event === 'thread.run.step.delta') {
+                        // The first delta for a tool call carries its id and type.
+                        const stepDetails = data.delta.step_details;
+                        for (const toolCall of (stepDetails && stepDetails.tool_calls) || []) {
+                            if (toolCall.id) {
+                                onEvent('tool_call', { id: toolCall.id, type: toolCall.type, name: toolCallName(toolCall), status: 'running' });
+                            }
+                        }
+                    } else if (event === 'thread.run.step.completed') {
+                        if (data.step_details.type === 'tool_calls') {
+                            for (const toolCall of data.step_details.tool_calls) {
+                                onEvent('tool_call', { id: toolCall.id, type: toolCall.type, name: toolCallName(toolCall), status: 'completed' });
+                            }
+                        }
+                    } else if (event === 'thread.run.requires_action') {
+                        run = data;
+                        logger.info('run requires action', { threadId, runId: run.id, toolCalls: run.required_action.submit_tool_outputs.tool_calls.length });
+                        const toolOutputs = await executeToolCalls(run.required_action.submit_tool_outputs.tool_calls, run.id);
+                        nextStream = await openStream(`/threads/${run.thread_id}/runs/${run.id}/submit_tool_outputs`, { tool_outputs: toolOutputs }, 'submit tool outputs', signal);
+                        break;
+                    } else if (event.startsWith('thread.run.') && !event.startsWith('thread.run.step.')) {
+                        run = data;
+                    } else if (event === 'error') {
+                        throw new Error(`Assistant stream error: ${data.message || JSON.stringify(data)}`);
+                    }
+                }
+
+                stream = nextStream;
+            }
+        } catch (error) {
+            // Aborting `signal` cuts the stream; cancel the run upstream and report how it ended.
+            if (!(signal && signal.aborted)) {
+                throw error;
+            }
+            if (!run) {
+                return { id: null, threadId, status: 'cancelled', usage: null, lastError: null, text };
+            }
+            return toRunResult(await cancelAndSettle(threadId, run.id), { text });
+        }
+
+        if (!run) {
+            throw new Error('Assistant stream ended before a run was created');
+        }
+        return toRunResult(run, { text });
+    }
+
+    const provider = {
+        name: 'azure-assistants',
+
+        async createThread() {
+            const thread = await requestJson('POST', '/threads', {}, 'create thread');
+            return { id: thread.id };
+        },
+
+        // Delete the thread in Azure. A thread that is already gone counts as deleted.
+        async deleteThread(threadId) {
+            try {
+                await requestJson('DELETE', `/threads/${threadId}`, undefined, 'delete thread');
+            } catch (error) {
+                if (error.upstreamStatus !== 404) {
+                    throw error;
+                }
+                logger.warn('thread was already deleted in Azure', { threadId });
+                return;
+            }
+            logger.info('thread deleted', { threadId });
+        },
+
+        // `attachments` are [{ fileId, tools }] with file IDs from uploadFile and tool types such as 'file_search'.
+        async addMessage(threadId, { content, attachments = [] }) {
+            const body = { role: 'user', content };
+            if (attachments.length > 0) {
+                body.attachments = attachments.map(({ fileId, tools }) => ({ file_id: fileId, tools: tools.map(type => ({ type })) }));
+            }
+            const message = await requestJson('POST', `/threads/${threadId}/messages`, body, 'add message');
+            logger.debug('message added', { threadId, messageId: message.id });
+            return message;
+        },
+
+        // Tools and instructions come from the assistant's own configuration unless the run
+        // options override them (see createRunBody).
+        async runWithTools(threadId, { executeToolCalls, onEvent, onRunCreated = () => {}, signal, ...runOptions }) {
+            return onEvent
+                ? streamRun(threadId, { executeToolCalls, onEvent, onRunCreated, signal, ...runOptions })
+                : pollRun(threadId, { executeToolCalls, onRunCreated, signal, ...runOptions });
+        },
+
+        // Ask Azure to cancel a run. Fails with an upstream status of 400 once the run has finished.
+        async cancelRun(threadId, runId) {
+            return toRunResult(await cancelRun(threadId, runId));
+        },
+
+        // Upload to the Azure file store for use by the assistant's file_search and code_interpreter tools.
+        async uploadFile({ filename, mimeType, buffer }) {
+            const form = new FormData();
+            form.append('purpose', 'assistants');
+            form.append('file', new Blob([buffer], { type: mimeType }), filename);
+            const file = await requestJson('POST', '/files', form, 'upload file');
+            logger.info('file uploaded', { fileId: file.id, bytes: buffer.length });
+            return { id: file.id };
+        },
+
+        // Download a file from the Azure file store, e.g. an image or CSV made by code_interpreter.
+        async downloadFile(fileId) {
+            const file = await requestJson('GET', `/files/${fileId}`, undefined, 'retrieve file');
+            const response = await send('GET', `/files/${fileId}/content`, undefined, { action: 'download file', responseType: 'arrayBuffer' });
+            return {
+                buffer: response.data,
+                contentType: response.headers.get('content-type'),
+                filename: file.filename ? file.filename.split('/').pop() : null,
+            };
+        },
+
+        // Newest first. `after` is the ID of the last message of the previous page.
+        async listMessages(threadId, { limit = 20, after } = {}) {
+            const query = new URLSearchParams({ limit: String(limit), order: 'desc' });
+            if (after) {
+                query.set('after', after);
+            }
+            const messages = await requestJson('GET', `/threads/${threadId}/messages?${query}`, undefined, 'retrieve messages');
+            return { data: messages.data, hasMore: Boolean(messages.has_more) };
+        },
+    };
+
+    if (summaryDeployment) {
+        // One-off chat completion outside any thread, e.g. to title a conversation.
+        provider.summarize = async ({ instructions, text, maxTokens = 30 }) => {
+            const completion = await requestJson('POST', `/deployments/${summaryDeployment}/chat/completions`, {
+                messages: [{ role: 'system', content: instructions }, { role: 'user', content: text }],
+                max_tokens: maxTokens,
+                temperature: 0.2,
+            }, 'summarize');
+            return completion.choices[0].message.content || '';
+        };
+    }
+
+    return provider;
+}
+
+module.exports = { createAzureAssistantsProvider, DEFAULT_API_VERSION };
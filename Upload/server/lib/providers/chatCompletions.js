@@ -0,0 +1,284 @@
+// LLM provider for any OpenAI-compatible Chat Completions endpoint: OpenAI,
+// an Azure OpenAI chat deployment, or a local llama.cpp / Ollama / vLLM server.
+//
+// Chat Completions is stateless, so threads are kept server-side in the data
+// store: `history` is the message list sent to the model (including tool calls
+// and tool results) and `messages` is what listMessages returns, shaped like
+// Assistants API thread messages so the routes don't care which provider ran.
+//
+// There is no file store or built-in tools either: uploaded text files (CSV,
+// TXT, Markdown, JSON) are kept in the data store and inlined into the user
+// message they are attached to; other file types are refused.
+const crypto = require('crypto');
+const { ApiError } = require('../errors');
+const { parseSseStream } = require('../sse');
+const { createHttpClient } = require('../http');
+const { logger: baseLogger } = require('../logger');
+
+const DEFAULT_MAX_TOOL_ROUNDS = 8;
+
+const logger = baseLogger.child({ provider: 'chat-completions' });
+
+const newId = (prefix) => `${prefix}_${crypto.randomUUID().replace(/-/g, '')}`;
+
+const isTextType = (mimeType) => mimeType.startsWith('text/') || mimeType === 'application/json';
+
+const toThreadMessage = (threadId, role, text, runId = null, attachments = []) => ({
+    id: newId('msg'),
+    object: 'thread.message',
+    created_at: Math.floor(Date.now() / 1000),
+    thread_id: threadId,
+    role,
+    run_id: runId,
+    content: [{ type: 'text', text: { value: text, annotations: [] } }],
+    attachments: attachments.map(({ fileId, tools }) => ({ file_id: fileId, tools: tools.map(type => ({ type })) })),
+});
+
+/**
+ * `baseUrl` is the API root that `/chat/completions` is appended to, e.g.
+ * `http://localhost:11434/v1` for Ollama. Set `apiVersion` for Azure OpenAI
+ * deployments, which authenticate with an `api-key` header instead of a bearer token.
+ * `http` holds options for the retrying HTTP client (see lib/http.js).
+ */
+function createChatCompletionsProvider({ baseUrl, apiKey, model, apiVersion, instructions, store, maxToolRounds = DEFAULT_MAX_TOOL_ROUNDS, http: httpOptions }) {
+    const completionsUrl = `${baseUrl.replace(/\/$/, '')}/chat/completions${apiVersion ? `?api-version=${apiVersion}` : ''}`;
+    const authHeaders = apiVersion
+        ? { 'api-key': apiKey }
+        : (apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {});
+    const http = createHttpClient(httpOptions);
+
+    const getThread = async (threadId) => {
+        const thread = await store.read(data => (data.chatThreads && data.chatThreads[threadId]) || null);
+        if (!thread) {
+            throw new Error(`Failed to load thread: no thread found with id '${threadId}'`);
+        }
+        return thread;
+    };
+
+    const updateThread = (threadId, update) => store.transaction((data) => {
+        update(data.chatThreads[threadId]);
+    });
+
+    // Resolves with the parsed completion, or the SSE body stream when `body.stream` is set.
+    const postCompletion = async (body, signal) => (await http.request(completionsUrl, {
+        method: 'POST',
+        headers: { ...authHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal,
+        action: 'create chat completion',
+        responseType: body.stream ? 'stream' : 'json',
+    })).data;
+
+    async function complete(body, signal) {
+        const completion = await postCompletion(body, signal);
+        const [choice] = completion.choices;
+        return { message: choice.message, finishReason: choice.finish_reason, usage: completion.usage };
+    }
+
+    // Rebuild the assistant message from streamed chunks; tool call fragments are keyed by `index`.
+    async function streamCompletion(body, onEvent, signal) {
+        const stream = await postCompletion({ ...body, stream: true, stream_options: { include_usage: true } }, signal);
+        let content = '';
+        let finishReason = null;
+        let usage = null;
+        const toolCalls = [];
+
+        for await (const { data } of parseSseStream(stream)) {
+            if (data === '[DONE]') {
+                break;
+            }
+            if (data.usage) {
+                usage = data.usage;
+            }
+            const [choice] = data.choices || [];
+            if (!choice) {
+                continue;
+            }
+            const delta = choice.delta || {};
+            if (delta.content) {
+                content += delta.content;
+                onEvent('delta', { text: delta.content });
+            }
+            for (const fragment of delta.tool_calls || []) {
+                const toolCall = toolCalls[fragment.index] || (toolCalls[fragment.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+                if (fragment.id) toolCall.id = fragment.id;
+                if (fragment.function && fragment.function.name) toolCall.function.name += fragment.function.name;
+                if (fragment.function && fragment.function.arguments) toolCall.function.arguments += fragment.function.arguments;
+            }
+            if (choice.finish_reason) {
+                finishReason = choice.finish_reason;
+            }
+        }
+
+        const message = { role: 'assistant', content: content || null };
+        if (toolCalls.length > 0) {
+            message.tool_calls = toolCalls.filter(Boolean);
+        }
+        return { message, finishReason, usage };
+    }
+
+    return {
+        name: 'chat-completions',
+
+        async createThread() {
+            const id = newId('thread');
+            await store.transaction((data) => {
+                data.chatThreads = data.chatThreads || {};
+                data.chatThreads[id] = { id, createdAt: new Date().toISOString(), history: [], messages: [] };
+            });
+            return { id };
+        },
+
+        async deleteThread(threadId) {
+            await store.transaction((data) => {
+                if (data.chatThreads) {
+                    delete data.chatThreads[threadId];
+                }
+            });
+        },
+
+        async addMessage(threadId, { content, attachments = [] }) {
+            await getThread(threadId);
+            const files = await store.read(data => attachments.map(({ fileId }) => data.chatFiles && data.chatFiles[fileId]));
+            const missing = attachments.find((attachment, index) => !files[index]);
+            if (missing) {
+                throw new Error(`Failed to add message: no file found with id '${missing.fileId}'`);
+            }
+            const inlined = files.map(file => `Attached file ${file.filename}:\n\`\`\`\n${file.text}\n\`\`\``);
+            const message = toThreadMessage(threadId, 'user', content, null, attachments);
+            await updateThread(threadId, (thread) => {
+                thread.history.push({ role: 'user', content: [content, ...inlined].join('\n\n') });
+                thread.messages.push(message);
+            });
+            logger.debug('message added', { threadId, messageId: message.id });
+            return message;
+        },
+
+        /**
+         * Call the model until it answers without tool calls, running any tool calls it makes
+         * through `executeToolCalls(toolCalls, runId)`. `tools` are the function definitions
+         * offered to the model; `model` and `additionalInstructions` come from the assistant
+         * profile, if any (`assistantId` and `builtInTools` only apply to Azure Assistants).
+         * With `onEvent` the completion is streamed and `delta` and `tool_call` events are
+         * reported as they happen.
+         *
+         * Aborting `signal` stops the run with status `cancelled`; the model's partial
+         * answer and tool calls are discarded, leaving the user's message as the last one.
+         */
+        async runWithTools(threadId, { tools = [], executeToolCalls, onEvent, onRunCreated = () => {}, signal, model: runModel, additionalInstructions }) {
+            const thread = await getThread(threadId);
+            const systemPrompt = [instructions, additionalInstructions].filter(Boolean).join('\n\n');
+            const runId = newId('run');
+            const history = [...thread.history];
+            const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+            const emit = onEvent || (() => {});
+            const cancelled = () => ({ id: runId, threadId, status: 'cancelled', usage, lastError: null, text: '' });
+            onRunCreated(runId);
+
+            for (let round = 0; round < maxToolRounds; round++) {
+                if (signal && signal.aborted) {
+                    return cancelled();
+                }
+                const body = {
+                    model: runModel || model,
+                    messages: systemPrompt ? [{ role: 'system', content: systemPrompt }, ...history] : history,
+                    ...(tools.length > 0 ? { tools } : {}),
+                };
+                let result;
+                try {
+                    result = onEvent
+                        ? await streamCompletion(body, onEvent, signal)
+                        : await complete(body, signal);
+                } catch (error) {
+                    if (signal && signal.aborted) {
+                        return cancelled();
+                    }
+                    throw error;
+                }
+                const { message, finishReason, usage: roundUsage } = result;
+
+                for (const key of Object.keys(usage)) {
+                    usage[key] += (roundUsage && roundUsage[key]) || 0;
+                }
+                history.push(message);
+
+                if (message.tool_calls && message.tool_calls.length > 0) {
+                    logger.info('run requested tool calls', { threadId, runId, toolCalls: message.tool_calls.length });
+                    message.tool_calls.forEach(toolCall => emit('tool_call', { id: toolCall.id, type: 'function', name: toolCall.function.name, status: 'running' }));
+                    const toolOutputs = await executeToolCalls(message.tool_calls, runId);
+                    for (const output of toolOutputs) {
+                        history.push({ role: 'tool', tool_call_id: output.tool_call_id, content: output.output });
+                    }
+                    message.tool_calls.forEach(toolCall => emit('tool_call', { id: toolCall.id, type: 'function', name: toolCall.function.name, status: 'completed' }));
+                    continue;
+                }
+
+                const text = message.content || '';
+                await updateThread(threadId, (stored) => {
+                    stored.history = history;
+                    stored.messages.push(toThreadMessage(threadId, 'assistant', text, runId));
+                });
+                const status = finishReason === 'length' ? 'incomplete' : 'completed';
+                return { id: runId, threadId, status, usage, lastError: null, text };
+            }
+
+            await updateThread(threadId, (stored) => {
+                stored.history = history;
+            });
+            return {
+                id: runId,
+                threadId,
+                status: 'failed',
+                usage,
+                lastError: { code: 'max_tool_rounds', message: `The model kept calling tools after ${maxToolRounds} rounds.` },
+                text: '',
+            };
+        },
+
+        async uploadFile({ filename, mimeType, buffer }) {
+            if (!isTextType(mimeType)) {
+                throw new ApiError(415, 'UNSUPPORTED_FILE_TYPE', 'Unsupported file type',
+                    `${filename}: the chat-completions provider only accepts text files such as CSV, TXT, Markdown and JSON.`);
+            }
+            const id = newId('file');
+            await store.transaction((data) => {
+                data.chatFiles = data.chatFiles || {};
+                data.chatFiles[id] = { id, filename, mimeType, text: buffer.toString('utf8') };
+            });
+            return { id };
+        },
+
+        // One-off completion outside any thread, e.g. to title a conversation.
+        async summarize({ instructions, text, maxTokens = 30 }) {
+            const { message } = await complete({
+                model,
+                messages: [{ role: 'system', content: instructions }, { role: 'user', content: text }],
+                max_tokens: maxTokens,
+            });
+            return message.content || '';
+        },
+
+        // Only uploaded text files exist here; the model can't generate files.
+        async downloadFile(fileId) {
+            const file = await store.read(data => (data.chatFiles && data.chatFiles[fileId]) || null);
+            if (!file) {
+                throw new Error(`Failed to download file: no file found with id '${fileId}'`);
+            }
+            return { buffer: Buffer.from(file.text, 'utf8'), contentType: file.mimeType, filename: file.filename };
+        },
+
+        // Newest first with the same `limit` / `after` cursor as the Assistants API.
+        async listMessages(threadId, { limit = 20, after } = {}) {
+            const thread = await getThread(threadId);
+            const newestFirst = [...thread.messages].reverse();
+            const start = after ? newestFirst.findIndex(message => message.id === after) + 1 : 0;
+            if (after && start === 0) {
+                throw new Error(`Failed to retrieve messages: no message found with id '${after}'`);
+            }
+            const data = newestFirst.slice(start, start + limit);
+            return { data, hasMore: start + limit < newestFirst.length };
+        },
+    };
+}
+
+module.exports = { createChatCompletionsProvider };
@@ -0,0 +1,48 @@
+// Selects the LLM provider the server talks to.
+//
+// Every provider implements:
+//   createThread()                          -> { id }
+//   deleteThread(threadId)
+//   addMessage(threadId, { content, attachments })
+//                                           -> thread message
+//   runWithTools(threadId, { tools, executeToolCalls, onEvent, onRunCreated, signal,
+//                            assistantId, model, additionalInstructions, builtInTools })
+//                                           -> { id, threadId, status, usage, lastError, text? }
+//   cancelRun(threadId, runId) (optional)   -> run, for runs this process is not driving
+//   listMessages(threadId, { limit, after })
+//                                           -> { data: thread messages, newest first, hasMore }
+//   uploadFile({ filename, mimeType, buffer })
+//                                           -> { id }
+//   downloadFile(fileId)                    -> { buffer, contentType, filename }
+//   summarize({ instructions, text, maxTokens }) (optional)
+//                                           -> short completion text, e.g. a thread title
+//
+// `after` is a message ID cursor: the page starts with the message older than it.
+// `attachments` are [{ fileId, tools }]: a file ID from uploadFile and the tool types
+// ('file_search', 'code_interpreter') it is attached for.
+// `executeToolCalls(toolCalls, runId)` runs function tool calls and returns their
+// `tool_outputs`; `onEvent(event, data)`, when given, asks for a streamed run and
+// receives `delta` and `tool_call` events. `onRunCreated(runId)` is called as soon as
+// the run has an ID, and aborting `signal` cancels the run: runWithTools then resolves
+// with status `cancelled` (or whatever final status the run reached first).
+// Final statuses are completed, failed, cancelled, expired and incomplete.
+// `assistantId`, `model`, `additionalInstructions` and `builtInTools` come from the
+// assistant profile the user picked (see lib/assistantProfiles.js); all are optional.
+// `builtInTools` lists the built-in tool types a profile keeps when it narrows the tools.
+const { createAzureAssistantsProvider } = require('./azureAssistants');
+const { createChatCompletionsProvider } = require('./chatCompletions');
+
+const PROVIDERS = {
+    'azure-assistants': createAzureAssistantsProvider,
+    'chat-completions': createChatCompletionsProvider,
+};
+
+function createProvider(type, options) {
+    const factory = PROVIDERS[type];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${type}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+    return factory(options);
+}
+
+module.exports = { createProvider, createAzureAssistantsProvider, createChatCompletionsProvider, PROVIDERS };
@@ -0,0 +1,66 @@
+// Per-user limits on how often and how many requests at once a user may make to the
+// expensive endpoints (chat, new threads, uploads). Users are keyed on their Auth0
+// subject, so this must run after checkJwt. State is kept in memory for this process.
+const { ApiError } = require('./errors');
+
+/**
+ * `windowMs` / `maxRequests`: at most this many requests per user in any rolling window.
+ * `maxConcurrent`: at most this many of the user's requests in progress at once.
+ * A limit of 0 turns it off.
+ */
+function createRateLimiter({ windowMs = 60000, maxRequests = 0, maxConcurrent = 0 } = {}) {
+    const recent = new Map(); // userId -> request start times within the window, oldest first
+    const inFlight = new Map(); // userId -> requests in progress
+
+    // Forget users with nothing in the window so the maps don't grow without bound.
+    const prune = (userId, now) => {
+        const times = (recent.get(userId) || []).filter(time => now - time < windowMs);
+        if (times.length > 0) {
+            recent.set(userId, times);
+        } else {
+            recent.delete(userId);
+        }
+        return times;
+    };
+
+    const tooMany = (res, retryAfterSeconds, code, message, details) => {
+        res.set('Retry-After', String(retryAfterSeconds));
+        return new ApiError(429, code, message, details);
+    };
+
+    return function limitUser(req, res, next) {
+        const userId = req.auth.payload.sub;
+        const now = Date.now();
+
+        if (maxRequests > 0) {
+            const times = prune(userId, now);
+            if (times.length >= maxRequests) {
+                const retryAfter = Math.max(1, Math.ceil((times[0] + windowMs - now) / 1000));
+                throw tooMany(res, retryAfter, 'RATE_LIMITED', 'Too many requests',
+                    `At most ${maxRequests} requests per ${Math.round(windowMs / 1000)} seconds. Try again in ${retryAfter} seconds.`);
+            }
+        }
+
+        const active = inFlight.get(userId) || 0;
+        if (maxConcurrent > 0 && active >= maxConcurrent) {
+            throw tooMany(res, 1, 'TOO_MANY_CONCURRENT_REQUESTS', 'Too many requests in progress',
+                `At most ${maxConcurrent} requests at a time. Wait for one to finish.`);
+        }
+
+        if (maxRequests > 0) {
+            recent.set(userId, [...(recent.get(userId) || []), now]);
+        }
+        inFlight.set(userId, active + 1);
+        res.on('close', () => {
+            const remaining = inFlight.get(userId) - 1;
+            if (remaining > 0) {
+                inFlight.set(userId, remaining);
+            } else {
+                inFlight.delete(userId);
+            }
+        });
+        next();
+    };
+}
+
+module.exports = { createRateLimiter };
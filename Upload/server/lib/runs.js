@@ -0,0 +1,67 @@
+// Runs this process is driving right now. Each run gets an AbortController that
+// stops it (and cancels it at the provider) when the user presses Stop, when the
+// client disconnects, or when it goes past the maximum run duration.
+//
+// Only one run may be active per thread: the Assistants API refuses new messages on
+// a thread while a run is going, so a second chat request is turned away with a 409
+// RUN_IN_PROGRESS instead of failing upstream.
+const { ApiError } = require('./errors');
+
+/**
+ * `maxRunDurationMs` of 0 turns the time limit off.
+ */
+function createRunRegistry({ maxRunDurationMs = 0 } = {}) {
+    const active = new Map(); // runId -> run
+    const busyThreads = new Map(); // threadId -> run
+
+    // Start tracking a run before it exists upstream, locking its thread; call `setRunId` once
+    // the provider reports its ID and `finish` when it is over. `reason` says why it was aborted:
+    // 'timeout', 'user_cancelled' or 'client_disconnected'.
+    function start({ userId, threadId }) {
+        const busy = busyThreads.get(threadId);
+        if (busy) {
+            throw new ApiError(409, 'RUN_IN_PROGRESS', 'A run is already in progress on this thread',
+                busy.id ? `Wait for run ${busy.id} to finish or cancel it.` : 'Wait for the current reply to finish.');
+        }
+        const controller = new AbortController();
+        const run = {
+            userId,
+            threadId,
+            id: null,
+            reason: null,
+            signal: controller.signal,
+            abort(reason) {
+                if (!controller.signal.aborted) {
+                    run.reason = reason;
+                    controller.abort(reason);
+                }
+            },
+            setRunId(runId) {
+                run.id = runId;
+                active.set(runId, run);
+            },
+            finish() {
+                clearTimeout(timer);
+                if (run.id && active.get(run.id) === run) {
+                    active.delete(run.id);
+                }
+                if (busyThreads.get(threadId) === run) {
+                    busyThreads.delete(threadId);
+                }
+            },
+        };
+        busyThreads.set(threadId, run);
+        const timer = maxRunDurationMs > 0 ? setTimeout(() => run.abort('timeout'), maxRunDurationMs) : null;
+        return run;
+    }
+
+    // The active run with this ID on this thread, if this process is driving it.
+    const get = (threadId, runId) => {
+        const run = active.get(runId);
+        return run && run.threadId === threadId ? run : null;
+    };
+
+    return { start, get, maxRunDurationMs };
+}
+
+module.exports = { createRunRegistry };
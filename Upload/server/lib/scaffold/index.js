@@ -0,0 +1,7 @@
+// Deterministic scaffold engineering calculations used by the assistant's tools.
+module.exports = {
+    ...require('./layout'),
+    ...require('./loads'),
+    ...require('./ties'),
+    ...require('./takeoff'),
+};
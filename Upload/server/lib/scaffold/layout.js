@@ -0,0 +1,77 @@
+// Bay and lift layout for an independent tied scaffold along a single façade.
+const { getLoadClass } = require('./loads');
+const { round, requirePositive } = require('./util');
+
+const BOARD_WIDTH = 0.225; // Standard 225 mm scaffold board (m)
+const DEFAULT_MAX_LIFT_HEIGHT = 2.0; // m
+const GUARDRAIL_HEIGHT = 1.0; // Standards extend this far above the top working platform (m)
+
+/**
+ * Work out bays and lifts for a façade.
+ *
+ * Bays are spaced evenly along the façade, no longer than the load class allows
+ * (or `maxBayLength`, if that is shorter). Lifts are spaced evenly up to the
+ * façade height so the top working platform sits at eaves level.
+ */
+function calculateLayout({ facadeLength, facadeHeight, loadClass = 3, maxBayLength, maxLiftHeight = DEFAULT_MAX_LIFT_HEIGHT, boardsWide }) {
+    requirePositive('facadeLength', facadeLength);
+    requirePositive('facadeHeight', facadeHeight);
+    requirePositive('maxLiftHeight', maxLiftHeight);
+
+    const spec = getLoadClass(loadClass);
+    const assumptions = [];
+
+    let bayLimit = spec.maxBayLength;
+    if (maxBayLength !== undefined) {
+        requirePositive('maxBayLength', maxBayLength);
+        if (maxBayLength > spec.maxBayLength) {
+            assumptions.push(`Requested bay length ${maxBayLength} m exceeds the ${spec.maxBayLength} m limit for load class ${spec.loadClass}; the limit was used instead.`);
+        } else {
+            bayLimit = maxBayLength;
+        }
+    }
+
+    // Subtract a small tolerance so exact multiples don't gain an extra bay through float error.
+    const bays = Math.max(1, Math.ceil(facadeLength / bayLimit - 1e-9));
+    const lifts = Math.max(1, Math.ceil(facadeHeight / maxLiftHeight - 1e-9));
+    const bayLength = round(facadeLength / bays, 3);
+    const liftHeight = round(facadeHeight / lifts, 3);
+
+    const minBoards = Math.ceil(spec.minPlatformWidth / BOARD_WIDTH - 1e-9);
+    let boards = minBoards;
+    if (boardsWide !== undefined) {
+        if (!Number.isInteger(boardsWide) || boardsWide < 1) {
+            throw new RangeError(`boardsWide must be a positive integer, got ${boardsWide}.`);
+        }
+        if (boardsWide < minBoards) {
+            assumptions.push(`${boardsWide} boards is narrower than the ${spec.minPlatformWidth} m minimum for load class ${spec.loadClass}; ${minBoards} boards were used instead.`);
+        } else {
+            boards = boardsWide;
+        }
+    }
+
+    assumptions.push(
+        `Independent scaffold with two lines of standards; ${BOARD_WIDTH * 1000} mm boards.`,
+        `Standards extend ${GUARDRAIL_HEIGHT} m above the top platform for guardrails.`
+    );
+
+    return {
+        facadeLength,
+        facadeHeight,
+        loadClass: spec.loadClass,
+        bays,
+        bayLength,
+        lifts,
+        liftHeight,
+        boardsWide: boards,
+        platformWidth: round(boards * BOARD_WIDTH, 3),
+        standardsPerLine: bays + 1,
+        standardPositions: 2 * (bays + 1),
+        standardHeight: round(facadeHeight + GUARDRAIL_HEIGHT, 3),
+        platformHeights: Array.from({ length: lifts }, (_, i) => round((i + 1) * liftHeight, 3)),
+        units: 'm',
+        assumptions,
+    };
+}
+
+module.exports = { calculateLayout, BOARD_WIDTH, GUARDRAIL_HEIGHT };
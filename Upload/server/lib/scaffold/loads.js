@@ -0,0 +1,107 @@
+// Service load classes for working platforms (BS EN 12811-1, Table 3) and
+// the checks the assistant can run against them.
+const { round, requirePositive } = require('./util');
+
+// q1: uniformly distributed load (kN/m²)
+// f1: concentrated load on 500 x 500 mm (kN), f2: concentrated load on 200 x 200 mm (kN)
+// q2: partial area load (kN/m²) over `partialAreaFactor` of the bay area
+// maxBayLength: largest bay (m) we allow for the class with standard 38 mm scaffold boards
+// minPlatformWidth: narrowest platform (m) we allow for the class
+const LOAD_CLASSES = {
+    1: { q1: 0.75, f1: 1.5, f2: 1.0, q2: null, partialAreaFactor: null, maxBayLength: 2.7, minPlatformWidth: 0.6, typicalUse: 'Inspection and very light duty access' },
+    2: { q1: 1.5, f1: 1.5, f2: 1.0, q2: null, partialAreaFactor: null, maxBayLength: 2.7, minPlatformWidth: 0.6, typicalUse: 'Light duty: painting, cleaning, stone cleaning' },
+    3: { q1: 2.0, f1: 1.5, f2: 1.0, q2: null, partialAreaFactor: null, maxBayLength: 2.4, minPlatformWidth: 0.9, typicalUse: 'General purpose: plastering, cladding, general building work' },
+    4: { q1: 3.0, f1: 3.0, f2: 1.0, q2: 5.0, partialAreaFactor: 0.4, maxBayLength: 2.1, minPlatformWidth: 1.1, typicalUse: 'Heavy duty: brickwork, blockwork, heavy cladding' },
+    5: { q1: 4.5, f1: 3.0, f2: 1.0, q2: 7.5, partialAreaFactor: 0.4, maxBayLength: 1.8, minPlatformWidth: 1.3, typicalUse: 'Masonry and heavy material storage' },
+    6: { q1: 6.0, f1: 3.0, f2: 1.0, q2: 10.0, partialAreaFactor: 0.5, maxBayLength: 1.5, minPlatformWidth: 1.3, typicalUse: 'Special duty: heavy masonry and stockpiles' },
+};
+
+const INTENDED_USE_LOAD_CLASS = {
+    inspection: 1,
+    light: 2,
+    painting: 2,
+    cleaning: 2,
+    general: 3,
+    plastering: 3,
+    cladding: 3,
+    heavy: 4,
+    brickwork: 4,
+    blockwork: 4,
+    masonry: 5,
+    special: 6,
+};
+
+function getLoadClass(loadClass) {
+    const spec = LOAD_CLASSES[loadClass];
+    if (!spec) {
+        throw new RangeError(`Load class must be an integer from 1 to 6, got ${loadClass}.`);
+    }
+    return { loadClass: Number(loadClass), ...spec };
+}
+
+function loadClassForUse(intendedUse) {
+    const loadClass = INTENDED_USE_LOAD_CLASS[String(intendedUse).toLowerCase()];
+    if (!loadClass) {
+        throw new RangeError(`Unknown intended use "${intendedUse}". Expected one of: ${Object.keys(INTENDED_USE_LOAD_CLASS).join(', ')}.`);
+    }
+    return loadClass;
+}
+
+/**
+ * Check a working platform bay against a load class.
+ * Either `loadClass` or `intendedUse` selects the class. `appliedLoad` (kN/m²)
+ * is the load the user expects to place on the platform, if known.
+ */
+function checkLoadClass({ loadClass, intendedUse, bayLength, platformWidth, appliedLoad }) {
+    requirePositive('bayLength', bayLength);
+    requirePositive('platformWidth', platformWidth);
+    if (loadClass === undefined && intendedUse === undefined) {
+        throw new RangeError('Either loadClass or intendedUse is required.');
+    }
+
+    const spec = getLoadClass(loadClass !== undefined ? loadClass : loadClassForUse(intendedUse));
+    const bayArea = bayLength * platformWidth;
+
+    const checks = [
+        {
+            check: 'bay_length',
+            description: `Bay length must not exceed ${spec.maxBayLength} m for load class ${spec.loadClass}`,
+            value: bayLength,
+            limit: spec.maxBayLength,
+            pass: bayLength <= spec.maxBayLength,
+        },
+        {
+            check: 'platform_width',
+            description: `Platform width must be at least ${spec.minPlatformWidth} m for load class ${spec.loadClass}`,
+            value: platformWidth,
+            limit: spec.minPlatformWidth,
+            pass: platformWidth >= spec.minPlatformWidth,
+        },
+    ];
+    if (appliedLoad !== undefined) {
+        checks.push({
+            check: 'applied_load',
+            description: `Applied load must not exceed the class uniformly distributed load of ${spec.q1} kN/m²`,
+            value: appliedLoad,
+            limit: spec.q1,
+            pass: appliedLoad <= spec.q1,
+        });
+    }
+
+    return {
+        loadClass: spec.loadClass,
+        typicalUse: spec.typicalUse,
+        uniformLoadKnPerM2: spec.q1,
+        concentratedLoad500Kn: spec.f1,
+        concentratedLoad200Kn: spec.f2,
+        partialAreaLoadKnPerM2: spec.q2,
+        partialAreaM2: spec.partialAreaFactor ? round(spec.partialAreaFactor * bayArea) : null,
+        bayAreaM2: round(bayArea),
+        totalBayLoadKn: round(spec.q1 * bayArea),
+        checks,
+        pass: checks.every(check => check.pass),
+        basis: 'BS EN 12811-1 Table 3 service loads; bay length and width limits are typical values for 38 mm boards.',
+    };
+}
+
+module.exports = { LOAD_CLASSES, INTENDED_USE_LOAD_CLASS, getLoadClass, loadClassForUse, checkLoadClass };
@@ -0,0 +1,92 @@
+// Component quantity take-off for a tube-and-fitting independent scaffold.
+const { calculateTieSpacing } = require('./ties');
+const { round } = require('./util');
+
+const STANDARD_TUBE_LENGTH = 6.4; // m; standards are built from 21 ft tubes joined with sleeve couplers
+const FACADE_BRACING_BAYS = 6; // One line of façade bracing for every 6 bays (or part of)
+
+// Largest transom spacing (m) for 38 mm boards under each load class.
+const MAX_BOARD_SPAN = { 1: 1.5, 2: 1.5, 3: 1.2, 4: 1.2, 5: 0.9, 6: 0.75 };
+
+/**
+ * Count components for a layout from calculateLayout.
+ * `boardedLifts` defaults to every lift; `exposure` and `sheeted` are passed to
+ * the tie calculation so the tie count (and tie couplers) match.
+ */
+function calculateTakeoff(layout, { boardedLifts = layout.lifts, exposure = 'normal', sheeted = false } = {}) {
+    const { bays, bayLength, lifts, boardsWide, standardPositions, standardHeight, loadClass } = layout;
+    if (!Number.isInteger(boardedLifts) || boardedLifts < 1 || boardedLifts > lifts) {
+        throw new RangeError(`boardedLifts must be an integer from 1 to ${lifts}, got ${boardedLifts}.`);
+    }
+
+    const ties = calculateTieSpacing(layout, { exposure, sheeted });
+
+    const tubesPerStandard = Math.ceil(standardHeight / STANDARD_TUBE_LENGTH - 1e-9);
+    const standards = standardPositions * tubesPerStandard;
+    const joints = standardPositions * (tubesPerStandard - 1);
+
+    // Ledgers run along both lines at every lift plus the base lift.
+    const ledgers = 2 * bays * (lifts + 1);
+    // A main transom at every standard pair per lift, plus intermediate transoms
+    // under the boards where the bay is longer than the board span.
+    const mainTransoms = (bays + 1) * lifts;
+    const intermediatePerBay = Math.max(0, Math.ceil(bayLength / MAX_BOARD_SPAN[loadClass] - 1e-9) - 1);
+    const intermediateTransoms = intermediatePerBay * bays * boardedLifts;
+
+    // Main and intermediate guardrail on the outside of each bay and across both ends.
+    const guardrails = boardedLifts * 2 * (bays + 2);
+    const boards = boardedLifts * bays * boardsWide;
+    const toeBoards = boardedLifts * (bays + 2);
+
+    const ledgerBraces = Math.ceil((bays + 1) / 2) * lifts;
+    const facadeBraces = Math.ceil(bays / FACADE_BRACING_BAYS) * lifts;
+
+    const components = [
+        { item: 'base_plate', description: 'Base plates', quantity: standardPositions },
+        { item: 'sole_board', description: 'Sole boards', quantity: standardPositions },
+        { item: 'standard', description: `Standards (${STANDARD_TUBE_LENGTH} m tubes)`, quantity: standards },
+        { item: 'ledger', description: `Ledgers (${bayLength} m bay)`, quantity: ledgers },
+        { item: 'transom', description: 'Main transoms', quantity: mainTransoms },
+        { item: 'intermediate_transom', description: 'Intermediate board transoms', quantity: intermediateTransoms },
+        { item: 'guardrail', description: 'Main and intermediate guardrails', quantity: guardrails },
+        { item: 'board', description: 'Scaffold boards (225 mm)', quantity: boards },
+        { item: 'toe_board', description: 'Toe boards', quantity: toeBoards },
+        { item: 'ledger_brace', description: 'Ledger braces', quantity: ledgerBraces },
+        { item: 'facade_brace', description: 'Façade (sway) braces', quantity: facadeBraces },
+        { item: 'tie', description: 'Ties', quantity: ties.totalTies },
+        { item: 'right_angle_coupler', description: 'Right-angle (double) couplers', quantity: 2 * (ledgers + mainTransoms + guardrails + ties.totalTies) },
+        { item: 'putlog_coupler', description: 'Putlog (single) couplers', quantity: 2 * intermediateTransoms },
+        { item: 'swivel_coupler', description: 'Swivel couplers', quantity: 2 * (ledgerBraces + facadeBraces) },
+        { item: 'sleeve_coupler', description: 'Sleeve couplers', quantity: joints },
+        { item: 'toe_board_clip', description: 'Toe board clips', quantity: 2 * toeBoards },
+    ].map(component => ({ ...component, unit: 'no.' }));
+
+    return {
+        layout: {
+            bays,
+            bayLength,
+            lifts,
+            liftHeight: layout.liftHeight,
+            boardedLifts,
+            boardsWide,
+            platformWidth: layout.platformWidth,
+            loadClass,
+        },
+        ties,
+        components,
+        totalTubeLengthM: round(
+            standards * STANDARD_TUBE_LENGTH +
+            (ledgers + guardrails) * bayLength +
+            (mainTransoms + intermediateTransoms) * (layout.platformWidth + 0.45)
+        ),
+        assumptions: [
+            ...layout.assumptions,
+            `Intermediate transoms keep board spans within ${MAX_BOARD_SPAN[loadClass]} m for load class ${loadClass}.`,
+            `Façade bracing on every lift for each ${FACADE_BRACING_BAYS} bays; ledger bracing at alternate standard pairs.`,
+            'Transoms are platform width + 0.45 m to reach the outer ledger; bracing tube lengths are excluded from the tube total.',
+            'Quantities are an estimate for planning; allow for access (ladder bays, stair towers), returns and loading bays separately.',
+        ],
+    };
+}
+
+module.exports = { calculateTakeoff, MAX_BOARD_SPAN, STANDARD_TUBE_LENGTH };
@@ -0,0 +1,76 @@
+// Tie spacing for an independent scaffold from its height and wind exposure.
+//
+// This is a simplified, conservative rule set in the spirit of NASC TG20: each
+// tie restrains a maximum area of scaffold face, which shrinks for sheeted or
+// netted scaffolds, exposed sites and tall scaffolds. It is a first estimate
+// for the design conversation, not a substitute for a TG20 compliance sheet.
+const { round, requirePositive } = require('./util');
+
+// Maximum scaffold face area (m²) restrained by one tie.
+const TIE_AREA_M2 = {
+    unsheeted: { sheltered: 32, normal: 24, exposed: 16 },
+    sheeted: { sheltered: 16, normal: 12, exposed: 8 },
+};
+
+const MAX_TIE_ROW_SPACING = 4.0; // m
+const TALL_SCAFFOLD_HEIGHT = 25; // m; above this the area per tie is reduced
+const TALL_SCAFFOLD_FACTOR = 0.75;
+
+/**
+ * `layout` needs { bays, bayLength, lifts, liftHeight, facadeHeight }, as returned by calculateLayout.
+ * `exposure` is 'sheltered', 'normal' or 'exposed'; `sheeted` covers sheeting and debris netting.
+ */
+function calculateTieSpacing(layout, { exposure = 'normal', sheeted = false } = {}) {
+    const { bays, bayLength, lifts, liftHeight, facadeHeight } = layout;
+    requirePositive('bayLength', bayLength);
+    requirePositive('liftHeight', liftHeight);
+    requirePositive('facadeHeight', facadeHeight);
+
+    const cladding = sheeted ? 'sheeted' : 'unsheeted';
+    if (!TIE_AREA_M2[cladding][exposure]) {
+        throw new RangeError(`exposure must be one of sheltered, normal or exposed, got ${exposure}.`);
+    }
+
+    const assumptions = [];
+    let areaPerTie = TIE_AREA_M2[cladding][exposure];
+    if (facadeHeight > TALL_SCAFFOLD_HEIGHT) {
+        areaPerTie *= TALL_SCAFFOLD_FACTOR;
+        assumptions.push(`Area per tie reduced by ${Math.round((1 - TALL_SCAFFOLD_FACTOR) * 100)}% because the scaffold is over ${TALL_SCAFFOLD_HEIGHT} m tall.`);
+    }
+
+    // Sheeted scaffolds on exposed sites are tied at every lift. A scaffold with fewer lifts than
+    // the spacing allows gets one row at its top lift, never one above it.
+    const maxRowSpacing = sheeted && exposure === 'exposed' ? liftHeight : MAX_TIE_ROW_SPACING;
+    const liftsBetweenRows = Math.max(1, Math.min(lifts, Math.floor(maxRowSpacing / liftHeight + 1e-9)));
+    const verticalSpacing = round(liftsBetweenRows * liftHeight, 3);
+
+    const baysBetweenTies = Math.max(1, Math.floor(areaPerTie / (verticalSpacing * bayLength) + 1e-9));
+    const horizontalSpacing = round(baysBetweenTies * bayLength, 3);
+
+    const tieRows = Math.floor(lifts / liftsBetweenRows);
+    // Tie at the first standard, every `baysBetweenTies` bays after it, and always at the last standard.
+    const tiesPerRow = Math.ceil(bays / baysBetweenTies) + 1;
+
+    assumptions.push(
+        'Ties are placed at standard/ledger nodes, with a tie at both ends of every tie row.',
+        'Simplified TG20-style rule of thumb; confirm against the TG20 compliance sheet or a bespoke design.'
+    );
+
+    return {
+        exposure,
+        sheeted,
+        areaPerTieM2: round(areaPerTie),
+        verticalSpacing,
+        liftsBetweenTieRows: liftsBetweenRows,
+        horizontalSpacing,
+        baysBetweenTies,
+        tieRows,
+        tiesPerRow,
+        totalTies: tieRows * tiesPerRow,
+        tieRowHeights: Array.from({ length: tieRows }, (_, i) => round((i + 1) * verticalSpacing, 3)),
+        units: 'm',
+        assumptions,
+    };
+}
+
+module.exports = { calculateTieSpacing, TIE_AREA_M2 };
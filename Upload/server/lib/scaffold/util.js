@@ -0,0 +1,12 @@
+// Small helpers shared by the scaffold calculations.
+
+// Round to `dp` decimal places, avoiding binary noise such as 2.4000000000000004.
+const round = (value, dp = 2) => Math.round((value + Number.EPSILON) * 10 ** dp) / 10 ** dp;
+
+function requirePositive(name, value) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+        throw new RangeError(`${name} must be a positive number, got ${value}.`);
+    }
+}
+
+module.exports = { round, requirePositive };
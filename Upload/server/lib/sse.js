@@ -0,0 +1,69 @@
+// Server-Sent Events helpers: parsing the upstream Assistants stream and
+// writing events to the browser.
+
+/**
+ * Parse an SSE byte stream (e.g. a fetch Response body) into `{ event, data }`
+ * objects. `data` is JSON-decoded when possible; the Assistants API ends its
+ * streams with a literal `data: [DONE]`, which is passed through as a string.
+ */
+async function* parseSseStream(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const parseBlock = (block) => {
+        let event = 'message';
+        const dataLines = [];
+        for (const line of block.split('\n')) {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).replace(/^ /, ''));
+            }
+        }
+        if (dataLines.length === 0) {
+            return null;
+        }
+        const raw = dataLines.join('\n');
+        try {
+            return { event, data: JSON.parse(raw) };
+        } catch {
+            return { event, data: raw };
+        }
+    };
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const parsed = parseBlock(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+            if (parsed) {
+                yield parsed;
+            }
+        }
+    }
+    const parsed = parseBlock(buffer + decoder.decode());
+    if (parsed) {
+        yield parsed;
+    }
+}
+
+// Switch an Express response into SSE mode and return a `send(event, data)` function.
+function openSseResponse(res) {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop reverse proxies from buffering the stream
+    });
+    res.flushHeaders();
+
+    // Events for a client that has gone away are dropped.
+    return (event, data) => {
+        if (!res.writableEnded && !res.destroyed) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+}
+
+module.exports = { parseSseStream, openSseResponse };
@@ -0,0 +1,91 @@
+// Persistence layer shared by the server's repositories (threads, credits, ...).
+//
+// A store holds one JSON document. Repositories read it with `read(fn)` and
+// change it with `transaction(fn)`. A read's `fn` sees the live data and must not
+// change it; only what it returns is copied. Transactions run one at a time; `fn`
+// gets a private copy of the data, and its changes are only committed (and, for
+// the file driver, written to disk) if it returns without throwing.
+const fs = require('fs');
+const path = require('path');
+
+const clone = (value) => structuredClone(value);
+
+function createMemoryStore(initialData = {}) {
+    let data = clone(initialData);
+    let queue = Promise.resolve();
+
+    const enqueue = (task) => {
+        const result = queue.then(task);
+        // Keep the queue alive even when a transaction fails.
+        queue = result.catch(() => {});
+        return result;
+    };
+
+    const store = {
+        driver: 'memory',
+
+        // Copies the slice `fn` picks out rather than the whole document.
+        async read(fn) {
+            return clone(await fn(data));
+        },
+
+        transaction(fn) {
+            return enqueue(async () => {
+                const draft = clone(data);
+                const result = await fn(draft);
+                await store.persist(draft);
+                data = draft;
+                return result;
+            });
+        },
+
+        // Overridden by drivers that write somewhere.
+        async persist() {},
+    };
+
+    return store;
+}
+
+function createJsonFileStore(filePath) {
+    let initialData = {};
+    if (fs.existsSync(filePath)) {
+        const raw = fs.readFileSync(filePath, 'utf8');
+        initialData = raw.trim() ? JSON.parse(raw) : {};
+    } else {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+
+    const store = createMemoryStore(initialData);
+    store.driver = 'json';
+    store.filePath = filePath;
+
+    // Write to a temp file and rename so a crash never leaves half a document behind.
+    store.persist = async (draft) => {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(draft, null, 2));
+        await fs.promises.rename(tempPath, filePath);
+    };
+
+    return store;
+}
+
+/**
+ * Create a store from configuration.
+ * `driver` is 'json' (default) or 'memory'; an object that already implements
+ * `read` and `transaction` is returned as-is so other backends can be plugged in.
+ */
+function createStore({ driver = 'json', file } = {}) {
+    if (driver && typeof driver === 'object') {
+        return driver;
+    }
+    switch (driver) {
+        case 'memory':
+            return createMemoryStore();
+        case 'json':
+            return createJsonFileStore(file || path.join(__dirname, '..', 'data', 'store.json'));
+        default:
+            throw new Error(`Unknown data store driver: ${driver}`);
+    }
+}
+
+module.exports = { createStore, createMemoryStore, createJsonFileStore };
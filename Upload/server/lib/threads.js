@@ -0,0 +1,85 @@
+// Records which Auth0 user (`sub`) owns which assistant thread, with the
+// thread's sidebar title and whether it has been archived.
+const { ApiError } = require('./errors');
+
+function createThreadRepository(store) {
+    const repository = {
+        async create(ownerId, threadId) {
+            return store.transaction((data) => {
+                data.threads = data.threads || {};
+                const now = new Date().toISOString();
+                const thread = { id: threadId, ownerId, title: null, titleSource: null, archived: false, createdAt: now, lastUsedAt: now };
+                data.threads[threadId] = thread;
+                return thread;
+            });
+        },
+
+        async get(threadId) {
+            return store.read((data) => (data.threads && data.threads[threadId]) || null);
+        },
+
+        // `archived`: false (the default) for active threads, true for archived ones, 'all' for both.
+        async listForOwner(ownerId, { archived = false } = {}) {
+            return store.read((data) => Object.values(data.threads || {})
+                .filter(thread => thread.ownerId === ownerId)
+                .filter(thread => archived === 'all' || Boolean(thread.archived) === archived)
+                .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt)));
+        },
+
+        async touch(threadId) {
+            return store.transaction((data) => {
+                const thread = data.threads && data.threads[threadId];
+                if (thread) {
+                    thread.lastUsedAt = new Date().toISOString();
+                }
+                return thread || null;
+            });
+        },
+
+        // `changes` may set `title`, `titleSource` ('user' or 'auto') and `archived`.
+        async update(threadId, changes) {
+            return store.transaction((data) => {
+                const thread = data.threads && data.threads[threadId];
+                if (!thread) {
+                    return null;
+                }
+                Object.assign(thread, changes);
+                return thread;
+            });
+        },
+
+        // Set an automatic title unless the thread already has one (e.g. the user renamed it first).
+        async setAutoTitle(threadId, title) {
+            return store.transaction((data) => {
+                const thread = data.threads && data.threads[threadId];
+                if (thread && !thread.title) {
+                    thread.title = title;
+                    thread.titleSource = 'auto';
+                }
+                return thread || null;
+            });
+        },
+
+        async remove(threadId) {
+            return store.transaction((data) => {
+                if (data.threads) {
+                    delete data.threads[threadId];
+                }
+            });
+        },
+
+        // Unknown threads are reported the same way as other users' threads,
+        // so callers can't probe which thread IDs exist.
+        async assertOwner(threadId, userId) {
+            const thread = await repository.get(threadId);
+            if (!thread || thread.ownerId !== userId) {
+                throw new ApiError(403, 'THREAD_FORBIDDEN', 'Forbidden', 'You do not have access to this thread.');
+            }
+            return thread;
+        },
+    };
+
+    return repository;
+}
+
+module.exports = { createThreadRepository };
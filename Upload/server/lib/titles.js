@@ -0,0 +1,50 @@
+// Sidebar titles for threads, generated from the first exchange. Providers with a
+// `summarize()` method write a short title; otherwise (or if that fails) the start of
+// the user's first message is used.
+const { logger } = require('./logger');
+
+const MAX_TITLE_LENGTH = 80;
+const FALLBACK_TITLE_LENGTH = 48;
+
+const TITLE_INSTRUCTIONS = 'You name scaffold design conversations. Reply with a title of at most six words '
+    + 'describing the request, e.g. "Four-lift facade scaffold for terrace". No quotes and no final full stop.';
+
+// Tidy a model-written title: one line, no surrounding quotes or trailing full stop.
+function cleanTitle(raw) {
+    const title = String(raw).split('\n')[0].trim()
+        .replace(/^["'“”‘’]+|["'“”‘’]+$/g, '')
+        .replace(/\.$/, '')
+        .trim();
+    return title.slice(0, MAX_TITLE_LENGTH);
+}
+
+// The start of the user's message, cut at a word boundary.
+function fallbackTitle(message) {
+    const text = String(message).replace(/\s+/g, ' ').trim();
+    if (text.length <= FALLBACK_TITLE_LENGTH) {
+        return text || 'New conversation';
+    }
+    const cut = text.slice(0, FALLBACK_TITLE_LENGTH);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > 20 ? cut.slice(0, lastSpace) : cut).replace(/[,.;:]$/, '')}…`;
+}
+
+async function generateTitle(provider, { userMessage, assistantMessage }) {
+    if (provider.summarize) {
+        try {
+            const title = cleanTitle(await provider.summarize({
+                instructions: TITLE_INSTRUCTIONS,
+                text: `User: ${userMessage}\n\nAssistant: ${String(assistantMessage).slice(0, 1000)}`,
+                maxTokens: 20,
+            }));
+            if (title) {
+                return title;
+            }
+        } catch (error) {
+            logger.warn('title generation failed, using the first message instead', { error });
+        }
+    }
+    return fallbackTitle(userMessage);
+}
+
+module.exports = { generateTitle, cleanTitle, fallbackTitle, MAX_TITLE_LENGTH };
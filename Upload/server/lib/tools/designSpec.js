@@ -0,0 +1,27 @@
+// Tool the assistant calls to hand over a finished design as a structured spec
+// (see lib/designSpecs.js), which the client shows as a bill of materials table.
+const { ToolError } = require('./registry');
+const { DESIGN_SPEC_VERSION, DESIGN_SPEC_SCHEMA, checkDesignSpec } = require('../designSpecs');
+
+const submitDesignSpec = {
+    name: 'submit_design_spec',
+    description: 'Submit the final scaffold design as a structured spec: bays, lifts, platform, load class and the component list with quantities '
+        + '(use the figures from scaffold_layout, scaffold_tie_spacing and scaffold_takeoff). Call it once whenever you recommend a design. '
+        + 'The user sees the spec as an editable bill of materials table and a drawing, so do not repeat the full component list in your reply. '
+        + 'Submit a new spec whenever the design changes.',
+    parameters: DESIGN_SPEC_SCHEMA,
+    // `context.recordDesignSpec(spec)` stores the spec against the run (provided by the server).
+    async handler(spec, context) {
+        const problems = checkDesignSpec(spec);
+        if (problems.length > 0) {
+            throw new ToolError('INVALID_DESIGN_SPEC', 'The design spec is inconsistent.', problems);
+        }
+        if (!context.recordDesignSpec) {
+            throw new ToolError('DESIGN_SPEC_UNAVAILABLE', 'Design specs cannot be stored here.');
+        }
+        const record = await context.recordDesignSpec(spec);
+        return { accepted: true, specId: record.id, schemaVersion: DESIGN_SPEC_VERSION };
+    },
+};
+
+module.exports = [submitDesignSpec];
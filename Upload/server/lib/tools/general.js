@@ -0,0 +1,26 @@
+// General-purpose tools that aren't specific to scaffold design.
+
+const getTime = {
+    name: 'get_time',
+    description: 'Get the current date and time, optionally in a given IANA time zone (e.g. "Europe/London").',
+    parameters: {
+        type: 'object',
+        properties: {
+            timeZone: { type: 'string', description: 'IANA time zone name. Defaults to UTC.' }
+        },
+        additionalProperties: false
+    },
+    timeoutMs: 1000,
+    async handler({ timeZone = 'UTC' }) {
+        const now = new Date();
+        let local;
+        try {
+            local = now.toLocaleString('en-GB', { timeZone, dateStyle: 'full', timeStyle: 'long' });
+        } catch {
+            throw new Error(`Unknown time zone: ${timeZone}`);
+        }
+        return { iso: now.toISOString(), timeZone, local };
+    }
+};
+
+module.exports = [getTime];
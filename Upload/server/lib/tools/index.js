@@ -0,0 +1,15 @@
+// Builds the tool registry the server hands to assistant runs.
+const { createToolRegistry, ToolError } = require('./registry');
+const generalTools = require('./general');
+const scaffoldTools = require('./scaffold');
+const designSpecTools = require('./designSpec');
+
+function createDefaultToolRegistry(options) {
+    const registry = createToolRegistry(options);
+    for (const tool of [...generalTools, ...scaffoldTools, ...designSpecTools]) {
+        registry.register(tool);
+    }
+    return registry;
+}
+
+module.exports = { createDefaultToolRegistry, createToolRegistry, ToolError };
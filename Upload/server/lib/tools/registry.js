@@ -0,0 +1,131 @@
+// Registry of the function tools the assistant can call.
+//
+// A tool is `{ name, description, parameters, handler, timeoutMs }`, where
+// `parameters` is the JSON schema the model sees and `handler(args, context)`
+// is an async function. Tool calls never throw back into the run loop: any
+// problem (unknown tool, bad arguments, timeout, handler error) is returned to
+// the model as a structured `{ error: { code, message } }` output instead.
+//
+// `guardOutput(output, context)` checks each successful output before it goes back to the
+// model (see lib/guardrails.js): it returns the output to send, possibly redacted, or throws
+// an error with a `code` to send an error output instead.
+const Ajv = require('ajv');
+const { logger } = require('../logger');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+class ToolError extends Error {
+    constructor(code, message, details) {
+        super(message);
+        this.name = 'ToolError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+const errorOutput = (code, message, details) => JSON.stringify({
+    error: { code, message, ...(details !== undefined ? { details } : {}) }
+});
+
+function createToolRegistry({ defaultTimeoutMs = DEFAULT_TIMEOUT_MS, guardOutput } = {}) {
+    const ajv = new Ajv({ allErrors: true, useDefaults: true, coerceTypes: false });
+    const tools = new Map();
+
+    const runWithTimeout = async (tool, args, context) => {
+        const controller = new AbortController();
+        const timeoutMs = tool.timeoutMs || defaultTimeoutMs;
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(new ToolError('TOOL_TIMEOUT', `Tool ${tool.name} did not finish within ${timeoutMs}ms.`));
+            }, timeoutMs);
+        });
+        try {
+            return await Promise.race([tool.handler(args, { ...context, signal: controller.signal }), timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+
+    const registry = {
+        register(tool) {
+            if (!tool.name || typeof tool.handler !== 'function') {
+                throw new Error('A tool needs a name and a handler function.');
+            }
+            if (tools.has(tool.name)) {
+                throw new Error(`Tool ${tool.name} is already registered.`);
+            }
+            const parameters = tool.parameters || { type: 'object', properties: {} };
+            tools.set(tool.name, { ...tool, parameters, validate: ajv.compile(parameters) });
+            return registry;
+        },
+
+        has(name) {
+            return tools.has(name);
+        },
+
+        names() {
+            return [...tools.keys()];
+        },
+
+        // Tool definitions in the shape the Assistants and Chat Completions APIs expect.
+        definitions(names = registry.names()) {
+            return names.filter(name => tools.has(name)).map((name) => {
+                const { description, parameters } = tools.get(name);
+                return { type: 'function', function: { name, description, parameters } };
+            });
+        },
+
+        /**
+         * Execute one `function` tool call from a run and return its `tool_outputs` entry.
+         * `context` ({ userId, threadId, runId }) is passed to the handler and used for logging.
+         */
+        async execute(toolCall, context = {}) {
+            const { name, arguments: rawArguments } = toolCall.function;
+            const startedAt = Date.now();
+            let output;
+            let status = 'ok';
+
+            try {
+                const tool = tools.get(name);
+                if (!tool) {
+                    throw new ToolError('UNKNOWN_TOOL', `No tool named ${name} is available.`);
+                }
+
+                let args;
+                try {
+                    args = rawArguments ? JSON.parse(rawArguments) : {};
+                } catch (parseError) {
+                    throw new ToolError('INVALID_ARGUMENTS_JSON', `Arguments are not valid JSON: ${parseError.message}`);
+                }
+
+                if (!tool.validate(args)) {
+                    throw new ToolError(
+                        'INVALID_ARGUMENTS',
+                        'Arguments do not match the tool schema.',
+                        tool.validate.errors.map(err => ({ path: err.instancePath || '/', message: err.message }))
+                    );
+                }
+
+                const result = await runWithTimeout(tool, args, context);
+                output = typeof result === 'string' ? result : JSON.stringify(result);
+                if (guardOutput) {
+                    output = guardOutput(output, { ...context, tool: name });
+                }
+            } catch (error) {
+                status = error.code || 'TOOL_ERROR';
+                output = error instanceof ToolError || error.name === 'GuardrailError'
+                    ? errorOutput(error.code, error.message, error.details)
+                    : errorOutput('TOOL_ERROR', error.message);
+            }
+
+            logger.info('tool call finished', { tool: name, toolCallId: toolCall.id, runId: context.runId, status, durationMs: Date.now() - startedAt });
+            return { tool_call_id: toolCall.id, output };
+        },
+    };
+
+    return registry;
+}
+
+module.exports = { createToolRegistry, ToolError };
@@ -0,0 +1,88 @@
+// Scaffold design tools. Each one wraps a calculation from lib/scaffold so the
+// assistant cites computed figures instead of estimating them itself.
+const { calculateLayout, calculateTakeoff, calculateTieSpacing, checkLoadClass, INTENDED_USE_LOAD_CLASS } = require('../scaffold');
+
+const facadeProperties = {
+    facadeLength: { type: 'number', exclusiveMinimum: 0, maximum: 1000, description: 'Length of the façade to be scaffolded, in metres.' },
+    facadeHeight: { type: 'number', exclusiveMinimum: 0, maximum: 100, description: 'Height to the top working platform (usually eaves level), in metres.' },
+    loadClass: { type: 'integer', minimum: 1, maximum: 6, description: 'BS EN 12811-1 load class. Defaults to 3 (general purpose).' },
+    maxBayLength: { type: 'number', exclusiveMinimum: 0, description: 'Longest bay to use, in metres. Capped at the load class limit.' },
+    maxLiftHeight: { type: 'number', minimum: 1, maximum: 2.7, description: 'Largest lift height, in metres. Defaults to 2.0.' },
+    boardsWide: { type: 'integer', minimum: 1, maximum: 10, description: 'Number of 225 mm boards across the platform.' },
+};
+
+const tieProperties = {
+    exposure: { type: 'string', enum: ['sheltered', 'normal', 'exposed'], description: 'Wind exposure of the site. Defaults to normal.' },
+    sheeted: { type: 'boolean', description: 'Whether the scaffold is sheeted or netted. Defaults to false.' },
+};
+
+const layoutFrom = ({ facadeLength, facadeHeight, loadClass, maxBayLength, maxLiftHeight, boardsWide }) =>
+    calculateLayout({ facadeLength, facadeHeight, loadClass, maxBayLength, maxLiftHeight, boardsWide });
+
+const scaffoldLayout = {
+    name: 'scaffold_layout',
+    description: 'Calculate the bay and lift layout (bay count and length, lift count and height, platform width) for an independent scaffold on a façade.',
+    parameters: {
+        type: 'object',
+        properties: facadeProperties,
+        required: ['facadeLength', 'facadeHeight'],
+        additionalProperties: false,
+    },
+    async handler(args) {
+        return layoutFrom(args);
+    },
+};
+
+const scaffoldTakeoff = {
+    name: 'scaffold_takeoff',
+    description: 'Component quantity take-off (standards, ledgers, transoms, boards, braces, ties and couplers) for an independent tube-and-fitting scaffold on a façade.',
+    parameters: {
+        type: 'object',
+        properties: {
+            ...facadeProperties,
+            ...tieProperties,
+            boardedLifts: { type: 'integer', minimum: 1, description: 'Number of boarded working lifts. Defaults to every lift.' },
+        },
+        required: ['facadeLength', 'facadeHeight'],
+        additionalProperties: false,
+    },
+    async handler(args) {
+        return calculateTakeoff(layoutFrom(args), { boardedLifts: args.boardedLifts, exposure: args.exposure, sheeted: args.sheeted });
+    },
+};
+
+const scaffoldLoadCheck = {
+    name: 'scaffold_load_check',
+    description: 'Check a working platform bay against a BS EN 12811-1 load class: service loads, bay length and platform width limits, and an optional applied load.',
+    parameters: {
+        type: 'object',
+        properties: {
+            loadClass: { type: 'integer', minimum: 1, maximum: 6, description: 'Load class to check against.' },
+            intendedUse: { type: 'string', enum: Object.keys(INTENDED_USE_LOAD_CLASS), description: 'Intended use, used to pick the load class when loadClass is not given. One of the two is required.' },
+            bayLength: { type: 'number', exclusiveMinimum: 0, description: 'Bay length in metres.' },
+            platformWidth: { type: 'number', exclusiveMinimum: 0, description: 'Platform width in metres.' },
+            appliedLoad: { type: 'number', minimum: 0, description: 'Expected uniformly distributed load on the platform, in kN/m².' },
+        },
+        required: ['bayLength', 'platformWidth'],
+        additionalProperties: false,
+    },
+    async handler(args) {
+        return checkLoadClass(args);
+    },
+};
+
+const scaffoldTieSpacing = {
+    name: 'scaffold_tie_spacing',
+    description: 'Calculate tie spacing (vertical and horizontal), tie rows and total tie count for an independent scaffold from its height and wind exposure.',
+    parameters: {
+        type: 'object',
+        properties: { ...facadeProperties, ...tieProperties },
+        required: ['facadeLength', 'facadeHeight'],
+        additionalProperties: false,
+    },
+    async handler(args) {
+        return calculateTieSpacing(layoutFrom(args), { exposure: args.exposure, sheeted: args.sheeted });
+    },
+};
+
+module.exports = [scaffoldLayout, scaffoldTakeoff, scaffoldLoadCheck, scaffoldTieSpacing];
@@ -0,0 +1,87 @@
+// Multipart upload handling: which file types designers may attach, the size
+// limits, and which assistant tools each type is made available to.
+const path = require('path');
+const multer = require('multer');
+const { ApiError } = require('./errors');
+
+const DEFAULT_MAX_FILE_BYTES = 20 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+// Allowed uploads by extension. The MIME type stored and sent upstream is the one
+// listed here, not the browser's guess (often empty, or `application/vnd.ms-excel` for CSV).
+// Binary formats must start with `signature`; text formats must be valid UTF-8 without NUL bytes.
+//   file_search      - searchable documents (site surveys, specs)
+//   code_interpreter - data and drawings the assistant can open in Python (dimension sheets, elevations)
+const UPLOAD_TYPES = {
+    '.pdf': { mimeType: 'application/pdf', signature: Buffer.from('%PDF'), tools: ['file_search', 'code_interpreter'] },
+    '.docx': { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', signature: Buffer.from('PK\x03\x04', 'latin1'), tools: ['file_search', 'code_interpreter'] },
+    '.txt': { mimeType: 'text/plain', text: true, tools: ['file_search', 'code_interpreter'] },
+    '.md': { mimeType: 'text/markdown', text: true, tools: ['file_search', 'code_interpreter'] },
+    '.json': { mimeType: 'application/json', text: true, tools: ['file_search', 'code_interpreter'] },
+    '.csv': { mimeType: 'text/csv', text: true, tools: ['code_interpreter'] },
+    '.xlsx': { mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', signature: Buffer.from('PK\x03\x04', 'latin1'), tools: ['code_interpreter'] },
+    '.png': { mimeType: 'image/png', signature: Buffer.from([0x89, 0x50, 0x4e, 0x47]), tools: ['code_interpreter'] },
+    '.jpg': { mimeType: 'image/jpeg', signature: Buffer.from([0xff, 0xd8, 0xff]), tools: ['code_interpreter'] },
+    '.jpeg': { mimeType: 'image/jpeg', signature: Buffer.from([0xff, 0xd8, 0xff]), tools: ['code_interpreter'] },
+};
+
+const formatBytes = (bytes) => (bytes >= 1024 * 1024 ? `${+(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+const isUtf8Text = (buffer) => !buffer.includes(0) && Buffer.from(buffer.toString('utf8'), 'utf8').equals(buffer);
+
+/**
+ * Check an uploaded file (as parsed by multer) against UPLOAD_TYPES.
+ * Returns `{ filename, mimeType, tools }` or throws a 415 UNSUPPORTED_FILE_TYPE ApiError.
+ */
+function validateUpload(file) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const type = UPLOAD_TYPES[extension];
+    if (!type) {
+        throw new ApiError(415, 'UNSUPPORTED_FILE_TYPE', 'Unsupported file type',
+            `${file.originalname}: allowed types are ${Object.keys(UPLOAD_TYPES).join(', ')}.`);
+    }
+    if (file.size === 0) {
+        throw new ApiError(400, 'EMPTY_FILE', 'Empty file', `${file.originalname} is empty.`);
+    }
+    const contentMatches = type.text
+        ? isUtf8Text(file.buffer)
+        : file.buffer.subarray(0, type.signature.length).equals(type.signature);
+    if (!contentMatches) {
+        throw new ApiError(415, 'UNSUPPORTED_FILE_TYPE', 'Unsupported file type',
+            `${file.originalname}: the file contents do not match the ${extension} extension.`);
+    }
+    return { filename: file.originalname, mimeType: type.mimeType, tools: type.tools };
+}
+
+/**
+ * Middleware that parses a `multipart/form-data` body with up to `maxFiles` files in
+ * the `files` field into `req.files`, kept in memory. Limit errors become ApiErrors.
+ */
+function createUploadMiddleware({ maxFileBytes = DEFAULT_MAX_FILE_BYTES, maxFiles = DEFAULT_MAX_FILES } = {}) {
+    const parse = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxFileBytes, files: maxFiles },
+    }).array('files', maxFiles);
+
+    return (req, res, next) => {
+        parse(req, res, (err) => {
+            if (!err) {
+                return next();
+            }
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return next(new ApiError(413, 'FILE_TOO_LARGE', 'File too large',
+                    `Files may be at most ${formatBytes(maxFileBytes)}.`));
+            }
+            if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+                return next(new ApiError(400, 'TOO_MANY_FILES', 'Too many files',
+                    `Upload at most ${maxFiles} files at a time in the "files" field.`));
+            }
+            if (err instanceof multer.MulterError) {
+                return next(new ApiError(400, 'INVALID_UPLOAD', 'Invalid upload', err.message));
+            }
+            next(err);
+        });
+    };
+}
+
+module.exports = { UPLOAD_TYPES, validateUpload, createUploadMiddleware, DEFAULT_MAX_FILE_BYTES, DEFAULT_MAX_FILES };
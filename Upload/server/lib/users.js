@@ -0,0 +1,77 @@
+// Per-user account state kept by this server: whether an administrator has disabled
+// the account, and running totals of the user's assistant usage (runs and tokens),
+// overall and per UTC day, for the admin usage views.
+const { ApiError } = require('./errors');
+
+const emptyTotals = () => ({ runs: 0, failedRuns: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+
+const addRun = (totals, { status, usage }) => {
+    totals.runs += 1;
+    if (status !== 'completed' && status !== 'incomplete') {
+        totals.failedRuns += 1;
+    }
+    if (usage) {
+        totals.promptTokens += usage.prompt_tokens || 0;
+        totals.completionTokens += usage.completion_tokens || 0;
+        totals.totalTokens += usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+    }
+};
+
+function createUserRepository(store) {
+    const ensureUser = (data, userId) => {
+        data.users = data.users || {};
+        if (!data.users[userId]) {
+            data.users[userId] = { disabled: false, usage: { ...emptyTotals(), byDay: {} } };
+        }
+        return data.users[userId];
+    };
+
+    const repository = {
+        async get(userId) {
+            return store.read((data) => (data.users && data.users[userId]) || null);
+        },
+
+        // Every user the server knows of: account holders, thread owners and users with a credit account.
+        async listIds() {
+            return store.read((data) => [...new Set([
+                ...Object.keys(data.users || {}),
+                ...Object.keys(data.credits || {}),
+                ...Object.values(data.threads || {}).map(thread => thread.ownerId),
+            ])].sort());
+        },
+
+        // Add a finished run (`{ status, usage }`) to the user's usage totals.
+        async recordRun(userId, run) {
+            return store.transaction((data) => {
+                const user = ensureUser(data, userId);
+                const day = new Date().toISOString().slice(0, 10);
+                user.usage.byDay[day] = user.usage.byDay[day] || emptyTotals();
+                addRun(user.usage, run);
+                addRun(user.usage.byDay[day], run);
+            });
+        },
+
+        // `by` is the administrator's user ID; `reason` is shown to nobody but other administrators.
+        async setDisabled(userId, disabled, { by, reason = null } = {}) {
+            return store.transaction((data) => {
+                const user = ensureUser(data, userId);
+                user.disabled = disabled;
+                user.disabledAt = disabled ? new Date().toISOString() : null;
+                user.disabledBy = disabled ? by : null;
+                user.disabledReason = disabled ? reason : null;
+                return user;
+            });
+        },
+
+        async assertEnabled(userId) {
+            const user = await repository.get(userId);
+            if (user && user.disabled) {
+                throw new ApiError(403, 'USER_DISABLED', 'Account disabled', 'This account has been disabled. Contact support if you think this is a mistake.');
+            }
+        },
+    };
+
+    return repository;
+}
+
+module.exports = { createUserRepository, emptyTotals };
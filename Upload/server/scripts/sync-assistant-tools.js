@@ -0,0 +1,40 @@
+// server/scripts/sync-assistant-tools.js
+// Pushes the server's function tool definitions to the Azure OpenAI assistant, so the
+// model knows about every tool in lib/tools. Built-in tools (code_interpreter,
+// file_search) already configured on the assistant are kept.
+//
+// Usage: npm run sync-tools
+
+require('dotenv').config();
+const { createDefaultToolRegistry } = require('../lib/tools');
+const { createHttpClient } = require('../lib/http');
+const { DEFAULT_API_VERSION } = require('../lib/providers/azureAssistants');
+
+const AZURE_OPENAI_API_KEY = process.env.AZURE_OPENAI_API_KEY;
+const AZURE_OPENAI_ENDPOINT = process.env.AZURE_OPENAI_ENDPOINT;
+const AZURE_OPENAI_API_VERSION = process.env.AZURE_OPENAI_API_VERSION || DEFAULT_API_VERSION;
+const AZURE_OPENAI_ASSISTANT_ID = process.env.AZURE_OPENAI_ASSISTANT_ID;
+
+async function main() {
+    if (!AZURE_OPENAI_API_KEY || !AZURE_OPENAI_ENDPOINT || !AZURE_OPENAI_ASSISTANT_ID) {
+        throw new Error('AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_ASSISTANT_ID must be set.');
+    }
+
+    const assistantUrl = `${AZURE_OPENAI_ENDPOINT}/openai/assistants/${AZURE_OPENAI_ASSISTANT_ID}?api-version=${AZURE_OPENAI_API_VERSION}`;
+    const headers = { 'api-key': AZURE_OPENAI_API_KEY, 'Content-Type': 'application/json' };
+    const http = createHttpClient();
+
+    const { data: assistant } = await http.request(assistantUrl, { headers, action: 'load assistant' });
+
+    const builtInTools = assistant.tools.filter(tool => tool.type !== 'function');
+    const tools = [...builtInTools, ...createDefaultToolRegistry().definitions()];
+
+    await http.request(assistantUrl, { method: 'POST', headers, body: JSON.stringify({ tools }), action: 'update assistant' });
+
+    console.log(`Assistant ${AZURE_OPENAI_ASSISTANT_ID} now has tools:`, tools.map(tool => (tool.function ? tool.function.name : tool.type)).join(', '));
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -4,7 +4,7 @@ require('dotenv').config();
 
 const axios = require('axios');
 
-const AZURE_OPENAI_KEY = process.env.AZURE_OPENAI_KEY;
+const AZURE_OPENAI_API_KEY = process.env.AZURE_OPENAI_API_KEY;
 const AZURE_OPENAI_ENDPOINT = process.env.AZURE_OPENAI_ENDPOINT;
 
 // CHANGE THIS LINE:
@@ -19,7 +19,7 @@ axios.post(
     {},
     {
         headers: {
-            'api-key': AZURE_OPENAI_KEY,
+            'api-key': AZURE_OPENAI_API_KEY,
             'Content-Type': 'application/json'
         }
     }
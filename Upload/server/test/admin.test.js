@@ -0,0 +1,108 @@
+// Tests for the admin API and its permission checks.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+
+const ADMIN = { as: 'auth0|admin', payload: { permissions: ['admin:credits', 'admin:usage', 'admin:users'] } };
+
+test.describe('admin API', () => {
+    let server;
+    let threadId;
+
+    test.beforeEach(async () => {
+        server = await startTestServer({ credits: { initialBalance: 10 } });
+        threadId = (await (await server.request('/api/new-thread', { method: 'POST' })).json()).threadId;
+        server.azure.scriptRun([{ status: 'completed', reply: 'Hi', usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 } }]);
+        assert.equal((await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'Hello' } })).status, 200);
+    });
+
+    test.afterEach(async () => {
+        await server.close();
+    });
+
+    test('requires the matching permission', async () => {
+        let res = await server.request('/api/admin/users');
+        assert.equal(res.status, 403);
+        assert.equal((await res.json()).code, 'INSUFFICIENT_SCOPE');
+
+        res = await server.request('/api/admin/users/auth0|alice/credits', { method: 'POST', body: { amount: 5 }, as: 'auth0|admin', payload: { permissions: ['admin:usage'] } });
+        assert.equal(res.status, 403);
+        assert.match((await res.json()).details, /admin:credits/);
+
+        // Scopes granted in the `scope` claim count too.
+        res = await server.request('/api/admin/users', { as: 'auth0|admin', payload: { scope: 'openid admin:usage' } });
+        assert.equal(res.status, 200);
+    });
+
+    test('reports the caller\'s permissions', async () => {
+        const res = await server.request('/api/me', ADMIN);
+        assert.deepEqual(await res.json(), { userId: 'auth0|admin', permissions: ['admin:credits', 'admin:usage', 'admin:users'] });
+    });
+
+    test('lists users with their usage and shows one user\'s threads', async () => {
+        const list = await (await server.request('/api/admin/users', ADMIN)).json();
+        const alice = list.users.find(user => user.userId === 'auth0|alice');
+        assert.deepEqual(alice, {
+            userId: 'auth0|alice',
+            balance: 8,
+            disabled: false,
+            threadCount: 1,
+            lastActiveAt: alice.lastActiveAt,
+            usage: { runs: 1, failedRuns: 0, promptTokens: 100, completionTokens: 20, totalTokens: 120 },
+        });
+
+        const detail = await (await server.request('/api/admin/users/auth0|alice', ADMIN)).json();
+        assert.deepEqual(detail.threads.map(thread => thread.id), [threadId]);
+        assert.equal(detail.usageByDay.length, 1);
+        assert.equal(detail.usageByDay[0].totalTokens, 120);
+        assert.deepEqual(detail.history.map(entry => entry.reason), ['chat_run', 'thread_creation', 'initial_grant']);
+    });
+
+    test('grants and revokes credits', async () => {
+        let res = await server.request('/api/admin/users/auth0|alice/credits', { method: 'POST', body: { amount: 5, note: 'Support ticket 12' }, ...ADMIN });
+        assert.equal(res.status, 200);
+        let body = await res.json();
+        assert.equal(body.balance, 13);
+        assert.deepEqual(body.entry.meta, { by: 'auth0|admin', note: 'Support ticket 12' });
+
+        res = await server.request('/api/admin/users/auth0|alice/credits', { method: 'POST', body: { amount: -3 }, ...ADMIN });
+        body = await res.json();
+        assert.equal(body.entry.reason, 'admin_revoke');
+        assert.equal((await (await server.request('/api/credits')).json()).balance, 10);
+
+        res = await server.request('/api/admin/users/auth0|alice/credits', { method: 'POST', body: { amount: -50 }, ...ADMIN });
+        assert.equal(res.status, 400);
+        body = await res.json();
+        assert.equal(body.code, 'REVOKE_EXCEEDS_BALANCE');
+        assert.equal(body.details, 'The user has 10 credits; revoke at most that many.');
+        assert.equal((await (await server.request('/api/credits')).json()).balance, 10);
+
+        res = await server.request('/api/admin/users/auth0|alice/credits', { method: 'POST', body: { amount: '5' }, ...ADMIN });
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).code, 'INVALID_CREDIT_ADJUSTMENT');
+    });
+
+    test('disables and re-enables a user', async () => {
+        let res = await server.request('/api/admin/users/auth0|alice', { method: 'PATCH', body: { disabled: true, reason: 'Abuse' }, ...ADMIN });
+        assert.equal(res.status, 200);
+        assert.equal((await res.json()).user.disabled, true);
+
+        res = await server.request('/api/threads');
+        assert.equal(res.status, 403);
+        assert.equal((await res.json()).code, 'USER_DISABLED');
+        assert.equal((await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'Hello?' } })).status, 403);
+
+        const detail = await (await server.request('/api/admin/users/auth0|alice', ADMIN)).json();
+        assert.equal(detail.user.disabledReason, 'Abuse');
+        assert.equal(detail.user.disabledBy, 'auth0|admin');
+
+        await server.request('/api/admin/users/auth0|alice', { method: 'PATCH', body: { disabled: false }, ...ADMIN });
+        assert.equal((await server.request('/api/threads')).status, 200);
+    });
+
+    test('does not let an admin disable themselves', async () => {
+        const res = await server.request('/api/admin/users/auth0|admin', { method: 'PATCH', body: { disabled: true }, ...ADMIN });
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).code, 'CANNOT_DISABLE_SELF');
+    });
+});
@@ -0,0 +1,222 @@
+// End-to-end tests for the chat API against the mock Azure Assistants server.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, readEvents } = require('./helpers/testServer');
+const { DEFAULT_REPLY } = require('./helpers/mockAzure');
+
+test.describe('chat API', () => {
+    let server;
+
+    test.beforeEach(async () => {
+        server = await startTestServer();
+    });
+
+    test.afterEach(async () => {
+        await server.close();
+    });
+
+    const newThread = async (as) => {
+        const res = await server.request('/api/new-thread', { method: 'POST', as });
+        assert.equal(res.status, 200);
+        return (await res.json()).threadId;
+    };
+
+    const chat = (threadId, message, options = {}) =>
+        server.request('/api/chat', { method: 'POST', body: { threadId, message }, ...options });
+
+    test('rejects requests without a token', async () => {
+        const res = await server.request('/api/new-thread', { method: 'POST', as: null });
+        assert.equal(res.status, 401);
+        assert.equal((await res.json()).error, 'Unauthorized');
+    });
+
+    test('creates a thread, records its owner and charges for it', async () => {
+        const res = await server.request('/api/new-thread', { method: 'POST' });
+        assert.equal(res.status, 200);
+        const body = await res.json();
+        assert.match(body.threadId, /^thread_/);
+        assert.deepEqual(body.credits, { balance: 9 });
+
+        const list = await (await server.request('/api/threads')).json();
+        assert.deepEqual(list.threads.map(thread => thread.id), [body.threadId]);
+        const others = await (await server.request('/api/threads', { as: 'auth0|bob' })).json();
+        assert.deepEqual(others.threads, []);
+    });
+
+    test('runs the assistant and returns its reply', async () => {
+        const threadId = await newThread();
+        server.azure.scriptRun([
+            { status: 'queued' },
+            { status: 'in_progress' },
+            { status: 'completed', reply: 'Use 9 bays of 2.2 m.' },
+        ]);
+
+        const res = await chat(threadId, 'Plan a 20 m façade');
+        assert.equal(res.status, 200);
+        const { messageId, ...reply } = await res.json();
+        assert.deepEqual(reply, {
+            response: 'Use 9 bays of 2.2 m.',
+            content: [{ type: 'text', text: 'Use 9 bays of 2.2 m.', annotations: [] }],
+            credits: { balance: 8 },
+        });
+
+        const userMessages = server.azure.threads.get(threadId).messages.filter(msg => msg.role === 'user');
+        assert.equal(userMessages[0].content[0].text.value, 'Plan a 20 m façade');
+        assert.equal(server.azure.threads.get(threadId).messages.find(msg => msg.role === 'assistant').id, messageId);
+        assert.equal(server.azure.lastRun().assistant_id, 'asst_test');
+    });
+
+    test('answers requires_action runs with tool outputs', async () => {
+        const threadId = await newThread();
+        server.azure.scriptRun([
+            { status: 'in_progress' },
+            { status: 'requires_action', toolCalls: [
+                { name: 'scaffold_layout', arguments: { facadeLength: 20, facadeHeight: 9 } },
+                { name: 'scaffold_layout', arguments: { facadeLength: 'long' } },
+            ] },
+            { status: 'in_progress' },
+            { status: 'completed', reply: 'Nine bays.' },
+        ]);
+
+        const res = await chat(threadId, 'How many bays?');
+        assert.equal(res.status, 200);
+        assert.equal((await res.json()).response, 'Nine bays.');
+
+        const [layout, invalid] = server.azure.lastRun().toolOutputs.map(output => JSON.parse(output.output));
+        assert.equal(layout.bays, 9);
+        assert.equal(invalid.error.code, 'INVALID_ARGUMENTS');
+    });
+
+    test('reports failed runs and refunds the message', async () => {
+        const threadId = await newThread();
+        server.azure.scriptRun([
+            { status: 'in_progress' },
+            { status: 'failed', error: { code: 'rate_limit_exceeded', message: 'Too many tokens' } },
+        ]);
+
+        const res = await chat(threadId, 'Hello');
+        assert.equal(res.status, 500);
+        assert.deepEqual(await res.json(), {
+            error: 'Assistant processing failed.',
+            details: 'Too many tokens',
+            code: 'rate_limit_exceeded',
+        });
+        assert.equal(await server.services.credits.getBalance('auth0|alice'), 9);
+    });
+
+    test('retries upstream 429s after the time Azure asks for', async () => {
+        const threadId = await newThread();
+        server.azure.failNext('POST', /\/runs$/, { status: 429, headers: { 'retry-after-ms': '20' } }, 2);
+
+        const started = Date.now();
+        const res = await chat(threadId, 'Hello');
+        assert.equal(res.status, 200);
+        assert.ok(Date.now() - started >= 40);
+    });
+
+    test('surfaces upstream 429s with long waits and refunds the message', async () => {
+        const threadId = await newThread();
+        server.azure.failNext('POST', /\/runs$/, { status: 429, headers: { 'Retry-After': '120' } });
+
+        const res = await chat(threadId, 'Hello');
+        assert.equal(res.status, 503);
+        assert.equal(res.headers.get('retry-after'), '120');
+        const body = await res.json();
+        assert.equal(body.code, 'UPSTREAM_RATE_LIMITED');
+        assert.match(body.details, /429/);
+        assert.equal(await server.services.credits.getBalance('auth0|alice'), 9);
+    });
+
+    test('forbids posting to another user\'s thread', async () => {
+        const threadId = await newThread('auth0|bob');
+        const res = await chat(threadId, 'Hello');
+        assert.equal(res.status, 403);
+        assert.equal((await res.json()).code, 'THREAD_FORBIDDEN');
+        assert.equal(server.azure.threads.get(threadId).messages.length, 0);
+    });
+
+    test('validates the request body', async () => {
+        const res = await chat(undefined, 'Hello');
+        assert.equal(res.status, 400);
+    });
+
+    test('refuses to run without enough credits', async () => {
+        await server.close();
+        server = await startTestServer({ credits: { initialBalance: 1 } });
+        const threadId = await newThread();
+
+        const res = await chat(threadId, 'Hello');
+        assert.equal(res.status, 403);
+        assert.deepEqual(await res.json(), {
+            error: 'Not enough credits',
+            code: 'INSUFFICIENT_CREDITS',
+            details: { balance: 0, required: 1 },
+        });
+        assert.equal(server.azure.runs.size, 0);
+    });
+
+    test('charges for token usage', async () => {
+        await server.close();
+        server = await startTestServer({ credits: { initialBalance: 10, pricing: { per1kPromptTokens: 1, per1kCompletionTokens: 2 } } });
+        const threadId = await newThread();
+        server.azure.scriptRun([{ status: 'completed', reply: 'Done.', usage: { prompt_tokens: 1000, completion_tokens: 500 } }]);
+
+        const res = await chat(threadId, 'Hello');
+        assert.deepEqual((await res.json()).credits, { balance: 6 });
+
+        const history = await (await server.request('/api/credits')).json();
+        assert.equal(history.balance, 6);
+        assert.deepEqual(history.history.map(entry => [entry.reason, entry.amount]), [
+            ['token_usage', -2],
+            ['chat_run', -1],
+            ['thread_creation', -1],
+            ['initial_grant', 10],
+        ]);
+    });
+
+    test('streams deltas, tool calls and completion over SSE', async () => {
+        const threadId = await newThread();
+        server.azure.scriptRun([
+            { status: 'in_progress' },
+            { status: 'requires_action', toolCalls: [{ name: 'scaffold_tie_spacing', arguments: { facadeLength: 20, facadeHeight: 9 } }] },
+            { status: 'in_progress' },
+            { status: 'completed', reply: 'Eight ties in two rows.' },
+        ]);
+
+        const res = await server.request('/api/chat/stream', { method: 'POST', body: { threadId, message: 'Ties?' } });
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /text\/event-stream/);
+        const events = await readEvents(res);
+
+        const toolEvents = events.filter(event => event.event === 'tool_call').map(event => [event.data.name, event.data.status]);
+        assert.deepEqual(toolEvents, [['scaffold_tie_spacing', 'running'], ['scaffold_tie_spacing', 'completed']]);
+        const text = events.filter(event => event.event === 'delta').map(event => event.data.text).join('');
+        assert.equal(text, 'Eight ties in two rows.');
+        const done = events.pop();
+        assert.equal(done.event, 'done');
+        assert.equal(done.data.response, 'Eight ties in two rows.');
+        assert.deepEqual(done.data.credits, { balance: 8 });
+
+        const [output] = server.azure.lastRun().toolOutputs;
+        assert.equal(JSON.parse(output.output).totalTies, 8);
+    });
+
+    test('streams failures as an error event', async () => {
+        const threadId = await newThread();
+        server.azure.scriptRun([{ status: 'failed', error: { code: 'server_error', message: 'Boom' } }]);
+
+        const res = await server.request('/api/chat/stream', { method: 'POST', body: { threadId, message: 'Hi' } });
+        const events = await readEvents(res);
+        assert.deepEqual(events.pop(), {
+            event: 'error',
+            data: { error: 'Assistant processing failed.', details: 'Boom', code: 'server_error' },
+        });
+        assert.equal(await server.services.credits.getBalance('auth0|alice'), 9);
+    });
+
+    test('uses the default reply when no run is scripted', async () => {
+        const threadId = await newThread();
+        const res = await chat(threadId, 'Hello');
+        assert.equal((await res.json()).response, DEFAULT_REPLY);
+    });
+});
@@ -0,0 +1,86 @@
+// Tests for assistant profiles: the catalog, GET /api/assistants and per-run overrides.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, readEvents } = require('./helpers/testServer');
+const { createAssistantCatalog } = require('../lib/assistantProfiles');
+
+const functionNames = (tools) => tools.filter(tool => tool.type === 'function').map(tool => tool.function.name);
+
+test.describe('assistant profiles', () => {
+    let server;
+    let threadId;
+
+    const start = async (overrides) => {
+        server = await startTestServer(overrides);
+        threadId = (await (await server.request('/api/new-thread', { method: 'POST' })).json()).threadId;
+    };
+
+    test.afterEach(async () => {
+        await server.close();
+    });
+
+    const chat = (body, path = '/api/chat') => server.request(path, { method: 'POST', body: { threadId, message: 'Check my scaffold', ...body } });
+
+    test('lists the catalog without assistant IDs or instructions', async () => {
+        await start();
+        const { assistants } = await (await server.request('/api/assistants')).json();
+        assert.deepEqual(assistants.map(profile => profile.id), ['general', 'quick-quote', 'design-check', 'safety-review']);
+        assert.equal(assistants[0].default, true);
+        assert.ok(assistants.every(profile => profile.name && profile.instructions === undefined && profile.tools === undefined));
+    });
+
+    test('runs without overrides when no profile is given', async () => {
+        await start();
+        assert.equal((await chat({})).status, 200);
+        const run = server.azure.lastRun();
+        assert.equal(run.assistant_id, 'asst_test');
+        assert.equal(run.additional_instructions, undefined);
+        assert.equal(run.tools, undefined);
+    });
+
+    test('applies a profile\'s instructions and tools, plus the request\'s own instructions', async () => {
+        await start();
+        assert.equal((await chat({ profile: 'safety-review', instructions: 'The site is near a school.' })).status, 200);
+
+        const run = server.azure.lastRun();
+        assert.match(run.additional_instructions, /^The user wants a safety and compliance review\./);
+        assert.match(run.additional_instructions, /\n\nThe site is near a school\.$/);
+        assert.deepEqual(run.tools.filter(tool => tool.type !== 'function'), [{ type: 'file_search' }]);
+        assert.deepEqual(functionNames(run.tools), ['scaffold_load_check', 'scaffold_tie_spacing']);
+    });
+
+    test('runs a profile\'s own assistant and model when streaming', async () => {
+        await start({
+            assistantProfiles: [
+                { id: 'standard', name: 'Standard' },
+                { id: 'premium', name: 'Premium', assistantId: 'asst_premium', model: 'gpt-4o' },
+            ],
+        });
+        const events = await readEvents(await chat({ profile: 'premium' }, '/api/chat/stream'));
+        assert.ok(events.some(event => event.event === 'done'));
+        assert.equal(server.azure.lastRun().assistant_id, 'asst_premium');
+        assert.equal(server.azure.lastRun().model, 'gpt-4o');
+    });
+
+    test('rejects unknown profiles and oversized instructions before charging', async () => {
+        await start();
+        const { balance } = await (await server.request('/api/credits')).json();
+
+        let res = await chat({ profile: 'wizard' });
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).code, 'UNKNOWN_ASSISTANT_PROFILE');
+
+        res = await chat({ instructions: 'x'.repeat(2001) });
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).code, 'INVALID_INSTRUCTIONS');
+
+        assert.equal((await (await server.request('/api/credits')).json()).balance, balance);
+    });
+});
+
+test('refuses catalogs that offer tools which do not exist', () => {
+    assert.throws(
+        () => createAssistantCatalog([{ id: 'x', name: 'X', tools: ['scaffold_layout', 'web_search'] }], { functionTools: ['scaffold_layout'] }),
+        /unknown tools: web_search/
+    );
+});
@@ -0,0 +1,147 @@
+// Tests for reading and validating the server configuration.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../lib/config');
+
+const AZURE_ENV = {
+    AUTH0_ISSUER_BASE_URL: 'https://tenant.auth0.com/',
+    AUTH0_AUDIENCE: 'https://api.example.com',
+    AZURE_OPENAI_API_KEY: 'key',
+    AZURE_OPENAI_ENDPOINT: 'https://example.openai.azure.com',
+    AZURE_OPENAI_ASSISTANT_ID: 'asst_abc123',
+};
+
+const problemsFor = (env) => {
+    try {
+        loadConfig(env);
+    } catch (error) {
+        assert.ok(error instanceof ConfigError);
+        return error.problems;
+    }
+    assert.fail('expected a ConfigError');
+};
+
+test('applies defaults to a minimal Azure configuration', () => {
+    const config = loadConfig(AZURE_ENV);
+    assert.equal(config.port, 3000);
+    assert.deepEqual(config.corsOrigins, ['http://localhost:5173']);
+    assert.equal(config.llmProvider, 'azure-assistants');
+    assert.equal(config.provider.apiVersion, '2024-05-01-preview');
+    assert.equal(config.provider.assistantId, 'asst_abc123');
+    assert.deepEqual(config.rateLimits, { windowMs: 60000, maxRequests: 30, maxConcurrent: 2 });
+    assert.equal(config.uploads.maxFileBytes, 20 * 1024 * 1024);
+});
+
+test('reads CORS origins, API version and numbers from strings', () => {
+    const config = loadConfig({
+        ...AZURE_ENV,
+        PORT: '8080',
+        CORS_ORIGINS: 'https://me.github.io, http://localhost:5173',
+        AZURE_OPENAI_API_VERSION: '2025-01-01-preview',
+        CREDITS_MESSAGE_COST: '0.5',
+        RATE_LIMIT_MAX_REQUESTS: '',
+    });
+    assert.equal(config.port, 8080);
+    assert.deepEqual(config.corsOrigins, ['https://me.github.io', 'http://localhost:5173']);
+    assert.equal(config.provider.apiVersion, '2025-01-01-preview');
+    assert.equal(config.credits.pricing.chatRun, 0.5);
+    assert.equal(config.rateLimits.maxRequests, 30);
+});
+
+test('lists every problem at once', () => {
+    assert.deepEqual(problemsFor({
+        AUTH0_ISSUER_BASE_URL: 'tenant.auth0.com',
+        LLM_PROVIDER: 'chat-completions',
+        CHAT_COMPLETIONS_BASE_URL: 'http://localhost:11434/v1',
+        PORT: 'eighty',
+        CORS_ORIGINS: 'https://me.github.io/app/',
+        LOG_LEVEL: 'loud',
+    }).sort(), [
+        'AUTH0_AUDIENCE is required',
+        'AUTH0_ISSUER_BASE_URL must be an http(s) URL',
+        'CHAT_COMPLETIONS_MODEL is required when LLM_PROVIDER is chat-completions',
+        'CORS_ORIGINS entry "https://me.github.io/app/" must be an origin like https://example.com (scheme and host, no path)',
+        'LOG_LEVEL must be one of: debug, info, warn, error, silent',
+        'PORT must be a port number',
+    ]);
+});
+
+test('requires explicit CORS origins in production', () => {
+    assert.deepEqual(problemsFor({ ...AZURE_ENV, NODE_ENV: 'production' }), ['CORS_ORIGINS is required when NODE_ENV is production']);
+    assert.equal(loadConfig({ ...AZURE_ENV, NODE_ENV: 'production', CORS_ORIGINS: 'https://me.github.io' }).production, true);
+});
+
+test('reads and checks the assistant profiles file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+    const file = path.join(dir, 'profiles.json');
+    try {
+        fs.writeFileSync(file, JSON.stringify([{ id: 'quote', name: 'Quote', assistantId: 'asst_quote', tools: ['scaffold_takeoff'] }]));
+        assert.equal(loadConfig({ ...AZURE_ENV, ASSISTANT_PROFILES_FILE: file }).assistantProfiles[0].assistantId, 'asst_quote');
+        assert.equal(loadConfig(AZURE_ENV).assistantProfiles, undefined);
+
+        fs.writeFileSync(file, JSON.stringify([{ id: 'Quote!', name: 'Quote' }]));
+        assert.match(problemsFor({ ...AZURE_ENV, ASSISTANT_PROFILES_FILE: file })[0], /^ASSISTANT_PROFILES_FILE \/0\/id must match pattern/);
+
+        fs.writeFileSync(file, '{ not json');
+        assert.match(problemsFor({ ...AZURE_ENV, ASSISTANT_PROFILES_FILE: file })[0], /could not be read as JSON/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('turns purchases on only with both payment settings', () => {
+    assert.equal(loadConfig(AZURE_ENV).payments, null);
+    assert.deepEqual(problemsFor({ ...AZURE_ENV, PAYMENT_WEBHOOK_SECRET: 'whsec_0123456789abcdef' }), [
+        'PAYMENT_CHECKOUT_URL is required when PAYMENT_WEBHOOK_SECRET is set',
+    ]);
+    const config = loadConfig({ ...AZURE_ENV, PAYMENT_WEBHOOK_SECRET: 'whsec_0123456789abcdef', PAYMENT_CHECKOUT_URL: 'https://pay.example.com/c/{reference}' });
+    assert.equal(config.payments.checkoutUrl, 'https://pay.example.com/c/{reference}');
+});
+
+test('serves metrics only with a long enough METRICS_TOKEN', () => {
+    assert.equal(loadConfig(AZURE_ENV).metricsToken, null);
+    assert.equal(loadConfig({ ...AZURE_ENV, METRICS_TOKEN: 'm'.repeat(16) }).metricsToken, 'm'.repeat(16));
+    assert.deepEqual(problemsFor({ ...AZURE_ENV, METRICS_TOKEN: 'short' }), ['METRICS_TOKEN must be at least 16 characters']);
+});
+
+test('allows development sign-in without Auth0, but never in production', () => {
+    const { AUTH0_ISSUER_BASE_URL, AUTH0_AUDIENCE, ...withoutAuth0 } = AZURE_ENV;
+    assert.equal(loadConfig(AZURE_ENV).devAuth, null);
+    assert.deepEqual(problemsFor(withoutAuth0).sort(), ['AUTH0_AUDIENCE is required', 'AUTH0_ISSUER_BASE_URL is required']);
+
+    const config = loadConfig({ ...withoutAuth0, AUTH_MODE: 'dev' });
+    assert.equal(config.authMode, 'dev');
+    assert.equal(config.devAuth.secret.length, 64);
+    assert.equal(loadConfig({ ...withoutAuth0, AUTH_MODE: 'dev', DEV_AUTH_SECRET: 's'.repeat(32) }).devAuth.secret, 's'.repeat(32));
+
+    assert.deepEqual(problemsFor({ ...withoutAuth0, AUTH_MODE: 'dev', DEV_AUTH_SECRET: 'short', NODE_ENV: 'production', CORS_ORIGINS: 'https://me.github.io' }), [
+        'DEV_AUTH_SECRET must be at least 32 characters',
+        'AUTH_MODE=dev is not allowed when NODE_ENV is production',
+    ]);
+});
+
+test('reads guardrail limits, PII kinds and the deny-list file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deny-list-'));
+    const file = path.join(dir, 'deny-list.json');
+    try {
+        assert.deepEqual(loadConfig(AZURE_ENV).guardrails, { maxMessageLength: 10000, maxToolOutputLength: 50000, redact: ['email', 'phone', 'address'], denyList: {} });
+        assert.deepEqual(loadConfig({ ...AZURE_ENV, REDACT_PII: 'none' }).guardrails.redact, []);
+
+        fs.writeFileSync(file, JSON.stringify({ keywords: ['competitor'], patterns: ['\\bpassword\\b'] }));
+        const config = loadConfig({ ...AZURE_ENV, MESSAGE_MAX_LENGTH: '500', REDACT_PII: 'email, phone', DENY_LIST_FILE: file });
+        assert.equal(config.guardrails.maxMessageLength, 500);
+        assert.deepEqual(config.guardrails.redact, ['email', 'phone']);
+        assert.deepEqual(config.guardrails.denyList.keywords, ['competitor']);
+
+        fs.writeFileSync(file, JSON.stringify({ patterns: ['(unclosed'] }));
+        assert.deepEqual(problemsFor({ ...AZURE_ENV, REDACT_PII: 'email,ssn', DENY_LIST_FILE: file }), [
+            'REDACT_PII entry "ssn" must be one of: email, phone, address, none',
+            'DENY_LIST_FILE pattern (unclosed: Invalid regular expression: /(unclosed/iu: Unterminated group',
+        ]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
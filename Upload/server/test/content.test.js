@@ -0,0 +1,130 @@
+// Tests for non-text assistant content: images, generated files and citations,
+// and downloading those files through the API.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { collectRunContent, contentText, generatedFiles } = require('../lib/content');
+const { startTestServer, readEvents } = require('./helpers/testServer');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const textPart = (value, annotations = []) => ({ type: 'text', text: { value, annotations } });
+
+test.describe('collectRunContent', () => {
+    const messages = [
+        { role: 'assistant', run_id: 'run_2', content: [textPart('Other run')] },
+        {
+            role: 'assistant',
+            run_id: 'run_1',
+            content: [textPart('The BOM is in [bom.csv](sandbox:/mnt/data/bom.csv).', [
+                { type: 'file_path', text: 'sandbox:/mnt/data/bom.csv', start_index: 25, end_index: 50, file_path: { file_id: 'file_bom' } },
+            ])],
+            attachments: [{ file_id: 'file_bom', tools: [{ type: 'code_interpreter' }] }, { file_id: 'file_extra', tools: [] }],
+        },
+        {
+            role: 'assistant',
+            run_id: 'run_1',
+            content: [
+                { type: 'image_file', image_file: { file_id: 'file_chart' } },
+                textPart('Ties every 4 m【4:0†survey.pdf】.', [
+                    { type: 'file_citation', text: '【4:0†survey.pdf】', start_index: 15, end_index: 31, file_citation: { file_id: 'file_survey' } },
+                ]),
+            ],
+        },
+        { role: 'user', run_id: null, content: [textPart('Question')] },
+    ];
+
+    test('returns every part of the run\'s messages, oldest first', () => {
+        assert.deepEqual(collectRunContent(messages, 'run_1'), [
+            { type: 'image_file', fileId: 'file_chart' },
+            { type: 'text', text: 'Ties every 4 m【4:0†survey.pdf】.', annotations: [
+                { type: 'file_citation', text: '【4:0†survey.pdf】', startIndex: 15, endIndex: 31, fileId: 'file_survey', quote: null },
+            ] },
+            { type: 'text', text: 'The BOM is in [bom.csv](sandbox:/mnt/data/bom.csv).', annotations: [
+                { type: 'file_path', text: 'sandbox:/mnt/data/bom.csv', startIndex: 25, endIndex: 50, fileId: 'file_bom', filename: 'bom.csv' },
+            ] },
+            { type: 'file', fileId: 'file_extra', filename: null },
+        ]);
+    });
+
+    test('lists text and generated files', () => {
+        const content = collectRunContent(messages, 'run_1');
+        assert.equal(contentText(content), 'Ties every 4 m【4:0†survey.pdf】.\n\nThe BOM is in [bom.csv](sandbox:/mnt/data/bom.csv).');
+        assert.deepEqual(generatedFiles(content).map(file => file.fileId), ['file_chart', 'file_bom', 'file_extra']);
+    });
+});
+
+test.describe('assistant content API', () => {
+    let server;
+    let threadId;
+
+    test.beforeEach(async () => {
+        server = await startTestServer();
+        threadId = (await (await server.request('/api/new-thread', { method: 'POST' })).json()).threadId;
+    });
+
+    test.afterEach(async () => {
+        await server.close();
+    });
+
+    const scriptChart = () => {
+        const chartId = server.azure.addFile('/mnt/data/loads.png', PNG, 'image/png');
+        server.azure.scriptRun([{ status: 'completed', content: [
+            textPart('Here is the load chart.'),
+            { type: 'image_file', image_file: { file_id: chartId } },
+        ] }]);
+        return chartId;
+    };
+
+    test('returns images alongside the text and lets the user download them', async () => {
+        const chartId = scriptChart();
+
+        const body = await (await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'Chart?' } })).json();
+        assert.equal(body.response, 'Here is the load chart.');
+        assert.deepEqual(body.content[1], { type: 'image_file', fileId: chartId });
+
+        const res = await server.request(`/api/files/${chartId}/content`);
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('content-type'), 'image/png');
+        assert.match(res.headers.get('content-disposition'), /loads\.png/);
+        assert.deepEqual(Buffer.from(await res.arrayBuffer()), PNG);
+    });
+
+    test('includes the content in the streamed done event', async () => {
+        const chartId = scriptChart();
+
+        const events = await readEvents(await server.request('/api/chat/stream', { method: 'POST', body: { threadId, message: 'Chart?' } }));
+        const done = events.pop();
+        assert.equal(done.event, 'done');
+        assert.equal(done.data.response, 'Here is the load chart.');
+        assert.deepEqual(done.data.content.map(part => part.type), ['text', 'image_file']);
+        assert.equal(done.data.content[1].fileId, chartId);
+    });
+
+    test('names citations of the user\'s own uploads', async () => {
+        const form = new FormData();
+        form.append('files', new Blob(['Site survey: north elevation 20 m.']), 'survey.txt');
+        const { files: [survey] } = await (await server.request(`/api/threads/${threadId}/files`, { method: 'POST', body: form })).json();
+        server.azure.scriptRun([{ status: 'completed', content: [textPart('It is 20 m【4:0†source】.', [
+            { type: 'file_citation', text: '【4:0†source】', start_index: 10, end_index: 22, file_citation: { file_id: survey.id } },
+            { type: 'file_citation', text: '【4:1†source】', start_index: 22, end_index: 22, file_citation: { file_id: 'file_elsewhere' } },
+        ])] }]);
+
+        const body = await (await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'Length?' } })).json();
+        assert.deepEqual(body.content[0].annotations.map(annotation => annotation.filename), ['survey.txt', null]);
+    });
+
+    test('only serves files to the user they belong to', async () => {
+        const chartId = scriptChart();
+        await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'Chart?' } });
+
+        let res = await server.request(`/api/files/${chartId}/content`, { as: 'auth0|bob' });
+        assert.equal(res.status, 404);
+        assert.equal((await res.json()).code, 'FILE_NOT_FOUND');
+
+        res = await server.request(`/api/files/${server.azure.addFile('other.png', PNG)}/content`);
+        assert.equal(res.status, 404);
+
+        res = await server.request(`/api/files/${chartId}/content`, { as: null });
+        assert.equal(res.status, 401);
+    });
+});
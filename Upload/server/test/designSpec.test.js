@@ -0,0 +1,98 @@
+// Tests for structured design specs submitted with the submit_design_spec tool.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, readEvents } = require('./helpers/testServer');
+const { checkDesignSpec } = require('../lib/designSpecs');
+
+const validSpec = () => ({
+    schemaVersion: 1,
+    title: 'North elevation',
+    facade: { length: 20, height: 9 },
+    bays: { count: 9, length: 2.4 },
+    lifts: { count: 5, height: 2, boarded: 2 },
+    platform: { boardsWide: 5, width: 1.2 },
+    loadClass: 3,
+    ties: { liftsBetweenRows: 2, baysBetweenTies: 2 },
+    components: [
+        { item: 'standard', description: 'Standard 3.0 m', quantity: 40, unit: 'no.' },
+        { item: 'ledger', description: 'Ledger 2.4 m', quantity: 90, unit: 'no.' },
+    ],
+    notes: ['Ties at 4 m vertical spacing.'],
+});
+
+test.describe('design specs', () => {
+    let server;
+    let threadId;
+
+    test.beforeEach(async () => {
+        server = await startTestServer();
+        threadId = (await (await server.request('/api/new-thread', { method: 'POST' })).json()).threadId;
+    });
+
+    test.afterEach(async () => {
+        await server.close();
+    });
+
+    const chat = (message, options = {}) =>
+        server.request('/api/chat', { method: 'POST', body: { threadId, message }, ...options });
+
+    test('returns a submitted spec with the reply and in the history', async () => {
+        server.azure.scriptRun([
+            { status: 'requires_action', toolCalls: [{ name: 'submit_design_spec', arguments: validSpec() }] },
+            { status: 'completed', reply: 'Here is the design.' },
+        ]);
+
+        const body = await (await chat('Design the north elevation')).json();
+        assert.equal(body.response, 'Here is the design.');
+        assert.equal(body.designSpec.bays.count, 9);
+        assert.equal(body.designSpec.components.length, 2);
+        assert.ok(body.designSpec.id);
+
+        const [output] = server.azure.lastRun().toolOutputs.map(output => JSON.parse(output.output));
+        assert.deepEqual(output, { accepted: true, specId: body.designSpec.id, schemaVersion: 1 });
+
+        const { messages } = await (await server.request(`/api/threads/${threadId}/messages`)).json();
+        assert.equal(messages[0].designSpec, undefined);
+        assert.deepEqual(messages[1].designSpec, body.designSpec);
+    });
+
+    test('sends the spec with the streamed done event', async () => {
+        server.azure.scriptRun([
+            { status: 'requires_action', toolCalls: [{ name: 'submit_design_spec', arguments: validSpec() }] },
+            { status: 'completed', reply: 'Here is the design.' },
+        ]);
+
+        const res = await server.request('/api/chat/stream', { method: 'POST', body: { threadId, message: 'Design it' } });
+        const done = (await readEvents(res)).find(event => event.event === 'done');
+        assert.equal(done.data.designSpec.loadClass, 3);
+    });
+
+    test('rejects specs that fail the schema or are inconsistent', async () => {
+        const inconsistent = validSpec();
+        inconsistent.lifts.boarded = 7;
+        server.azure.scriptRun([
+            { status: 'requires_action', toolCalls: [
+                { name: 'submit_design_spec', arguments: { ...validSpec(), schemaVersion: 2 } },
+                { name: 'submit_design_spec', arguments: inconsistent },
+            ] },
+            { status: 'completed', reply: 'Sorry.' },
+        ]);
+
+        const body = await (await chat('Design it')).json();
+        assert.equal(body.designSpec, undefined);
+
+        const [wrongVersion, invalid] = server.azure.lastRun().toolOutputs.map(output => JSON.parse(output.output));
+        assert.equal(wrongVersion.error.code, 'INVALID_ARGUMENTS');
+        assert.equal(invalid.error.code, 'INVALID_DESIGN_SPEC');
+        assert.match(invalid.error.details[0], /lifts\.boarded \(7\)/);
+    });
+
+    test('checks bay coverage, the tie pattern and duplicate components', () => {
+        const spec = validSpec();
+        spec.bays.count = 8;
+        spec.ties.liftsBetweenRows = 6;
+        spec.components.push({ item: 'ledger', description: 'Ledger 1.8 m', quantity: 4, unit: 'no.' });
+        assert.equal(checkDesignSpec(spec).length, 3);
+        assert.deepEqual(checkDesignSpec(validSpec()), []);
+    });
+});
@@ -0,0 +1,82 @@
+// Tests for development sign-in (AUTH_MODE=dev): locally signed tokens verified like Auth0's.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { createDevAuth, DEV_AUDIENCE, DEV_ISSUER } = require('../lib/devAuth');
+
+const SECRET = 'dev-auth-test-secret-0123456789abcdef';
+
+test.describe('development sign-in', () => {
+    let server;
+
+    test.beforeEach(async () => {
+        const devAuth = createDevAuth({ secret: SECRET, production: false });
+        server = await startTestServer({ checkJwt: devAuth.checkJwt, devAuth });
+    });
+
+    test.afterEach(async () => {
+        await server.close();
+    });
+
+    const signIn = async (user) => {
+        const res = await server.request('/api/dev-auth/token', { method: 'POST', body: user, as: null });
+        assert.equal(res.status, 200);
+        return res.json();
+    };
+    const withToken = (path, accessToken) => server.request(path, { as: null, headers: { Authorization: `Bearer ${accessToken}` } });
+
+    test('issues tokens the app accepts with Auth0-shaped claims', async () => {
+        const { users } = await (await server.request('/api/dev-auth/users', { as: null })).json();
+        const admin = users.find(user => user.sub === 'dev|admin');
+
+        const token = await signIn(admin);
+        assert.equal(token.token_type, 'Bearer');
+        const payload = JSON.parse(Buffer.from(token.access_token.split('.')[1], 'base64url').toString());
+        assert.equal(payload.iss, DEV_ISSUER);
+        assert.equal(payload.aud, DEV_AUDIENCE);
+        assert.equal(payload.email, 'admin@example.com');
+        assert.equal(payload.scope, 'admin:credits admin:usage admin:users');
+        assert.equal(payload.exp - payload.iat, token.expires_in);
+
+        const me = await (await withToken('/api/me', token.access_token)).json();
+        assert.deepEqual(me, { userId: 'dev|admin', permissions: ['admin:credits', 'admin:usage', 'admin:users'] });
+        assert.equal((await withToken('/api/admin/users', token.access_token)).status, 200);
+    });
+
+    test('signs in as any user with the scopes asked for', async () => {
+        const token = await signIn({ sub: 'dev|carol', email: 'carol@example.com', scopes: ['admin:usage'] });
+        assert.deepEqual(await (await withToken('/api/me', token.access_token)).json(), { userId: 'dev|carol', permissions: ['admin:usage'] });
+        const grant = await server.request('/api/admin/users/dev%7Ccarol/credits', {
+            method: 'POST', body: { amount: 5 }, as: null, headers: { Authorization: `Bearer ${token.access_token}` },
+        });
+        assert.equal(grant.status, 403);
+        assert.equal((await grant.json()).code, 'INSUFFICIENT_SCOPE');
+
+        const res = await server.request('/api/dev-auth/token', { method: 'POST', body: { sub: 'has spaces' }, as: null });
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).code, 'INVALID_DEV_USER');
+    });
+
+    test('refuses tampered, foreign and missing tokens with the usual 401', async () => {
+        const { access_token: accessToken } = await signIn({ sub: 'dev|alice' });
+        const [header, , signature] = accessToken.split('.');
+        const forged = `${header}.${Buffer.from(JSON.stringify({ sub: 'dev|admin', iss: DEV_ISSUER, aud: DEV_AUDIENCE, exp: 9999999999 })).toString('base64url')}.${signature}`;
+        const foreign = createDevAuth({ secret: 'another-secret-0123456789abcdefghij', production: false }).issueToken({ sub: 'dev|alice' }).access_token;
+
+        for (const token of [forged, foreign, 'not-a-token']) {
+            const res = await withToken('/api/me', token);
+            assert.equal(res.status, 401);
+            assert.deepEqual(await res.json(), { error: 'Unauthorized', details: 'Invalid or missing token.' });
+        }
+        assert.equal((await server.request('/api/me', { as: null })).status, 401);
+    });
+
+    test('is off unless configured, and refused in production', async () => {
+        await server.close();
+        server = await startTestServer();
+        assert.equal((await server.request('/api/dev-auth/users', { as: null })).status, 404);
+        assert.equal((await server.request('/api/dev-auth/token', { method: 'POST', body: { sub: 'dev|alice' }, as: null })).status, 404);
+
+        assert.throws(() => createDevAuth({ secret: SECRET, production: true }), /NODE_ENV is production/);
+    });
+});
@@ -0,0 +1,73 @@
+// Tests for exporting a thread as Markdown, JSON and a printable HTML report.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+
+const textPart = (value, annotations = []) => ({ type: 'text', text: { value, annotations } });
+
+test.describe('thread export', () => {
+    let server;
+    let threadId;
+
+    test.beforeEach(async () => {
+        server = await startTestServer({ credits: { initialBalance: 10 } });
+        threadId = (await (await server.request('/api/new-thread', { method: 'POST' })).json()).threadId;
+        await server.request(`/api/threads/${threadId}`, { method: 'PATCH', body: { title: 'North elevation <draft>' } });
+
+        const form = new FormData();
+        form.append('files', new Blob(['Site survey: north elevation 20 m.']), 'survey.txt');
+        const { files: [survey] } = await (await server.request(`/api/threads/${threadId}/files`, { method: 'POST', body: form })).json();
+        server.azure.scriptRun([{ status: 'completed', content: [textPart('The wall is 20 m【4:0†source】. See bom.csv.', [
+            { type: 'file_citation', text: '【4:0†source】', start_index: 16, end_index: 28, file_citation: { file_id: survey.id, quote: 'north elevation 20 m' } },
+        ])] }]);
+        await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'How long is the wall?', fileIds: [survey.id] } });
+    });
+
+    test.afterEach(async () => {
+        await server.close();
+    });
+
+    test('exports Markdown with timestamps, attachments and numbered citations', async () => {
+        const res = await server.request(`/api/threads/${threadId}/export?format=markdown&title=Riverside%20Block%20A`);
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/markdown/);
+        assert.match(res.headers.get('content-disposition'), /attachment; filename="riverside-block-a\.md"/);
+
+        const markdown = await res.text();
+        assert.match(markdown, /^# Riverside Block A\n/);
+        assert.match(markdown, /Conversation: North elevation <draft>/);
+        assert.match(markdown, /## User — \d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2} UTC\n\nHow long is the wall\?/);
+        assert.match(markdown, /- survey\.txt \(attachment\)/);
+        assert.match(markdown, /The wall is 20 m\[1\]\. See bom\.csv\./);
+        assert.match(markdown, /1\. survey\.txt — "north elevation 20 m"/);
+        assert.ok(markdown.indexOf('## User') < markdown.indexOf('## Assistant'));
+    });
+
+    test('exports JSON with the full message content', async () => {
+        const body = await (await server.request(`/api/threads/${threadId}/export?format=json`)).json();
+        assert.equal(body.projectTitle, 'North elevation <draft>');
+        assert.equal(body.thread.id, threadId);
+        assert.deepEqual(body.messages.map(message => message.role), ['user', 'assistant']);
+        assert.equal(body.messages[0].files[0].filename, 'survey.txt');
+        assert.equal(body.messages[1].content[0].annotations[0].filename, 'survey.txt');
+    });
+
+    test('exports an escaped, printable HTML report', async () => {
+        const res = await server.request(`/api/threads/${threadId}/export?format=html`);
+        assert.match(res.headers.get('content-type'), /^text\/html/);
+        assert.match(res.headers.get('content-disposition'), /^inline/);
+        const html = await res.text();
+        assert.match(html, /<h1>North elevation &lt;draft&gt;<\/h1>/);
+        assert.match(html, /@media print/);
+        assert.match(html, /<li>survey\.txt — “north elevation 20 m”<\/li>/);
+    });
+
+    test('rejects unknown formats and other users\' threads', async () => {
+        let res = await server.request(`/api/threads/${threadId}/export?format=docx`);
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).code, 'INVALID_EXPORT_FORMAT');
+
+        res = await server.request(`/api/threads/${threadId}/export`, { as: 'auth0|bob' });
+        assert.equal(res.status, 403);
+    });
+});
@@ -0,0 +1,98 @@
+// Tests for rating assistant replies and exporting the ratings as an evaluation dataset.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, readEvents } = require('./helpers/testServer');
+
+test.describe('response feedback', () => {
+    let server;
+
+    test.beforeEach(async () => {
+        server = await startTestServer();
+    });
+
+    test.afterEach(async () => {
+        await server.close();
+    });
+
+    const newThread = async (as) => (await (await server.request('/api/new-thread', { method: 'POST', as })).json()).threadId;
+    const rate = (messageId, body, as) => server.request(`/api/messages/${messageId}/feedback`, { method: 'POST', body, as });
+    const exportFeedback = async (query = '') => {
+        const res = await server.request(`/api/admin/feedback/export${query}`, { payload: { permissions: ['admin:usage'] } });
+        assert.equal(res.status, 200);
+        return (await res.text()).split('\n').filter(Boolean).map(line => JSON.parse(line));
+    };
+
+    test('stores a rating with its prompt, response, run and profile', async () => {
+        const threadId = await newThread();
+        server.azure.scriptRun([{ status: 'completed', reply: 'Use 9 bays.' }]);
+        const stream = await server.request('/api/chat/stream', { method: 'POST', body: { threadId, message: 'How many bays?', profile: 'quick-quote' } });
+        const done = (await readEvents(stream)).find(event => event.event === 'done').data;
+        assert.match(done.messageId, /^msg_/);
+
+        const res = await rate(done.messageId, { threadId, rating: 'down', comment: '  Too few bays for 20 m. ' });
+        assert.equal(res.status, 200);
+        const { feedback } = await res.json();
+        assert.equal(feedback.rating, 'down');
+        assert.equal(feedback.comment, 'Too few bays for 20 m.');
+
+        // Rating again replaces the earlier rating.
+        await rate(done.messageId, { threadId, rating: 'up' });
+        const [record] = await exportFeedback();
+        assert.deepEqual({ ...record, ratedAt: undefined }, {
+            prompt: 'How many bays?',
+            response: 'Use 9 bays.',
+            rating: 'up',
+            comment: null,
+            profile: 'quick-quote',
+            runId: done.runId,
+            threadId,
+            messageId: done.messageId,
+            ratedAt: undefined,
+        });
+
+        const { messages } = await (await server.request(`/api/threads/${threadId}/messages`)).json();
+        assert.equal(messages.find(message => message.id === done.messageId).feedback.rating, 'up');
+        assert.equal(messages.find(message => message.role === 'user').feedback, undefined);
+    });
+
+    test('does not record runs the provider never created', async () => {
+        const threadId = await newThread();
+        server.azure.failNext('POST', /\/runs$/, { status: 400 });
+        assert.equal((await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'Hello' } })).status, 500);
+        assert.deepEqual(await server.services.store.read(data => data.feedbackRuns || {}), {});
+    });
+
+    test('only rates assistant replies in the user\'s own threads', async () => {
+        const threadId = await newThread();
+        const { messageId } = await (await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'Hello' } })).json();
+        const userMessage = server.azure.threads.get(threadId).messages.find(msg => msg.role === 'user');
+
+        let res = await rate(messageId, { threadId, rating: 'sideways' });
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).code, 'INVALID_FEEDBACK');
+        res = await rate(userMessage.id, { threadId, rating: 'up' });
+        assert.equal(res.status, 404);
+        assert.equal((await res.json()).code, 'MESSAGE_NOT_FOUND');
+        res = await rate(messageId, { threadId, rating: 'up' }, 'auth0|bob');
+        assert.equal(res.status, 403);
+        assert.deepEqual(await exportFeedback(), []);
+    });
+
+    test('filters the export, needs admin:usage and forgets deleted threads', async () => {
+        const threadId = await newThread();
+        for (const [message, rating] of [['First', 'up'], ['Second', 'down']]) {
+            const { messageId } = await (await server.request('/api/chat', { method: 'POST', body: { threadId, message } })).json();
+            assert.equal((await rate(messageId, { threadId, rating })).status, 200);
+        }
+
+        assert.deepEqual((await exportFeedback('?rating=down')).map(record => record.prompt), ['Second']);
+        assert.deepEqual((await exportFeedback('?profile=general')).map(record => record.prompt), ['First', 'Second']);
+        assert.deepEqual(await exportFeedback(`?since=${encodeURIComponent(new Date(Date.now() + 60000).toISOString())}`), []);
+        const res = await server.request('/api/admin/feedback/export');
+        assert.equal(res.status, 403);
+        assert.equal((await server.request('/api/admin/feedback/export?rating=meh', { payload: { permissions: ['admin:usage'] } })).status, 400);
+
+        await server.request(`/api/threads/${threadId}`, { method: 'DELETE' });
+        assert.deepEqual(await exportFeedback(), []);
+    });
+});
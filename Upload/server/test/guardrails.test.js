@@ -0,0 +1,138 @@
+// Tests for the guardrails on chat messages and tool outputs.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { createGuardrails } = require('../lib/guardrails');
+const { createToolRegistry } = require('../lib/tools');
+
+test.describe('createGuardrails', () => {
+    test('redacts emails, phone numbers and site addresses but not measurements', () => {
+        const guardrails = createGuardrails();
+        const { text, redactions } = guardrails.checkMessage(
+            'Call Jo on 07700 900123 or (020) 7946 0958, jo@example.co.uk. Site: 12 Station Road, Leeds LS1 4DT. Bays 2000 3000 mm, 12.35 m high.'
+        );
+        assert.equal(text, 'Call Jo on [PHONE] or [PHONE], [EMAIL]. Site: [ADDRESS]. Bays 2000 3000 mm, 12.35 m high.');
+        assert.deepEqual(redactions, { email: 1, phone: 2, address: 1 });
+        assert.equal(guardrails.checkMessage('Deliver to the property at 4a Mill Lane, postcode LS6 2AB').text, 'Deliver to the property at [ADDRESS], postcode [ADDRESS]');
+
+        const emailsOnly = createGuardrails({ redact: ['email'] }).checkMessage('jo@example.com, 07700 900123');
+        assert.equal(emailsOnly.text, '[EMAIL], 07700 900123');
+        assert.throws(() => createGuardrails({ redact: ['ssn'] }), /Unknown PII kinds/);
+    });
+
+    test('leaves scaffold wording that looks like contact details alone', () => {
+        const guardrails = createGuardrails();
+        for (const message of [
+            'Use 3 Lifts Along North Row',
+            'Section 4 Main Elevation Road needs a loading bay.',
+            'Elevation A1 2BC is the gable end.',
+            'Job 12 Bay Close: 20 m run, 9 m high.',
+            'Bays (2400) 1200 1200 then a 1800 return.',
+            'Tie in at 4 m centres, 1 per 24 m2 (BS EN 12811).',
+        ]) {
+            assert.deepEqual(guardrails.checkMessage(message), { text: message, redactions: {} });
+        }
+    });
+
+    test('refuses each kind of problem with its own code', () => {
+        const guardrails = createGuardrails({ maxMessageLength: 20, denyList: { keywords: ['asbestos'], patterns: ['\\bpass(word)?\\s*[:=]'] } });
+        const codeFor = (message) => {
+            try {
+                guardrails.checkMessage(message);
+            } catch (error) {
+                return [error.guardrail, error.code, error.status];
+            }
+            return null;
+        };
+        assert.deepEqual(codeFor(42), ['type', 'INVALID_MESSAGE', 400]);
+        assert.deepEqual(codeFor('   '), ['type', 'INVALID_MESSAGE', 400]);
+        assert.deepEqual(codeFor('x'.repeat(21)), ['length', 'CONTENT_TOO_LONG', 400]);
+        assert.deepEqual(codeFor('ASBESTOS nearby?'), ['keywords', 'BLOCKED_KEYWORD', 400]);
+        assert.deepEqual(codeFor('my Password: x'), ['patterns', 'BLOCKED_PATTERN', 400]);
+        // Keywords match whole words only.
+        assert.equal(codeFor('asbestosis'), null);
+    });
+
+    test('guards tool outputs through the registry', async () => {
+        const guardrails = createGuardrails({ maxToolOutputLength: 60 });
+        const registry = createToolRegistry({ guardOutput: output => guardrails.checkToolOutput(output).text });
+        registry.register({ name: 'contact', handler: async ({ long }) => ({ email: 'site@example.com', notes: long ? 'n'.repeat(60) : '' }) });
+
+        const execute = async (args) => JSON.parse((await registry.execute({ id: 'call_1', function: { name: 'contact', arguments: JSON.stringify(args) } })).output);
+        assert.deepEqual(await execute({}), { email: '[EMAIL]', notes: '' });
+        assert.equal((await execute({ long: true })).error.code, 'CONTENT_TOO_LONG');
+    });
+});
+
+test.describe('chat guardrails', () => {
+    let server;
+
+    test.beforeEach(async () => {
+        server = await startTestServer({
+            guardrails: { maxMessageLength: 200, maxToolOutputLength: 5000, denyList: { keywords: ['competitor'], patterns: ['"bays":\\s*9'] } },
+        });
+    });
+
+    test.afterEach(async () => {
+        await server.close();
+    });
+
+    const newThread = async () => (await (await server.request('/api/new-thread', { method: 'POST' })).json()).threadId;
+    const chat = (threadId, message) => server.request('/api/chat', { method: 'POST', body: { threadId, message } });
+    const balance = async () => (await (await server.request('/api/credits')).json()).balance;
+
+    test('refuses messages before anything is sent or charged', async () => {
+        const threadId = await newThread();
+        for (const [message, code] of [['x'.repeat(201), 'CONTENT_TOO_LONG'], [{ text: 'hi' }, 'INVALID_MESSAGE'], ['Is the competitor cheaper?', 'BLOCKED_KEYWORD']]) {
+            const res = await chat(threadId, message);
+            assert.equal(res.status, 400);
+            assert.equal((await res.json()).code, code);
+        }
+        const stream = await server.request('/api/chat/stream', { method: 'POST', body: { threadId, message: 'x'.repeat(201) } });
+        assert.equal(stream.status, 400);
+        assert.equal((await stream.json()).code, 'CONTENT_TOO_LONG');
+
+        assert.equal(server.azure.threads.get(threadId).messages.length, 0);
+        assert.equal(await balance(), 9);
+    });
+
+    test('applies the same checks to the request\'s own instructions', async () => {
+        const threadId = await newThread();
+        for (const path of ['/api/chat', '/api/chat/stream']) {
+            const res = await server.request(path, { method: 'POST', body: { threadId, message: 'How many bays?', instructions: 'Compare with the competitor.' } });
+            assert.equal(res.status, 400);
+            assert.equal((await res.json()).code, 'BLOCKED_KEYWORD');
+        }
+        assert.equal(server.azure.threads.get(threadId).messages.length, 0);
+        assert.equal(await balance(), 9);
+
+        assert.equal((await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'Hi', instructions: 'Reply to pat@example.com' } })).status, 200);
+        assert.equal(server.azure.lastRun().additional_instructions, 'Reply to [EMAIL]');
+    });
+
+    test('sends the redacted message upstream and reports what was redacted', async () => {
+        const threadId = await newThread();
+        const res = await chat(threadId, 'Quote for the site at 4a Mill Lane, email me at pat@example.com');
+        assert.equal(res.status, 200);
+        assert.deepEqual((await res.json()).redactions, { email: 1, address: 1 });
+
+        const [userMessage] = server.azure.threads.get(threadId).messages.filter(msg => msg.role === 'user');
+        assert.equal(userMessage.content[0].text.value, 'Quote for the site at [ADDRESS], email me at [EMAIL]');
+    });
+
+    test('returns refused tool outputs to the model as errors', async () => {
+        const threadId = await newThread();
+        server.azure.scriptRun([
+            { status: 'requires_action', toolCalls: [
+                { name: 'scaffold_layout', arguments: { facadeLength: 20, facadeHeight: 9 } },
+                { name: 'scaffold_layout', arguments: { facadeLength: 6, facadeHeight: 4 } },
+            ] },
+            { status: 'completed', reply: 'Done.' },
+        ]);
+
+        assert.equal((await chat(threadId, 'How many bays?')).status, 200);
+        const [blocked, allowed] = server.azure.lastRun().toolOutputs.map(output => JSON.parse(output.output));
+        assert.equal(blocked.error.code, 'BLOCKED_PATTERN');
+        assert.equal(allowed.bays, 3);
+    });
+});
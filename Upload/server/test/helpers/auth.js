@@ -0,0 +1,41 @@
+// Stand-in for the Auth0 `checkJwt` middleware.
+//
+// Test tokens are unsigned JWTs (`alg: none`). The stub only decodes them, so
+// tests can act as any user without a live Auth0 tenant, while the app still
+// sees the same `req.auth.payload` shape and the same 401 error on bad tokens.
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function createTestToken(payload) {
+    return `${base64url({ alg: 'none', typ: 'JWT' })}.${base64url({ iat: Math.floor(Date.now() / 1000), ...payload })}.`;
+}
+
+function unauthorized(message) {
+    const error = new Error(message);
+    error.name = 'UnauthorizedError';
+    error.status = 401;
+    return error;
+}
+
+function stubCheckJwt(req, res, next) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return next(unauthorized('Missing bearer token'));
+    }
+    try {
+        const [header, payload] = token.split('.');
+        req.auth = {
+            header: JSON.parse(Buffer.from(header, 'base64url').toString()),
+            payload: JSON.parse(Buffer.from(payload, 'base64url').toString()),
+            token,
+        };
+    } catch {
+        return next(unauthorized('Malformed token'));
+    }
+    if (!req.auth.payload.sub) {
+        return next(unauthorized('Token has no subject'));
+    }
+    next();
+}
+
+module.exports = { createTestToken, stubCheckJwt };
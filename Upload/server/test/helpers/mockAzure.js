@@ -0,0 +1,374 @@
+// In-process fake of the Azure OpenAI Assistants API (threads, messages, runs,
+// submit_tool_outputs), for testing the server without Azure credentials.
+//
+// Uploaded files (POST /openai/files, multipart) are kept in `files` with their contents;
+// `addFile()` seeds one, e.g. a chart for a scripted code_interpreter reply to point at.
+//
+// Runs follow scripts queued with `scriptRun(steps)`. Each step is one run state:
+//   { status: 'queued' } / { status: 'in_progress' }
+//   { status: 'requires_action', toolCalls: [{ name, arguments }] }   waits for submit_tool_outputs
+//   { status: 'completed', reply: 'text', usage: { prompt_tokens, completion_tokens } }
+//   { status: 'completed', content: [...message content parts], attachments: [...] }
+//   { status: 'incomplete', reply: 'text cut short' }                  hit the token limit
+//   { status: 'failed', error: { code, message } } / { status: 'expired' }
+//   { status: 'in_progress', hold: true }                              stays in progress until cancelled
+// Every poll returns the current step and moves on to the next one. Runs with no
+// script queued complete straight away with DEFAULT_REPLY. Cancelling a run
+// (POST .../runs/:runId/cancel) makes it `cancelling`, then `cancelled` on the next poll.
+//
+// `failNext(method, pathPattern, response, times)` makes the next matching request (or
+// the next `times` of them) fail, e.g. with a 429 and a Retry-After header.
+const http = require('http');
+
+const DEFAULT_REPLY = 'This is a mock assistant reply.';
+const API_KEY = 'test-azure-key';
+
+function createMockAzure() {
+    let counter = 0;
+    const nextId = (prefix) => `${prefix}_${++counter}`;
+    const now = () => Math.floor(Date.now() / 1000);
+
+    const threads = new Map();
+    const files = new Map();
+    const runs = new Map();
+    const scripts = [];
+    const failures = [];
+    const requests = [];
+
+    const sendJson = (res, status, body, headers = {}) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    };
+
+    const sendError = (res, status, message) => sendJson(res, status, { error: { code: String(status), message } });
+
+    // JSON bodies are parsed to objects, multipart bodies to a FormData.
+    const readBody = async (req) => {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+        const raw = Buffer.concat(chunks);
+        const contentType = req.headers['content-type'] || '';
+        if (contentType.startsWith('multipart/form-data')) {
+            return new Response(raw, { headers: { 'Content-Type': contentType } }).formData();
+        }
+        return raw.length ? JSON.parse(raw) : {};
+    };
+
+    // `content` is the text of the message, or a list of content parts.
+    const addMessage = (thread, role, content, runId = null, attachments = []) => {
+        const message = {
+            id: nextId('msg'),
+            object: 'thread.message',
+            created_at: now(),
+            thread_id: thread.id,
+            role,
+            run_id: runId,
+            content: typeof content === 'string' ? [{ type: 'text', text: { value: content, annotations: [] } }] : content,
+            attachments,
+        };
+        thread.messages.push(message);
+        return message;
+    };
+
+    // Move a run onto its next scripted step and return the run object as the API would.
+    const advance = (run) => {
+        if (run.cancelRequested) {
+            run.status = 'cancelled';
+            run.cancelled_at = now();
+            return run;
+        }
+        const step = (run.steps[0] && run.steps[0].hold ? run.steps[0] : run.steps.shift()) || { status: 'completed', reply: DEFAULT_REPLY };
+        run.status = step.status;
+        run.required_action = null;
+        if (step.status === 'requires_action') {
+            run.required_action = {
+                type: 'submit_tool_outputs',
+                submit_tool_outputs: {
+                    tool_calls: step.toolCalls.map(toolCall => ({
+                        id: nextId('call'),
+                        type: 'function',
+                        function: {
+                            name: toolCall.name,
+                            arguments: typeof toolCall.arguments === 'string' ? toolCall.arguments : JSON.stringify(toolCall.arguments || {}),
+                        },
+                    })),
+                },
+            };
+        } else if (step.status === 'completed' || step.status === 'incomplete') {
+            if (step.status === 'incomplete') {
+                run.incomplete_details = { reason: 'max_completion_tokens' };
+            }
+            const message = addMessage(threads.get(run.thread_id), 'assistant', step.content || step.reply || DEFAULT_REPLY, run.id, step.attachments);
+            run.completedMessage = message;
+            run.usage = step.usage || null;
+        } else if (step.status === 'failed') {
+            run.last_error = step.error || { code: 'server_error', message: 'Mock run failure' };
+        }
+        return run;
+    };
+
+    const publicRun = ({ steps, completedMessage, pendingStep, toolOutputs, cancelRequested, release, ...run }) => run;
+    const isTerminal = (status) => ['completed', 'failed', 'cancelled', 'expired', 'incomplete'].includes(status);
+
+    const openStream = (res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        return (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Replay a run's remaining steps as an Assistants SSE stream, stopping at requires_action or a final status.
+    const streamRun = async (res, emit, run) => {
+        for (;;) {
+            advance(run);
+            if (run.steps[0] && run.steps[0].hold && !run.cancelRequested) {
+                // Keep the stream open until the run is cancelled or the client goes away.
+                emit(`thread.run.${run.status}`, publicRun(run));
+                await new Promise((resolve) => {
+                    run.release = resolve;
+                    res.on('close', resolve);
+                });
+                if (res.destroyed) {
+                    return;
+                }
+                continue;
+            }
+            if (run.status === 'requires_action') {
+                const toolCalls = run.required_action.submit_tool_outputs.tool_calls;
+                run.pendingStep = { id: nextId('step'), step_details: { type: 'tool_calls', tool_calls: toolCalls } };
+                emit('thread.run.step.delta', { id: run.pendingStep.id, delta: { step_details: { type: 'tool_calls', tool_calls: toolCalls.map((toolCall, index) => ({ index, ...toolCall })) } } });
+                emit('thread.run.requires_action', publicRun(run));
+                break;
+            }
+            if (run.status === 'completed' || run.status === 'incomplete') {
+                const message = run.completedMessage;
+                emit('thread.message.created', { ...message, content: [] });
+                message.content.forEach((part, index) => {
+                    if (part.type !== 'text') {
+                        emit('thread.message.delta', { id: message.id, delta: { content: [{ index, ...part }] } });
+                        return;
+                    }
+                    for (const word of part.text.value.split(/(?<= )/)) {
+                        emit('thread.message.delta', { id: message.id, delta: { content: [{ index, type: 'text', text: { value: word } }] } });
+                    }
+                });
+                emit('thread.message.completed', message);
+            }
+            if (isTerminal(run.status)) {
+                emit(`thread.run.${run.status}`, publicRun(run));
+                break;
+            }
+            emit(`thread.run.${run.status}`, publicRun(run));
+        }
+        res.write('event: done\ndata: [DONE]\n\n');
+        res.end();
+    };
+
+    const routes = [
+        ['POST', /^\/openai\/threads$/, async (req, res) => {
+            const thread = { id: nextId('thread'), object: 'thread', created_at: now(), messages: [] };
+            threads.set(thread.id, thread);
+            sendJson(res, 200, { id: thread.id, object: thread.object, created_at: thread.created_at });
+        }],
+        ['DELETE', /^\/openai\/threads\/([^/]+)$/, async (req, res, [threadId]) => {
+            if (!threads.delete(threadId)) return sendError(res, 404, `No thread found with id '${threadId}'.`);
+            sendJson(res, 200, { id: threadId, object: 'thread.deleted', deleted: true });
+        }],
+        ['POST', /^\/openai\/threads\/([^/]+)\/messages$/, async (req, res, [threadId], body) => {
+            const thread = threads.get(threadId);
+            if (!thread) return sendError(res, 404, `No thread found with id '${threadId}'.`);
+            const active = [...runs.values()].find(run => run.thread_id === threadId && !isTerminal(run.status));
+            if (active) return sendError(res, 400, `Can't add messages to ${threadId} while a run ${active.id} is active.`);
+            const unknownFile = (body.attachments || []).find(attachment => !files.has(attachment.file_id));
+            if (unknownFile) return sendError(res, 400, `File ${unknownFile.file_id} not found.`);
+            sendJson(res, 200, addMessage(thread, body.role, body.content, null, body.attachments));
+        }],
+        ['POST', /^\/openai\/files$/, async (req, res, params, body) => {
+            const upload = body instanceof FormData && body.get('file');
+            if (!upload || body.get('purpose') !== 'assistants') return sendError(res, 400, 'Expected a multipart file with purpose "assistants".');
+            const file = {
+                id: nextId('assistant-file'),
+                object: 'file',
+                bytes: upload.size,
+                created_at: now(),
+                filename: upload.name,
+                purpose: 'assistants',
+                status: 'processed',
+            };
+            files.set(file.id, { ...file, contentType: upload.type, content: Buffer.from(await upload.arrayBuffer()) });
+            sendJson(res, 200, file);
+        }],
+        ['GET', /^\/openai\/files\/([^/]+)$/, async (req, res, [fileId]) => {
+            const file = files.get(fileId);
+            if (!file) return sendError(res, 404, `File ${fileId} not found.`);
+            const { contentType, content, ...metadata } = file;
+            sendJson(res, 200, metadata);
+        }],
+        ['GET', /^\/openai\/files\/([^/]+)\/content$/, async (req, res, [fileId]) => {
+            const file = files.get(fileId);
+            if (!file) return sendError(res, 404, `File ${fileId} not found.`);
+            res.writeHead(200, { 'Content-Type': file.contentType || 'application/octet-stream' });
+            res.end(file.content);
+        }],
+        ['GET', /^\/openai\/threads\/([^/]+)\/messages$/, async (req, res, [threadId], body, query) => {
+            const thread = threads.get(threadId);
+            if (!thread) return sendError(res, 404, `No thread found with id '${threadId}'.`);
+            const ordered = query.order === 'asc' ? [...thread.messages] : [...thread.messages].reverse();
+            const start = query.after ? ordered.findIndex(message => message.id === query.after) + 1 : 0;
+            const limit = Number(query.limit) || 20;
+            const data = ordered.slice(start, start + limit);
+            sendJson(res, 200, {
+                object: 'list',
+                data,
+                first_id: data.length ? data[0].id : null,
+                last_id: data.length ? data[data.length - 1].id : null,
+                has_more: start + limit < ordered.length,
+            });
+        }],
+        ['POST', /^\/openai\/threads\/([^/]+)\/runs$/, async (req, res, [threadId], body) => {
+            if (!threads.has(threadId)) return sendError(res, 404, `No thread found with id '${threadId}'.`);
+            const run = {
+                id: nextId('run'),
+                object: 'thread.run',
+                created_at: now(),
+                thread_id: threadId,
+                assistant_id: body.assistant_id,
+                // Per-run overrides as sent (undefined when the assistant's own settings apply).
+                model: body.model,
+                additional_instructions: body.additional_instructions,
+                tools: body.tools,
+                status: 'queued',
+                required_action: null,
+                last_error: null,
+                usage: null,
+                steps: [...(scripts.shift() || [])],
+            };
+            runs.set(run.id, run);
+            if (body.stream) {
+                const emit = openStream(res);
+                emit('thread.run.created', publicRun(run));
+                return streamRun(res, emit, run);
+            }
+            sendJson(res, 200, publicRun(run));
+        }],
+        ['GET', /^\/openai\/threads\/([^/]+)\/runs\/([^/]+)$/, async (req, res, [, runId]) => {
+            const run = runs.get(runId);
+            if (!run) return sendError(res, 404, `No run found with id '${runId}'.`);
+            if (!isTerminal(run.status) && run.status !== 'requires_action') {
+                advance(run);
+            }
+            sendJson(res, 200, publicRun(run));
+        }],
+        ['POST', /^\/openai\/threads\/([^/]+)\/runs\/([^/]+)\/cancel$/, async (req, res, [, runId]) => {
+            const run = runs.get(runId);
+            if (!run) return sendError(res, 404, `No run found with id '${runId}'.`);
+            if (isTerminal(run.status)) return sendError(res, 400, `Cannot cancel run with status '${run.status}'.`);
+            run.status = 'cancelling';
+            run.required_action = null;
+            run.cancelRequested = true;
+            if (run.release) {
+                run.release();
+            }
+            sendJson(res, 200, publicRun(run));
+        }],
+        ['POST', /^\/openai\/threads\/([^/]+)\/runs\/([^/]+)\/submit_tool_outputs$/, async (req, res, [, runId], body) => {
+            const run = runs.get(runId);
+            if (!run) return sendError(res, 404, `No run found with id '${runId}'.`);
+            if (run.status !== 'requires_action') return sendError(res, 400, `Run ${runId} is not waiting for tool outputs.`);
+            run.toolOutputs = (run.toolOutputs || []).concat(body.tool_outputs);
+            if (body.stream) {
+                const emit = openStream(res);
+                emit('thread.run.step.completed', { ...run.pendingStep, status: 'completed' });
+                run.pendingStep = null;
+                return streamRun(res, emit, run);
+            }
+            run.status = 'queued';
+            run.required_action = null;
+            sendJson(res, 200, publicRun(run));
+        }],
+    ];
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        let body = {};
+        try {
+            body = await readBody(req);
+        } catch {
+            return sendError(res, 400, 'Invalid JSON body');
+        }
+        requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+
+        if (req.headers['api-key'] !== API_KEY) {
+            return sendError(res, 401, 'Access denied due to invalid subscription key.');
+        }
+
+        const failureIndex = failures.findIndex(failure => failure.method === req.method && failure.pattern.test(url.pathname));
+        if (failureIndex !== -1) {
+            const [{ response }] = failures.splice(failureIndex, 1);
+            res.writeHead(response.status, { 'Content-Type': response.contentType || 'application/json', ...response.headers });
+            return res.end(typeof response.body === 'string' ? response.body : JSON.stringify(response.body || { error: { code: String(response.status), message: 'Injected failure' } }));
+        }
+
+        for (const [method, pattern, handler] of routes) {
+            const match = req.method === method && url.pathname.match(pattern);
+            if (match) {
+                return handler(req, res, match.slice(1), body, Object.fromEntries(url.searchParams));
+            }
+        }
+        sendError(res, 404, `No mock route for ${req.method} ${url.pathname}`);
+    });
+
+    return {
+        apiKey: API_KEY,
+        threads,
+        files,
+        runs,
+        requests,
+
+        async start() {
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            this.endpoint = `http://127.0.0.1:${server.address().port}`;
+            return this.endpoint;
+        },
+
+        async stop() {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        },
+
+        scriptRun(steps) {
+            scripts.push(steps);
+        },
+
+        failNext(method, pattern, response, times = 1) {
+            for (let i = 0; i < times; i++) {
+                failures.push({ method, pattern, response });
+            }
+        },
+
+        // Seed a file as if code_interpreter had written it; returns its ID.
+        addFile(filename, content, contentType = 'application/octet-stream') {
+            const id = nextId('assistant-file');
+            files.set(id, {
+                id, object: 'file', bytes: Buffer.byteLength(content), created_at: now(), filename, purpose: 'assistants_output', status: 'processed',
+                contentType, content: Buffer.from(content),
+            });
+            return id;
+        },
+
+        lastRun() {
+            return [...runs.values()].pop();
+        },
+
+        reset() {
+            threads.clear();
+            files.clear();
+            runs.clear();
+            scripts.length = 0;
+            failures.length = 0;
+            requests.length = 0;
+        },
+    };
+}
+
+module.exports = { createMockAzure, DEFAULT_REPLY };
@@ -0,0 +1,122 @@
+// In-process fake of an OpenAI-compatible `/v1/chat/completions` endpoint, as
+// served by OpenAI or local servers such as llama.cpp, Ollama and vLLM.
+//
+// Each request answers with the next scripted completion queued with `scriptCompletion`:
+//   { reply: 'text', usage: { prompt_tokens, completion_tokens }, finishReason: 'stop' }
+//   { toolCalls: [{ name, arguments }] }
+// Requests with nothing queued answer with DEFAULT_REPLY. `stream: true` requests get
+// the same completion as SSE chunks, with tool call arguments split across chunks.
+const http = require('http');
+
+const DEFAULT_REPLY = 'This is a mock chat completion.';
+const API_KEY = 'test-chat-key';
+
+function createMockChatCompletions() {
+    let counter = 0;
+    const nextId = (prefix) => `${prefix}_${++counter}`;
+
+    const completions = [];
+    const requests = [];
+
+    const sendJson = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    const toMessage = (completion) => {
+        if (completion.toolCalls) {
+            return {
+                role: 'assistant',
+                content: null,
+                tool_calls: completion.toolCalls.map(toolCall => ({
+                    id: nextId('call'),
+                    type: 'function',
+                    function: { name: toolCall.name, arguments: JSON.stringify(toolCall.arguments || {}) },
+                })),
+            };
+        }
+        return { role: 'assistant', content: completion.reply || DEFAULT_REPLY };
+    };
+
+    const usageOf = (completion) => {
+        const { prompt_tokens = 0, completion_tokens = 0 } = completion.usage || {};
+        return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens };
+    };
+
+    const finishReasonOf = (completion) => completion.finishReason || (completion.toolCalls ? 'tool_calls' : 'stop');
+
+    const streamCompletion = (res, id, completion) => {
+        const message = toMessage(completion);
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        const chunk = (choices, extra = {}) => res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', choices, ...extra })}\n\n`);
+
+        chunk([{ index: 0, delta: { role: 'assistant' }, finish_reason: null }]);
+        if (message.tool_calls) {
+            message.tool_calls.forEach((toolCall, index) => {
+                const args = toolCall.function.arguments;
+                const middle = Math.floor(args.length / 2);
+                chunk([{ index: 0, delta: { tool_calls: [{ index, id: toolCall.id, type: 'function', function: { name: toolCall.function.name, arguments: args.slice(0, middle) } }] }, finish_reason: null }]);
+                chunk([{ index: 0, delta: { tool_calls: [{ index, function: { arguments: args.slice(middle) } }] }, finish_reason: null }]);
+            });
+        } else {
+            for (const word of message.content.split(/(?<= )/)) {
+                chunk([{ index: 0, delta: { content: word }, finish_reason: null }]);
+            }
+        }
+        chunk([{ index: 0, delta: {}, finish_reason: finishReasonOf(completion) }]);
+        chunk([], { usage: usageOf(completion) });
+        res.write('data: [DONE]\n\n');
+        res.end();
+    };
+
+    const server = http.createServer(async (req, res) => {
+        let raw = '';
+        for await (const chunk of req) {
+            raw += chunk;
+        }
+        const body = raw ? JSON.parse(raw) : {};
+        requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+
+        if (req.headers.authorization !== `Bearer ${API_KEY}`) {
+            return sendJson(res, 401, { error: { message: 'Incorrect API key provided.' } });
+        }
+        if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+            return sendJson(res, 404, { error: { message: `No mock route for ${req.method} ${req.url}` } });
+        }
+
+        const id = nextId('chatcmpl');
+        const completion = completions.shift() || { reply: DEFAULT_REPLY };
+        if (body.stream) {
+            return streamCompletion(res, id, completion);
+        }
+        sendJson(res, 200, {
+            id,
+            object: 'chat.completion',
+            model: body.model,
+            choices: [{ index: 0, message: toMessage(completion), finish_reason: finishReasonOf(completion) }],
+            usage: usageOf(completion),
+        });
+    });
+
+    return {
+        apiKey: API_KEY,
+        requests,
+
+        async start() {
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            this.baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+            return this.baseUrl;
+        },
+
+        async stop() {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        },
+
+        scriptCompletion(...queued) {
+            completions.push(...queued);
+        },
+    };
+}
+
+module.exports = { createMockChatCompletions, DEFAULT_REPLY };
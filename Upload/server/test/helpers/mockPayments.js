@@ -0,0 +1,43 @@
+// Stand-in for the payment provider: builds payment events the way the provider would and
+// delivers them, signed, to the server's webhook (see lib/payments.js).
+const crypto = require('crypto');
+const { SIGNATURE_HEADER, signPayload } = require('../../lib/payments');
+
+const WEBHOOK_SECRET = 'test-webhook-secret-0123456789';
+const CHECKOUT_URL = 'https://payments.test/checkout/{reference}';
+
+function createMockPayments({ secret = WEBHOOK_SECRET } = {}) {
+    const payments = {
+        // The `payments` option for createApp.
+        config: { webhookSecret: secret, checkoutUrl: CHECKOUT_URL },
+
+        // A webhook event for `purchase` (as returned by POST /api/checkout); `data` overrides the payment details.
+        event(type, purchase, data = {}) {
+            return {
+                id: `evt_${crypto.randomUUID().replace(/-/g, '')}`,
+                type,
+                created: Math.floor(Date.now() / 1000),
+                data: { reference: purchase.id, amount: purchase.price, currency: purchase.currency, ...data },
+            };
+        },
+
+        /**
+         * POST `event` to the server's webhook at `baseUrl`. `signWith` signs with another secret,
+         * `timestamp` backdates the signature and `signature` replaces the header outright.
+         */
+        deliver(baseUrl, event, { signWith = secret, timestamp, signature } = {}) {
+            const body = JSON.stringify(event);
+            return fetch(`${baseUrl}/api/payments/webhook`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    [SIGNATURE_HEADER]: signature === undefined ? signPayload(signWith, body, timestamp) : signature,
+                },
+                body,
+            });
+        },
+    };
+    return payments;
+}
+
+module.exports = { createMockPayments, WEBHOOK_SECRET, CHECKOUT_URL };
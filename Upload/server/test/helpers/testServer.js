@@ -0,0 +1,84 @@
+// Starts the real app against the mock Azure API, with an in-memory store and
+// the stub JWT middleware, and gives tests a small authenticated fetch helper.
+// Pass `provider: (store) => provider` to run the app against another LLM provider.
+const { createApp } = require('../../app');
+const { createMemoryStore } = require('../../lib/store');
+const { createAzureAssistantsProvider } = require('../../lib/providers');
+const { createMockAzure } = require('./mockAzure');
+const { createTestToken, stubCheckJwt } = require('./auth');
+const { createLogger } = require('../../lib/logger');
+
+async function startTestServer({ credits = { initialBalance: 10 }, provider, ...overrides } = {}) {
+    const azure = createMockAzure();
+    await azure.start();
+
+    const store = createMemoryStore();
+    const app = createApp({
+        checkJwt: stubCheckJwt,
+        store,
+        provider: provider
+            ? provider(store)
+            : createAzureAssistantsProvider({ apiKey: azure.apiKey, endpoint: azure.endpoint, assistantId: 'asst_test', pollIntervalMs: 1, http: { baseDelayMs: 1, maxDelayMs: 5 } }),
+        credits,
+        logger: createLogger({ level: 'silent' }),
+        ...overrides,
+    });
+
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // `as` is the Auth0 subject to authenticate as; pass `as: null` to send no token.
+    // A FormData `body` is sent as multipart, anything else as JSON. `signal` aborts the request.
+    const request = (path, { method = 'GET', body, as = 'auth0|alice', payload = {}, headers = {}, signal } = {}) => {
+        const isJson = body !== undefined && !(body instanceof FormData);
+        return fetch(`${baseUrl}${path}`, {
+            method,
+            headers: {
+                ...(isJson ? { 'Content-Type': 'application/json' } : {}),
+                ...(as ? { Authorization: `Bearer ${createTestToken({ sub: as, ...payload })}` } : {}),
+                ...headers,
+            },
+            body: isJson ? JSON.stringify(body) : body,
+            signal,
+        });
+    };
+
+    return {
+        app,
+        azure,
+        baseUrl,
+        request,
+        services: app.locals.services,
+
+        async close() {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            await azure.stop();
+        },
+    };
+}
+
+// Read a whole SSE response into [{ event, data }].
+async function readEvents(response) {
+    const text = await response.text();
+    return text.split('\n\n').filter(Boolean).map((block) => {
+        const event = block.match(/^event: (.*)$/m)[1];
+        const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+        return { event, data };
+    });
+}
+
+// Wait for `check()` to be true, polling every few milliseconds.
+async function eventually(check, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await check())) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+module.exports = { startTestServer, readEvents, eventually };
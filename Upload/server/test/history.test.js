@@ -0,0 +1,125 @@
+// Tests for reading a thread's history back with GET /api/threads/:threadId/messages.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createProvider } = require('../lib/providers');
+const { startTestServer } = require('./helpers/testServer');
+const { createMockChatCompletions } = require('./helpers/mockChatCompletions');
+
+// Run the same history checks against both providers.
+const providers = {
+    'azure-assistants': { setup: async () => ({ options: {}, stop: async () => {} }) },
+    'chat-completions': {
+        setup: async () => {
+            const mock = createMockChatCompletions();
+            await mock.start();
+            return {
+                options: { provider: (store) => createProvider('chat-completions', { baseUrl: mock.baseUrl, apiKey: mock.apiKey, model: 'm', store }) },
+                stop: () => mock.stop(),
+            };
+        },
+    },
+};
+
+for (const [name, { setup }] of Object.entries(providers)) {
+    test.describe(`thread history with ${name}`, () => {
+        let server;
+        let upstream;
+        let threadId;
+
+        test.beforeEach(async () => {
+            upstream = await setup();
+            server = await startTestServer({ credits: { initialBalance: 100 }, ...upstream.options });
+            threadId = (await (await server.request('/api/new-thread', { method: 'POST' })).json()).threadId;
+        });
+
+        test.afterEach(async () => {
+            await server.close();
+            await upstream.stop();
+        });
+
+        const say = async (message) => {
+            const res = await server.request('/api/chat', { method: 'POST', body: { threadId, message } });
+            assert.equal(res.status, 200);
+        };
+
+        const page = async (query = '') => {
+            const res = await server.request(`/api/threads/${threadId}/messages${query}`);
+            assert.equal(res.status, 200);
+            return res.json();
+        };
+
+        test('returns the conversation in chronological order', async () => {
+            await say('First question');
+            const body = await page();
+
+            assert.deepEqual(body.messages.map(msg => [msg.role, msg.text.length > 0]), [['user', true], ['assistant', true]]);
+            assert.equal(body.messages[0].text, 'First question');
+            assert.deepEqual(body.messages[0].content, [{ type: 'text', text: 'First question', annotations: [] }]);
+            assert.ok(body.messages[1].runId);
+            assert.equal(body.hasMore, false);
+            assert.equal(body.nextCursor, null);
+        });
+
+        test('pages back through older messages with the cursor', async () => {
+            for (const message of ['One', 'Two', 'Three']) {
+                await say(message);
+            }
+
+            const newest = await page('?limit=4');
+            assert.deepEqual(newest.messages.filter(msg => msg.role === 'user').map(msg => msg.text), ['Two', 'Three']);
+            assert.equal(newest.hasMore, true);
+
+            const older = await page(`?limit=4&cursor=${newest.nextCursor}`);
+            assert.deepEqual(older.messages.map(msg => msg.role), ['user', 'assistant']);
+            assert.equal(older.messages[0].text, 'One');
+            assert.equal(older.hasMore, false);
+        });
+    });
+}
+
+test.describe('thread history access', () => {
+    let server;
+    let threadId;
+
+    test.beforeEach(async () => {
+        server = await startTestServer();
+        threadId = (await (await server.request('/api/new-thread', { method: 'POST' })).json()).threadId;
+    });
+
+    test.afterEach(async () => {
+        await server.close();
+    });
+
+    test('only lets the owner read the thread', async () => {
+        let res = await server.request(`/api/threads/${threadId}/messages`, { as: 'auth0|bob' });
+        assert.equal(res.status, 403);
+        assert.equal((await res.json()).code, 'THREAD_FORBIDDEN');
+
+        res = await server.request('/api/threads/thread_unknown/messages');
+        assert.equal(res.status, 403);
+    });
+
+    test('validates the page size', async () => {
+        const res = await server.request(`/api/threads/${threadId}/messages?limit=500`);
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).code, 'INVALID_LIMIT');
+    });
+
+    test('lists the files attached to user messages', async () => {
+        const form = new FormData();
+        form.append('files', new Blob(['north,20,9\n']), 'dimensions.csv');
+        const { files } = await (await server.request(`/api/threads/${threadId}/files`, { method: 'POST', body: form })).json();
+        await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'See attached', fileIds: [files[0].id] } });
+
+        const { messages } = await (await server.request(`/api/threads/${threadId}/messages`)).json();
+        assert.deepEqual(messages[0].files.map(file => file.filename), ['dimensions.csv']);
+        assert.deepEqual(messages[1].files, []);
+    });
+
+    test('reports upstream failures', async () => {
+        server.azure.failNext('GET', /\/messages$/, { status: 400 });
+        const res = await server.request(`/api/threads/${threadId}/messages`);
+        assert.equal(res.status, 500);
+        assert.equal((await res.json()).error, 'Failed to retrieve messages');
+    });
+});
@@ -0,0 +1,137 @@
+// Tests for the retrying upstream HTTP client.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createHttpClient, parseRetryAfter, UpstreamError } = require('../lib/http');
+const { logger } = require('../lib/logger');
+
+test.describe('upstream HTTP client', () => {
+    let server;
+    let baseUrl;
+    let responses;
+    let hits;
+
+    // Each request takes the next queued `(req, res) => void`; the last one repeats.
+    test.beforeEach(async () => {
+        responses = [];
+        hits = 0;
+        server = http.createServer((req, res) => {
+            hits++;
+            const respond = responses.length > 1 ? responses.shift() : responses[0];
+            respond(req, res);
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    test.afterEach(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const client = createHttpClient({ retries: 2, baseDelayMs: 1, maxDelayMs: 5, timeoutMs: 200 });
+    const json = (status, body, headers = {}) => (req, res) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    };
+
+    test('retries server errors and returns the eventual response', async () => {
+        responses.push(json(503, { error: { message: 'Busy' } }), json(200, { ok: true }));
+        const { data } = await client.request(`${baseUrl}/thing`, { action: 'load thing' });
+        assert.deepEqual(data, { ok: true });
+        assert.equal(hits, 2);
+    });
+
+    test('gives up after the retries with a typed error', async () => {
+        responses.push(json(500, { error: { message: 'Broken' } }));
+        await assert.rejects(client.request(`${baseUrl}/thing`, { action: 'load thing' }), (error) => {
+            assert.ok(error instanceof UpstreamError);
+            assert.equal(error.code, 'UPSTREAM_UNAVAILABLE');
+            assert.equal(error.upstreamStatus, 500);
+            assert.equal(error.message, 'Failed to load thing: 500 Internal Server Error - Broken');
+            return true;
+        });
+        assert.equal(hits, 3);
+    });
+
+    test('does not retry client errors', async () => {
+        responses.push(json(401, { error: { message: 'Bad key' } }));
+        await assert.rejects(client.request(`${baseUrl}/thing`), { code: 'UPSTREAM_AUTH_FAILED' });
+        assert.equal(hits, 1);
+    });
+
+    test('reads HTML gateway errors without crashing', async () => {
+        responses.push((req, res) => {
+            res.writeHead(502, { 'Content-Type': 'text/html' });
+            res.end('<html><body><h1>502 Bad Gateway</h1></body></html>');
+        });
+        await assert.rejects(client.request(`${baseUrl}/thing`, { retries: 0 }), /502 Bad Gateway - 502 Bad Gateway$/);
+    });
+
+    test('times out slow responses', async () => {
+        responses.push(() => {});
+        await assert.rejects(client.request(`${baseUrl}/slow`, { retries: 0, timeoutMs: 20 }), { code: 'UPSTREAM_TIMEOUT' });
+    });
+
+    test('does not send a POST twice once the server may have acted on it', async () => {
+        responses.push(() => {});
+        await assert.rejects(client.request(`${baseUrl}/runs`, { method: 'POST', body: '{}', timeoutMs: 100 }), { code: 'UPSTREAM_TIMEOUT' });
+        assert.equal(hits, 1);
+
+        hits = 0;
+        responses.splice(0, responses.length, json(503, { error: { message: 'Busy' } }));
+        await assert.rejects(client.request(`${baseUrl}/runs`, { method: 'POST', body: '{}' }), { code: 'UPSTREAM_UNAVAILABLE' });
+        assert.equal(hits, 1);
+
+        // A 429 was refused before anything happened, so it is safe to send again.
+        hits = 0;
+        responses.splice(0, responses.length, json(429, { error: { message: 'Slow down' } }), json(200, { id: 'run_1' }));
+        const { data } = await client.request(`${baseUrl}/runs`, { method: 'POST', body: '{}' });
+        assert.deepEqual(data, { id: 'run_1' });
+        assert.equal(hits, 2);
+    });
+
+    test('retries a POST that could not connect', async (t) => {
+        const warn = t.mock.method(logger, 'warn', () => {});
+        const closed = http.createServer();
+        await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+        const { port } = closed.address();
+        await new Promise(resolve => closed.close(resolve));
+
+        await assert.rejects(client.request(`http://127.0.0.1:${port}/runs`, { method: 'POST', body: '{}' }), { code: 'UPSTREAM_UNAVAILABLE', connectFailed: true });
+        assert.equal(warn.mock.callCount(), 2);
+    });
+
+    test('reports network failures as unavailable', async () => {
+        await assert.rejects(client.request('http://127.0.0.1:1/nowhere', { retries: 0 }), { code: 'UPSTREAM_UNAVAILABLE' });
+    });
+
+    test('passes the caller\'s abort through untouched', async () => {
+        responses.push(() => {});
+        const controller = new AbortController();
+        const pending = client.request(`${baseUrl}/slow`, { signal: controller.signal });
+        setTimeout(() => controller.abort(), 10);
+        await assert.rejects(pending, (error) => !(error instanceof UpstreamError));
+    });
+
+    test('passes the caller\'s abort through while waiting to retry', async () => {
+        responses.push(json(503, { error: { message: 'Busy' } }));
+        const controller = new AbortController();
+        const slowRetries = createHttpClient({ retries: 2, baseDelayMs: 5000, maxDelayMs: 5000, timeoutMs: 200 });
+        const pending = slowRetries.request(`${baseUrl}/thing`, { signal: controller.signal });
+        setTimeout(() => controller.abort(new Error('stopped by user')), 50);
+        await assert.rejects(pending, (error) => {
+            assert.ok(!(error instanceof UpstreamError));
+            assert.equal(error.message, 'stopped by user');
+            return true;
+        });
+        assert.equal(hits, 1);
+    });
+
+    test('parses Retry-After headers', () => {
+        assert.equal(parseRetryAfter(new Headers({ 'retry-after': '3' })), 3000);
+        assert.equal(parseRetryAfter(new Headers({ 'retry-after-ms': '250', 'retry-after': '3' })), 250);
+        assert.ok(parseRetryAfter(new Headers({ 'retry-after': new Date(Date.now() + 5000).toUTCString() })) > 3000);
+        assert.equal(parseRetryAfter(new Headers()), null);
+    });
+});
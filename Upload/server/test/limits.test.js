@@ -0,0 +1,113 @@
+// Tests for the per-thread run lock and the per-user request and concurrency limits.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSseStream } = require('../lib/sse');
+const { startTestServer, eventually } = require('./helpers/testServer');
+
+// Start a streamed chat that holds its run open, and wait until the run has started.
+async function holdRun(server, threadId, options = {}) {
+    server.azure.scriptRun([{ status: 'in_progress', hold: true }]);
+    const res = await server.request('/api/chat/stream', { method: 'POST', body: { threadId, message: 'Long job' }, ...options });
+    assert.equal(res.status, 200);
+    const events = parseSseStream(res.body)[Symbol.asyncIterator]();
+    const { value } = await events.next();
+    assert.equal(value.event, 'run');
+    return value.data.runId;
+}
+
+test.describe('per-thread run lock', () => {
+    let server;
+    let threadId;
+
+    test.beforeEach(async () => {
+        server = await startTestServer({ credits: { initialBalance: 10 } });
+        threadId = (await (await server.request('/api/new-thread', { method: 'POST' })).json()).threadId;
+    });
+
+    test.afterEach(async () => {
+        await server.close();
+    });
+
+    const balance = async () => (await (await server.request('/api/credits')).json()).balance;
+
+    test('refuses a second message while a run is in progress', async () => {
+        const runId = await holdRun(server, threadId);
+
+        const res = await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'And another thing' } });
+        assert.equal(res.status, 409);
+        const body = await res.json();
+        assert.equal(body.code, 'RUN_IN_PROGRESS');
+        assert.match(body.details, new RegExp(runId));
+        assert.equal(await balance(), 8);
+
+        await server.request(`/api/threads/${threadId}/runs/${runId}/cancel`, { method: 'POST' });
+        await eventually(() => server.services.runs.get(threadId, runId) === null);
+        const retry = await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'And another thing' } });
+        assert.equal(retry.status, 200);
+    });
+
+    test('refuses to delete a thread while a run is in progress', async () => {
+        const runId = await holdRun(server, threadId);
+
+        const res = await server.request(`/api/threads/${threadId}`, { method: 'DELETE' });
+        assert.equal(res.status, 409);
+        assert.equal((await res.json()).code, 'RUN_IN_PROGRESS');
+        assert.ok(server.azure.threads.has(threadId));
+        assert.ok(await server.services.threads.get(threadId));
+
+        await server.request(`/api/threads/${threadId}/runs/${runId}/cancel`, { method: 'POST' });
+        await eventually(() => server.services.runs.get(threadId, runId) === null);
+        assert.equal((await server.request(`/api/threads/${threadId}`, { method: 'DELETE' })).status, 200);
+        assert.equal(await server.services.threads.get(threadId), null);
+    });
+
+    test('releases the lock when the message cannot be paid for', async () => {
+        await server.services.credits.charge('auth0|alice', 9, 'test');
+
+        let res = await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'Hello' } });
+        assert.equal(res.status, 403);
+        await server.services.credits.grant('auth0|alice', 5, 'test');
+        res = await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'Hello' } });
+        assert.equal(res.status, 200);
+    });
+});
+
+test.describe('per-user rate limits', () => {
+    let server;
+
+    test.afterEach(async () => {
+        await server.close();
+    });
+
+    test('limits requests per window and says when to retry', async () => {
+        server = await startTestServer({ credits: { initialBalance: 10 }, rateLimits: { windowMs: 60000, maxRequests: 2 } });
+
+        for (let i = 0; i < 2; i++) {
+            assert.equal((await server.request('/api/new-thread', { method: 'POST' })).status, 200);
+        }
+        const res = await server.request('/api/new-thread', { method: 'POST' });
+        assert.equal(res.status, 429);
+        assert.equal((await res.json()).code, 'RATE_LIMITED');
+        assert.ok(Number(res.headers.get('retry-after')) > 0);
+
+        assert.equal((await server.request('/api/new-thread', { method: 'POST', as: 'auth0|bob' })).status, 200);
+        assert.equal((await server.request('/api/credits')).status, 200);
+    });
+
+    test('limits requests in progress at once', async () => {
+        server = await startTestServer({ credits: { initialBalance: 10 }, rateLimits: { maxConcurrent: 1 } });
+        const first = (await (await server.request('/api/new-thread', { method: 'POST' })).json()).threadId;
+        const second = (await (await server.request('/api/new-thread', { method: 'POST' })).json()).threadId;
+
+        const controller = new AbortController();
+        await holdRun(server, first, { signal: controller.signal });
+
+        const res = await server.request('/api/chat', { method: 'POST', body: { threadId: second, message: 'Hello' } });
+        assert.equal(res.status, 429);
+        assert.equal((await res.json()).code, 'TOO_MANY_CONCURRENT_REQUESTS');
+        assert.equal(res.headers.get('retry-after'), '1');
+
+        controller.abort();
+        await eventually(async () => (await server.request('/api/chat', { method: 'POST', body: { threadId: second, message: 'Hello' } })).status === 200);
+    });
+});
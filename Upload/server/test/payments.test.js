@@ -0,0 +1,115 @@
+// Tests for buying credits: checkout, the signed payment webhook and idempotent crediting.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { createMockPayments } = require('./helpers/mockPayments');
+
+test.describe('credit purchases', () => {
+    let server;
+    let payments;
+
+    test.beforeEach(async () => {
+        payments = createMockPayments();
+        server = await startTestServer({ credits: { initialBalance: 0 }, payments: payments.config });
+    });
+
+    test.afterEach(async () => {
+        await server.close();
+    });
+
+    const checkout = async (packageId = 'starter', as) => {
+        const res = await server.request('/api/checkout', { method: 'POST', body: { packageId }, as });
+        assert.equal(res.status, 201);
+        return res.json();
+    };
+    const balance = async (as) => (await (await server.request('/api/credits', { as })).json()).balance;
+
+    test('lists packages and starts a checkout with a pending purchase', async () => {
+        const { packages, purchasesEnabled } = await (await server.request('/api/credit-packages')).json();
+        assert.equal(purchasesEnabled, true);
+        assert.ok(packages.some(creditPackage => creditPackage.id === 'starter'));
+
+        const { purchase, checkoutUrl } = await checkout();
+        assert.equal(purchase.status, 'pending');
+        assert.equal(purchase.credits, 50);
+        assert.equal(checkoutUrl, `https://payments.test/checkout/${purchase.id}`);
+
+        const res = await server.request('/api/checkout', { method: 'POST', body: { packageId: 'gold' } });
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).code, 'UNKNOWN_PACKAGE');
+    });
+
+    test('credits the balance once per event, however often it is delivered', async () => {
+        const { purchase } = await checkout();
+        const event = payments.event('payment.succeeded', purchase);
+
+        let res = await payments.deliver(server.baseUrl, event);
+        assert.equal(res.status, 200);
+        assert.equal((await res.json()).outcome, 'credited');
+        res = await payments.deliver(server.baseUrl, event);
+        assert.equal((await res.json()).outcome, 'duplicate');
+        // A different event for the same purchase doesn't credit it again either.
+        res = await payments.deliver(server.baseUrl, payments.event('payment.succeeded', purchase));
+        assert.equal((await res.json()).outcome, 'already_processed');
+
+        assert.equal(await balance(), 50);
+        const status = await (await server.request(`/api/checkout/${purchase.id}`)).json();
+        assert.equal(status.purchase.status, 'paid');
+        assert.equal(status.balance, 50);
+        const { history } = await (await server.request('/api/credits')).json();
+        assert.deepEqual(history[0].meta, { purchaseId: purchase.id, packageId: 'starter' });
+    });
+
+    test('credits concurrent deliveries of the same event once', async () => {
+        const { purchase } = await checkout('team');
+        const event = payments.event('payment.succeeded', purchase);
+        const outcomes = await Promise.all([1, 2, 3].map(async () => (await (await payments.deliver(server.baseUrl, event)).json()).outcome));
+        assert.deepEqual(outcomes.sort(), ['credited', 'duplicate', 'duplicate']);
+        assert.equal(await balance(), 300);
+    });
+
+    test('refuses bad signatures without touching the purchase', async () => {
+        const { purchase } = await checkout();
+        const event = payments.event('payment.succeeded', purchase);
+
+        for (const options of [{ signWith: 'not-the-secret-at-all' }, { timestamp: Math.floor(Date.now() / 1000) - 3600 }, { signature: '' }]) {
+            const res = await payments.deliver(server.baseUrl, event, options);
+            assert.equal(res.status, 400);
+            assert.equal((await res.json()).code, 'INVALID_SIGNATURE');
+        }
+        assert.equal(await balance(), 0);
+        assert.equal((await (await server.request(`/api/checkout/${purchase.id}`)).json()).purchase.status, 'pending');
+    });
+
+    test('does not credit failed payments or the wrong amount', async () => {
+        const failed = (await checkout()).purchase;
+        const wrongAmount = (await checkout()).purchase;
+
+        assert.equal((await (await payments.deliver(server.baseUrl, payments.event('payment.failed', failed))).json()).outcome, 'failed');
+        const res = await payments.deliver(server.baseUrl, payments.event('payment.succeeded', wrongAmount, { amount: 1 }));
+        assert.equal((await res.json()).outcome, 'amount_mismatch');
+        assert.equal(await balance(), 0);
+    });
+
+    test('does not mistake prototype members for purchases', async () => {
+        const { purchase } = await checkout();
+        for (const reference of ['__proto__', 'constructor', ['__proto__'], 42]) {
+            const res = await payments.deliver(server.baseUrl, payments.event('payment.succeeded', purchase, { reference }));
+            assert.equal((await res.json()).outcome, 'unknown_purchase');
+        }
+        assert.equal((await server.request('/api/checkout/constructor')).status, 404);
+        assert.equal(await server.services.purchases.get('__proto__'), null);
+        assert.equal(await balance(), 0);
+    });
+
+    test('keeps purchases private and refuses checkout when payments are off', async () => {
+        const { purchase } = await checkout();
+        assert.equal((await server.request(`/api/checkout/${purchase.id}`, { as: 'auth0|bob' })).status, 404);
+        await server.close();
+
+        server = await startTestServer();
+        const res = await server.request('/api/checkout', { method: 'POST', body: { packageId: 'starter' } });
+        assert.equal(res.status, 503);
+        assert.equal((await res.json()).code, 'PAYMENTS_DISABLED');
+    });
+});
@@ -0,0 +1,222 @@
+// Tests for the LLM provider selection and the Chat Completions provider.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createProvider } = require('../lib/providers');
+const { createMemoryStore } = require('../lib/store');
+const { startTestServer, readEvents } = require('./helpers/testServer');
+const { createMockChatCompletions } = require('./helpers/mockChatCompletions');
+
+test.describe('createProvider', () => {
+    test('builds the configured provider', () => {
+        const provider = createProvider('chat-completions', { baseUrl: 'http://localhost:11434/v1', model: 'llama3', store: createMemoryStore() });
+        assert.equal(provider.name, 'chat-completions');
+    });
+
+    test('rejects unknown providers', () => {
+        assert.throws(() => createProvider('bard', {}), /Unknown LLM provider "bard"/);
+    });
+});
+
+test.describe('chat completions provider', () => {
+    let mock;
+    let store;
+    let provider;
+
+    test.beforeEach(async () => {
+        mock = createMockChatCompletions();
+        await mock.start();
+        store = createMemoryStore();
+        provider = createProvider('chat-completions', {
+            baseUrl: mock.baseUrl,
+            apiKey: mock.apiKey,
+            model: 'local-model',
+            instructions: 'You plan scaffolds.',
+            store,
+        });
+    });
+
+    test.afterEach(async () => {
+        await mock.stop();
+    });
+
+    const echoTools = async (toolCalls) => toolCalls.map(toolCall => ({ tool_call_id: toolCall.id, output: `ran ${toolCall.function.name}` }));
+
+    test('keeps the conversation server-side and resends it each turn', async () => {
+        const { id } = await provider.createThread();
+        mock.scriptCompletion({ reply: 'First answer.' }, { reply: 'Second answer.' });
+
+        await provider.addMessage(id, { content: 'One' });
+        await provider.runWithTools(id, { executeToolCalls: echoTools });
+        await provider.addMessage(id, { content: 'Two' });
+        const run = await provider.runWithTools(id, { executeToolCalls: echoTools });
+
+        assert.equal(run.status, 'completed');
+        assert.equal(run.text, 'Second answer.');
+        assert.deepEqual(mock.requests[1].body.messages, [
+            { role: 'system', content: 'You plan scaffolds.' },
+            { role: 'user', content: 'One' },
+            { role: 'assistant', content: 'First answer.' },
+            { role: 'user', content: 'Two' },
+        ]);
+        assert.equal(mock.requests[1].body.model, 'local-model');
+
+        const { data } = await provider.listMessages(id);
+        assert.deepEqual(data.map(msg => [msg.role, msg.content[0].text.value]), [
+            ['assistant', 'Second answer.'],
+            ['user', 'Two'],
+            ['assistant', 'First answer.'],
+            ['user', 'One'],
+        ]);
+        assert.equal(data[0].run_id, run.id);
+    });
+
+    test('applies a profile\'s model and additional instructions to the run', async () => {
+        const { id } = await provider.createThread();
+        await provider.addMessage(id, { content: 'Review this' });
+        await provider.runWithTools(id, { executeToolCalls: echoTools, model: 'review-model', additionalInstructions: 'Review for safety.' });
+
+        assert.equal(mock.requests[0].body.model, 'review-model');
+        assert.deepEqual(mock.requests[0].body.messages[0], { role: 'system', content: 'You plan scaffolds.\n\nReview for safety.' });
+    });
+
+    test('runs the tool loop and sums usage across rounds', async () => {
+        const { id } = await provider.createThread();
+        mock.scriptCompletion(
+            { toolCalls: [{ name: 'get_time', arguments: { timeZone: 'UTC' } }], usage: { prompt_tokens: 10, completion_tokens: 5 } },
+            { reply: 'It is noon.', usage: { prompt_tokens: 20, completion_tokens: 3 } },
+        );
+        await provider.addMessage(id, { content: 'Time?' });
+
+        const tools = [{ type: 'function', function: { name: 'get_time', parameters: { type: 'object' } } }];
+        const run = await provider.runWithTools(id, { tools, executeToolCalls: echoTools });
+
+        assert.equal(run.text, 'It is noon.');
+        assert.deepEqual(run.usage, { prompt_tokens: 30, completion_tokens: 8, total_tokens: 38 });
+        assert.deepEqual(mock.requests[0].body.tools, tools);
+        const toolMessage = mock.requests[1].body.messages.find(msg => msg.role === 'tool');
+        assert.equal(toolMessage.content, 'ran get_time');
+    });
+
+    test('fails runs that never stop calling tools', async () => {
+        provider = createProvider('chat-completions', { baseUrl: mock.baseUrl, apiKey: mock.apiKey, model: 'm', store, maxToolRounds: 2 });
+        const { id } = await provider.createThread();
+        const loop = { toolCalls: [{ name: 'get_time' }] };
+        mock.scriptCompletion(loop, loop, loop);
+        await provider.addMessage(id, { content: 'Loop' });
+
+        const run = await provider.runWithTools(id, { executeToolCalls: echoTools });
+        assert.equal(run.status, 'failed');
+        assert.equal(run.lastError.code, 'max_tool_rounds');
+        assert.equal(mock.requests.length, 2);
+    });
+
+    test('reports truncated answers as incomplete', async () => {
+        const { id } = await provider.createThread();
+        mock.scriptCompletion({ reply: 'Cut', finishReason: 'length' });
+        await provider.addMessage(id, { content: 'Long please' });
+
+        const run = await provider.runWithTools(id, { executeToolCalls: echoTools });
+        assert.equal(run.status, 'incomplete');
+    });
+
+    test('stops when the run is cancelled and keeps only the user message', async () => {
+        const { id } = await provider.createThread();
+        mock.scriptCompletion({ toolCalls: [{ name: 'get_time' }] }, { reply: 'Never sent.' });
+        await provider.addMessage(id, { content: 'Time?' });
+
+        const controller = new AbortController();
+        const run = await provider.runWithTools(id, {
+            executeToolCalls: async (toolCalls) => {
+                controller.abort('user_cancelled');
+                return echoTools(toolCalls);
+            },
+            signal: controller.signal,
+        });
+
+        assert.equal(run.status, 'cancelled');
+        assert.equal(mock.requests.length, 1);
+        const { data } = await provider.listMessages(id);
+        assert.deepEqual(data.map(msg => msg.role), ['user']);
+    });
+
+    test('streams text and reassembles streamed tool calls', async () => {
+        const { id } = await provider.createThread();
+        mock.scriptCompletion(
+            { toolCalls: [{ name: 'get_time', arguments: { timeZone: 'Europe/London' } }] },
+            { reply: 'Quarter past two.', usage: { prompt_tokens: 4, completion_tokens: 4 } },
+        );
+        await provider.addMessage(id, { content: 'Time?' });
+
+        const events = [];
+        let received;
+        const run = await provider.runWithTools(id, {
+            executeToolCalls: async (toolCalls) => {
+                received = toolCalls;
+                return echoTools(toolCalls);
+            },
+            onEvent: (event, data) => events.push([event, data]),
+        });
+
+        assert.equal(JSON.parse(received[0].function.arguments).timeZone, 'Europe/London');
+        assert.deepEqual(events.filter(([event]) => event === 'tool_call').map(([, data]) => data.status), ['running', 'completed']);
+        assert.equal(events.filter(([event]) => event === 'delta').map(([, data]) => data.text).join(''), 'Quarter past two.');
+        assert.equal(run.text, 'Quarter past two.');
+        assert.equal(run.usage.total_tokens, 8);
+    });
+
+    test('surfaces upstream errors', async () => {
+        provider = createProvider('chat-completions', { baseUrl: mock.baseUrl, apiKey: 'wrong', model: 'm', store });
+        const { id } = await provider.createThread();
+        await provider.addMessage(id, { content: 'Hi' });
+
+        await assert.rejects(provider.runWithTools(id, { executeToolCalls: echoTools }), /401.*Incorrect API key/);
+    });
+});
+
+test.describe('chat API with the chat completions provider', () => {
+    let mock;
+    let server;
+
+    test.beforeEach(async () => {
+        mock = createMockChatCompletions();
+        await mock.start();
+        server = await startTestServer({
+            provider: (store) => createProvider('chat-completions', { baseUrl: mock.baseUrl, apiKey: mock.apiKey, model: 'local-model', store }),
+        });
+    });
+
+    test.afterEach(async () => {
+        await server.close();
+        await mock.stop();
+    });
+
+    test('creates threads and answers with tool results', async () => {
+        const { threadId } = await (await server.request('/api/new-thread', { method: 'POST' })).json();
+        mock.scriptCompletion(
+            { toolCalls: [{ name: 'scaffold_layout', arguments: { facadeLength: 20, facadeHeight: 9 } }] },
+            { reply: 'Nine bays.' },
+        );
+
+        const res = await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'Bays?' } });
+        assert.equal(res.status, 200);
+        const body = await res.json();
+        assert.equal(body.response, 'Nine bays.');
+        assert.deepEqual(body.credits, { balance: 8 });
+
+        const toolMessage = mock.requests[1].body.messages.find(msg => msg.role === 'tool');
+        assert.equal(JSON.parse(toolMessage.content).bays, 9);
+        assert.ok(mock.requests[0].body.tools.some(tool => tool.function.name === 'scaffold_layout'));
+    });
+
+    test('streams the reply over SSE', async () => {
+        const { threadId } = await (await server.request('/api/new-thread', { method: 'POST' })).json();
+        mock.scriptCompletion({ reply: 'Streaming works.' });
+
+        const res = await server.request('/api/chat/stream', { method: 'POST', body: { threadId, message: 'Hi' } });
+        const events = await readEvents(res);
+        const done = events.pop();
+        assert.equal(done.event, 'done');
+        assert.equal(done.data.response, 'Streaming works.');
+        assert.equal(events.map(event => event.data.text).join(''), 'Streaming works.');
+    });
+});
@@ -0,0 +1,113 @@
+// Tests for stopping runs: the maximum run duration, the cancel endpoint, clients
+// that disconnect, and runs that end expired or incomplete.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSseStream } = require('../lib/sse');
+const { startTestServer, eventually } = require('./helpers/testServer');
+
+test.describe('run cancellation', () => {
+    let server;
+    let threadId;
+
+    const start = async (options = {}) => {
+        server = await startTestServer({ credits: { initialBalance: 10 }, ...options });
+        threadId = (await (await server.request('/api/new-thread', { method: 'POST' })).json()).threadId;
+    };
+
+    test.afterEach(async () => {
+        await server.close();
+    });
+
+    const balance = async () => (await (await server.request('/api/credits')).json()).balance;
+    const cancel = (runId, options = {}) => server.request(`/api/threads/${threadId}/runs/${runId}/cancel`, { method: 'POST', ...options });
+
+    // Open a streamed chat and read events until the `run` event arrives.
+    const startStream = async (signal) => {
+        const res = await server.request('/api/chat/stream', { method: 'POST', body: { threadId, message: 'Plan a very large scaffold' }, signal });
+        const events = parseSseStream(res.body)[Symbol.asyncIterator]();
+        const { value } = await events.next();
+        assert.equal(value.event, 'run');
+        return { runId: value.data.runId, events };
+    };
+
+    test('cancels runs that take longer than the maximum duration', async () => {
+        await start({ maxRunDurationMs: 50 });
+        server.azure.scriptRun([{ status: 'in_progress', hold: true }]);
+
+        const res = await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'Plan a very large scaffold' } });
+        assert.equal(res.status, 504);
+        const body = await res.json();
+        assert.equal(body.code, 'RUN_TIMEOUT');
+        assert.match(body.details, /longer than 1 s and/);
+
+        assert.equal(server.azure.lastRun().status, 'cancelled');
+        assert.equal(await balance(), 9);
+    });
+
+    test('stops a streamed run from the cancel endpoint', async () => {
+        await start();
+        server.azure.scriptRun([{ status: 'in_progress', hold: true }]);
+
+        const { runId, events } = await startStream();
+        const res = await cancel(runId);
+        assert.equal(res.status, 202);
+        assert.deepEqual(await res.json(), { runId, status: 'cancelling' });
+
+        const remaining = [];
+        for (let next = await events.next(); !next.done; next = await events.next()) {
+            remaining.push(next.value);
+        }
+        const error = remaining.find(event => event.event === 'error');
+        assert.equal(error.data.code, 'RUN_CANCELLED');
+        assert.equal(server.azure.runs.get(runId).status, 'cancelled');
+        assert.equal(await balance(), 9);
+    });
+
+    test('cancels the run when the client disconnects', async () => {
+        await start();
+        server.azure.scriptRun([{ status: 'in_progress', hold: true }]);
+
+        const controller = new AbortController();
+        const { runId } = await startStream(controller.signal);
+        controller.abort();
+
+        await eventually(() => server.azure.runs.get(runId).status === 'cancelled');
+        await eventually(() => server.services.runs.get(threadId, runId) === null);
+    });
+
+    test('cancels runs the server is not driving at the provider', async () => {
+        await start();
+        const run = await server.services.provider.runWithTools(threadId, { executeToolCalls: async () => [] });
+
+        let res = await cancel(run.id);
+        assert.equal(res.status, 409);
+        assert.equal((await res.json()).code, 'RUN_NOT_ACTIVE');
+
+        res = await cancel('run_unknown');
+        assert.equal(res.status, 404);
+        assert.equal((await res.json()).code, 'RUN_NOT_FOUND');
+
+        assert.equal((await cancel(run.id, { as: 'auth0|bob' })).status, 403);
+    });
+
+    test('reports expired runs', async () => {
+        await start();
+        server.azure.scriptRun([{ status: 'expired' }]);
+
+        const res = await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'Hello' } });
+        assert.equal(res.status, 504);
+        assert.equal((await res.json()).code, 'RUN_EXPIRED');
+        assert.equal(await balance(), 9);
+    });
+
+    test('returns incomplete replies with a flag', async () => {
+        await start();
+        server.azure.scriptRun([{ status: 'incomplete', reply: 'Use nine bays of' }]);
+
+        const res = await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'Hello' } });
+        assert.equal(res.status, 200);
+        const body = await res.json();
+        assert.equal(body.response, 'Use nine bays of');
+        assert.equal(body.incomplete, true);
+    });
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    calculateLayout,
+    calculateTakeoff,
+    calculateTieSpacing,
+    checkLoadClass,
+    getLoadClass,
+} = require('../lib/scaffold');
+
+const quantity = (takeoff, item) => takeoff.components.find(component => component.item === item).quantity;
+
+test.describe('calculateLayout', () => {
+    test('spaces bays evenly within the load class limit', () => {
+        const layout = calculateLayout({ facadeLength: 20, facadeHeight: 9 });
+        assert.equal(layout.loadClass, 3);
+        assert.equal(layout.bays, 9);
+        assert.equal(layout.bayLength, 2.222);
+        assert.equal(layout.standardsPerLine, 10);
+        assert.equal(layout.standardPositions, 20);
+    });
+
+    test('puts the top platform at façade height', () => {
+        const layout = calculateLayout({ facadeLength: 10, facadeHeight: 9 });
+        assert.equal(layout.lifts, 5);
+        assert.equal(layout.liftHeight, 1.8);
+        assert.deepEqual(layout.platformHeights, [1.8, 3.6, 5.4, 7.2, 9]);
+        assert.equal(layout.standardHeight, 10);
+    });
+
+    test('does not add a bay for exact multiples of the bay limit', () => {
+        const layout = calculateLayout({ facadeLength: 7.2, facadeHeight: 4, loadClass: 3 });
+        assert.equal(layout.bays, 3);
+        assert.equal(layout.bayLength, 2.4);
+    });
+
+    test('caps a requested bay length at the load class limit and says so', () => {
+        const layout = calculateLayout({ facadeLength: 12, facadeHeight: 6, loadClass: 4, maxBayLength: 3 });
+        assert.equal(layout.bays, 6);
+        assert.equal(layout.bayLength, 2);
+        assert.match(layout.assumptions[0], /exceeds the 2.1 m limit/);
+    });
+
+    test('uses enough boards for the minimum platform width', () => {
+        assert.equal(calculateLayout({ facadeLength: 5, facadeHeight: 4, loadClass: 2 }).boardsWide, 3);
+        assert.equal(calculateLayout({ facadeLength: 5, facadeHeight: 4, loadClass: 4 }).boardsWide, 5);
+        const widened = calculateLayout({ facadeLength: 5, facadeHeight: 4, loadClass: 4, boardsWide: 3 });
+        assert.equal(widened.boardsWide, 5);
+        assert.equal(widened.platformWidth, 1.125);
+    });
+
+    test('rejects invalid dimensions', () => {
+        assert.throws(() => calculateLayout({ facadeLength: 0, facadeHeight: 4 }), RangeError);
+        assert.throws(() => calculateLayout({ facadeLength: 5, facadeHeight: -1 }), RangeError);
+        assert.throws(() => calculateLayout({ facadeLength: 5, facadeHeight: 4, loadClass: 7 }), RangeError);
+    });
+});
+
+test.describe('checkLoadClass', () => {
+    test('returns the EN 12811-1 service loads for the class', () => {
+        const result = checkLoadClass({ loadClass: 3, bayLength: 2.4, platformWidth: 0.9 });
+        assert.equal(result.uniformLoadKnPerM2, 2);
+        assert.equal(result.concentratedLoad500Kn, 1.5);
+        assert.equal(result.partialAreaLoadKnPerM2, null);
+        assert.equal(result.totalBayLoadKn, 4.32);
+        assert.equal(result.pass, true);
+    });
+
+    test('picks the class from the intended use', () => {
+        const result = checkLoadClass({ intendedUse: 'brickwork', bayLength: 2.1, platformWidth: 1.125 });
+        assert.equal(result.loadClass, 4);
+        assert.equal(result.partialAreaM2, 0.95);
+        assert.equal(result.pass, true);
+    });
+
+    test('fails bays that are too long, too narrow or overloaded', () => {
+        const result = checkLoadClass({ loadClass: 4, bayLength: 2.4, platformWidth: 0.9, appliedLoad: 3.5 });
+        assert.equal(result.pass, false);
+        assert.deepEqual(result.checks.map(check => [check.check, check.pass]), [
+            ['bay_length', false],
+            ['platform_width', false],
+            ['applied_load', false],
+        ]);
+    });
+
+    test('needs a load class or an intended use', () => {
+        assert.throws(() => checkLoadClass({ bayLength: 2, platformWidth: 1 }), /loadClass or intendedUse/);
+        assert.throws(() => checkLoadClass({ intendedUse: 'juggling', bayLength: 2, platformWidth: 1 }), /Unknown intended use/);
+    });
+
+    test('getLoadClass rejects classes outside 1-6', () => {
+        assert.throws(() => getLoadClass(0), RangeError);
+    });
+});
+
+test.describe('calculateTieSpacing', () => {
+    const layout = calculateLayout({ facadeLength: 20, facadeHeight: 9 });
+
+    test('ties every 4 m or less vertically on a normal site', () => {
+        const ties = calculateTieSpacing(layout);
+        assert.equal(ties.verticalSpacing, 3.6);
+        assert.equal(ties.areaPerTieM2, 24);
+        assert.equal(ties.baysBetweenTies, 3);
+        assert.equal(ties.tiesPerRow, 4);
+        assert.equal(ties.tieRows, 2);
+        assert.equal(ties.totalTies, 8);
+    });
+
+    test('needs more ties when exposed or sheeted', () => {
+        const normal = calculateTieSpacing(layout).totalTies;
+        const exposed = calculateTieSpacing(layout, { exposure: 'exposed' }).totalTies;
+        const sheeted = calculateTieSpacing(layout, { exposure: 'exposed', sheeted: true });
+        assert.ok(exposed > normal);
+        assert.ok(sheeted.totalTies > exposed);
+        assert.equal(sheeted.liftsBetweenTieRows, 1);
+        assert.equal(sheeted.tieRows, layout.lifts);
+    });
+
+    test('keeps the tie rows of a low scaffold within its height', () => {
+        for (const facadeHeight of [0.5, 1.8]) {
+            const ties = calculateTieSpacing(calculateLayout({ facadeLength: 6, facadeHeight }));
+            assert.equal(ties.liftsBetweenTieRows, 1);
+            assert.equal(ties.verticalSpacing, facadeHeight);
+            assert.equal(ties.tieRows, 1);
+            assert.deepEqual(ties.tieRowHeights, [facadeHeight]);
+        }
+    });
+
+    test('reduces the area per tie on tall scaffolds', () => {
+        const tall = calculateTieSpacing(calculateLayout({ facadeLength: 20, facadeHeight: 30 }));
+        assert.equal(tall.areaPerTieM2, 18);
+        assert.match(tall.assumptions[0], /over 25 m/);
+    });
+
+    test('rejects unknown exposures', () => {
+        assert.throws(() => calculateTieSpacing(layout, { exposure: 'windy' }), RangeError);
+    });
+});
+
+test.describe('calculateTakeoff', () => {
+    const layout = calculateLayout({ facadeLength: 20, facadeHeight: 9 });
+
+    test('counts the main components for every boarded lift', () => {
+        const takeoff = calculateTakeoff(layout);
+        assert.equal(quantity(takeoff, 'base_plate'), 20);
+        assert.equal(quantity(takeoff, 'standard'), 40);
+        assert.equal(quantity(takeoff, 'sleeve_coupler'), 20);
+        assert.equal(quantity(takeoff, 'ledger'), 108);
+        assert.equal(quantity(takeoff, 'transom'), 50);
+        assert.equal(quantity(takeoff, 'intermediate_transom'), 45);
+        assert.equal(quantity(takeoff, 'board'), 180);
+        assert.equal(quantity(takeoff, 'toe_board'), 55);
+        assert.equal(quantity(takeoff, 'guardrail'), 110);
+        assert.equal(quantity(takeoff, 'tie'), 8);
+        assert.equal(quantity(takeoff, 'right_angle_coupler'), 2 * (108 + 50 + 110 + 8));
+    });
+
+    test('only boards, guards and clips the boarded lifts', () => {
+        const takeoff = calculateTakeoff(layout, { boardedLifts: 2 });
+        assert.equal(quantity(takeoff, 'board'), 72);
+        assert.equal(quantity(takeoff, 'toe_board'), 22);
+        assert.equal(quantity(takeoff, 'transom'), 50);
+        assert.equal(takeoff.layout.boardedLifts, 2);
+    });
+
+    test('uses the tie calculation for the exposure', () => {
+        const takeoff = calculateTakeoff(layout, { exposure: 'exposed' });
+        assert.equal(quantity(takeoff, 'tie'), takeoff.ties.totalTies);
+        assert.equal(takeoff.ties.exposure, 'exposed');
+    });
+
+    test('rejects more boarded lifts than lifts', () => {
+        assert.throws(() => calculateTakeoff(layout, { boardedLifts: 6 }), RangeError);
+    });
+});
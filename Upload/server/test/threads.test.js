@@ -0,0 +1,137 @@
+// Tests for the conversation sidebar API: listing, renaming, archiving,
+// deleting and automatically titling threads.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createProvider } = require('../lib/providers');
+const { cleanTitle, fallbackTitle } = require('../lib/titles');
+const { startTestServer, eventually } = require('./helpers/testServer');
+const { createMockChatCompletions } = require('./helpers/mockChatCompletions');
+
+test.describe('thread titles', () => {
+    test('cleans model-written titles', () => {
+        assert.equal(cleanTitle('"Terrace facade scaffold."\nExtra line'), 'Terrace facade scaffold');
+    });
+
+    test('falls back to the start of the first message', () => {
+        assert.equal(fallbackTitle('  Plan a   scaffold '), 'Plan a scaffold');
+        assert.equal(fallbackTitle('Design a birdcage scaffold for the atrium ceiling repairs, 12 m high'), 'Design a birdcage scaffold for the atrium…');
+    });
+});
+
+test.describe('thread management API', () => {
+    let server;
+
+    test.beforeEach(async () => {
+        server = await startTestServer({ credits: { initialBalance: 100 } });
+    });
+
+    test.afterEach(async () => {
+        await server.close();
+    });
+
+    const newThread = async (as) => (await (await server.request('/api/new-thread', { method: 'POST', as })).json()).threadId;
+    const patch = (threadId, body, options = {}) => server.request(`/api/threads/${threadId}`, { method: 'PATCH', body, ...options });
+    const list = async (query = '') => (await (await server.request(`/api/threads${query}`)).json()).threads;
+
+    test('titles a thread from its first message when the provider cannot summarise', async () => {
+        const threadId = await newThread();
+        assert.equal((await list())[0].title, null);
+
+        // Titles are generated after the reply has been sent.
+        await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'Scaffold for a 20 m terrace' } });
+        await eventually(async () => (await list())[0].title);
+        await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'Now add a loading bay' } });
+
+        const [thread] = await list();
+        assert.deepEqual({ id: thread.id, title: thread.title, archived: thread.archived }, { id: threadId, title: 'Scaffold for a 20 m terrace', archived: false });
+    });
+
+    test('renames threads and keeps user titles', async () => {
+        const threadId = await newThread();
+        const res = await patch(threadId, { title: '  North elevation  ' });
+        assert.equal(res.status, 200);
+        assert.equal((await res.json()).thread.title, 'North elevation');
+
+        await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'Hello' } });
+        assert.equal((await list())[0].title, 'North elevation');
+    });
+
+    test('archives and restores threads', async () => {
+        const kept = await newThread();
+        const archived = await newThread();
+
+        await patch(archived, { archived: true });
+        assert.deepEqual((await list()).map(thread => thread.id), [kept]);
+        assert.deepEqual((await list('?archived=true')).map(thread => thread.id), [archived]);
+        assert.equal((await list('?archived=all')).length, 2);
+
+        await patch(archived, { archived: false });
+        assert.equal((await list()).length, 2);
+    });
+
+    test('validates updates', async () => {
+        const threadId = await newThread();
+        for (const body of [{ title: '' }, { title: 'x'.repeat(81) }, { archived: 'yes' }, {}]) {
+            const res = await patch(threadId, body);
+            assert.equal(res.status, 400);
+            assert.equal((await res.json()).code, 'INVALID_THREAD_UPDATE');
+        }
+    });
+
+    test('deletes the thread here and in Azure', async () => {
+        const threadId = await newThread();
+        const res = await server.request(`/api/threads/${threadId}`, { method: 'DELETE' });
+        assert.equal(res.status, 200);
+        assert.deepEqual(await res.json(), { id: threadId, deleted: true });
+
+        assert.equal(server.azure.threads.has(threadId), false);
+        assert.deepEqual(await list('?archived=all'), []);
+        assert.equal((await server.request(`/api/threads/${threadId}/messages`)).status, 403);
+    });
+
+    test('keeps the thread when the remote delete fails', async () => {
+        const threadId = await newThread();
+        server.azure.failNext('DELETE', /\/threads\//, { status: 500 }, 4);
+
+        const res = await server.request(`/api/threads/${threadId}`, { method: 'DELETE' });
+        assert.equal(res.status, 502);
+        assert.equal((await list()).length, 1);
+    });
+
+    test('only lets the owner change or delete a thread', async () => {
+        const threadId = await newThread('auth0|bob');
+        assert.equal((await patch(threadId, { title: 'Mine now' })).status, 403);
+        assert.equal((await server.request(`/api/threads/${threadId}`, { method: 'DELETE' })).status, 403);
+        assert.equal(server.azure.threads.has(threadId), true);
+    });
+});
+
+test.describe('thread titles with the chat completions provider', () => {
+    let mock;
+    let server;
+
+    test.beforeEach(async () => {
+        mock = createMockChatCompletions();
+        await mock.start();
+        server = await startTestServer({
+            provider: (store) => createProvider('chat-completions', { baseUrl: mock.baseUrl, apiKey: mock.apiKey, model: 'm', store }),
+        });
+    });
+
+    test.afterEach(async () => {
+        await server.close();
+        await mock.stop();
+    });
+
+    test('asks the model for a short title', async () => {
+        const { threadId } = await (await server.request('/api/new-thread', { method: 'POST' })).json();
+        mock.scriptCompletion({ reply: 'Nine bays of 2.2 m.' }, { reply: '"Terrace facade scaffold."' });
+
+        await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'Plan a 20 m terrace' } });
+
+        await eventually(async () => (await (await server.request('/api/threads')).json()).threads[0].title === 'Terrace facade scaffold');
+        const titleRequest = mock.requests[1].body;
+        assert.equal(titleRequest.messages[1].content, 'User: Plan a 20 m terrace\n\nAssistant: Nine bays of 2.2 m.');
+        assert.equal(titleRequest.tools, undefined);
+    });
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDefaultToolRegistry, createToolRegistry } = require('../lib/tools');
+
+const call = (name, args) => ({
+    id: `call_${name}`,
+    type: 'function',
+    function: { name, arguments: typeof args === 'string' ? args : JSON.stringify(args) },
+});
+
+const run = async (registry, name, args) => {
+    const result = await registry.execute(call(name, args), { userId: 'auth0|tester' });
+    assert.equal(result.tool_call_id, `call_${name}`);
+    return JSON.parse(result.output);
+};
+
+test.describe('default tool registry', () => {
+    const registry = createDefaultToolRegistry();
+
+    test('exposes function definitions for every tool', () => {
+        const names = registry.definitions().map(definition => definition.function.name);
+        assert.deepEqual(names, ['get_time', 'scaffold_layout', 'scaffold_takeoff', 'scaffold_load_check', 'scaffold_tie_spacing', 'submit_design_spec']);
+        for (const definition of registry.definitions()) {
+            assert.equal(definition.type, 'function');
+            assert.equal(definition.function.parameters.type, 'object');
+        }
+    });
+
+    test('runs the scaffold take-off tool', async () => {
+        const output = await run(registry, 'scaffold_takeoff', { facadeLength: 20, facadeHeight: 9, exposure: 'exposed' });
+        assert.equal(output.layout.bays, 9);
+        assert.equal(output.ties.exposure, 'exposed');
+        assert.ok(output.components.some(component => component.item === 'board'));
+    });
+
+    test('returns schema errors to the model', async () => {
+        const output = await run(registry, 'scaffold_layout', { facadeLength: '20', facadeHeight: 9, colour: 'red' });
+        assert.equal(output.error.code, 'INVALID_ARGUMENTS');
+        assert.deepEqual(output.error.details.map(detail => detail.path).sort(), ['/', '/facadeLength']);
+    });
+
+    test('returns calculation errors to the model', async () => {
+        const output = await run(registry, 'scaffold_load_check', { bayLength: 2, platformWidth: 1 });
+        assert.equal(output.error.code, 'TOOL_ERROR');
+        assert.match(output.error.message, /loadClass or intendedUse/);
+    });
+
+    test('reports unknown tools and malformed arguments', async () => {
+        assert.equal((await run(registry, 'get_current_weather', {})).error.code, 'UNKNOWN_TOOL');
+        assert.equal((await run(registry, 'get_time', '{not json')).error.code, 'INVALID_ARGUMENTS_JSON');
+    });
+});
+
+test.describe('createToolRegistry', () => {
+    test('times out slow tools and aborts their signal', async () => {
+        const registry = createToolRegistry({ defaultTimeoutMs: 20 });
+        let signal;
+        registry.register({
+            name: 'slow',
+            handler: (args, context) => {
+                signal = context.signal;
+                return new Promise(resolve => setTimeout(resolve, 200));
+            },
+        });
+        const output = await run(registry, 'slow', {});
+        assert.equal(output.error.code, 'TOOL_TIMEOUT');
+        assert.equal(signal.aborted, true);
+    });
+
+    test('passes the caller context to handlers', async () => {
+        const registry = createToolRegistry();
+        registry.register({ name: 'whoami', handler: async (args, context) => context.userId });
+        const result = await registry.execute(call('whoami', {}), { userId: 'auth0|abc' });
+        assert.equal(result.output, 'auth0|abc');
+    });
+
+    test('refuses duplicate registrations', () => {
+        const registry = createToolRegistry();
+        registry.register({ name: 'once', handler: async () => 'ok' });
+        assert.throws(() => registry.register({ name: 'once', handler: async () => 'ok' }), /already registered/);
+    });
+});
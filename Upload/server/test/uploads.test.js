@@ -0,0 +1,149 @@
+// Tests for uploading files to a thread and attaching them to chat messages.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createProvider } = require('../lib/providers');
+const { startTestServer } = require('./helpers/testServer');
+const { createMockChatCompletions } = require('./helpers/mockChatCompletions');
+
+const PDF = Buffer.from('%PDF-1.7\n1 0 obj\n<<>>\nendobj\n%%EOF\n');
+const CSV = Buffer.from('elevation,length_m,height_m\nnorth,20,9\n');
+
+// Build a multipart body with `files` given as [filename, contents, type].
+const formWith = (...files) => {
+    const form = new FormData();
+    for (const [filename, contents, type = 'application/octet-stream'] of files) {
+        form.append('files', new Blob([contents], { type }), filename);
+    }
+    return form;
+};
+
+test.describe('file uploads', () => {
+    let server;
+    let threadId;
+
+    test.beforeEach(async () => {
+        server = await startTestServer({ uploads: { maxFileBytes: 1024, maxFiles: 2 } });
+        threadId = (await (await server.request('/api/new-thread', { method: 'POST' })).json()).threadId;
+    });
+
+    test.afterEach(async () => {
+        await server.close();
+    });
+
+    const upload = (form, options = {}) =>
+        server.request(`/api/threads/${options.threadId || threadId}/files`, { method: 'POST', body: form, ...options });
+
+    test('uploads files to the provider and lists them on the thread', async () => {
+        const res = await upload(formWith(['site-survey.pdf', PDF, 'application/pdf'], ['dimensions.csv', CSV, 'application/vnd.ms-excel']));
+        assert.equal(res.status, 201);
+        const { files } = await res.json();
+        assert.deepEqual(files.map(file => [file.filename, file.mimeType, file.bytes, file.tools]), [
+            ['site-survey.pdf', 'application/pdf', PDF.length, ['file_search', 'code_interpreter']],
+            ['dimensions.csv', 'text/csv', CSV.length, ['code_interpreter']],
+        ]);
+
+        const stored = server.azure.files.get(files[0].id);
+        assert.equal(stored.filename, 'site-survey.pdf');
+        assert.deepEqual(stored.content, PDF);
+
+        const list = await (await server.request(`/api/threads/${threadId}/files`)).json();
+        assert.deepEqual(list.files.map(file => file.id), files.map(file => file.id));
+    });
+
+    test('attaches uploaded files to the chat message with their tools', async () => {
+        const { files } = await (await upload(formWith(['site-survey.pdf', PDF], ['dimensions.csv', CSV]))).json();
+
+        const res = await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'Use these', fileIds: files.map(file => file.id) } });
+        assert.equal(res.status, 200);
+
+        const userMessage = server.azure.threads.get(threadId).messages.find(msg => msg.role === 'user');
+        assert.deepEqual(userMessage.attachments, [
+            { file_id: files[0].id, tools: [{ type: 'file_search' }, { type: 'code_interpreter' }] },
+            { file_id: files[1].id, tools: [{ type: 'code_interpreter' }] },
+        ]);
+    });
+
+    test('rejects unsupported types and contents that do not match the extension', async () => {
+        let res = await upload(formWith(['model.dwg', 'AC1032']));
+        assert.equal(res.status, 415);
+        assert.equal((await res.json()).code, 'UNSUPPORTED_FILE_TYPE');
+
+        res = await upload(formWith(['elevation.pdf', 'not really a pdf']));
+        assert.equal(res.status, 415);
+        assert.match((await res.json()).details, /do not match the \.pdf extension/);
+        assert.equal(server.azure.files.size, 0);
+    });
+
+    test('enforces the size and count limits', async () => {
+        let res = await upload(formWith(['big.txt', 'x'.repeat(2048)]));
+        assert.equal(res.status, 413);
+        assert.deepEqual(await res.json(), { error: 'File too large', code: 'FILE_TOO_LARGE', details: 'Files may be at most 1 KB.' });
+
+        res = await upload(formWith(['a.txt', 'a'], ['b.txt', 'b'], ['c.txt', 'c']));
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).code, 'TOO_MANY_FILES');
+
+        res = await upload(new FormData());
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).code, 'NO_FILES');
+    });
+
+    test('only lets the thread owner upload and attach files', async () => {
+        let res = await upload(formWith(['notes.txt', 'hi']), { as: 'auth0|bob' });
+        assert.equal(res.status, 403);
+
+        const { files } = await (await upload(formWith(['notes.txt', 'hi']))).json();
+        const bobThread = (await (await server.request('/api/new-thread', { method: 'POST', as: 'auth0|bob' })).json()).threadId;
+        res = await server.request('/api/chat', { method: 'POST', as: 'auth0|bob', body: { threadId: bobThread, message: 'Hi', fileIds: [files[0].id] } });
+        assert.equal(res.status, 404);
+        assert.equal((await res.json()).code, 'FILE_NOT_FOUND');
+        assert.equal(await server.services.credits.getBalance('auth0|bob'), 9);
+    });
+
+    test('validates fileIds', async () => {
+        const res = await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'Hi', fileIds: 'file_1' } });
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).code, 'INVALID_ATTACHMENTS');
+    });
+
+    test('reports provider upload failures', async () => {
+        server.azure.failNext('POST', /\/files$/, { status: 500 }, 4);
+        const res = await upload(formWith(['notes.txt', 'hi']));
+        assert.equal(res.status, 502);
+        const body = await res.json();
+        assert.equal(body.error, 'Failed to upload file');
+        assert.equal(body.code, 'UPSTREAM_UNAVAILABLE');
+    });
+});
+
+test.describe('file uploads with the chat completions provider', () => {
+    let mock;
+    let server;
+
+    test.beforeEach(async () => {
+        mock = createMockChatCompletions();
+        await mock.start();
+        server = await startTestServer({
+            provider: (store) => createProvider('chat-completions', { baseUrl: mock.baseUrl, apiKey: mock.apiKey, model: 'local-model', store }),
+        });
+    });
+
+    test.afterEach(async () => {
+        await server.close();
+        await mock.stop();
+    });
+
+    test('inlines text files into the message and refuses binary files', async () => {
+        const { threadId } = await (await server.request('/api/new-thread', { method: 'POST' })).json();
+
+        let res = await server.request(`/api/threads/${threadId}/files`, { method: 'POST', body: formWith(['survey.pdf', PDF]) });
+        assert.equal(res.status, 415);
+
+        res = await server.request(`/api/threads/${threadId}/files`, { method: 'POST', body: formWith(['dimensions.csv', CSV]) });
+        const { files } = await res.json();
+        await server.request('/api/chat', { method: 'POST', body: { threadId, message: 'Bays?', fileIds: [files[0].id] } });
+
+        const [userMessage] = mock.requests[0].body.messages;
+        assert.equal(userMessage.content, `Bays?\n\nAttached file dimensions.csv:\n\`\`\`\n${CSV}\n\`\`\``);
+    });
+});